@@ -0,0 +1,420 @@
+// Minimal ABI encoder/decoder for human-readable function signatures
+import { keccak256, hexToBytes } from './keccak.js';
+import { hasValidChecksum } from './utils.js';
+
+const WORD_SIZE = 32;
+
+/**
+ * Splits a comma-separated type list, respecting nested tuples
+ * @param {string} list - Types without the surrounding parentheses
+ * @returns {string[]} Individual type strings
+ */
+function splitTypes(list) {
+    const parts = [];
+    let depth = 0;
+    let current = '';
+
+    for (const char of list) {
+        if (char === '(') depth++;
+        if (char === ')') depth--;
+        if (char === ',' && depth === 0) {
+            parts.push(current.trim());
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+
+    if (current.trim()) {
+        parts.push(current.trim());
+    }
+    if (depth !== 0) {
+        throw new Error(`Unbalanced parentheses in "${list}"`);
+    }
+    return parts;
+}
+
+/**
+ * Parses a single parameter declaration into a type descriptor
+ * @param {string} declaration - e.g. 'uint256', 'address owner', '(address,uint256)[]'
+ * @returns {Object} Type descriptor
+ */
+export function parseType(declaration) {
+    let text = declaration.trim();
+
+    // Drop the parameter name and data location keywords, e.g. 'bytes calldata data'
+    if (!text.startsWith('(') && !text.startsWith('tuple(')) {
+        text = text.split(/\s+/)[0];
+    } else {
+        const close = findClosingParen(text, text.indexOf('('));
+        const suffix = /^(\[\d*\])*/.exec(text.slice(close + 1).trim())[0];
+        text = text.slice(0, close + 1) + suffix;
+    }
+
+    const arrayMatch = /^(.*)\[(\d*)\]$/.exec(text);
+    if (arrayMatch) {
+        const component = parseType(arrayMatch[1]);
+        const length = arrayMatch[2] === '' ? null : parseInt(arrayMatch[2], 10);
+        return {
+            kind: 'array',
+            component,
+            length,
+            canonical: `${component.canonical}[${arrayMatch[2]}]`,
+            dynamic: length === null || component.dynamic
+        };
+    }
+
+    if (text.startsWith('(') || text.startsWith('tuple(')) {
+        const open = text.indexOf('(');
+        const components = splitTypes(text.slice(open + 1, -1)).map(parseType);
+        return {
+            kind: 'tuple',
+            components,
+            canonical: `(${components.map(c => c.canonical).join(',')})`,
+            dynamic: components.some(c => c.dynamic)
+        };
+    }
+
+    if (text === 'address' || text === 'bool' || text === 'string' || text === 'bytes') {
+        return { kind: text, canonical: text, dynamic: text === 'string' || text === 'bytes' };
+    }
+
+    const intMatch = /^(u?)int(\d*)$/.exec(text);
+    if (intMatch) {
+        const bits = intMatch[2] ? parseInt(intMatch[2], 10) : 256;
+        if (bits < 8 || bits > 256 || bits % 8 !== 0) {
+            throw new Error(`Invalid integer type: ${text}`);
+        }
+        const kind = intMatch[1] ? 'uint' : 'int';
+        return { kind, bits, canonical: `${kind}${bits}`, dynamic: false };
+    }
+
+    const bytesMatch = /^bytes(\d+)$/.exec(text);
+    if (bytesMatch) {
+        const size = parseInt(bytesMatch[1], 10);
+        if (size < 1 || size > 32) {
+            throw new Error(`Invalid fixed bytes type: ${text}`);
+        }
+        return { kind: 'fixedBytes', size, canonical: text, dynamic: false };
+    }
+
+    throw new Error(`Unsupported ABI type: ${declaration}`);
+}
+
+function findClosingParen(text, open) {
+    let depth = 0;
+    for (let i = open; i < text.length; i++) {
+        if (text[i] === '(') depth++;
+        if (text[i] === ')') {
+            depth--;
+            if (depth === 0) return i;
+        }
+    }
+    throw new Error(`Unbalanced parentheses in "${text}"`);
+}
+
+/**
+ * Parses a human-readable function signature
+ * @param {string} signature - e.g. 'function balanceOf(address owner) view returns (uint256)'
+ * @returns {Object} Parsed signature with name, inputs, outputs and canonical form
+ */
+export function parseSignature(signature) {
+    const text = signature.trim().replace(/^(function|event)\s+/, '');
+    const open = text.indexOf('(');
+    if (open <= 0) {
+        throw new Error(`Invalid function signature: ${signature}`);
+    }
+
+    const name = text.slice(0, open).trim();
+    const close = findClosingParen(text, open);
+    const inputs = splitTypes(text.slice(open + 1, close)).map(declaration => ({
+        ...parseType(declaration),
+        // Only meaningful for events: indexed parameters are stored in log topics
+        indexed: /\sindexed(\s|$)/.test(declaration)
+    }));
+
+    let outputs = [];
+    const rest = text.slice(close + 1);
+    const returnsIndex = rest.search(/\breturns\s*\(/);
+    if (returnsIndex !== -1) {
+        const returnsOpen = rest.indexOf('(', returnsIndex);
+        const returnsClose = findClosingParen(rest, returnsOpen);
+        outputs = splitTypes(rest.slice(returnsOpen + 1, returnsClose)).map(parseType);
+    }
+
+    return {
+        name,
+        inputs,
+        outputs,
+        canonical: `${name}(${inputs.map(input => input.canonical).join(',')})`
+    };
+}
+
+/**
+ * Computes the 4-byte function selector for a signature
+ * @param {string} signature - Human-readable function signature
+ * @returns {string} Selector as '0x' + 8 hex characters
+ */
+export function functionSelector(signature) {
+    return keccak256(parseSignature(signature).canonical).slice(0, 10);
+}
+
+/**
+ * Computes the topic hash of an event signature
+ * @param {string} signature - Human-readable event signature, e.g. 'event Transfer(address indexed from, ...)'
+ * @returns {string} Topic as a '0x'-prefixed 32-byte hex string
+ */
+export function eventTopic(signature) {
+    return keccak256(parseSignature(signature).canonical);
+}
+
+function padWord(hex) {
+    return hex.padStart(WORD_SIZE * 2, '0');
+}
+
+function encodeInteger(type, value) {
+    const number = BigInt(value);
+    const bits = BigInt(type.bits);
+
+    if (type.kind === 'uint') {
+        if (number < 0n || number >= 1n << bits) {
+            throw new Error(`Value ${value} out of range for ${type.canonical}`);
+        }
+        return padWord(number.toString(16));
+    }
+
+    const limit = 1n << (bits - 1n);
+    if (number < -limit || number >= limit) {
+        throw new Error(`Value ${value} out of range for ${type.canonical}`);
+    }
+    return padWord(BigInt.asUintN(256, number).toString(16));
+}
+
+function encodeBytesData(hex) {
+    const data = hex.replace(/^0x/, '');
+    const padded = data.padEnd(Math.ceil(data.length / 64) * 64, '0');
+    return padWord((data.length / 2).toString(16)) + padded;
+}
+
+function utf8ToHex(text) {
+    return Array.from(new TextEncoder().encode(text), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function encodeValue(type, value) {
+    switch (type.kind) {
+        case 'uint':
+        case 'int':
+            return encodeInteger(type, value);
+        case 'address':
+            if (!/^0x[0-9a-fA-F]{40}$/.test(value)) {
+                throw new Error(`Invalid address: ${value}`);
+            }
+            if (!hasValidChecksum(value)) {
+                throw new Error(`Invalid address checksum: ${value}`);
+            }
+            return padWord(value.slice(2).toLowerCase());
+        case 'bool':
+            return padWord(value ? '1' : '0');
+        case 'fixedBytes': {
+            const data = String(value).replace(/^0x/, '');
+            if (data.length !== type.size * 2 || !/^[0-9a-fA-F]*$/.test(data)) {
+                throw new Error(`Invalid ${type.canonical} value: ${value}`);
+            }
+            return data.toLowerCase().padEnd(64, '0');
+        }
+        case 'bytes':
+            hexToBytes(value); // Validates the hex string
+            return encodeBytesData(value.toLowerCase());
+        case 'string':
+            return encodeBytesData(utf8ToHex(value));
+        case 'array': {
+            if (!Array.isArray(value)) {
+                throw new Error(`Expected an array for ${type.canonical}`);
+            }
+            if (type.length !== null && value.length !== type.length) {
+                throw new Error(`Expected ${type.length} items for ${type.canonical}, got ${value.length}`);
+            }
+            const encoded = encodeSequence(value.map(() => type.component), value);
+            return type.length === null ? padWord(value.length.toString(16)) + encoded : encoded;
+        }
+        case 'tuple': {
+            if (!Array.isArray(value)) {
+                throw new Error(`Expected an array of values for ${type.canonical}`);
+            }
+            return encodeSequence(type.components, value);
+        }
+        default:
+            throw new Error(`Unsupported ABI type: ${type.canonical}`);
+    }
+}
+
+function encodeSequence(types, values) {
+    if (types.length !== values.length) {
+        throw new Error(`Expected ${types.length} values, got ${values.length}`);
+    }
+
+    const encoded = types.map((type, i) => encodeValue(type, values[i]));
+    const headSize = types.reduce((size, type, i) => size + (type.dynamic ? WORD_SIZE : encoded[i].length / 2), 0);
+
+    let head = '';
+    let tail = '';
+    types.forEach((type, i) => {
+        if (type.dynamic) {
+            head += padWord((headSize + tail.length / 2).toString(16));
+            tail += encoded[i];
+        } else {
+            head += encoded[i];
+        }
+    });
+    return head + tail;
+}
+
+/**
+ * ABI-encodes a list of values
+ * @param {Array<string|Object>} types - Type strings or parsed type descriptors
+ * @param {Array} values - Values to encode (BigInt/number/string for integers, hex strings for bytes)
+ * @returns {string} Encoded data as a '0x'-prefixed hex string
+ */
+export function encodeParameters(types, values) {
+    const parsed = types.map(type => (typeof type === 'string' ? parseType(type) : type));
+    return '0x' + encodeSequence(parsed, values);
+}
+
+function readWord(data, offset) {
+    const start = offset * 2;
+    if (start + 64 > data.length) {
+        throw new Error('ABI data too short');
+    }
+    return data.slice(start, start + 64);
+}
+
+function readOffset(data, offset) {
+    const value = BigInt('0x' + readWord(data, offset));
+    if (value > BigInt(data.length / 2)) {
+        throw new Error('ABI offset out of range');
+    }
+    return Number(value);
+}
+
+function hexToUtf8(hex) {
+    return new TextDecoder().decode(hexToBytes('0x' + hex));
+}
+
+function decodeValue(type, data, offset) {
+    switch (type.kind) {
+        case 'uint': {
+            const value = BigInt('0x' + readWord(data, offset));
+            return BigInt.asUintN(type.bits, value);
+        }
+        case 'int':
+            return BigInt.asIntN(type.bits, BigInt('0x' + readWord(data, offset)));
+        case 'address':
+            return '0x' + readWord(data, offset).slice(24);
+        case 'bool':
+            return BigInt('0x' + readWord(data, offset)) !== 0n;
+        case 'fixedBytes':
+            return '0x' + readWord(data, offset).slice(0, type.size * 2);
+        case 'bytes':
+        case 'string': {
+            const length = readOffset(data, offset);
+            const start = (offset + WORD_SIZE) * 2;
+            if (start + length * 2 > data.length) {
+                throw new Error('ABI data too short');
+            }
+            const hex = data.slice(start, start + length * 2);
+            return type.kind === 'bytes' ? '0x' + hex : hexToUtf8(hex);
+        }
+        case 'array': {
+            let length = type.length;
+            let start = offset;
+            if (length === null) {
+                length = readOffset(data, offset);
+                start = offset + WORD_SIZE;
+            }
+            return decodeSequence(new Array(length).fill(type.component), data, start);
+        }
+        case 'tuple':
+            return decodeSequence(type.components, data, offset);
+        default:
+            throw new Error(`Unsupported ABI type: ${type.canonical}`);
+    }
+}
+
+function staticSize(type) {
+    if (type.kind === 'array') return type.length * staticSize(type.component);
+    if (type.kind === 'tuple') return type.components.reduce((size, c) => size + staticSize(c), 0);
+    return WORD_SIZE;
+}
+
+function decodeSequence(types, data, base) {
+    let cursor = base;
+    return types.map(type => {
+        let value;
+        if (type.dynamic) {
+            value = decodeValue(type, data, base + readOffset(data, cursor));
+            cursor += WORD_SIZE;
+        } else {
+            value = decodeValue(type, data, cursor);
+            cursor += staticSize(type);
+        }
+        return value;
+    });
+}
+
+/**
+ * ABI-decodes data into values
+ * @param {Array<string|Object>} types - Type strings or parsed type descriptors
+ * @param {string} data - '0x'-prefixed hex data
+ * @returns {Array} Decoded values (BigInt for integers, lowercase hex for addresses and bytes)
+ */
+export function decodeParameters(types, data) {
+    const parsed = types.map(type => (typeof type === 'string' ? parseType(type) : type));
+    const hex = String(data || '').replace(/^0x/, '');
+    if (!/^([0-9a-fA-F]{2})*$/.test(hex)) {
+        throw new Error(`Invalid ABI data: ${data}`);
+    }
+    return decodeSequence(parsed, hex, 0);
+}
+
+/**
+ * Encodes a function call: selector followed by the encoded arguments
+ * @param {string} signature - Human-readable function signature
+ * @param {Array} args - Function arguments
+ * @returns {string} Calldata as a '0x'-prefixed hex string
+ */
+export function encodeFunctionCall(signature, args = []) {
+    const parsed = parseSignature(signature);
+    const selector = keccak256(parsed.canonical).slice(0, 10);
+    return selector + encodeParameters(parsed.inputs, args).slice(2);
+}
+
+/**
+ * Decodes the return data of a function call
+ * @param {string} signature - Human-readable signature including 'returns (...)'
+ * @param {string} data - '0x'-prefixed return data
+ * @returns {Array} Decoded return values
+ */
+export function decodeFunctionResult(signature, data) {
+    return decodeParameters(parseSignature(signature).outputs, data);
+}
+
+/**
+ * Decodes an event log's indexed topics and data
+ * @param {string} signature - Human-readable event signature
+ * @param {{topics: string[], data: string}} log - Log entry as returned by eth_getLogs
+ * @returns {Array} Decoded values in declaration order (dynamic indexed values stay as their topic hash)
+ */
+export function decodeEventLog(signature, log) {
+    const { inputs } = parseSignature(signature);
+    const dataValues = decodeParameters(inputs.filter(input => !input.indexed), log.data);
+
+    let topicIndex = 1; // topics[0] is the event topic
+    let dataIndex = 0;
+    return inputs.map(input => {
+        if (!input.indexed) {
+            return dataValues[dataIndex++];
+        }
+        const topic = log.topics[topicIndex++];
+        return input.dynamic ? topic : decodeParameters([input], topic)[0];
+    });
+}
@@ -0,0 +1,152 @@
+// Exact token amount handling for the Gnosis Validator Safe App
+// All amounts are kept as BigInt base units (wei) so nothing is lost to floating point
+
+export const DEFAULT_DECIMALS = 18;
+export const DEFAULT_FRACTION_DIGITS = 6;
+
+/**
+ * Converts a raw on-chain value to a BigInt amount in base units
+ * @param {bigint|number|string|null|undefined} value - BigInt, safe integer, hex string ('0x...') or decimal integer string
+ * @returns {bigint} Amount in base units (empty values such as '0x' are treated as zero)
+ */
+export function toBigInt(value) {
+    if (value === null || value === undefined || value === '' || value === '0x') {
+        return 0n;
+    }
+
+    if (typeof value === 'bigint') {
+        return value;
+    }
+
+    if (typeof value === 'number') {
+        if (!Number.isSafeInteger(value)) {
+            throw new Error(`Cannot convert ${value} to an exact amount`);
+        }
+        return BigInt(value);
+    }
+
+    const text = String(value).trim();
+    if (/^0x[0-9a-fA-F]+$/.test(text) || /^-?[0-9]+$/.test(text)) {
+        return BigInt(text);
+    }
+
+    throw new Error(`Invalid amount: ${value}`);
+}
+
+/**
+ * Parses a decimal token amount into base units
+ * @param {string} value - Decimal string such as '1.5'
+ * @param {number} decimals - Token decimals
+ * @returns {bigint} Amount in base units
+ */
+export function parseUnits(value, decimals = DEFAULT_DECIMALS) {
+    const text = String(value).trim();
+    const match = /^(-?)([0-9]*)(?:\.([0-9]*))?$/.exec(text);
+
+    if (!match || (match[2] === '' && !match[3])) {
+        throw new Error(`Invalid amount: ${value}`);
+    }
+
+    const [, sign, whole, fraction = ''] = match;
+    if (fraction.length > decimals) {
+        throw new Error(`Amount ${value} has more than ${decimals} decimals`);
+    }
+
+    const units = BigInt(whole || '0') * 10n ** BigInt(decimals) + BigInt(fraction.padEnd(decimals, '0') || '0');
+    return sign ? -units : units;
+}
+
+/**
+ * Formats base units as a decimal string
+ * @param {bigint|number|string} value - Amount in base units (see toBigInt)
+ * @param {number} decimals - Token decimals
+ * @param {number} [fractionDigits] - Round half up to this many decimals; full precision when omitted
+ * @returns {string} Decimal string without grouping, e.g. '10.250000'
+ */
+export function formatUnits(value, decimals = DEFAULT_DECIMALS, fractionDigits) {
+    let units = toBigInt(value);
+    const negative = units < 0n;
+    if (negative) {
+        units = -units;
+    }
+
+    let scale = decimals;
+    if (fractionDigits !== undefined && fractionDigits < decimals) {
+        const divisor = 10n ** BigInt(decimals - fractionDigits);
+        units = (units + divisor / 2n) / divisor;
+        scale = fractionDigits;
+    }
+
+    const base = 10n ** BigInt(scale);
+    const whole = (units / base).toString();
+    let fraction = scale > 0 ? (units % base).toString().padStart(scale, '0') : '';
+
+    if (fractionDigits === undefined) {
+        fraction = fraction.replace(/0+$/, '');
+    } else {
+        fraction = fraction.padEnd(fractionDigits, '0');
+    }
+
+    const sign = negative && (whole !== '0' || /[1-9]/.test(fraction)) ? '-' : '';
+    return fraction ? `${sign}${whole}.${fraction}` : `${sign}${whole}`;
+}
+
+/**
+ * Formats base units for display using the locale's grouping and decimal separators
+ * @param {bigint|number|string} value - Amount in base units (see toBigInt)
+ * @param {Object} [options] - Display options
+ * @param {number} [options.decimals] - Token decimals
+ * @param {number} [options.fractionDigits] - Decimals to show
+ * @param {string} [options.locale] - BCP 47 locale, defaults to the browser locale
+ * @returns {string} Localized amount, e.g. '1,234.500000'
+ */
+export function formatAmount(value, options = {}) {
+    const {
+        decimals = DEFAULT_DECIMALS,
+        fractionDigits = DEFAULT_FRACTION_DIGITS,
+        locale
+    } = options;
+
+    const [whole, fraction] = formatUnits(value, decimals, fractionDigits).split('.');
+    const numberFormat = new Intl.NumberFormat(locale);
+
+    // Format the integer part as a BigInt so large balances keep every digit
+    const negative = whole.startsWith('-');
+    const groupedWhole = numberFormat.format(BigInt(negative ? whole.slice(1) : whole));
+    const decimalPart = numberFormat.formatToParts(1.5).find(part => part.type === 'decimal');
+    const separator = decimalPart ? decimalPart.value : '.';
+
+    const sign = negative ? '-' : '';
+    return fraction ? `${sign}${groupedWhole}${separator}${fraction}` : `${sign}${groupedWhole}`;
+}
+
+/**
+ * Compares two amounts
+ * @param {bigint|number|string} a - First amount in base units
+ * @param {bigint|number|string} b - Second amount in base units
+ * @returns {number} -1, 0 or 1
+ */
+export function compareAmounts(a, b) {
+    const left = toBigInt(a);
+    const right = toBigInt(b);
+    if (left === right) return 0;
+    return left < right ? -1 : 1;
+}
+
+/**
+ * Sums a list of amounts
+ * @param {Array<bigint|number|string>} values - Amounts in base units
+ * @returns {bigint} Total in base units
+ */
+export function sumAmounts(values) {
+    return values.reduce((total, value) => total + toBigInt(value), 0n);
+}
+
+/**
+ * Checks whether an amount is greater than zero
+ * @param {bigint|number|string} value - Amount in base units
+ * @returns {boolean} True if the amount is positive
+ */
+export function isPositiveAmount(value) {
+    return toBigInt(value) > 0n;
+}
@@ -1,89 +1,290 @@
 // Main entry point for the Gnosis Validator Safe App
 import { CONFIG } from './config.js';
-import { isValidAddress, formatEther } from './utils.js';
+import { isValidAddress, getAddressError, toChecksumAddress, parseAddressList } from './utils.js';
+import { toBigInt, isPositiveAmount } from './amount.js';
 import { 
     initConnection,
     isConnectionAvailable,
     requestAccountAccess,
     getConnectedAccounts,
-    ensureGnosisChain,
+    ensureSelectedNetwork,
     setupConnectionListeners,
-    getConnectionStatus 
+    getConnectionStatus,
+    getConnectionType,
+    selectConnectionType,
+    getChainId,
+    disconnect
 } from './connectionAdapter.js';
-import { getWithdrawableAmount, getTokenBalance, claimWithdrawal, getValidatorCount } from './contractService.js';
-
-// Application state
-let appState = {
-    account: null,
-    isConnecting: false,
-    withdrawableAmount: '0',
-    gnoBalance: '0',
-    validatorCount: 0,
-    isLoading: false,
-    isClaiming: false,
-    message: { type: '', text: '' },
-    connectionStatus: '', // Cache connection status
-    // Address lookup functionality
-    lookupAddress: '',
-    lookupWithdrawableAmount: '0',
-    lookupGnoBalance: '0',
-    lookupValidatorCount: 0,
-    isLookupLoading: false
-};
+import {
+    getWithdrawableAmount,
+    getWithdrawableAmounts,
+    getTokenBalance,
+    claimWithdrawal,
+    claimWithdrawalBatch,
+    getClaimableAddresses,
+    buildClaimTransactions,
+    getValidatorCount
+} from './contractService.js';
+import { getEndpointStatuses, addCustomRpcUrl, removeCustomRpcUrl } from './rpcPool.js';
+import { trackTransaction } from './txTracker.js';
+import { startLiveUpdates, getBalanceLogFilters } from './liveUpdates.js';
+import { getClaimHistory } from './rewardsHistory.js';
+import { buildExportData, downloadExport, buildTransactionBatch, downloadTransactionBatch } from './exportService.js';
+import { getValidatorSource, clearValidatorIndexCache } from './validatorService.js';
+import { getGnoPrice, getHistoricalGnoPrice, setSelectedCurrency } from './pricing.js';
+import {
+    addToWatchlist,
+    renameWatchlistEntry,
+    removeFromWatchlist,
+    getWatchlistBalance,
+    getWatchlistBalances
+} from './watchlist.js';
+import { isName, resolveAddressInput, lookupName } from './nameService.js';
+import { createRenderer, delegate } from './renderer.js';
+import { APP_COMPONENTS } from './components.js';
+import { startWalletDiscovery, onWalletsChanged, selectWallet } from './walletDiscovery.js';
+import { onWalletConnectUri } from './walletConnectService.js';
+import { getWatchAddressError, getWatchUrl } from './watchMode.js';
+import { getNetworkParamError, getNetworkUrl } from './networks.js';
+import {
+    createAppStore,
+    accountChanged,
+    accountsListed,
+    accountDataFailed,
+    accountDataLoaded,
+    accountDataRequested,
+    balancesRefreshed,
+    batchCheckFailed,
+    batchCheckStarted,
+    batchChecked,
+    batchClaimFinished,
+    batchClaimStarted,
+    batchInputChanged,
+    chainChanged,
+    claimFinished,
+    claimStarted,
+    connectFailed,
+    connectFinished,
+    connectStarted,
+    connectionDetected,
+    currencyChanged,
+    exportFinished,
+    exportStarted,
+    historyFailed,
+    historyFinished,
+    historyProgressed,
+    historyStarted,
+    historyUpdated,
+    liveStatusChanged,
+    liveUpdatesRestarted,
+    liveUpdatesToggled,
+    lookupCancelled,
+    lookupFailed,
+    lookupInputChanged,
+    lookupLoaded,
+    lookupStarted,
+    messageExpired,
+    messageShown,
+    namesLoaded,
+    priceLoaded,
+    rpcAddStarted,
+    rpcAdded,
+    rpcEndpointsUpdated,
+    rpcInputChanged,
+    rpcSettingsToggled,
+    transactionDismissed,
+    transactionUpdated,
+    validatorFilterChanged,
+    validatorSortChanged,
+    walletConnectUriChanged,
+    walletSelected,
+    walletsDiscovered,
+    watchAddressInputChanged,
+    watchLabelInputChanged,
+    watchlistAdded,
+    watchlistBalanceLoaded,
+    watchlistBalancesLoaded,
+    watchlistChanged,
+    watchlistLoadStarted,
+    watchlistRemoved
+} from './appStore.js';
+
+// Application state lives in the store; async flows dispatch their results as actions
+const store = createAppStore();
+
+// Request keys of loads that belong to the connected account (dropped when it changes)
+const ACCOUNT_REQUESTS = ['account', 'balances', 'history', 'batch'];
 
 // DOM elements
 let rootElement;
-let connectButton;
-let refreshButton;
-let claimButton;
+let renderer = null; // Created on first render, see renderer.js
+let renderScheduled = false;
 
 // Initialize the application
 async function initApp() {
     rootElement = document.getElementById('root');
-    
+    store.subscribe(scheduleRender);
+
+    // Find every installed wallet before picking one to talk to
+    onWalletsChanged(wallets => store.dispatch(walletsDiscovered(wallets)));
+    startWalletDiscovery();
+    onWalletConnectUri(uri => store.dispatch(walletConnectUriChanged(uri)));
+
+    // A mistyped ?address= or ?network= link falls back to the defaults, so say why
+    const linkError = getWatchAddressError() || getNetworkParamError();
+    if (linkError) {
+        showMessage('error', linkError);
+    }
+
     try {
         // Initialize the connection (Safe App or wallet)
         await initConnection();
-        
-        // Cache connection status
-        appState.connectionStatus = await getConnectionStatus();
-        
-        // Check if already connected
+
+        // Check if already connected (restores a WalletConnect session)
         const accounts = await getConnectedAccounts();
+
+        // Cache connection status; it names the wallet of a restored session
+        store.dispatch(connectionDetected({ status: await getConnectionStatus(), type: await getConnectionType() }));
         if (accounts.length > 0) {
-            appState.account = accounts[0];
+            changeAccounts(accounts);
+            await detectChain();
             await fetchContractData();
+            restartLiveUpdates();
         }
     } catch (error) {
         console.warn('Failed to initialize connection or check existing accounts:', error);
     }
-    
+
     render();
+    if (store.getState().watchlist.length > 0) {
+        loadWatchlist();
+    }
     await setupWalletListeners();
 }
 
+// Switch to another account (or none); loads still running for the previous one are dropped
+function changeAccount(account) {
+    store.cancelRequest(...ACCOUNT_REQUESTS);
+    // A claim sent from the previous account is no longer followed
+    if (stopTransactionTracking) {
+        stopTransactionTracking();
+        stopTransactionTracking = null;
+    }
+    store.dispatch(accountChanged(account));
+}
+
+// Take the accounts the connection returned; the first one (the wallet's active account) is used
+function changeAccounts(accounts) {
+    store.dispatch(accountsListed(accounts));
+    changeAccount(accounts.length === 0 ? null : accounts[0]);
+}
+
+// Switch to another of the returned accounts from the account switcher
+async function switchAccount(account) {
+    if (account === store.getState().account) return;
+    changeAccount(account);
+    await fetchContractData();
+    restartLiveUpdates();
+}
+
+// Read the chain the connection is on; reads skip the wallet while it is on another chain
+async function detectChain() {
+    try {
+        store.dispatch(chainChanged(await getChainId()));
+    } catch (error) {
+        console.warn('Failed to read the chain:', error);
+    }
+}
+
+// The wallet moved to another chain: balances are read again instead of reloading the page
+async function handleChainChanged(chainId) {
+    store.dispatch(chainChanged(chainId));
+    if (!store.getState().account) return;
+    await fetchContractData();
+    restartLiveUpdates();
+}
+
+async function switchNetwork() {
+    try {
+        await ensureSelectedNetwork();
+        await handleChainChanged(await getChainId());
+    } catch (error) {
+        showMessage('error', `Failed to switch to ${CONFIG.NETWORK_NAME}: ${error.message}`);
+    }
+}
+
 // Set up wallet event listeners
 async function setupWalletListeners() {
     const cleanup = await setupConnectionListeners(
-        (accounts) => {
+        async (accounts) => {
+            changeAccounts(accounts);
             if (accounts.length === 0) {
-                appState.account = null;
-            } else {
-                appState.account = accounts[0];
-                fetchContractData();
+                store.dispatch(chainChanged(null));
             }
-            render();
+            await fetchContractData();
+            restartLiveUpdates();
         },
-        () => {
-            // Refresh page on chain change
-            window.location.reload();
-        }
+        handleChainChanged
     );
-    
+
     // Store cleanup function if needed
     window.cleanupConnectionListeners = cleanup;
 }
 
+// Listen to the wallet now in use instead of the one used before
+async function resetWalletListeners() {
+    if (window.cleanupConnectionListeners) {
+        window.cleanupConnectionListeners();
+    }
+    await setupWalletListeners();
+}
+
+// Connect with a wallet from the picker; every wallet request goes to it from now on
+async function connectWithWallet(rdns) {
+    selectWallet(rdns);
+    store.dispatch(walletSelected(rdns));
+    await selectConnectionType('wallet');
+    await resetWalletListeners();
+    await connectWallet();
+}
+
+// Pair a mobile wallet over WalletConnect; the QR code is shown while pairing
+async function connectWithWalletConnect() {
+    await selectConnectionType('walletconnect');
+    await connectWallet();
+    if (!store.getState().account) {
+        // Pairing failed or was rejected: the connect button uses the injected wallet again
+        await selectConnectionType('wallet');
+    }
+    // The session's provider only exists once paired
+    await resetWalletListeners();
+}
+
+async function copyWalletConnectUri() {
+    try {
+        await navigator.clipboard.writeText(store.getState().walletConnectUri);
+        showMessage('success', 'Pairing link copied');
+    } catch (error) {
+        showMessage('error', `Failed to copy the pairing link: ${error.message}`);
+    }
+}
+
+// Disconnect (revokes wallet permissions where supported, ends WalletConnect sessions and watch mode)
+async function disconnectWallet() {
+    const wasWatching = store.getState().connectionType === 'watch';
+    try {
+        await disconnect();
+    } catch (error) {
+        console.warn('Failed to end the session in the wallet:', error);
+    }
+    changeAccounts([]);
+    store.dispatch(chainChanged(null));
+    restartLiveUpdates();
+    store.dispatch(connectionDetected({ status: await getConnectionStatus(), type: await getConnectionType() }));
+    await resetWalletListeners();
+    showMessage('success', wasWatching ? 'Stopped watching' : 'Disconnected');
+}
+
 // Connect wallet
 async function connectWallet() {
     const connectionAvailable = await isConnectionAvailable();
@@ -91,284 +292,596 @@ async function connectWallet() {
         showMessage('error', 'Connection method not available. Please install a Web3 wallet or ensure Safe App context.');
         return;
     }
-    
-    appState.isConnecting = true;
-    render();
-    
+
+    store.dispatch(connectStarted());
+
     try {
         const accounts = await requestAccountAccess();
-        appState.account = accounts[0];
-        await ensureGnosisChain();
+        changeAccounts(accounts);
+        await ensureSelectedNetwork();
+        await detectChain();
         await fetchContractData();
-        
-        appState.connectionStatus = await getConnectionStatus();
-        showMessage('success', `Connected successfully via ${appState.connectionStatus}!`);
+        restartLiveUpdates();
+
+        const status = await getConnectionStatus();
+        store.dispatch(connectionDetected({ status, type: await getConnectionType() }));
+        showMessage('success', `Connected successfully via ${status}!`);
     } catch (error) {
         showMessage('error', `Failed to connect: ${error.message}`);
-        appState.account = null;
-        appState.connectionStatus = '';
+        changeAccount(null);
+        store.dispatch(connectFailed());
+        restartLiveUpdates();
     } finally {
-        appState.isConnecting = false;
-        render();
+        store.dispatch(connectFinished());
     }
 }
 
-// Fetch contract data for any address
-async function fetchAddressData(address) {
-    if (!address || !isValidAddress(address)) {
-        showMessage('error', 'Please enter a valid Ethereum address');
+// Fetch contract data for any address or name
+async function fetchAddressData(input) {
+    if (!input || (!isValidAddress(input) && !isName(input))) {
+        // Says whether the input is malformed or a mistyped checksummed address
+        showMessage('error', getAddressError(input));
         return;
     }
-    
-    appState.isLookupLoading = true;
-    render();
-    
+
+    // A newer lookup makes this one stale, so a slow answer cannot overwrite it
+    const request = store.beginRequest('lookup');
+    store.dispatch(lookupStarted());
+
+    let address;
+    try {
+        const resolved = await resolveAddressInput(input);
+        address = resolved.address;
+        if (resolved.name) {
+            store.dispatch(namesLoaded({ [address.toLowerCase()]: resolved.name }));
+        }
+    } catch (error) {
+        if (store.dispatch(lookupCancelled(), request)) {
+            showMessage('error', error.message);
+        }
+        return;
+    }
+    if (!store.isCurrentRequest(request)) return;
+
+    loadPrice();
+    loadNames([address]);
+
     try {
         const [withdrawableResult, gnoBalanceResult, validatorCountResult] = await Promise.all([
             getWithdrawableAmount(CONFIG.VALIDATOR_CONTRACT_ADDRESS, address),
             getTokenBalance(CONFIG.GNO_TOKEN_ADDRESS, address),
-            getValidatorCount(address)
+            loadValidatorCount(address)
         ]);
-        
-        appState.lookupWithdrawableAmount = formatEther(withdrawableResult);
-        appState.lookupGnoBalance = formatEther(gnoBalanceResult);
-        appState.lookupValidatorCount = validatorCountResult;
-        
+
+        store.dispatch(lookupLoaded({
+            address,
+            withdrawable: toBigInt(withdrawableResult.value),
+            gnoBalance: toBigInt(gnoBalanceResult.value),
+            validatorCount: validatorCountResult.count,
+            validatorCountError: validatorCountResult.error,
+            dataSource: describeSources([withdrawableResult, gnoBalanceResult])
+        }), request);
+
     } catch (error) {
-        showMessage('error', `Failed to fetch data for address: ${error.message}`);
-    } finally {
-        appState.isLookupLoading = false;
-        render();
+        if (store.dispatch(lookupFailed(address, error.message), request)) {
+            showMessage('error', `Failed to fetch data for address: ${error.message}`);
+        }
     }
 }
 
 // Fetch contract data
 async function fetchContractData() {
-    if (!appState.account) return;
-    
-    appState.isLoading = true;
-    render();
-    
+    const { account } = store.getState();
+    if (!account) return;
+
+    const request = store.beginRequest('account');
+    // A live balance read still in flight would overwrite the balances read here
+    store.cancelRequest('balances');
+    store.dispatch(accountDataRequested());
+    loadPrice();
+    loadNames([account]);
+
     try {
-        const [withdrawableResult, gnoBalanceResult, validatorCountResult] = await Promise.all([
-            getWithdrawableAmount(CONFIG.VALIDATOR_CONTRACT_ADDRESS, appState.account),
-            getTokenBalance(CONFIG.GNO_TOKEN_ADDRESS, appState.account),
-            getValidatorCount(appState.account)
+        const [withdrawableResult, gnoBalanceResult, validatorsResult] = await Promise.all([
+            getWithdrawableAmount(CONFIG.VALIDATOR_CONTRACT_ADDRESS, account),
+            getTokenBalance(CONFIG.GNO_TOKEN_ADDRESS, account),
+            loadValidators(account)
         ]);
-        
-        appState.withdrawableAmount = formatEther(withdrawableResult);
-        appState.gnoBalance = formatEther(gnoBalanceResult);
-        appState.validatorCount = validatorCountResult;
-        
+
+        store.dispatch(accountDataLoaded({
+            withdrawable: toBigInt(withdrawableResult.value),
+            gnoBalance: toBigInt(gnoBalanceResult.value),
+            validators: validatorsResult.validators,
+            validatorsError: validatorsResult.error,
+            validatorSource: validatorsResult.source,
+            dataSource: describeSources([withdrawableResult, gnoBalanceResult])
+        }), request);
+
     } catch (error) {
-        showMessage('error', `Failed to fetch data: ${error.message}`);
+        if (store.dispatch(accountDataFailed(error.message), request)) {
+            showMessage('error', `Failed to fetch data: ${error.message}`);
+        }
+    }
+}
+
+// Read balances for every watched address
+async function loadWatchlist() {
+    const { watchlist, isWatchlistLoading } = store.getState();
+    if (isWatchlistLoading) return;
+
+    const request = store.beginRequest('watchlist');
+    store.dispatch(watchlistLoadStarted());
+    loadPrice();
+    loadNames(watchlist.map(entry => entry.address));
+
+    const balances = await getWatchlistBalances(watchlist);
+    store.dispatch(watchlistBalancesLoaded(balances), request);
+}
+
+// Save the entered address to the watchlist and read its balances
+async function addWatchlistAddress() {
+    const { watchAddressInput, watchLabelInput } = store.getState();
+    let address;
+    try {
+        let name;
+        ({ address, name } = await resolveAddressInput(watchAddressInput));
+        // A typed name doubles as the label unless one was given
+        store.dispatch(watchlistAdded(addToWatchlist(address, watchLabelInput || name || '')));
+    } catch (error) {
+        showMessage('error', error.message);
+        return;
+    }
+
+    loadPrice();
+    loadNames([address]);
+
+    store.dispatch(watchlistBalanceLoaded(await getWatchlistBalance(address)));
+}
+
+// Reverse-resolve names for display; addresses without a name just show the address
+async function loadNames(addresses) {
+    const { names } = store.getState();
+    const missing = addresses.filter(address => !names[address.toLowerCase()]);
+    if (missing.length === 0) return;
+
+    const found = await Promise.all(missing.map(address => lookupName(address)));
+    store.dispatch(namesLoaded(Object.fromEntries(missing.map((address, i) => [address.toLowerCase(), found[i]]))));
+}
+
+// Change a watched address's label
+function renameWatchlistAddress(address, label) {
+    store.dispatch(watchlistChanged(renameWatchlistEntry(address, label)));
+}
+
+// Stop watching an address
+function removeWatchlistAddress(address) {
+    store.dispatch(watchlistRemoved(removeFromWatchlist(address), address));
+}
+
+// Load the GNO price for the selected currency; without one, amounts are shown in GNO only
+async function loadPrice() {
+    const { currency } = store.getState();
+    const request = store.beginRequest('price');
+    store.dispatch(priceLoaded(currency, await getGnoPrice(currency)), request);
+}
+
+// Switch the display currency and reload the price
+function changeCurrency(currency) {
+    setSelectedCurrency(currency);
+    store.dispatch(currencyChanged(currency));
+    loadPrice();
+}
+
+// Load validator records; a beacon API failure should not hide the on-chain balances
+async function loadValidators(address) {
+    try {
+        const source = getValidatorSource();
+        return { validators: await source.getValidators(address), source: source.label, error: '' };
+    } catch (error) {
+        console.error('Error fetching validators:', error);
+        return { validators: [], source: '', error: error.message };
+    }
+}
+
+// The count comes from the beacon API, not the contract; a failure leaves the balances shown
+async function loadValidatorCount(address) {
+    try {
+        return { count: await getValidatorCount(address), error: '' };
+    } catch (error) {
+        console.error('Error fetching validator count:', error);
+        return { count: null, error: error.message };
+    }
+}
+
+// Load claim history from logs (cached blocks are not scanned again)
+async function loadRewardsHistory() {
+    const { account, isHistoryLoading } = store.getState();
+    if (!account || isHistoryLoading) return;
+
+    // Dropped if the account changes while scanning
+    const request = store.beginRequest('history');
+    store.dispatch(historyStarted());
+
+    try {
+        const history = await getClaimHistory(account, ({ fromBlock, toBlock, scannedToBlock }) => {
+            const total = toBlock - fromBlock + 1;
+            const percent = total > 0 ? Math.floor((scannedToBlock - fromBlock + 1) / total * 100) : 100;
+            store.dispatch(historyProgressed(`Scanning blocks ${fromBlock}–${toBlock} (${percent}%)`), request);
+        });
+        store.dispatch(historyUpdated(history, Math.floor(Date.now() / 1000)), request);
+    } catch (error) {
+        store.dispatch(historyFailed(error.message), request);
     } finally {
-        appState.isLoading = false;
-        render();
+        store.dispatch(historyFinished(), request);
     }
 }
 
+// Export claims and balances of the connected ('account') or looked-up ('lookup') address
+async function exportRewards(format, source) {
+    const state = store.getState();
+    if (state.isExporting) return;
+
+    const isLookup = source === 'lookup';
+    const address = isLookup ? state.lookupResultAddress : state.account;
+    if (!address) return;
+
+    store.dispatch(exportStarted());
+
+    try {
+        // Cached blocks are not scanned again, so this only adds claims since the last load
+        const history = await getClaimHistory(address);
+        if (!isLookup && store.getState().account === address) {
+            store.dispatch(historyUpdated(history, Math.floor(Date.now() / 1000)));
+        }
+
+        // Claims are valued at the price on the day they were made; one at a time to go easy on price APIs
+        const { currency } = state;
+        const claimPrices = [];
+        for (const claim of history.claims) {
+            claimPrices.push(await getHistoricalGnoPrice(currency, claim));
+        }
+
+        // Balances as shown when the export was started
+        const data = buildExportData({
+            address: toChecksumAddress(address),
+            withdrawable: isLookup ? state.lookupWithdrawableAmount : state.withdrawableAmount,
+            gnoBalance: isLookup ? state.lookupGnoBalance : state.gnoBalance,
+            validatorCount: isLookup ? state.lookupValidatorCount : state.validatorCount,
+            claims: history.claims,
+            scannedToBlock: history.scannedToBlock,
+            currency,
+            currentPrice: await getGnoPrice(currency),
+            claimPrices
+        });
+        downloadExport(data, format);
+        showMessage('success', `Exported ${history.claims.length} claims as ${format.toUpperCase()}`);
+    } catch (error) {
+        showMessage('error', `Failed to export: ${error.message}`);
+    } finally {
+        store.dispatch(exportFinished());
+    }
+}
+
+// Summarize which providers answered a set of reads
+function describeSources(results) {
+    return [...new Set(results.map(result => result.provider))].join(', ');
+}
+
 // Claim rewards
 async function claimRewards() {
-    if (!appState.account) return;
-    
-    appState.isClaiming = true;
-    render();
-    
+    const { account } = store.getState();
+    if (!account) return;
+
+    store.dispatch(claimStarted());
+
     try {
-        const txHash = await claimWithdrawal(CONFIG.VALIDATOR_CONTRACT_ADDRESS, appState.account);
+        const txHash = await claimWithdrawal(CONFIG.VALIDATOR_CONTRACT_ADDRESS, account);
         showMessage('success', `Transaction submitted! Hash: ${txHash}`);
-        
-        // Refresh data after claiming
-        setTimeout(() => {
-            fetchContractData();
-        }, 5000);
-        
+        await startTransactionTracking(txHash);
+
     } catch (error) {
         showMessage('error', `Failed to claim rewards: ${error.message}`);
     } finally {
-        appState.isClaiming = false;
-        render();
+        store.dispatch(claimFinished());
+    }
+}
+
+// Watch mode: download the claim instead of sending it, for the Safe Transaction Builder or any wallet
+function downloadClaimTransactions(contractAddress, addresses) {
+    const transactions = buildClaimTransactions(contractAddress, addresses);
+    downloadTransactionBatch(buildTransactionBatch(transactions, {
+        account: store.getState().account,
+        name: addresses.length === 1 ? 'Claim validator rewards' : `Claim validator rewards for ${addresses.length} addresses`,
+        description: `Pays out the withdrawable GNO to ${addresses.join(', ')}`
+    }));
+    showMessage('success', 'Transaction file downloaded. Import it in the Safe Transaction Builder or submit it from any account; rewards always go to the withdrawal address.');
+}
+
+function buildClaimTransaction() {
+    const { account } = store.getState();
+    if (!account) return;
+
+    try {
+        downloadClaimTransactions(CONFIG.VALIDATOR_CONTRACT_ADDRESS, [account]);
+    } catch (error) {
+        showMessage('error', `Failed to build the claim transaction: ${error.message}`);
+    }
+}
+
+async function buildBatchTransaction() {
+    const addresses = store.getState().batchItems.filter(item => isPositiveAmount(item.value)).map(item => item.address);
+    if (addresses.length === 0) return;
+
+    try {
+        const claimable = await getClaimableAddresses(CONFIG.VALIDATOR_CONTRACT_ADDRESS, addresses);
+        downloadClaimTransactions(CONFIG.VALIDATOR_CONTRACT_ADDRESS, claimable);
+    } catch (error) {
+        showMessage('error', `Failed to build the claim transaction: ${error.message}`);
+    }
+}
+
+// Read the withdrawable amount of every address in the batch list
+async function checkBatchAddresses() {
+    const { addresses, invalid } = parseAddressList(store.getState().batchAddressesInput);
+    if (invalid.length > 0) {
+        // A well-formed address with a bad checksum gets the checksum message
+        store.cancelRequest('batch');
+        store.dispatch(batchCheckFailed(isValidAddress(invalid[0].toLowerCase()) ? getAddressError(invalid[0]) : `Invalid address: ${invalid[0]}`));
+        return;
+    }
+    if (addresses.length === 0) {
+        store.cancelRequest('batch');
+        store.dispatch(batchCheckFailed('Enter at least one address'));
+        return;
+    }
+
+    const request = store.beginRequest('batch');
+    store.dispatch(batchCheckStarted());
+
+    try {
+        const results = await getWithdrawableAmounts(CONFIG.VALIDATOR_CONTRACT_ADDRESS, addresses);
+        store.dispatch(batchChecked(results.map(({ address, value }) => ({ address, value: toBigInt(value) }))), request);
+    } catch (error) {
+        store.dispatch(batchCheckFailed(`Failed to read withdrawable amounts: ${error.message}`), request);
+    }
+}
+
+// Claim for every batch address with rewards in one transaction
+async function claimBatchRewards() {
+    const { batchItems, account } = store.getState();
+    const addresses = batchItems.filter(item => isPositiveAmount(item.value)).map(item => item.address);
+    if (addresses.length === 0) return;
+
+    store.dispatch(batchClaimStarted());
+
+    try {
+        const { hash, claimed } = await claimWithdrawalBatch(CONFIG.VALIDATOR_CONTRACT_ADDRESS, addresses, account);
+        showMessage('success', `Batch claim for ${claimed.length} addresses submitted! Hash: ${hash}`);
+        await startTransactionTracking(hash);
+    } catch (error) {
+        showMessage('error', `Failed to claim rewards: ${error.message}`);
+    } finally {
+        store.dispatch(batchClaimFinished());
+    }
+}
+
+// Follow a submitted transaction and refresh balances once it is confirmed
+let stopTransactionTracking = null;
+
+async function startTransactionTracking(hash) {
+    if (stopTransactionTracking) {
+        stopTransactionTracking();
+    }
+
+    const isSafe = (await getConnectionType()) === 'safe';
+    stopTransactionTracking = trackTransaction({ hash, isSafe, safeAddress: store.getState().account }, (transaction) => {
+        store.dispatch(transactionUpdated(transaction));
+        if (transaction.status === 'confirmed') {
+            fetchContractData();
+            if (store.getState().batchItems.length > 0) {
+                checkBatchAddresses();
+            }
+        }
+    });
+}
+
+// Follow new blocks for the connected account, see liveUpdates.js
+let stopLiveUpdates = null;
+
+function restartLiveUpdates() {
+    if (stopLiveUpdates) {
+        stopLiveUpdates();
+        stopLiveUpdates = null;
     }
+    store.dispatch(liveUpdatesRestarted());
+    const { account, liveUpdates, demoMode } = store.getState();
+    if (!account || !liveUpdates || demoMode) return;
+
+    stopLiveUpdates = startLiveUpdates({
+        logFilters: getBalanceLogFilters(account),
+        onUpdate: ({ blockNumber, reason }) => {
+            const { lastUpdatedBlock } = store.getState();
+            const due = lastUpdatedBlock === null || blockNumber - lastUpdatedBlock >= CONFIG.LIVE_REFRESH_BLOCKS;
+            if (reason === 'log' || due) {
+                refreshBalances(blockNumber);
+            }
+        },
+        onStatus: (status) => store.dispatch(liveStatusChanged(status))
+    });
+}
+
+function toggleLiveUpdates(enabled) {
+    store.dispatch(liveUpdatesToggled(enabled));
+    restartLiveUpdates();
+}
+
+// Re-read the balances without the loading state, so the page does not flicker on every block
+async function refreshBalances(blockNumber) {
+    const { account, isLoading } = store.getState();
+    if (!account || isLoading) return;
+
+    // A refresh for a newer block, or an account change, makes this one stale
+    const request = store.beginRequest('balances');
+    try {
+        const [withdrawableResult, gnoBalanceResult] = await Promise.all([
+            getWithdrawableAmount(CONFIG.VALIDATOR_CONTRACT_ADDRESS, account),
+            getTokenBalance(CONFIG.GNO_TOKEN_ADDRESS, account)
+        ]);
+        store.dispatch(balancesRefreshed({
+            withdrawable: toBigInt(withdrawableResult.value),
+            gnoBalance: toBigInt(gnoBalanceResult.value),
+            dataSource: describeSources([withdrawableResult, gnoBalanceResult]),
+            blockNumber
+        }), request);
+    } catch (error) {
+        // Keep the last balances; the next block tries again
+        console.warn('Live balance refresh failed:', error.message);
+    }
+}
+
+// Hide the transaction card once the transaction reached a final state
+function dismissTransaction() {
+    if (stopTransactionTracking) {
+        stopTransactionTracking();
+        stopTransactionTracking = null;
+    }
+    store.dispatch(transactionDismissed());
 }
 
 // Show message
 function showMessage(type, text) {
-    appState.message = { type, text };
-    render();
-    
+    store.dispatch(messageShown(type, text));
+
     // Clear message after 10 seconds
-    setTimeout(() => {
-        if (appState.message.text === text) {
-            appState.message = { type: '', text: '' };
-            render();
-        }
-    }, 10000);
+    setTimeout(() => store.dispatch(messageExpired(text)), 10000);
 }
 
-// Render the application
-function render() {
-    const isConnected = !!appState.account;
-    const hasRewards = parseFloat(appState.withdrawableAmount) > 0;
-    
-    rootElement.innerHTML = `
-        <div class="container">
-            <div class="header">
-                <h1>Gnosis Validator Safe App</h1>
-                <p>Manage your validator rewards on Gnosis Chain</p>
-            </div>
-
-            ${!isConnected ? `
-                <div class="card">
-                    <h2>Connect Your Wallet</h2>
-                    <p>Connect your wallet to view and claim your validator rewards.</p>
-                    <button id="connect-button" class="button connect-button" ${appState.isConnecting ? 'disabled' : ''}>
-                        ${appState.isConnecting ? 'Connecting...' : 'Connect Wallet'}
-                    </button>
-                </div>
-            ` : `
-                <div class="card">
-                    <div class="label">Connected Account</div>
-                    <div class="address">${appState.account}</div>
-                    <div class="network-status">✅ Gnosis Chain${appState.connectionStatus ? ` (${appState.connectionStatus})` : ''}</div>
-                </div>
-
-                <div class="card">
-                    <div class="label">Rewards to Date</div>
-                    <div class="balance ${appState.isLoading ? 'loading' : ''}">
-                        ${appState.isLoading ? 'Loading...' : `${parseFloat(appState.withdrawableAmount).toFixed(6)} GNO`}
-                    </div>
-                    <button id="claim-button" class="button" ${appState.isClaiming || appState.isLoading || !hasRewards ? 'disabled' : ''}>
-                        ${appState.isClaiming ? 'Claiming...' : 'Claim Rewards'}
-                    </button>
-                </div>
-
-                <div class="card">
-                    <div class="label">GNO Token Balance</div>
-                    <div class="balance ${appState.isLoading ? 'loading' : ''}">
-                        ${appState.isLoading ? 'Loading...' : `${parseFloat(appState.gnoBalance).toFixed(6)} GNO`}
-                    </div>
-                </div>
-
-                <div class="card">
-                    <div class="label">Validators Staked</div>
-                    <div class="balance ${appState.isLoading ? 'loading' : ''}">
-                        ${appState.isLoading ? 'Loading...' : `${appState.validatorCount} GNO`}
-                    </div>
-                </div>
-
-                <div class="card">
-                    <button id="refresh-button" class="button" ${appState.isLoading ? 'disabled' : ''} style="background: #805ad5">
-                        ${appState.isLoading ? 'Refreshing...' : 'Refresh Data'}
-                    </button>
-                </div>
-            `}
-
-            ${!isConnected ? `
-                <!-- Address Lookup Section - Only show when not connected -->
-                <div class="card">
-                    <h2>Check Any Address</h2>
-                    <p>Enter any Ethereum address to check its validator rewards and GNO balance.</p>
-                    <div style="margin-bottom: 16px;">
-                        <input 
-                            type="text" 
-                            id="address-input" 
-                            placeholder="0x..." 
-                            value="${appState.lookupAddress}"
-                            style="width: 100%; padding: 12px; border: 1px solid #e2e8f0; border-radius: 6px; font-family: 'Monaco', 'Menlo', monospace; font-size: 14px;"
-                            ${appState.isLookupLoading ? 'disabled' : ''}
-                        />
-                    </div>
-                    <button 
-                        id="lookup-button" 
-                        class="button" 
-                        ${appState.isLookupLoading || !appState.lookupAddress ? 'disabled' : ''}
-                        style="background: #48bb78; margin-bottom: 16px;"
-                    >
-                        ${appState.isLookupLoading ? 'Checking...' : 'Check Address'}
-                    </button>
-                    
-                    ${appState.lookupAddress && (appState.lookupWithdrawableAmount !== '0' || appState.lookupGnoBalance !== '0' || appState.lookupValidatorCount > 0) ? `
-                        <div style="border-top: 1px solid #e2e8f0; padding-top: 16px; margin-top: 16px;">
-                            <div class="label">Address: ${appState.lookupAddress}</div>
-                            <div style="display: grid; grid-template-columns: 1fr 1fr 1fr; gap: 16px; margin-top: 12px;">
-                                <div>
-                                    <div class="label" style="font-size: 12px;">Validator Rewards</div>
-                                    <div class="balance ${appState.isLookupLoading ? 'loading' : ''}" style="font-size: 18px;">
-                                        ${appState.isLookupLoading ? 'Loading...' : `${parseFloat(appState.lookupWithdrawableAmount).toFixed(6)} GNO`}
-                                    </div>
-                                </div>
-                                <div>
-                                    <div class="label" style="font-size: 12px;">GNO Balance</div>
-                                    <div class="balance ${appState.isLookupLoading ? 'loading' : ''}" style="font-size: 18px;">
-                                        ${appState.isLookupLoading ? 'Loading...' : `${parseFloat(appState.lookupGnoBalance).toFixed(6)} GNO`}
-                                    </div>
-                                </div>
-                                <div>
-                                    <div class="label" style="font-size: 12px;">Validators Staked</div>
-                                    <div class="balance ${appState.isLookupLoading ? 'loading' : ''}" style="font-size: 18px;">
-                                        ${appState.isLookupLoading ? 'Loading...' : `${appState.lookupValidatorCount} GNO`}
-                                    </div>
-                                </div>
-                            </div>
-                        </div>
-                    ` : ''}
-                </div>
-            ` : ''}
-
-            ${appState.message.text ? `
-                <div class="${appState.message.type}">
-                    ${appState.message.text}
-                </div>
-            ` : ''}
-        </div>
-    `;
-    
-    // Add event listeners
-    setupEventListeners();
-}
-
-// Set up event listeners for buttons
-function setupEventListeners() {
-    connectButton = document.getElementById('connect-button');
-    refreshButton = document.getElementById('refresh-button');
-    claimButton = document.getElementById('claim-button');
-    const addressInput = document.getElementById('address-input');
-    const lookupButton = document.getElementById('lookup-button');
-    
-    if (connectButton) {
-        connectButton.addEventListener('click', connectWallet);
-    }
-    
-    if (refreshButton) {
-        refreshButton.addEventListener('click', fetchContractData);
-    }
-    
-    if (claimButton) {
-        claimButton.addEventListener('click', claimRewards);
-    }
-    
-    if (addressInput) {
-        addressInput.addEventListener('input', (e) => {
-            appState.lookupAddress = e.target.value.trim();
-            render();
-        });
-        
-        // Allow Enter key to trigger lookup
-        addressInput.addEventListener('keypress', (e) => {
-            if (e.key === 'Enter' && appState.lookupAddress && !appState.isLookupLoading) {
-                fetchAddressData(appState.lookupAddress);
-            }
-        });
+// Show or hide the RPC settings panel
+function toggleRpcSettings() {
+    store.dispatch(rpcSettingsToggled(getEndpointStatuses()));
+}
+
+// Add a custom RPC endpoint after checking its chainId
+async function addRpcEndpoint() {
+    const { customRpcInput, isAddingRpc } = store.getState();
+    if (!customRpcInput || isAddingRpc) return;
+
+    store.dispatch(rpcAddStarted());
+
+    try {
+        await addCustomRpcUrl(customRpcInput);
+        store.dispatch(rpcAdded());
+        showMessage('success', 'RPC endpoint added. It will be tried first.');
+    } catch (error) {
+        showMessage('error', `Failed to add RPC endpoint: ${error.message}`);
+    } finally {
+        store.dispatch(rpcEndpointsUpdated(getEndpointStatuses()));
     }
-    
-    if (lookupButton) {
-        lookupButton.addEventListener('click', () => {
-            if (appState.lookupAddress && !appState.isLookupLoading) {
-                fetchAddressData(appState.lookupAddress);
-            }
-        });
+}
+
+// Remove a custom RPC endpoint
+function removeRpcEndpoint(url) {
+    removeCustomRpcUrl(url);
+    store.dispatch(rpcEndpointsUpdated(getEndpointStatuses()));
+}
+
+// Render the application; only cards whose markup changed are patched
+function render() {
+    if (!renderer) {
+        rootElement.innerHTML = '<div class="container"></div>';
+        renderer = createRenderer(rootElement.firstElementChild, APP_COMPONENTS);
+        setupEventListeners();
     }
+    renderer.update(store.getState());
+}
+
+// Several actions dispatched in a row are rendered once
+function scheduleRender() {
+    if (renderScheduled) return;
+    renderScheduled = true;
+    queueMicrotask(() => {
+        renderScheduled = false;
+        render();
+    });
+}
+
+// Set up event listeners once; they are delegated from the root, so re-rendered cards keep working
+function setupEventListeners() {
+    const on = (type, selector, handler) => delegate(rootElement, type, selector, handler);
+
+    on('click', '#connect-button', connectWallet);
+    on('click', '.wallet-option', (e, button) => connectWithWallet(button.dataset.wallet));
+    on('click', '#walletconnect-button', connectWithWalletConnect);
+    on('click', '#walletconnect-copy-button', copyWalletConnectUri);
+    on('click', '#disconnect-button', disconnectWallet);
+    on('change', '#account-select', (e) => switchAccount(e.target.value));
+    on('click', '#switch-network-button', switchNetwork);
+    // A manual refresh re-reads the beacon node head state, picking up new deposits
+    on('click', '#refresh-button', () => {
+        clearValidatorIndexCache();
+        fetchContractData();
+    });
+    on('change', '#live-updates-toggle', (e) => toggleLiveUpdates(e.target.checked));
+    on('click', '#claim-button', claimRewards);
+    on('click', '#build-claim-button', buildClaimTransaction);
+
+    on('input', '#address-input', (e) => store.dispatch(lookupInputChanged(e.target.value.trim())));
+    // Allow Enter key to trigger lookup
+    on('keypress', '#address-input', (e) => {
+        const { lookupAddress, isLookupLoading } = store.getState();
+        if (e.key === 'Enter' && lookupAddress && !isLookupLoading) {
+            fetchAddressData(lookupAddress);
+        }
+    });
+    on('click', '#lookup-button', () => {
+        const { lookupAddress, isLookupLoading } = store.getState();
+        if (lookupAddress && !isLookupLoading) {
+            fetchAddressData(lookupAddress);
+        }
+    });
+    // Reloads into watch mode for the looked-up address
+    on('click', '#watch-address-button', () => window.location.assign(getWatchUrl(store.getState().lookupResultAddress)));
+
+    on('input', '#batch-addresses-input', (e) => store.dispatch(batchInputChanged(e.target.value)));
+    on('click', '#batch-check-button', checkBatchAddresses);
+    on('click', '#batch-claim-button', claimBatchRewards);
+    on('click', '#batch-build-button', buildBatchTransaction);
+
+    on('change', '#validator-status-filter', (e) => store.dispatch(validatorFilterChanged(e.target.value)));
+    on('click', '.validator-sort', (e, button) => store.dispatch(validatorSortChanged(button.dataset.sort)));
+
+    on('click', '#history-button', loadRewardsHistory);
+    on('click', '.export-button', (e, button) => exportRewards(button.dataset.format, button.dataset.source));
+
+    on('input', '#watch-address-input', (e) => store.dispatch(watchAddressInputChanged(e.target.value)));
+    on('keypress', '#watch-address-input', (e) => {
+        if (e.key === 'Enter' && store.getState().watchAddressInput) {
+            addWatchlistAddress();
+        }
+    });
+    on('input', '#watch-label-input', (e) => store.dispatch(watchLabelInputChanged(e.target.value)));
+    on('click', '#watch-add-button', addWatchlistAddress);
+    on('click', '#watch-refresh-button', () => {
+        clearValidatorIndexCache();
+        loadWatchlist();
+    });
+    on('change', '.watch-label', (e, input) => renameWatchlistAddress(input.dataset.address, input.value));
+    on('click', '.watch-remove-button', (e, button) => removeWatchlistAddress(button.dataset.address));
+
+    on('change', '#currency-select', (e) => changeCurrency(e.target.value));
+    // Every address, cache and endpoint belongs to one network, so the app starts over on the new one
+    on('change', '#network-select', (e) => window.location.assign(getNetworkUrl(e.target.value)));
+    on('click', '#dismiss-tx-button', dismissTransaction);
+
+    on('click', '#rpc-settings-toggle', toggleRpcSettings);
+    on('input', '#rpc-url-input', (e) => store.dispatch(rpcInputChanged(e.target.value.trim())));
+    on('keypress', '#rpc-url-input', (e) => {
+        if (e.key === 'Enter') {
+            addRpcEndpoint();
+        }
+    });
+    on('click', '#rpc-add-button', addRpcEndpoint);
+    on('click', '.rpc-remove-button', (e, button) => removeRpcEndpoint(button.dataset.url));
 }
 
 // Start the application when DOM is loaded
@@ -376,4 +889,4 @@ if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', initApp);
 } else {
     initApp();
-}
\ No newline at end of file
+}
@@ -0,0 +1,332 @@
+// App state, its actions and reducer, see store.js
+import { CONFIG } from './config.js';
+import { isDemoMode } from './demoMode.js';
+import { getSelectedCurrency } from './pricing.js';
+import { getWatchlist } from './watchlist.js';
+import { createStore } from './store.js';
+import { getSelectedWalletId } from './walletDiscovery.js';
+
+/**
+ * Builds the state the app starts with
+ * @returns {Object} Initial app state
+ */
+export function createInitialState() {
+    return {
+        account: null,
+        accounts: [], // Every account the connection returned, for the account switcher
+        chainId: null, // Chain of the connection in hex, null until known
+        isConnecting: false,
+        withdrawableAmount: 0n, // Amounts are kept in wei as BigInt
+        gnoBalance: 0n,
+        validatorCount: 0, // null when the validator source could not be read
+        validators: [], // Per-validator records from the beacon API, see validatorService.js
+        validatorsError: '',
+        validatorSource: '', // Label of the validator data source that answered
+        validatorSort: { key: 'index', direction: 'asc' },
+        validatorStatusFilter: '', // '' shows every status
+        isLoading: false,
+        isClaiming: false,
+        rewardsHistory: null, // {claims, samples, scannedToBlock}, see rewardsHistory.js
+        historyLoadedAt: null, // Unix seconds of the history load; the chart's last point sits here
+        isHistoryLoading: false,
+        historyProgress: '',
+        historyError: '',
+        isExporting: false,
+        currency: getSelectedCurrency(), // Fiat currency shown next to GNO amounts
+        price: null, // {price, currency, source} from pricing.js, null shows GNO only
+        transaction: null, // Last submitted claim, see txTracker.js
+        dataSource: '', // Provider(s) that answered the last read
+        dataError: '', // Set when no provider could answer
+        liveUpdates: CONFIG.LIVE_UPDATES && !isDemoMode(), // Refresh balances as new blocks arrive
+        liveStatus: '', // 'subscribed', 'polling' or 'paused', see liveUpdates.js
+        lastUpdatedBlock: null, // Block at which the live refresh last read the balances
+        demoMode: isDemoMode(),
+        message: { type: '', text: '' },
+        connectionStatus: '', // Cache connection status
+        connectionType: null, // 'wallet', 'walletconnect', 'safe' or 'watch', see connectionAdapter.js
+        wallets: [], // Wallets that announced themselves via EIP-6963, see walletDiscovery.js
+        selectedWallet: getSelectedWalletId(), // rdns of the wallet picked last
+        walletConnectUri: '', // Pairing URI shown as a QR code while pairing over WalletConnect
+        // Address lookup functionality
+        lookupAddress: '',
+        lookupWithdrawableAmount: 0n,
+        lookupGnoBalance: 0n,
+        lookupValidatorCount: 0, // null when the validator source could not be read
+        lookupValidatorCountError: '',
+        lookupResultAddress: '', // Address the lookup amounts belong to
+        lookupDataSource: '',
+        lookupError: '',
+        isLookupLoading: false,
+        // Saved watchlist, shown with or without a connected wallet
+        watchlist: getWatchlist(), // [{address, label}], see watchlist.js
+        watchlistBalances: {}, // Balances keyed by lowercase address
+        isWatchlistLoading: false,
+        watchAddressInput: '',
+        watchLabelInput: '',
+        names: {}, // Reverse-resolved names keyed by lowercase address (null when there is none)
+        // RPC settings panel
+        showRpcSettings: false,
+        rpcEndpoints: [],
+        customRpcInput: '',
+        isAddingRpc: false,
+        // Batch claim for several withdrawal addresses
+        batchAddressesInput: '',
+        batchItems: [], // [{address, value}] read for the entered addresses
+        batchError: '',
+        isBatchLoading: false,
+        isBatchClaiming: false
+    };
+}
+
+// Action creators. Each returns a plain {type, ...payload} object for store.dispatch().
+
+// Connection (wallet or Safe)
+export const connectionDetected = ({ status, type }) => ({ type: 'connection/detected', status, connectionType: type });
+export const connectStarted = () => ({ type: 'connection/started' });
+export const connectFailed = () => ({ type: 'connection/failed' });
+export const connectFinished = () => ({ type: 'connection/finished' });
+export const accountChanged = (account) => ({ type: 'account/changed', account });
+export const accountsListed = (accounts) => ({ type: 'accounts/listed', accounts });
+export const chainChanged = (chainId) => ({ type: 'chain/changed', chainId });
+export const walletsDiscovered = (wallets) => ({ type: 'wallets/discovered', wallets });
+export const walletSelected = (rdns) => ({ type: 'wallets/selected', rdns });
+export const walletConnectUriChanged = (uri) => ({ type: 'walletconnect/uri', uri });
+
+// Balances of the connected account
+export const accountDataRequested = () => ({ type: 'account/requested' });
+export const accountDataLoaded = (data) => ({ type: 'account/loaded', ...data });
+export const accountDataFailed = (error) => ({ type: 'account/failed', error });
+export const balancesRefreshed = (data) => ({ type: 'account/refreshed', ...data });
+
+// Live updates
+export const liveUpdatesToggled = (enabled) => ({ type: 'live/toggled', enabled });
+export const liveUpdatesRestarted = () => ({ type: 'live/restarted' });
+export const liveStatusChanged = (status) => ({ type: 'live/status', status });
+
+// Address lookup
+export const lookupInputChanged = (value) => ({ type: 'lookup/input', value });
+export const lookupStarted = () => ({ type: 'lookup/started' });
+export const lookupCancelled = () => ({ type: 'lookup/cancelled' });
+export const lookupLoaded = (data) => ({ type: 'lookup/loaded', ...data });
+export const lookupFailed = (address, error) => ({ type: 'lookup/failed', address, error });
+
+// Names and prices
+export const namesLoaded = (names) => ({ type: 'names/loaded', names });
+export const currencyChanged = (currency) => ({ type: 'price/currency', currency });
+export const priceLoaded = (currency, price) => ({ type: 'price/loaded', currency, price });
+
+// Validator table
+export const validatorSortChanged = (key) => ({ type: 'validators/sort', key });
+export const validatorFilterChanged = (status) => ({ type: 'validators/filter', status });
+
+// Rewards history and export
+export const historyStarted = () => ({ type: 'history/started' });
+export const historyProgressed = (progress) => ({ type: 'history/progress', progress });
+export const historyUpdated = (history, loadedAt) => ({ type: 'history/updated', history, loadedAt });
+export const historyFailed = (error) => ({ type: 'history/failed', error });
+export const historyFinished = () => ({ type: 'history/finished' });
+export const exportStarted = () => ({ type: 'export/started' });
+export const exportFinished = () => ({ type: 'export/finished' });
+
+// Claims and their transaction
+export const claimStarted = () => ({ type: 'claim/started' });
+export const claimFinished = () => ({ type: 'claim/finished' });
+export const transactionUpdated = (transaction) => ({ type: 'transaction/updated', transaction });
+export const transactionDismissed = () => ({ type: 'transaction/dismissed' });
+
+// Batch claim
+export const batchInputChanged = (value) => ({ type: 'batch/input', value });
+export const batchCheckStarted = () => ({ type: 'batch/started' });
+export const batchChecked = (items) => ({ type: 'batch/loaded', items });
+export const batchCheckFailed = (error) => ({ type: 'batch/failed', error });
+export const batchClaimStarted = () => ({ type: 'batch/claim-started' });
+export const batchClaimFinished = () => ({ type: 'batch/claim-finished' });
+
+// Watchlist
+export const watchAddressInputChanged = (value) => ({ type: 'watchlist/address-input', value });
+export const watchLabelInputChanged = (value) => ({ type: 'watchlist/label-input', value });
+export const watchlistChanged = (watchlist) => ({ type: 'watchlist/changed', watchlist });
+export const watchlistAdded = (watchlist) => ({ type: 'watchlist/added', watchlist });
+export const watchlistRemoved = (watchlist, address) => ({ type: 'watchlist/removed', watchlist, address });
+export const watchlistLoadStarted = () => ({ type: 'watchlist/started' });
+export const watchlistBalancesLoaded = (balances) => ({ type: 'watchlist/loaded', balances });
+export const watchlistBalanceLoaded = (balance) => ({ type: 'watchlist/balance', balance });
+
+// Messages
+export const messageShown = (type, text) => ({ type: 'message/shown', messageType: type, text });
+export const messageExpired = (text) => ({ type: 'message/expired', text });
+
+// RPC settings
+export const rpcSettingsToggled = (endpoints) => ({ type: 'rpc/toggled', endpoints });
+export const rpcInputChanged = (value) => ({ type: 'rpc/input', value });
+export const rpcAddStarted = () => ({ type: 'rpc/started' });
+export const rpcAdded = () => ({ type: 'rpc/added' });
+export const rpcEndpointsUpdated = (endpoints) => ({ type: 'rpc/endpoints', endpoints });
+
+// State changes per action type; each returns the fields that change
+const handlers = {
+    'connection/detected': (state, { status, connectionType }) => ({ connectionStatus: status, connectionType }),
+    'connection/started': () => ({ isConnecting: true }),
+    'connection/failed': () => ({ account: null, accounts: [], chainId: null, connectionStatus: '', connectionType: null }),
+    'connection/finished': () => ({ isConnecting: false }),
+    'wallets/discovered': (state, { wallets }) => ({ wallets }),
+    'wallets/selected': (state, { rdns }) => ({ selectedWallet: rdns }),
+    'walletconnect/uri': (state, { uri }) => ({ walletConnectUri: uri }),
+    'accounts/listed': (state, { accounts }) => ({ accounts }),
+    'chain/changed': (state, { chainId }) => ({ chainId }),
+    // Everything read for the previous account belongs to it, not to the new one
+    'account/changed': (state, { account }) => ({
+        account,
+        withdrawableAmount: 0n,
+        gnoBalance: 0n,
+        validatorCount: 0,
+        validators: [],
+        validatorsError: '',
+        validatorSource: '',
+        dataSource: '',
+        dataError: '',
+        transaction: null,
+        batchItems: [],
+        batchError: '',
+        isBatchLoading: false,
+        rewardsHistory: null,
+        historyLoadedAt: null,
+        isLoading: false,
+        isHistoryLoading: false,
+        historyProgress: '',
+        historyError: '',
+        lastUpdatedBlock: null
+    }),
+
+    'account/requested': () => ({ isLoading: true }),
+    'account/loaded': (state, { withdrawable, gnoBalance, validators, validatorsError, validatorSource, dataSource }) => ({
+        withdrawableAmount: withdrawable,
+        gnoBalance,
+        validators,
+        validatorsError,
+        validatorSource,
+        validatorCount: validatorsError ? null : validators.length,
+        dataSource,
+        dataError: '',
+        isLoading: false
+    }),
+    // No provider answered: show an error state instead of stale or made-up amounts
+    'account/failed': (state, { error }) => ({
+        dataError: error,
+        withdrawableAmount: 0n,
+        gnoBalance: 0n,
+        validators: [],
+        validatorCount: 0,
+        isLoading: false
+    }),
+    'account/refreshed': (state, { withdrawable, gnoBalance, dataSource, blockNumber }) => ({
+        withdrawableAmount: withdrawable,
+        gnoBalance,
+        dataSource,
+        dataError: '',
+        lastUpdatedBlock: blockNumber
+    }),
+
+    'live/toggled': (state, { enabled }) => ({ liveUpdates: enabled }),
+    'live/restarted': () => ({ lastUpdatedBlock: null, liveStatus: '' }),
+    'live/status': (state, { status }) => ({ liveStatus: status }),
+
+    'lookup/input': (state, { value }) => ({ lookupAddress: value }),
+    'lookup/started': () => ({ isLookupLoading: true }),
+    'lookup/cancelled': () => ({ isLookupLoading: false }),
+    'lookup/loaded': (state, { address, withdrawable, gnoBalance, validatorCount, validatorCountError = '', dataSource }) => ({
+        lookupResultAddress: address,
+        lookupWithdrawableAmount: withdrawable,
+        lookupGnoBalance: gnoBalance,
+        lookupValidatorCount: validatorCount,
+        lookupValidatorCountError: validatorCountError,
+        lookupDataSource: dataSource,
+        lookupError: '',
+        isLookupLoading: false
+    }),
+    'lookup/failed': (state, { address, error }) => ({ lookupResultAddress: address, lookupError: error, isLookupLoading: false }),
+
+    'names/loaded': (state, { names }) => ({ names: { ...state.names, ...names } }),
+    'price/currency': (state, { currency }) => ({ currency, price: null }),
+    // An answer for a currency that is no longer selected is ignored
+    'price/loaded': (state, { currency, price }) => (currency === state.currency ? { price } : {}),
+
+    // Repeated clicks on the same column toggle the direction
+    'validators/sort': (state, { key }) => ({
+        validatorSort: { key, direction: state.validatorSort.key === key && state.validatorSort.direction === 'asc' ? 'desc' : 'asc' }
+    }),
+    'validators/filter': (state, { status }) => ({ validatorStatusFilter: status }),
+
+    'history/started': () => ({ isHistoryLoading: true, historyError: '' }),
+    'history/progress': (state, { progress }) => ({ historyProgress: progress }),
+    'history/updated': (state, { history, loadedAt }) => ({ rewardsHistory: history, historyLoadedAt: loadedAt }),
+    'history/failed': (state, { error }) => ({ historyError: error }),
+    'history/finished': () => ({ isHistoryLoading: false, historyProgress: '' }),
+    'export/started': () => ({ isExporting: true }),
+    'export/finished': () => ({ isExporting: false }),
+
+    'claim/started': () => ({ isClaiming: true }),
+    'claim/finished': () => ({ isClaiming: false }),
+    'transaction/updated': (state, { transaction }) => ({ transaction }),
+    'transaction/dismissed': () => ({ transaction: null }),
+
+    'batch/input': (state, { value }) => ({ batchAddressesInput: value }),
+    'batch/started': () => ({ isBatchLoading: true, batchError: '' }),
+    'batch/loaded': (state, { items }) => ({ batchItems: items, isBatchLoading: false }),
+    'batch/failed': (state, { error }) => ({ batchItems: [], batchError: error, isBatchLoading: false }),
+    'batch/claim-started': () => ({ isBatchClaiming: true }),
+    'batch/claim-finished': () => ({ isBatchClaiming: false }),
+
+    'watchlist/address-input': (state, { value }) => ({ watchAddressInput: value }),
+    'watchlist/label-input': (state, { value }) => ({ watchLabelInput: value }),
+    'watchlist/changed': (state, { watchlist }) => ({ watchlist }),
+    'watchlist/added': (state, { watchlist }) => ({ watchlist, watchAddressInput: '', watchLabelInput: '' }),
+    'watchlist/removed': (state, { watchlist, address }) => {
+        const { [address.toLowerCase()]: removed, ...balances } = state.watchlistBalances;
+        return { watchlist, watchlistBalances: balances };
+    },
+    'watchlist/started': () => ({ isWatchlistLoading: true }),
+    'watchlist/loaded': (state, { balances }) => ({
+        watchlistBalances: Object.fromEntries(balances.map(balance => [balance.address.toLowerCase(), balance])),
+        isWatchlistLoading: false
+    }),
+    'watchlist/balance': (state, { balance }) => ({
+        watchlistBalances: { ...state.watchlistBalances, [balance.address.toLowerCase()]: balance }
+    }),
+
+    'message/shown': (state, { messageType, text }) => ({ message: { type: messageType, text } }),
+    // Only clears the message if it was not replaced in the meantime
+    'message/expired': (state, { text }) => (state.message.text === text ? { message: { type: '', text: '' } } : {}),
+
+    'rpc/toggled': (state, { endpoints }) => ({ showRpcSettings: !state.showRpcSettings, rpcEndpoints: endpoints }),
+    'rpc/input': (state, { value }) => ({ customRpcInput: value }),
+    'rpc/started': () => ({ isAddingRpc: true }),
+    'rpc/added': () => ({ customRpcInput: '' }),
+    'rpc/endpoints': (state, { endpoints }) => ({ rpcEndpoints: endpoints, isAddingRpc: false })
+};
+
+/**
+ * Applies an action to the app state without changing the old state
+ * @param {Object} state - Current state
+ * @param {{type: string}} action - Action from one of the action creators
+ * @returns {Object} Next state; the same object when nothing changed
+ */
+export function appReducer(state, action) {
+    const handler = handlers[action.type];
+    if (!handler) {
+        console.warn('Unknown action:', action.type);
+        return state;
+    }
+    const changes = handler(state, action);
+    const changed = Object.keys(changes).some(key => changes[key] !== state[key]);
+    return changed ? { ...state, ...changes } : state;
+}
+
+/**
+ * Creates the app store
+ * @param {Object} [initialState] - State to start from, defaults to createInitialState()
+ * @returns {Object} Store, see createStore in store.js
+ */
+export function createAppStore(initialState = createInitialState()) {
+    return createStore(appReducer, initialState);
+}
@@ -0,0 +1,710 @@
+// Page components: one function per card, each rendering app state to HTML
+//
+// Components only read the state they are given, so each card can be rendered and tested
+// by itself. The renderer (renderer.js) patches a card's DOM only when its markup changes.
+// All markup is built with html`` (html.js), which escapes every interpolated value.
+import { CONFIG } from './config.js';
+import { NETWORKS } from './networks.js';
+import { toChecksumAddress } from './utils.js';
+import { formatAmount, isPositiveAmount } from './amount.js';
+import { buildRewardsSeries, summarizeByMonth } from './rewardsHistory.js';
+import { renderRewardsChart } from './rewardsChart.js';
+import { getValidatorExplorerUrl, sortValidators, filterValidatorsByStatus } from './validatorService.js';
+import { sumWatchlistTotals } from './watchlist.js';
+import { formatFiat, toFiat } from './pricing.js';
+import { html, safeUrl, safeImageUrl } from './html.js';
+import { renderQrCode } from './qrCode.js';
+
+// Labels for tracked transaction states
+const TX_STATUS_LABELS = {
+    'pending': '⏳ Pending',
+    'confirmed': '✅ Confirmed',
+    'reverted': '❌ Reverted',
+    'failed': '❌ Failed',
+    'unknown': '⚠️ Status unknown'
+};
+
+// Labels for RPC endpoint health in the settings panel
+const RPC_STATUS_LABELS = {
+    'ok': 'OK',
+    'degraded': 'Failing',
+    'disabled': 'Skipped',
+    'wrong-chain': 'Wrong chain'
+};
+
+// Columns of the validator table: [record field, header]
+const VALIDATOR_COLUMNS = [
+    ['index', 'Index'],
+    ['pubkey', 'Public Key'],
+    ['status', 'Status'],
+    ['balance', 'Balance'],
+    ['effectiveBalance', 'Effective Balance'],
+    ['activationEpoch', 'Activation Epoch']
+];
+
+// Shorten a validator public key for the table; the full key is shown on hover
+function shortenPubkey(pubkey) {
+    return pubkey && pubkey.length > 20 ? html`${pubkey.slice(0, 10)}…${pubkey.slice(-8)}` : pubkey;
+}
+
+// Format a balance card value, showing loading and error states instead of amounts
+function formatBalance(amount, isLoading, error) {
+    if (isLoading) return 'Loading...';
+    if (error) return 'Unavailable';
+    return html`${formatAmount(amount)} GNO`;
+}
+
+// Format a validator count, showing loading and error states instead of a number
+function formatValidatorCount(count, isLoading, error, unit = '') {
+    if (isLoading) return 'Loading...';
+    if (error || count === null) return html`<span class="validator-count-error" title="${error}">Unavailable</span>`;
+    return html`${count}${unit}`;
+}
+
+// Fiat value shown under a balance, only when a price is available
+function formatFiatValue(state, amount, isLoading, error) {
+    if (isLoading || error || !state.price) return '';
+    return html`<div class="fiat-value">≈ ${formatFiat(toFiat(amount, state.price.price), state.currency)}</div>`;
+}
+
+// Name of an address for display under it, if it has one
+function formatName(state, address) {
+    const name = address ? state.names[address.toLowerCase()] : null;
+    return name ? html`<div class="address-name">${name}</div>` : '';
+}
+
+// Placeholder for address inputs, listing only the names that can be resolved
+function getAddressPlaceholder() {
+    if (CONFIG.GNOSIS_NAME_REGISTRY_ADDRESS) {
+        return CONFIG.ENS_RPC_URL ? `0x..., name.eth or name${CONFIG.GNOSIS_NAME_SUFFIXES[0]}` : `0x... or name${CONFIG.GNOSIS_NAME_SUFFIXES[0]}`;
+    }
+    return CONFIG.ENS_RPC_URL ? '0x... or name.eth' : '0x...';
+}
+
+// Gnosis Chain names stay off until a registry address is configured, see CONFIG.GNOSIS_NAME_REGISTRY_ADDRESS
+function formatNameSupportNote() {
+    if (CONFIG.GNOSIS_NAME_REGISTRY_ADDRESS) return '';
+    return html`<div class="name-support-note">Gnosis Chain names (${CONFIG.GNOSIS_NAME_SUFFIXES.join(', ')}) are not supported: no name registry is configured.</div>`;
+}
+
+// Live update indicator under the refresh button
+function formatLiveStatus(state) {
+    if (!state.liveUpdates) return '';
+    if (state.liveStatus === 'paused') {
+        return html`<span class="live-status paused">Paused while the tab is hidden</span>`;
+    }
+    if (state.lastUpdatedBlock !== null) {
+        return html`<span class="live-status">Last updated at block ${state.lastUpdatedBlock.toLocaleString('en-US')}</span>`;
+    }
+    return state.liveStatus ? html`<span class="live-status">Waiting for the next block...</span>` : '';
+}
+
+function hasPendingClaim(state) {
+    return !!state.transaction && state.transaction.status === 'pending';
+}
+
+// Claims are sent on whatever chain the wallet is on, so they wait for the app's network
+function isWrongNetwork(state) {
+    return state.chainId !== null && Number(state.chainId) !== Number(CONFIG.CHAIN_ID);
+}
+
+/**
+ * Renders the page header with the network and currency pickers
+ * @param {Object} state - App state
+ * @returns {{markup: string}|string} HTML
+ */
+export function renderHeader(state) {
+    return html`
+        <div class="header">
+            <h1>Gnosis Validator Safe App</h1>
+            <p>Manage your validator rewards on ${CONFIG.NETWORK_NAME}${CONFIG.IS_TESTNET ? html` <span class="testnet-badge">Testnet</span>` : ''}</p>
+            <div class="network-picker">
+                <label for="network-select">Network</label>
+                <select id="network-select">
+                    ${Object.values(NETWORKS).map(network => html`<option value="${network.id}" ${network.id === CONFIG.NETWORK_ID ? 'selected' : ''}>${network.name}</option>`)}
+                </select>
+            </div>
+            <div class="currency-picker">
+                <label for="currency-select">Currency</label>
+                <select id="currency-select">
+                    ${CONFIG.FIAT_CURRENCIES.map(currency => html`<option value="${currency}" ${currency === state.currency ? 'selected' : ''}>${currency}</option>`)}
+                </select>
+                ${state.price ? html`<span class="price-info">1 GNO ≈ ${formatFiat(state.price.price, state.currency)} (${state.price.source})</span>` : ''}
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Renders the demo mode banner
+ * @param {Object} state - App state
+ * @returns {{markup: string}|string} HTML, empty outside demo mode
+ */
+export function renderDemoBanner(state) {
+    if (!state.demoMode) return '';
+    return html`
+        <div class="demo-banner">
+            Demo mode: showing sample data, not real on-chain balances. Transactions are disabled.
+        </div>
+    `;
+}
+
+/**
+ * Renders the connect card shown until an account is connected
+ * @param {Object} state - App state
+ * @returns {{markup: string}|string} HTML
+ */
+export function renderConnectCard(state) {
+    if (state.account) return '';
+    return html`
+        <div class="card">
+            <h2>Connect Your Wallet</h2>
+            <p>Connect your wallet to view and claim your validator rewards.</p>
+            ${state.wallets.length > 1 ? html`
+                <div class="wallet-picker">
+                    ${state.wallets.map(wallet => html`
+                        <button class="button connect-button wallet-option ${wallet.rdns === state.selectedWallet ? 'selected' : ''}" data-wallet="${wallet.rdns}" data-key="${wallet.rdns}" ${state.isConnecting ? 'disabled' : ''}>
+                            ${safeImageUrl(wallet.icon) ? html`<img class="wallet-icon" src="${safeImageUrl(wallet.icon)}" alt="" />` : ''}
+                            ${wallet.name}${wallet.rdns === state.selectedWallet ? ' (last used)' : ''}
+                        </button>
+                    `)}
+                </div>
+            ` : html`
+                <button id="connect-button" class="button connect-button" ${state.isConnecting ? 'disabled' : ''}>
+                    ${state.isConnecting ? 'Connecting...' : 'Connect Wallet'}
+                </button>
+            `}
+            ${CONFIG.WALLETCONNECT_PROJECT_ID && state.connectionType !== 'safe' ? html`
+                <button id="walletconnect-button" class="button" style="background: #3b99fc" ${state.isConnecting ? 'disabled' : ''}>
+                    Connect a Mobile Wallet (WalletConnect)
+                </button>
+            ` : ''}
+            ${state.walletConnectUri ? html`
+                <div class="walletconnect-pairing">
+                    <p>Scan this code with a WalletConnect-compatible wallet, then approve the connection there.</p>
+                    ${renderQrCode(state.walletConnectUri, 'WalletConnect pairing code')}
+                    <button id="walletconnect-copy-button" class="button" style="background: #718096">Copy Pairing Link</button>
+                </div>
+            ` : ''}
+        </div>
+    `;
+}
+
+/**
+ * Renders the connected account, its network and data source
+ * @param {Object} state - App state
+ * @returns {{markup: string}|string} HTML
+ */
+export function renderAccountCard(state) {
+    if (!state.account) return '';
+    const isWatching = state.connectionType === 'watch';
+    const canSwitchAccount = state.accounts.length > 1 && (state.connectionType === 'wallet' || state.connectionType === 'walletconnect');
+    return html`
+        <div class="card">
+            <div class="label">${isWatching ? 'Watching Address' : 'Connected Account'}</div>
+            <div class="address">${toChecksumAddress(state.account)}</div>
+            ${formatName(state, state.account)}
+            ${canSwitchAccount ? html`
+                <label class="account-switcher">
+                    Switch account
+                    <select id="account-select">
+                        ${state.accounts.map(account => html`
+                            <option value="${account}" ${account.toLowerCase() === state.account.toLowerCase() ? 'selected' : ''}>${toChecksumAddress(account)}</option>
+                        `)}
+                    </select>
+                </label>
+            ` : ''}
+            ${isWrongNetwork(state) ? html`
+                <div class="network-status wrong-network">⚠️ Chain ${Number(state.chainId)} instead of ${CONFIG.NETWORK_NAME}${state.connectionStatus ? html` (${state.connectionStatus})` : ''}</div>
+                <button id="switch-network-button" class="button">Switch to ${CONFIG.NETWORK_NAME}</button>
+            ` : html`
+                <div class="network-status">✅ ${CONFIG.NETWORK_NAME}${state.connectionStatus ? html` (${state.connectionStatus})` : ''}</div>
+            `}
+            ${isWatching ? html`
+                <p class="watch-note">Read-only: nothing is signed here. Claims are built as transaction files you can submit from any account or Safe.</p>
+                <button id="disconnect-button" class="button" style="background: #718096">Stop Watching</button>
+            ` : ''}
+            ${state.connectionType === 'wallet' || state.connectionType === 'walletconnect' ? html`
+                <button id="disconnect-button" class="button" style="background: #718096">Disconnect</button>
+            ` : ''}
+            ${state.dataSource && !state.dataError ? html`<div class="data-source">Data source: ${state.dataSource}</div>` : ''}
+        </div>
+
+        ${state.dataError ? html`
+            <div class="error data-error">
+                Balances are unavailable because no provider could be reached. Try refreshing.
+            </div>
+        ` : ''}
+    `;
+}
+
+/**
+ * Renders the withdrawable rewards with the claim button
+ * @param {Object} state - App state
+ * @returns {{markup: string}|string} HTML
+ */
+export function renderRewardsCard(state) {
+    if (!state.account) return '';
+    const hasRewards = isPositiveAmount(state.withdrawableAmount);
+    return html`
+        <div class="card">
+            <div class="label">Rewards to Date</div>
+            <div class="balance ${state.isLoading ? 'loading' : ''}">
+                ${formatBalance(state.withdrawableAmount, state.isLoading, state.dataError)}
+            </div>
+            ${formatFiatValue(state, state.withdrawableAmount, state.isLoading, state.dataError)}
+            ${state.connectionType === 'watch' ? html`
+                <button id="build-claim-button" class="button" ${state.isLoading || state.dataError || !hasRewards ? 'disabled' : ''}>
+                    Build Claim Transaction
+                </button>
+            ` : html`
+                <button id="claim-button" class="button" ${state.isClaiming || state.isLoading || state.dataError || hasPendingClaim(state) || isWrongNetwork(state) || !hasRewards ? 'disabled' : ''}>
+                    ${state.isClaiming ? 'Claiming...' : 'Claim Rewards'}
+                </button>
+            `}
+        </div>
+    `;
+}
+
+/**
+ * Renders the status of the last submitted claim
+ * @param {Object} state - App state
+ * @returns {{markup: string}|string} HTML, empty when nothing was submitted
+ */
+export function renderTransactionCard(state) {
+    if (!state.account || !state.transaction) return '';
+    const { transaction } = state;
+    const explorerUrl = safeUrl(transaction.explorerUrl);
+    const safeAppUrl = safeUrl(transaction.safeUrl);
+    return html`
+        <div class="card tx-card tx-${transaction.status}">
+            <div class="label">Claim Transaction</div>
+            <div class="tx-status">${TX_STATUS_LABELS[transaction.status]}</div>
+            <div class="tx-detail">${transaction.detail}</div>
+            <div class="tx-links">
+                ${explorerUrl ? html`<a href="${explorerUrl}" target="_blank" rel="noopener noreferrer">View on explorer</a>` : ''}
+                ${safeAppUrl ? html`<a href="${safeAppUrl}" target="_blank" rel="noopener noreferrer">View in Safe</a>` : ''}
+            </div>
+            ${transaction.status !== 'pending' ? html`
+                <button id="dismiss-tx-button" class="button" style="background: #718096">Dismiss</button>
+            ` : ''}
+        </div>
+    `;
+}
+
+/**
+ * Renders the GNO token balance and validator count
+ * @param {Object} state - App state
+ * @returns {{markup: string}|string} HTML
+ */
+export function renderBalanceCards(state) {
+    if (!state.account) return '';
+    return html`
+        <div class="card">
+            <div class="label">GNO Token Balance</div>
+            <div class="balance ${state.isLoading ? 'loading' : ''}">
+                ${formatBalance(state.gnoBalance, state.isLoading, state.dataError)}
+            </div>
+            ${formatFiatValue(state, state.gnoBalance, state.isLoading, state.dataError)}
+        </div>
+
+        <div class="card">
+            <div class="label">Validators Staked</div>
+            <div class="balance ${state.isLoading ? 'loading' : ''}">
+                ${formatValidatorCount(state.validatorCount, state.isLoading, state.dataError || state.validatorsError, ' GNO')}
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Renders the sortable, filterable validator table
+ * @param {Object} state - App state
+ * @returns {{markup: string}|string} HTML, empty while loading or without validators
+ */
+export function renderValidatorCard(state) {
+    if (!state.account || state.isLoading || (state.validators.length === 0 && !state.validatorsError)) return '';
+    const statuses = [...new Set(state.validators.map(validator => validator.status))].sort();
+    const visibleValidators = sortValidators(
+        filterValidatorsByStatus(state.validators, state.validatorStatusFilter),
+        state.validatorSort.key,
+        state.validatorSort.direction
+    );
+    return html`
+        <div class="card validator-card">
+            <div class="label">Validator Details</div>
+            ${state.validatorSource ? html`<div class="data-source">Data source: ${state.validatorSource}</div>` : ''}
+            ${state.validatorsError ? html`
+                <div class="validator-error">Validator details are unavailable: ${state.validatorsError}</div>
+            ` : html`
+                <select id="validator-status-filter">
+                    <option value="">All statuses (${state.validators.length})</option>
+                    ${statuses.map(status => html`
+                        <option value="${status}" ${status === state.validatorStatusFilter ? 'selected' : ''}>${status}</option>
+                    `)}
+                </select>
+                <div class="validator-table-wrapper">
+                    <table class="validator-table">
+                        <thead>
+                            <tr>
+                                ${VALIDATOR_COLUMNS.map(([key, header]) => html`
+                                    <th>
+                                        <button class="validator-sort" data-sort="${key}">
+                                            ${header}${state.validatorSort.key === key ? (state.validatorSort.direction === 'asc' ? ' ▲' : ' ▼') : ''}
+                                        </button>
+                                    </th>
+                                `)}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${visibleValidators.map(validator => html`
+                                <tr class="validator-row" data-key="${validator.pubkey}">
+                                    <td><a href="${safeUrl(getValidatorExplorerUrl(validator.index))}" target="_blank" rel="noopener noreferrer">${validator.index}</a></td>
+                                    <td class="address" title="${validator.pubkey}">${shortenPubkey(validator.pubkey)}</td>
+                                    <td>${validator.status}</td>
+                                    <td>${formatAmount(validator.balance)} GNO</td>
+                                    <td>${formatAmount(validator.effectiveBalance)} GNO</td>
+                                    <td>${validator.activationEpoch ?? '—'}</td>
+                                </tr>
+                            `)}
+                        </tbody>
+                    </table>
+                </div>
+            `}
+        </div>
+    `;
+}
+
+/**
+ * Renders the rewards history chart, monthly totals and export buttons
+ * @param {Object} state - App state
+ * @returns {{markup: string}|string} HTML
+ */
+export function renderHistoryCard(state) {
+    if (!state.account) return '';
+    const exportDisabled = state.isExporting || state.isLoading || state.dataError;
+    return html`
+        <div class="card history-card">
+            <div class="label">Rewards History</div>
+            <p>Claims are read from on-chain logs and cached in this browser.</p>
+            <button id="history-button" class="button" style="background: #48bb78" ${state.isHistoryLoading ? 'disabled' : ''}>
+                ${state.isHistoryLoading ? 'Loading...' : state.rewardsHistory ? 'Update History' : 'Load History'}
+            </button>
+            <div class="export-buttons">
+                <button class="export-button" data-format="csv" data-source="account" ${exportDisabled ? 'disabled' : ''}>Export CSV</button>
+                <button class="export-button" data-format="json" data-source="account" ${exportDisabled ? 'disabled' : ''}>Export JSON</button>
+            </div>
+            ${state.historyProgress ? html`<div class="history-progress">${state.historyProgress}</div>` : ''}
+            ${state.historyError ? html`<div class="history-error">Failed to load history: ${state.historyError}</div>` : ''}
+            ${state.rewardsHistory ? (state.rewardsHistory.claims.length === 0 ? html`
+                <p class="history-empty">No claims found up to block ${state.rewardsHistory.scannedToBlock}.</p>
+            ` : html`
+                ${renderRewardsChart(buildRewardsSeries(state.rewardsHistory.claims, state.rewardsHistory.samples, state.withdrawableAmount, state.historyLoadedAt))}
+                <table class="history-months">
+                    <thead>
+                        <tr><th>Month</th><th>Claims</th><th>Claimed</th></tr>
+                    </thead>
+                    <tbody>
+                        ${summarizeByMonth(state.rewardsHistory.claims).map(month => html`
+                            <tr class="history-month">
+                                <td>${month.month}</td>
+                                <td>${month.count}</td>
+                                <td>${formatAmount(month.amount)} GNO</td>
+                            </tr>
+                        `)}
+                    </tbody>
+                </table>
+            `) : ''}
+        </div>
+    `;
+}
+
+/**
+ * Renders the refresh button with the live update toggle and indicator
+ * @param {Object} state - App state
+ * @returns {{markup: string}|string} HTML
+ */
+export function renderRefreshCard(state) {
+    if (!state.account) return '';
+    return html`
+        <div class="card">
+            <button id="refresh-button" class="button" ${state.isLoading ? 'disabled' : ''} style="background: #805ad5">
+                ${state.isLoading ? 'Refreshing...' : 'Refresh Data'}
+            </button>
+            ${!state.demoMode ? html`
+                <div class="live-updates">
+                    <label class="live-toggle">
+                        <input type="checkbox" id="live-updates-toggle" ${state.liveUpdates ? 'checked' : ''}>
+                        Live updates
+                    </label>
+                    ${formatLiveStatus(state)}
+                </div>
+            ` : ''}
+        </div>
+    `;
+}
+
+/**
+ * Renders the batch claim for several withdrawal addresses
+ * @param {Object} state - App state
+ * @returns {{markup: string}|string} HTML, empty without a Safe, wallet or watch connection
+ */
+export function renderBatchCard(state) {
+    if (!state.account || !state.connectionType) return '';
+    const busy = state.isBatchLoading || state.isBatchClaiming;
+    const claimCount = state.batchItems.filter(item => isPositiveAmount(item.value)).length;
+    const claimMode = {
+        safe: 'in one Safe transaction',
+        watch: 'in one transaction file'
+    }[state.connectionType] || 'with one signature';
+    return html`
+        <div class="card batch-card">
+            <h2>Claim for Several Addresses</h2>
+            <p>Enter withdrawal addresses (one per line) to claim all their rewards ${claimMode}.</p>
+            <textarea
+                id="batch-addresses-input"
+                rows="4"
+                placeholder="0x..."
+                ${busy ? 'disabled' : ''}
+            >${state.batchAddressesInput}</textarea>
+            <button id="batch-check-button" class="button" style="background: #48bb78" ${busy ? 'disabled' : ''}>
+                ${state.isBatchLoading ? 'Checking...' : 'Check Addresses'}
+            </button>
+            ${state.batchError ? html`<div class="batch-error">${state.batchError}</div>` : ''}
+            ${state.batchItems.length > 0 ? html`
+                <table class="batch-table">
+                    <thead>
+                        <tr><th>Address</th><th>Withdrawable</th></tr>
+                    </thead>
+                    <tbody>
+                        ${state.batchItems.map(item => html`
+                            <tr class="batch-row ${isPositiveAmount(item.value) ? '' : 'batch-row-empty'}" data-key="${item.address.toLowerCase()}">
+                                <td class="address">${item.address}</td>
+                                <td>${formatAmount(item.value)} GNO</td>
+                            </tr>
+                        `)}
+                    </tbody>
+                </table>
+                ${state.connectionType === 'watch' ? html`
+                    <button id="batch-build-button" class="button" ${claimCount === 0 ? 'disabled' : ''}>
+                        Build Transaction for ${claimCount} Addresses
+                    </button>
+                ` : html`
+                    <button id="batch-claim-button" class="button" ${state.isBatchClaiming || hasPendingClaim(state) || isWrongNetwork(state) || claimCount === 0 ? 'disabled' : ''}>
+                        ${state.isBatchClaiming ? 'Claiming...' : html`Claim for ${claimCount} Addresses`}
+                    </button>
+                `}
+            ` : ''}
+        </div>
+    `;
+}
+
+/**
+ * Renders the address lookup, shown while no account is connected
+ * @param {Object} state - App state
+ * @returns {{markup: string}|string} HTML
+ */
+export function renderLookupCard(state) {
+    if (state.account) return '';
+    return html`
+        <div class="card">
+            <h2>Check Any Address</h2>
+            <p>Enter any Ethereum address to check its validator rewards and GNO balance.</p>
+            <div style="margin-bottom: 16px;">
+                <input
+                    type="text"
+                    id="address-input"
+                    placeholder="${getAddressPlaceholder()}"
+                    value="${state.lookupAddress}"
+                    style="width: 100%; padding: 12px; border: 1px solid #e2e8f0; border-radius: 6px; font-family: 'Monaco', 'Menlo', monospace; font-size: 14px;"
+                    ${state.isLookupLoading ? 'disabled' : ''}
+                />
+                ${formatNameSupportNote()}
+            </div>
+            <button
+                id="lookup-button"
+                class="button"
+                ${state.isLookupLoading || !state.lookupAddress ? 'disabled' : ''}
+                style="background: #48bb78; margin-bottom: 16px;"
+            >
+                ${state.isLookupLoading ? 'Checking...' : 'Check Address'}
+            </button>
+
+            ${state.lookupResultAddress ? html`
+                <div style="border-top: 1px solid #e2e8f0; padding-top: 16px; margin-top: 16px;">
+                    <div class="label">Address: ${state.lookupResultAddress}</div>
+                    ${formatName(state, state.lookupResultAddress)}
+                    ${state.lookupDataSource && !state.lookupError ? html`<div class="data-source">Data source: ${state.lookupDataSource}</div>` : ''}
+                    <div style="display: grid; grid-template-columns: 1fr 1fr 1fr; gap: 16px; margin-top: 12px;">
+                        <div>
+                            <div class="label" style="font-size: 12px;">Validator Rewards</div>
+                            <div class="balance ${state.isLookupLoading ? 'loading' : ''}" style="font-size: 18px;">
+                                ${formatBalance(state.lookupWithdrawableAmount, state.isLookupLoading, state.lookupError)}
+                            </div>
+                            ${formatFiatValue(state, state.lookupWithdrawableAmount, state.isLookupLoading, state.lookupError)}
+                        </div>
+                        <div>
+                            <div class="label" style="font-size: 12px;">GNO Balance</div>
+                            <div class="balance ${state.isLookupLoading ? 'loading' : ''}" style="font-size: 18px;">
+                                ${formatBalance(state.lookupGnoBalance, state.isLookupLoading, state.lookupError)}
+                            </div>
+                            ${formatFiatValue(state, state.lookupGnoBalance, state.isLookupLoading, state.lookupError)}
+                        </div>
+                        <div>
+                            <div class="label" style="font-size: 12px;">Validators Staked</div>
+                            <div class="balance ${state.isLookupLoading ? 'loading' : ''}" style="font-size: 18px;">
+                                ${formatValidatorCount(state.lookupValidatorCount, state.isLookupLoading, state.lookupError || state.lookupValidatorCountError, ' GNO')}
+                            </div>
+                        </div>
+                    </div>
+                    ${!state.lookupError && !state.isLookupLoading ? html`
+                        <div class="export-buttons">
+                            <button class="export-button" data-format="csv" data-source="lookup" ${state.isExporting ? 'disabled' : ''}>Export CSV</button>
+                            <button class="export-button" data-format="json" data-source="lookup" ${state.isExporting ? 'disabled' : ''}>Export JSON</button>
+                            <button id="watch-address-button" class="dashboard-button">Open Dashboard</button>
+                        </div>
+                    ` : ''}
+                </div>
+            ` : ''}
+        </div>
+    `;
+}
+
+/**
+ * Renders the saved watchlist with per-address balances and totals
+ * @param {Object} state - App state
+ * @returns {{markup: string}|string} HTML
+ */
+export function renderWatchlistCard(state) {
+    const rows = state.watchlist.map(entry => ({ ...entry, balance: state.watchlistBalances[entry.address.toLowerCase()] }));
+    const totals = sumWatchlistTotals(rows.filter(row => row.balance).map(row => row.balance));
+    return html`
+        <div class="card watchlist-card">
+            <h2>Watchlist</h2>
+            <p>Save addresses to follow their validator rewards and GNO balances. The list is stored in this browser.</p>
+            <div class="watchlist-form">
+                <input type="text" id="watch-address-input" placeholder="${getAddressPlaceholder()}" value="${state.watchAddressInput}" />
+                <input type="text" id="watch-label-input" placeholder="Label (optional)" value="${state.watchLabelInput}" />
+                <button id="watch-add-button" class="button" ${!state.watchAddressInput ? 'disabled' : ''}>Add to Watchlist</button>
+            </div>
+            ${formatNameSupportNote()}
+            ${rows.length > 0 ? html`
+                <table class="watchlist-table">
+                    <thead>
+                        <tr>
+                            <th>Label</th>
+                            <th>Address</th>
+                            <th>Rewards</th>
+                            <th>GNO Balance</th>
+                            <th>Validators</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rows.map(row => html`
+                            <tr class="watchlist-row" data-address="${row.address}" data-key="${row.address.toLowerCase()}">
+                                <td><input type="text" class="watch-label" data-address="${row.address}" value="${row.label}" placeholder="Label" /></td>
+                                <td><div class="address">${row.address}</div>${formatName(state, row.address)}</td>
+                                ${!row.balance ? html`
+                                    <td colspan="3" class="loading">Loading...</td>
+                                ` : row.balance.error ? html`
+                                    <td colspan="3" class="watchlist-error" title="${row.balance.error}">Unavailable</td>
+                                ` : html`
+                                    <td>${formatAmount(row.balance.withdrawable)} GNO${formatFiatValue(state, row.balance.withdrawable)}</td>
+                                    <td>${formatAmount(row.balance.gnoBalance)} GNO${formatFiatValue(state, row.balance.gnoBalance)}</td>
+                                    <td>${formatValidatorCount(row.balance.validatorCount, false, row.balance.validatorCountError)}</td>
+                                `}
+                                <td><button class="watch-remove-button" data-address="${row.address}">Remove</button></td>
+                            </tr>
+                        `)}
+                    </tbody>
+                    <tfoot>
+                        <tr class="watchlist-totals">
+                            <td colspan="2">Total (${totals.count} of ${rows.length} addresses)</td>
+                            <td>${formatAmount(totals.withdrawable)} GNO${formatFiatValue(state, totals.withdrawable)}</td>
+                            <td>${formatAmount(totals.gnoBalance)} GNO${formatFiatValue(state, totals.gnoBalance)}</td>
+                            <td>${totals.validatorCount}${totals.validatorCountFailed ? html` <span class="validator-count-error">(${totals.validatorCountFailed} unavailable)</span>` : ''}</td>
+                            <td></td>
+                        </tr>
+                    </tfoot>
+                </table>
+                <button id="watch-refresh-button" class="button" ${state.isWatchlistLoading ? 'disabled' : ''}>
+                    ${state.isWatchlistLoading ? 'Refreshing...' : 'Refresh Watchlist'}
+                </button>
+            ` : ''}
+        </div>
+    `;
+}
+
+/**
+ * Renders the RPC settings panel
+ * @param {Object} state - App state
+ * @returns {{markup: string}|string} HTML
+ */
+export function renderRpcSettingsCard(state) {
+    return html`
+        <div class="card">
+            <button id="rpc-settings-toggle" class="button" style="background: #718096; margin-top: 0;">
+                ${state.showRpcSettings ? 'Hide RPC Settings' : 'RPC Settings'}
+            </button>
+            ${state.showRpcSettings ? html`
+                <div class="rpc-settings">
+                    <div class="label" style="margin-top: 16px;">RPC Endpoints (tried in order)</div>
+                    <ul class="rpc-list">
+                        ${state.rpcEndpoints.map(endpoint => html`
+                            <li class="rpc-endpoint" data-key="${endpoint.url}">
+                                <span class="address">${endpoint.url}</span>
+                                <span class="rpc-status rpc-status-${endpoint.status}" title="${endpoint.lastError}">${RPC_STATUS_LABELS[endpoint.status]}</span>
+                                ${endpoint.custom ? html`<button class="rpc-remove-button" data-url="${endpoint.url}">Remove</button>` : ''}
+                            </li>
+                        `)}
+                    </ul>
+                    <input
+                        type="text"
+                        id="rpc-url-input"
+                        placeholder="https://your-node.example.com/"
+                        value="${state.customRpcInput}"
+                        style="width: 100%; padding: 12px; border: 1px solid #e2e8f0; border-radius: 6px; font-family: 'Monaco', 'Menlo', monospace; font-size: 14px; box-sizing: border-box;"
+                        ${state.isAddingRpc ? 'disabled' : ''}
+                    />
+                    <button id="rpc-add-button" class="button" ${state.isAddingRpc ? 'disabled' : ''}>
+                        ${state.isAddingRpc ? 'Checking...' : 'Add RPC Endpoint'}
+                    </button>
+                </div>
+            ` : ''}
+        </div>
+    `;
+}
+
+/**
+ * Renders the current success or error message
+ * @param {Object} state - App state
+ * @returns {{markup: string}|string} HTML, empty without a message
+ */
+export function renderMessage(state) {
+    if (!state.message.text) return '';
+    return html`
+        <div class="${state.message.type}">
+            ${state.message.text}
+        </div>
+    `;
+}
+
+// Cards in display order, see createRenderer in renderer.js
+export const APP_COMPONENTS = [
+    { name: 'header', render: renderHeader },
+    { name: 'demo-banner', render: renderDemoBanner },
+    { name: 'connect', render: renderConnectCard },
+    { name: 'account', render: renderAccountCard },
+    { name: 'rewards', render: renderRewardsCard },
+    { name: 'transaction', render: renderTransactionCard },
+    { name: 'balances', render: renderBalanceCards },
+    { name: 'validators', render: renderValidatorCard },
+    { name: 'history', render: renderHistoryCard },
+    { name: 'refresh', render: renderRefreshCard },
+    { name: 'batch', render: renderBatchCard },
+    { name: 'lookup', render: renderLookupCard },
+    { name: 'watchlist', render: renderWatchlistCard },
+    { name: 'rpc-settings', render: renderRpcSettingsCard },
+    { name: 'message', render: renderMessage }
+];
@@ -1,25 +1,85 @@
 // Configuration constants for the Gnosis Validator Safe App
+import { getSelectedNetwork, getChainParameters } from './networks.js';
+
+// Chain-specific values come from the network registry, see networks.js
+const network = getSelectedNetwork();
+
 export const CONFIG = {
-    VALIDATOR_CONTRACT_ADDRESS: '0x0b98057ea310f4d31f2a452b414647007d1645d9',
-    GNO_TOKEN_ADDRESS: '0x9C58BAcC331c9aa871AFD802DB6379a98e80CEdb',
-    GNOSIS_CHAIN_ID: '0x64', // 100 in hex
-    GNOSIS_RPC_URL: 'https://rpc.gnosischain.com/',
-    GNOSIS_CHAIN_CONFIG: {
-        chainId: '0x64',
-        chainName: 'Gnosis Chain',
-        nativeCurrency: {
-            name: 'xDAI',
-            symbol: 'XDAI',
-            decimals: 18
-        },
-        rpcUrls: ['https://rpc.gnosischain.com/'],
-        blockExplorerUrls: ['https://gnosisscan.io/']
-    }
+    NETWORK_ID: network.id,
+    NETWORK_NAME: network.name,
+    IS_TESTNET: network.isTestnet,
+    VALIDATOR_CONTRACT_ADDRESS: network.depositContractAddress,
+    GNO_TOKEN_ADDRESS: network.gnoTokenAddress,
+    MULTICALL3_ADDRESS: '0xcA11bde05977b3631167028862bE2a173976CA11', // Same address on every chain
+    CHAIN_ID: network.chainId,
+    // Public RPC endpoints in the order they are tried (custom endpoints from settings go first)
+    RPC_URLS: [...network.rpcUrls],
+    RPC_TIMEOUT_MS: 8000, // Per-request timeout for each endpoint
+    RPC_RETRIES: 2, // Retries per endpoint before moving to the next one
+    RPC_BACKOFF_MS: 250, // First retry delay, doubled on each retry
+    RPC_FAILURE_THRESHOLD: 3, // Consecutive failures before an endpoint is skipped
+    RPC_COOLDOWN_MS: 60000, // How long a failing endpoint is skipped
+    TX_POLL_INTERVAL_MS: 4000, // How often pending transactions are checked
+    TX_TRACK_TIMEOUT_MS: 30 * 60 * 1000, // Stop tracking after 30 minutes
+    DEMO_MODE: false, // Serve sample balances instead of chain reads, like the ?demo=1 link flag
+    // Live updates: follow new blocks (eth_subscribe, or eth_blockNumber polling) and refresh balances
+    LIVE_UPDATES: true,
+    BLOCK_POLL_INTERVAL_MS: 5000, // How often eth_blockNumber is polled when subscriptions are not supported
+    LIVE_REFRESH_BLOCKS: 12, // Balances are re-read every N blocks, and at once when a GNO transfer touches the account
+    // Validator data source: 'beaconcha.in' or 'beacon-node' (standard Beacon Node REST API)
+    VALIDATOR_SOURCE: 'beaconcha.in',
+    // beaconcha.in API used for validator records; point it at a local stand-in for testing
+    BEACON_API_URL: network.beaconApiUrl,
+    BEACON_NODE_URL: '', // e.g. 'http://localhost:5052' for your own Gnosis beacon node
+    BEACON_NODE_INDEX_CACHE_MS: 10 * 60 * 1000, // How long validator indices from the node's head state are reused
+    BEACON_EXPLORER_URL: network.beaconExplorerUrl,
+    // Rewards history: claims are GNO transfers from the validator contract, read with eth_getLogs
+    // from the first block that can hold one
+    REWARDS_HISTORY_START_BLOCK: network.rewardsHistoryStartBlock,
+    LOGS_CHUNK_SIZE: 50000, // Blocks per eth_getLogs request, halved when a provider refuses the range
+    LOGS_MIN_CHUNK_SIZE: 500,
+    // Withdrawable amounts are read this often (about a week of 5 s blocks) to chart accruals between claims
+    REWARDS_HISTORY_SAMPLE_INTERVAL: 120960,
+    // Fiat prices: sources are tried in order ('oracle' = on-chain feeds, 'http' = PRICE_API_URL)
+    FIAT_CURRENCIES: ['USD', 'EUR', 'GBP', 'CHF'],
+    PRICE_SOURCES: [...network.priceSources],
+    PRICE_ORACLES: {
+        USD: '0x22441d81416430A54336aB28765abd31a792Ad37' // Chainlink GNO / USD on Gnosis Chain
+    },
+    PRICE_API_URL: 'https://api.coingecko.com/api/v3', // Set to '' to never call an HTTP price API
+    PRICE_API_COIN_ID: 'gnosis',
+    PRICE_CACHE_MS: 60000,
+    PRICE_MAX_AGE_S: 86400, // Oracle answers older than this are ignored
+    // Name resolution: ENS names are read from Ethereum mainnet through ENS_RPC_URL ('' turns ENS off).
+    // Names ending in GNOSIS_NAME_SUFFIXES are read from an ENS-compatible registry on Gnosis Chain.
+    ENS_RPC_URL: 'https://ethereum-rpc.publicnode.com',
+    ENS_REGISTRY_ADDRESS: '0x00000000000C2E074eC69A0dFb2997BA6C7d2e1e',
+    GNOSIS_NAME_REGISTRY_ADDRESS: '', // Off until set to the ENS-compatible registry of a Gnosis Chain name service
+    GNOSIS_NAME_SUFFIXES: ['.gno'],
+    // WalletConnect v2 pairs mobile wallets through a relay. It is off until WALLETCONNECT_PROJECT_ID
+    // is set (free at https://cloud.walletconnect.com). The vendored provider module is loaded on first use.
+    WALLETCONNECT_PROJECT_ID: '',
+    WALLETCONNECT_RELAY_URL: 'wss://relay.walletconnect.com',
+    SAFE_APP_URL: 'https://app.safe.global',
+    SAFE_CHAIN_PREFIX: network.safeChainPrefix,
+    CHAIN_CONFIG: getChainParameters(network)
 };
 
-// Known function selectors for common functions
-export const FUNCTION_SELECTORS = {
-    'withdrawableAmount(address)': '0xbe7ab51b',
-    'balanceOf(address)': '0x70a08231',
-    'claimWithdrawal(address)': '0xa3066aab'
-};
\ No newline at end of file
+// Human-readable signatures of the contract functions the app calls
+export const CONTRACT_FUNCTIONS = {
+    withdrawableAmount: 'function withdrawableAmount(address owner) view returns (uint256)',
+    balanceOf: 'function balanceOf(address owner) view returns (uint256)',
+    claimWithdrawal: 'function claimWithdrawal(address owner)',
+    claimWithdrawals: 'function claimWithdrawals(address[] owners)',
+    decimals: 'function decimals() view returns (uint8)',
+    latestRoundData: 'function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)',
+    resolver: 'function resolver(bytes32 node) view returns (address)',
+    addr: 'function addr(bytes32 node) view returns (address)',
+    name: 'function name(bytes32 node) view returns (string)',
+    aggregate3: 'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)'
+};
+
+// Human-readable signatures of the events the app reads
+export const CONTRACT_EVENTS = {
+    transfer: 'event Transfer(address indexed from, address indexed to, uint256 value)'
+};
@@ -1,34 +1,52 @@
-// Connection adapter that handles both wallet and Safe App contexts
+// Connection adapter that handles injected wallet, WalletConnect, Safe App and read-only watch contexts
+import { CONFIG } from './config.js';
 import { isInIframe } from './utils.js';
+import { findNetworkByChainId } from './networks.js';
 import { 
     requestAccounts, 
     getAccounts, 
-    switchToGnosisChain, 
+    switchToSelectedNetwork, 
     setupWalletEventListeners,
-    checkWalletAvailability 
+    checkWalletAvailability,
+    disconnectInjectedWallet,
+    getWalletChainId
 } from './walletService.js';
 import { 
     initSafeApp, 
     getSafeAddress, 
     getSafeChainId, 
     sendSafeTransaction,
-    callContractViaSafe,
+    sendSafeTransactions,
     isSafeAppInitialized 
 } from './safeService.js';
+import { getActiveWalletInfo } from './walletDiscovery.js';
+import {
+    isWalletConnectConfigured,
+    hasWalletConnectSession,
+    connectWalletConnect,
+    restoreWalletConnectSession,
+    disconnectWalletConnect,
+    onWalletConnectDisconnect
+} from './walletConnectService.js';
+import { getWatchAddress, exitWatchMode } from './watchMode.js';
 
-let connectionType = null; // 'wallet' or 'safe'
+let connectionType = null; // 'wallet', 'walletconnect', 'safe' or 'watch'
 let safeAppInitialized = false;
 
 /**
  * Determines the connection type based on context and SDK availability
- * @returns {Promise<string>} 'safe' if in iframe and SDK available, 'wallet' otherwise
+ * @returns {Promise<string>} 'watch' with an ?address= URL parameter, 'safe' if in iframe and
+ *   SDK available, 'walletconnect' if a WalletConnect session is to be restored, 'wallet' otherwise
  */
 export async function getConnectionType() {
     if (connectionType === null) {
         const inIframe = isInIframe();
         console.log('Connection type detection:', { inIframe });
         
-        if (inIframe) {
+        if (getWatchAddress()) {
+            console.log('Address in URL - using read-only watch mode');
+            connectionType = 'watch';
+        } else if (inIframe) {
             console.log('Detected iframe context, attempting Safe App initialization...');
             // If in iframe, try to initialize Safe App
             try {
@@ -43,7 +61,7 @@ export async function getConnectionType() {
             }
         } else {
             console.log('Not in iframe context - using wallet mode');
-            connectionType = 'wallet';
+            connectionType = hasWalletConnectSession() ? 'walletconnect' : 'wallet';
         }
     }
     
@@ -51,6 +69,23 @@ export async function getConnectionType() {
     return connectionType;
 }
 
+/**
+ * Switches between the injected wallet and WalletConnect. Inside a Safe the
+ * connection is always the Safe.
+ * @param {string} type - 'wallet' or 'walletconnect'
+ * @returns {Promise<void>}
+ */
+export async function selectConnectionType(type) {
+    if (type !== 'wallet' && type !== 'walletconnect') {
+        throw new Error(`Unknown connection type: ${type}`);
+    }
+    const currentType = await getConnectionType();
+    if (currentType === 'safe' || currentType === 'watch') {
+        throw new Error(`The connection cannot be changed in ${currentType === 'safe' ? 'a Safe' : 'watch mode'}`);
+    }
+    connectionType = type;
+}
+
 /**
  * Initializes the appropriate connection method
  * @returns {Promise<void>}
@@ -69,6 +104,10 @@ export async function isConnectionAvailable() {
     
     if (type === 'safe') {
         return safeAppInitialized;
+    } else if (type === 'watch') {
+        return true;
+    } else if (type === 'walletconnect') {
+        return isWalletConnectConfigured();
     } else {
         return checkWalletAvailability();
     }
@@ -87,6 +126,10 @@ export async function requestAccountAccess() {
         }
         const safeAddress = await getSafeAddress();
         return [safeAddress];
+    } else if (type === 'watch') {
+        return [getWatchAddress()];
+    } else if (type === 'walletconnect') {
+        return await connectWalletConnect();
     } else {
         return await requestAccounts();
     }
@@ -105,88 +148,81 @@ export async function getConnectedAccounts() {
             return [safeAddress];
         }
         return [];
+    } else if (type === 'watch') {
+        return [getWatchAddress()];
+    } else if (type === 'walletconnect') {
+        return await restoreWalletConnectSession();
     } else {
         return await getAccounts();
     }
 }
 
 /**
- * Switches to Gnosis Chain (only relevant for wallet connections)
+ * Switches to the app's network, see networks.js (only relevant for wallet connections)
  * @returns {Promise<void>}
  */
-export async function ensureGnosisChain() {
+export async function ensureSelectedNetwork() {
     const type = await getConnectionType();
     
     if (type === 'safe') {
-        // For Safe Apps, verify we're on Gnosis Chain
+        // A Safe cannot switch chains; say which network to open the app on instead
         const chainId = await getSafeChainId();
-        if (chainId !== '100') {
-            throw new Error(`Safe is on chain ${chainId}, but this app requires Gnosis Chain (100)`);
+        if (Number(chainId) !== Number(CONFIG.CHAIN_ID)) {
+            const network = findNetworkByChainId(chainId);
+            const hint = network ? ` Open the app with ?network=${network.id} for ${network.name}.` : '';
+            throw new Error(`Safe is on chain ${chainId}, but this app is set to ${CONFIG.NETWORK_NAME} (${Number(CONFIG.CHAIN_ID)}).${hint}`);
         }
+    } else if (type === 'watch') {
+        // Nothing to switch: reads go through the RPC list, see providerChain.js
+        return;
     } else {
-        await switchToGnosisChain();
+        await switchToSelectedNetwork();
     }
 }
 
 /**
- * Sets up connection event listeners
- * @param {Function} onAccountsChanged - Callback for account changes
- * @param {Function} onChainChanged - Callback for chain changes
- * @returns {Function} Cleanup function
+ * Gets the chain the connection is on
+ * @returns {Promise<string|null>} Chain ID in hex, null if unknown
  */
-export async function setupConnectionListeners(onAccountsChanged, onChainChanged) {
+export async function getChainId() {
     const type = await getConnectionType();
-    
+
     if (type === 'safe') {
-        // Safe Apps don't have account/chain change events in the same way
-        // The Safe address and chain are fixed for the session
-        return () => {}; // Return empty cleanup function
+        return '0x' + Number(await getSafeChainId()).toString(16);
+    } else if (type === 'watch') {
+        return CONFIG.CHAIN_ID;
     } else {
-        return setupWalletEventListeners(onAccountsChanged, onChainChanged);
+        return await getWalletChainId();
     }
 }
 
 /**
- * Makes a read-only contract call
- * @param {string} contractAddress - Contract address
- * @param {string} data - Encoded call data
- * @returns {Promise<string>} Call result
+ * Sets up connection event listeners
+ * @param {Function} onAccountsChanged - Callback for account changes
+ * @param {Function} onChainChanged - Callback for chain changes
+ * @returns {Function} Cleanup function
  */
-export async function makeContractCall(contractAddress, data) {
+export async function setupConnectionListeners(onAccountsChanged, onChainChanged) {
     const type = await getConnectionType();
     
-    const callData = {
-        to: contractAddress,
-        data: data
-    };
-    
-    if (type === 'safe') {
-        return await callContractViaSafe(callData);
-    } else if (type === 'wallet') {
-        // For wallet connections, use the wallet's RPC provider
-        if (typeof window.ethereum !== 'undefined') {
-            try {
-                const result = await window.ethereum.request({
-                    method: 'eth_call',
-                    params: [{
-                        to: contractAddress,
-                        data: data
-                    }, 'latest']
-                });
-                
-                // Check if result is valid (not null, undefined, or '0x')
-                if (result && result !== '0x') {
-                    return result;
-                }
-            } catch (error) {
-                console.warn('Wallet RPC call failed:', error);
-            }
-        }
-        // Return null to signal fallback to public RPC should be used
-        return null;
+    if (type === 'safe' || type === 'watch') {
+        // Safe Apps don't have account/chain change events in the same way
+        // The Safe address and chain are fixed for the session, as is a watched address
+        return () => {}; // Return empty cleanup function
+    } else if (type === 'walletconnect') {
+        // The session's provider emits the usual wallet events; a session ended by the
+        // wallet leaves no account
+        const cleanupWalletListeners = setupWalletEventListeners(onAccountsChanged, onChainChanged);
+        const cleanupDisconnect = onWalletConnectDisconnect(() => {
+            connectionType = 'wallet';
+            onAccountsChanged([]);
+        });
+        return () => {
+            cleanupWalletListeners();
+            cleanupDisconnect();
+        };
     } else {
-        // Unknown connection type, signal to use existing fallback logic
-        return null;
+        return setupWalletEventListeners(onAccountsChanged, onChainChanged);
     }
 }
 
@@ -207,12 +243,38 @@ export async function sendTransaction(to, data, from) {
             data: data
         };
         return await sendSafeTransaction(transaction);
+    } else if (type === 'watch') {
+        throw new Error('Watch mode is read-only. Build the transaction instead.');
     } else {
-        // For wallet connections, we'll delegate to the existing contract service
+        // For wallet and WalletConnect connections, we'll delegate to the existing contract
+        // service, which sends through the connected provider (see getWalletProvider)
         return null; // Signal to use existing wallet transaction logic
     }
 }
 
+/**
+ * Sends several transactions as one Safe transaction (Safe connections only)
+ * @param {Object[]} transactions - Transactions with 'to' and 'data'
+ * @returns {Promise<string|null>} Safe transaction hash, or null if batching is not supported
+ */
+export async function sendTransactions(transactions) {
+    const type = await getConnectionType();
+    
+    if (type === 'safe') {
+        return await sendSafeTransactions(transactions.map(transaction => ({
+            to: transaction.to,
+            value: '0',
+            data: transaction.data
+        })));
+    }
+    if (type === 'watch') {
+        throw new Error('Watch mode is read-only. Build the transaction instead.');
+    }
+    
+    // Wallets cannot sign several calls at once
+    return null;
+}
+
 /**
  * Gets a human-readable connection status
  * @returns {Promise<string>} Connection status description
@@ -222,7 +284,33 @@ export async function getConnectionStatus() {
     
     if (type === 'safe') {
         return 'Safe App';
+    } else if (type === 'watch') {
+        return 'Watch only';
+    } else if (type === 'walletconnect') {
+        const wallet = getActiveWalletInfo();
+        return wallet ? `${wallet.name} via WalletConnect` : 'WalletConnect';
     } else {
-        return 'External Wallet';
+        const wallet = getActiveWalletInfo();
+        return wallet ? wallet.name : 'External Wallet';
+    }
+}
+
+/**
+ * Disconnects the current connection. WalletConnect sessions are ended, watch mode is
+ * left and injected wallets are asked to revoke the account permission; a Safe keeps
+ * its connection.
+ * @returns {Promise<void>}
+ */
+export async function disconnect() {
+    const type = await getConnectionType();
+
+    if (type === 'watch') {
+        exitWatchMode();
+        connectionType = 'wallet';
+    } else if (type === 'walletconnect') {
+        await disconnectWalletConnect();
+        connectionType = 'wallet';
+    } else if (type === 'wallet') {
+        await disconnectInjectedWallet();
     }
-}
\ No newline at end of file
+}
@@ -1,91 +1,37 @@
 // Contract interaction service for Ethereum/Gnosis Chain
-import { CONFIG, FUNCTION_SELECTORS } from './config.js';
-import { encodeAddress } from './utils.js';
-import { makeContractCall, sendTransaction as sendAdapterTransaction } from './connectionAdapter.js';
+import { CONTRACT_FUNCTIONS } from './config.js';
+import { encodeFunctionCall, decodeFunctionResult } from './abi.js';
+import { sendTransaction as sendAdapterTransaction, sendTransactions as sendAdapterTransactions } from './connectionAdapter.js';
+import { createMulticallBatcher } from './multicall.js';
+import { requestWithFallback } from './providerChain.js';
+import { isDemoMode } from './demoMode.js';
+import { getWalletProvider } from './walletDiscovery.js';
+import { isPositiveAmount } from './amount.js';
+import { countValidators } from './validatorService.js';
 
 /**
- * Makes a read-only contract call using eth_call
+ * Makes a read-only contract call using eth_call through the provider chain
  * @param {string} contractAddress - Contract address to call
  * @param {string} data - Encoded function call data
- * @returns {Promise<string>} Contract call result
+ * @param {string} [blockTag='latest'] - Block to read at (hex block number for historical reads)
+ * @returns {Promise<{result: string, provider: string}>} Call result and the provider that answered
+ * @throws {Error} If every provider in the chain failed
  */
-export async function callContract(contractAddress, data) {
+export async function callContract(contractAddress, data, blockTag = 'latest') {
     try {
-        // Try using the connection adapter first (handles Safe Apps SDK and wallet routing)
-        const adapterResult = await makeContractCall(contractAddress, data);
-        if (adapterResult !== null) {
-            return adapterResult;
-        }
-        
-        // For wallet connections, use wallet's RPC provider
-        if (typeof window.ethereum !== 'undefined') {
-            try {
-                const result = await window.ethereum.request({
-                    method: 'eth_call',
-                    params: [{
-                        to: contractAddress,
-                        data: data
-                    }, 'latest']
-                });
-                
-                // Check if result is valid (not null, undefined, or '0x')
-                if (result && result !== '0x') {
-                    return result;
-                }
-                // If wallet call returns invalid result, continue to RPC fallback
-            } catch (walletError) {
-                console.warn('Wallet RPC call failed, falling back to public RPC:', walletError);
-                // Continue to public RPC fallback
-            }
-        }
-        
-        // Fall back to direct RPC call only as last resort
-        try {
-            const response = await fetch(CONFIG.GNOSIS_RPC_URL, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({
-                    jsonrpc: '2.0',
-                    method: 'eth_call',
-                    params: [{
-                        to: contractAddress,
-                        data: data
-                    }, 'latest'],
-                    id: 1
-                })
-            });
-            
-            const json = await response.json();
-            if (json.error) {
-                throw new Error(json.error.message);
-            }
-            
-            return json.result;
-        } catch (fetchError) {
-            // If RPC call fails (e.g., in test environment), return mock data
-            console.warn('RPC call failed, using mock data for demonstration:', fetchError.message);
-            
-            // Return mock data based on function selector
-            if (data.includes(FUNCTION_SELECTORS['withdrawableAmount(address)']) || 
-                data.includes(FUNCTION_SELECTORS['withdrawableAmount_alt'])) {
-                // Mock withdrawable amount: 0.5 GNO (in wei)
-                return '0x6f05b59d3b20000'; // 0.5 * 10^18 wei
-            } else if (data.includes(FUNCTION_SELECTORS['balanceOf(address)'])) {
-                // Mock GNO balance: 10.25 GNO (in wei)
-                return '0x8e3f50b173c10000'; // 10.25 * 10^18 wei
-            }
-            
-            // Default to zero
-            return '0x0';
-        }
+        return await requestWithFallback('eth_call', [{
+            to: contractAddress,
+            data: data
+        }, blockTag]);
     } catch (error) {
         console.error('Contract call error:', error);
         throw error;
     }
 }
 
+// Concurrent view calls are grouped into a single Multicall3 request
+const batchedCall = createMulticallBatcher(callContract);
+
 /**
  * Sends a transaction to the blockchain
  * @param {string} to - Recipient address
@@ -94,6 +40,10 @@ export async function callContract(contractAddress, data) {
  * @returns {Promise<string>} Transaction hash
  */
 export async function sendTransaction(to, data, from) {
+    if (isDemoMode()) {
+        throw new Error('Transactions are disabled in demo mode');
+    }
+
     try {
         // Try using the connection adapter first
         const adapterResult = await sendAdapterTransaction(to, data, from);
@@ -108,7 +58,7 @@ export async function sendTransaction(to, data, from) {
             data: data,
         };
 
-        const txHash = await window.ethereum.request({
+        const txHash = await getWalletProvider().request({
             method: 'eth_sendTransaction',
             params: [transactionParameters],
         });
@@ -120,26 +70,52 @@ export async function sendTransaction(to, data, from) {
     }
 }
 
+/**
+ * Pads compact quantities (e.g. '0x0' from some providers and test mocks) to a full ABI word
+ * @param {string} result - Raw eth_call result
+ * @returns {string} Result suitable for ABI decoding
+ */
+function normalizeCallResult(result) {
+    const hex = String(result || '').replace(/^0x/, '');
+    if (hex.length > 0 && hex.length < 64) {
+        return '0x' + hex.padStart(64, '0');
+    }
+    return result;
+}
+
+/**
+ * Calls a view function and decodes its single return value
+ * @param {string} contractAddress - Contract address to call
+ * @param {string} signature - Human-readable function signature with return type
+ * @param {Array} args - Function arguments
+ * @returns {Promise<{value: any, provider: string}>} Decoded return value and the provider that answered
+ */
+async function callView(contractAddress, signature, args) {
+    const { result, provider } = await batchedCall(contractAddress, encodeFunctionCall(signature, args));
+    return {
+        value: decodeFunctionResult(signature, normalizeCallResult(result))[0],
+        provider
+    };
+}
+
 /**
  * Gets withdrawable amount from validator contract
  * @param {string} contractAddress - Validator contract address
  * @param {string} account - User account address
- * @returns {Promise<string>} Withdrawable amount in hex
+ * @returns {Promise<{value: bigint, provider: string}>} Withdrawable amount in wei
  */
 export async function getWithdrawableAmount(contractAddress, account) {
-    const withdrawableData = FUNCTION_SELECTORS['withdrawableAmount(address)'] + encodeAddress(account);
-    return await callContract(contractAddress, withdrawableData);
+    return await callView(contractAddress, CONTRACT_FUNCTIONS.withdrawableAmount, [account]);
 }
 
 /**
  * Gets ERC20 token balance
  * @param {string} tokenAddress - Token contract address
  * @param {string} account - User account address
- * @returns {Promise<string>} Token balance in hex
+ * @returns {Promise<{value: bigint, provider: string}>} Token balance in wei
  */
 export async function getTokenBalance(tokenAddress, account) {
-    const balanceData = FUNCTION_SELECTORS['balanceOf(address)'] + encodeAddress(account);
-    return await callContract(tokenAddress, balanceData);
+    return await callView(tokenAddress, CONTRACT_FUNCTIONS.balanceOf, [account]);
 }
 
 /**
@@ -149,52 +125,101 @@ export async function getTokenBalance(tokenAddress, account) {
  * @returns {Promise<string>} Transaction hash
  */
 export async function claimWithdrawal(contractAddress, account) {
-    const claimData = FUNCTION_SELECTORS['claimWithdrawal(address)'] + encodeAddress(account);
+    const claimData = encodeFunctionCall(CONTRACT_FUNCTIONS.claimWithdrawal, [account]);
+    return await sendTransaction(contractAddress, claimData, account);
+}
+
+/**
+ * Gets withdrawable amounts for several addresses (read together in one Multicall request)
+ * @param {string} contractAddress - Validator contract address
+ * @param {string[]} addresses - Withdrawal addresses
+ * @returns {Promise<Array<{address: string, value: bigint, provider: string}>>} Amounts in wei, in input order
+ */
+export async function getWithdrawableAmounts(contractAddress, addresses) {
+    const results = await Promise.all(addresses.map(address => getWithdrawableAmount(contractAddress, address)));
+    return addresses.map((address, i) => ({ address, ...results[i] }));
+}
+
+/**
+ * Claims withdrawals for several addresses with the contract's batched claimWithdrawals method
+ * @param {string} contractAddress - Validator contract address
+ * @param {string[]} addresses - Withdrawal addresses
+ * @param {string} account - Sender address
+ * @returns {Promise<string>} Transaction hash
+ */
+export async function claimWithdrawals(contractAddress, addresses, account) {
+    const claimData = encodeFunctionCall(CONTRACT_FUNCTIONS.claimWithdrawals, [addresses]);
     return await sendTransaction(contractAddress, claimData, account);
 }
 
 /**
- * Gets the number of validators for an address from Gnosis beacon chain API
+ * Gets the addresses that have rewards to claim, reading their amounts again
+ * @param {string} contractAddress - Validator contract address
+ * @param {string[]} addresses - Withdrawal addresses
+ * @returns {Promise<string[]>} Addresses with a non-zero withdrawable amount, in input order
+ * @throws {Error} If none of the addresses have rewards to claim
+ */
+export async function getClaimableAddresses(contractAddress, addresses) {
+    const amounts = await getWithdrawableAmounts(contractAddress, addresses);
+    const claimable = amounts.filter(amount => isPositiveAmount(amount.value)).map(amount => amount.address);
+    if (claimable.length === 0) {
+        throw new Error('None of the addresses have rewards to claim');
+    }
+    return claimable;
+}
+
+/**
+ * Builds the claim transaction for one or more addresses without sending it, for watch mode.
+ * Anyone can submit it: the contract always pays out to the withdrawal addresses.
+ * @param {string} contractAddress - Validator contract address
+ * @param {string[]} addresses - Withdrawal addresses
+ * @returns {Array<{to: string, value: string, data: string}>} claimWithdrawal for one address,
+ *   claimWithdrawals(address[]) for several
+ */
+export function buildClaimTransactions(contractAddress, addresses) {
+    const data = addresses.length === 1
+        ? encodeFunctionCall(CONTRACT_FUNCTIONS.claimWithdrawal, [addresses[0]])
+        : encodeFunctionCall(CONTRACT_FUNCTIONS.claimWithdrawals, [addresses]);
+    return [{ to: contractAddress, value: '0', data }];
+}
+
+/**
+ * Claims withdrawals for several addresses with a single signature.
+ * Amounts are read again first so only addresses with a non-zero balance are included.
+ * Safe connections propose one multi-transaction calling claimWithdrawal per address;
+ * wallet connections send one claimWithdrawals(address[]) transaction.
+ * @param {string} contractAddress - Validator contract address
+ * @param {string[]} addresses - Withdrawal addresses
+ * @param {string} account - Sender address (the Safe address for Safe connections)
+ * @returns {Promise<{hash: string, claimed: string[]}>} Transaction hash (safeTxHash for Safes) and the addresses included
+ */
+export async function claimWithdrawalBatch(contractAddress, addresses, account) {
+    if (isDemoMode()) {
+        throw new Error('Transactions are disabled in demo mode');
+    }
+
+    const claimable = await getClaimableAddresses(contractAddress, addresses);
+
+    const transactions = claimable.map(address => ({
+        to: contractAddress,
+        data: encodeFunctionCall(CONTRACT_FUNCTIONS.claimWithdrawal, [address])
+    }));
+
+    const safeTxHash = await sendAdapterTransactions(transactions);
+    if (safeTxHash !== null) {
+        return { hash: safeTxHash, claimed: claimable };
+    }
+
+    const hash = await claimWithdrawals(contractAddress, claimable, account);
+    return { hash, claimed: claimable };
+}
+
+/**
+ * Gets the number of validators for an address from the configured validator source
  * @param {string} address - Ethereum address
  * @returns {Promise<number>} Number of validators
+ * @throws {Error} If the validator source cannot be reached
  */
 export async function getValidatorCount(address) {
-    let totalValidators = 0;
-    let offset = 0;
-    const limit = 200;
-    
-    try {
-        while (true) {
-            const url = `https://gnosis.beaconcha.in/api/v1/validator/withdrawalCredentials/${address}?limit=${limit}&offset=${offset}`;
-            
-            const response = await fetch(url);
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-            
-            const data = await response.json();
-            
-            // Check if the response has the expected structure
-            if (!data || !Array.isArray(data.data)) {
-                break;
-            }
-            
-            const validators = data.data;
-            totalValidators += validators.length;
-            
-            // If we got fewer than the limit, we've reached the end
-            if (validators.length < limit) {
-                break;
-            }
-            
-            // Move to next batch
-            offset += limit;
-        }
-        
-        return totalValidators;
-    } catch (error) {
-        console.error('Error fetching validator count:', error);
-        // Return 0 on error to avoid breaking the UI
-        return 0;
-    }
-}
\ No newline at end of file
+    return await countValidators(address);
+}
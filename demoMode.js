@@ -0,0 +1,58 @@
+// Demo mode: sample data for demonstrations and tests, never mixed with real reads
+import { CONFIG, CONTRACT_FUNCTIONS } from './config.js';
+import { functionSelector, encodeParameters, decodeParameters, parseSignature } from './abi.js';
+import { parseUnits } from './amount.js';
+
+// Sample balances returned while demo mode is on
+export const DEMO_VALUES = {
+    withdrawableAmount: parseUnits('0.5'),
+    balanceOf: parseUnits('10.25')
+};
+
+/**
+ * Checks whether demo mode is enabled via the `?demo=1` URL flag or CONFIG.DEMO_MODE
+ * @returns {boolean} True if demo mode is on
+ */
+export function isDemoMode() {
+    if (CONFIG.DEMO_MODE) {
+        return true;
+    }
+    if (typeof window === 'undefined' || !window.location) {
+        return false;
+    }
+    const flag = new URLSearchParams(window.location.search).get('demo');
+    return flag === '1' || flag === 'true';
+}
+
+/**
+ * Answers an eth_call with sample data
+ * @param {string} to - Contract address
+ * @param {string} data - Encoded call data
+ * @returns {string} ABI-encoded sample result
+ */
+function demoCall(to, data) {
+    if (to.toLowerCase() === CONFIG.MULTICALL3_ADDRESS.toLowerCase()) {
+        const { inputs } = parseSignature(CONTRACT_FUNCTIONS.aggregate3);
+        const [calls] = decodeParameters(inputs, '0x' + data.slice(10));
+        const results = calls.map(([target, , callData]) => [true, demoCall(target, callData)]);
+        return encodeParameters(['(bool,bytes)[]'], [results]);
+    }
+
+    for (const [name, value] of Object.entries(DEMO_VALUES)) {
+        if (data.startsWith(functionSelector(CONTRACT_FUNCTIONS[name]))) {
+            return encodeParameters(['uint256'], [value]);
+        }
+    }
+    return encodeParameters(['uint256'], [0n]);
+}
+
+/**
+ * Read provider that serves sample data. Only used when demo mode is on.
+ */
+export const demoProvider = {
+    id: 'demo',
+    label: 'Demo data',
+    isAvailable: async () => true,
+    supports: (method) => method === 'eth_call',
+    request: async (method, params) => demoCall(params[0].to, params[0].data)
+};
@@ -0,0 +1,177 @@
+// Client-side CSV/JSON export of claims and balances for accounting, and of unsigned transactions
+import { CONFIG } from './config.js';
+import { formatUnits, toBigInt } from './amount.js';
+import { toFiat, formatPriceDecimal } from './pricing.js';
+
+const CSV_COLUMNS = ['type', 'date', 'block', 'tx_hash', 'amount_gno', 'amount_wei', 'address', 'currency', 'price', 'fiat_value'];
+
+function toAmountFields(value, quote) {
+    const wei = toBigInt(value);
+    // Full precision: accounting needs the exact amount, not the 6-decimal display value
+    return {
+        gno: formatUnits(wei, 18),
+        wei: wei.toString(),
+        price: quote ? formatPriceDecimal(quote.price) : null,
+        fiat: quote ? formatPriceDecimal(toFiat(wei, quote.price)) : null
+    };
+}
+
+/**
+ * Builds the export document for an address
+ * @param {Object} options - Export contents
+ * @param {string} options.address - Withdrawal address
+ * @param {bigint} options.withdrawable - Current withdrawable amount in wei
+ * @param {bigint} options.gnoBalance - Current GNO balance in wei
+ * @param {number|null} options.validatorCount - Number of validators, null if they could not be counted
+ * @param {Object[]} options.claims - Claims from getClaimHistory
+ * @param {number} options.scannedToBlock - Last block included in the claims
+ * @param {string} [options.currency] - Fiat currency of the prices
+ * @param {Object|null} [options.currentPrice] - Current price from getGnoPrice, used for the balances
+ * @param {Array<Object|null>} [options.claimPrices] - Historical price at each claim, from getHistoricalGnoPrice
+ * @param {Date} [options.exportedAt] - Export time
+ * @returns {Object} JSON-serializable export (amounts as strings, prices null where unavailable)
+ */
+export function buildExportData({
+    address,
+    withdrawable,
+    gnoBalance,
+    validatorCount,
+    claims,
+    scannedToBlock,
+    currency = null,
+    currentPrice = null,
+    claimPrices = [],
+    exportedAt = new Date()
+}) {
+    return {
+        address,
+        exportedAt: exportedAt.toISOString(),
+        block: scannedToBlock,
+        currency,
+        balances: {
+            withdrawable: toAmountFields(withdrawable, currentPrice),
+            gnoBalance: toAmountFields(gnoBalance, currentPrice),
+            validatorCount
+        },
+        claims: claims.map((claim, i) => {
+            const amount = toAmountFields(claim.amount, claimPrices[i]);
+            return {
+                date: new Date(claim.timestamp * 1000).toISOString(),
+                block: claim.blockNumber,
+                txHash: claim.txHash,
+                amountGno: amount.gno,
+                amountWei: amount.wei,
+                address,
+                price: amount.price,
+                fiatValue: amount.fiat
+            };
+        })
+    };
+}
+
+function escapeCsvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Formats an export as CSV: one row per claim followed by the balances summary rows.
+ * Claims are valued at the price when they were claimed, balances at the current price.
+ * @param {Object} data - Export from buildExportData
+ * @returns {string} CSV text
+ */
+export function toCsv(data) {
+    const currency = data.currency || '';
+    const balanceRow = (type, amount) => [type, data.exportedAt, data.block, '', amount.gno, amount.wei, data.address, currency, amount.price, amount.fiat];
+    const rows = [
+        ...data.claims.map(claim => ['claim', claim.date, claim.block, claim.txHash, claim.amountGno, claim.amountWei, claim.address, currency, claim.price, claim.fiatValue]),
+        balanceRow('withdrawable', data.balances.withdrawable),
+        balanceRow('gno_balance', data.balances.gnoBalance)
+    ];
+    return [CSV_COLUMNS, ...rows].map(row => row.map(escapeCsvField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Formats an export as pretty-printed JSON
+ * @param {Object} data - Export from buildExportData
+ * @returns {string} JSON text
+ */
+export function toJson(data) {
+    return JSON.stringify(data, null, 2);
+}
+
+/**
+ * Downloads a file built in the browser
+ * @param {string} filename - Suggested file name
+ * @param {string} content - File contents
+ * @param {string} mimeType - MIME type
+ */
+export function downloadFile(filename, content, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Give the browser a moment to start the download before releasing the data
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Downloads an export as CSV or JSON
+ * @param {Object} data - Export from buildExportData
+ * @param {string} format - 'csv' or 'json'
+ */
+export function downloadExport(data, format) {
+    const filename = `gnosis-rewards-${data.address.toLowerCase()}-${data.exportedAt.slice(0, 10)}.${format}`;
+    if (format === 'csv') {
+        downloadFile(filename, toCsv(data), 'text/csv');
+    } else {
+        downloadFile(filename, toJson(data), 'application/json');
+    }
+}
+
+/**
+ * Builds a transaction batch file in the Safe Transaction Builder format. The raw
+ * transactions in it can also be submitted from any wallet.
+ * @param {Array<{to: string, value: string, data: string}>} transactions - Unsigned transactions
+ * @param {Object} options - Batch details
+ * @param {string} options.account - Address the batch is built for (the watched address)
+ * @param {string} options.name - Batch name shown in the Transaction Builder
+ * @param {string} [options.description] - Batch description
+ * @param {Date} [options.createdAt] - Creation time
+ * @returns {Object} JSON-serializable batch
+ */
+export function buildTransactionBatch(transactions, { account, name, description = '', createdAt = new Date() }) {
+    return {
+        version: '1.0',
+        chainId: String(parseInt(CONFIG.CHAIN_ID, 16)),
+        createdAt: createdAt.getTime(),
+        meta: {
+            name,
+            description,
+            txBuilderVersion: '1.16.5',
+            createdFromSafeAddress: account,
+            createdFromOwnerAddress: '',
+            checksum: ''
+        },
+        transactions: transactions.map(transaction => ({
+            to: transaction.to,
+            value: transaction.value,
+            data: transaction.data,
+            contractMethod: null,
+            contractInputsValues: null
+        }))
+    };
+}
+
+/**
+ * Downloads a transaction batch as JSON
+ * @param {Object} batch - Batch from buildTransactionBatch
+ */
+export function downloadTransactionBatch(batch) {
+    const account = batch.meta.createdFromSafeAddress.toLowerCase();
+    const date = new Date(batch.createdAt).toISOString().slice(0, 10);
+    downloadFile(`gnosis-claim-${account}-${date}.json`, toJson(batch), 'application/json');
+}
@@ -0,0 +1,81 @@
+// IndexedDB cache for scanned rewards history, so later loads only scan new blocks
+const DB_NAME = 'gnosis-validator-app';
+const DB_VERSION = 1;
+const STORE_NAME = 'rewards-history';
+
+let databasePromise = null;
+
+/**
+ * Opens the cache database
+ * @returns {Promise<IDBDatabase|null>} Database, or null if IndexedDB is unavailable
+ */
+function openDatabase() {
+    if (!databasePromise) {
+        databasePromise = new Promise(resolve => {
+            if (typeof indexedDB === 'undefined') {
+                resolve(null);
+                return;
+            }
+
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(STORE_NAME);
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                // Private browsing and locked-down browsers: run without a cache
+                console.warn('Rewards history cache unavailable:', request.error);
+                resolve(null);
+            };
+        });
+    }
+    return databasePromise;
+}
+
+function runTransaction(mode, operation) {
+    return openDatabase().then(database => {
+        if (!database) return null;
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction(STORE_NAME, mode);
+            const request = operation(transaction.objectStore(STORE_NAME));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    });
+}
+
+/**
+ * Reads a cached history entry
+ * @param {string} key - Cache key
+ * @returns {Promise<Object|null>} Cached value, or null if missing or the cache is unavailable
+ */
+export async function loadCachedHistory(key) {
+    try {
+        return (await runTransaction('readonly', store => store.get(key))) || null;
+    } catch (error) {
+        console.warn('Failed to read rewards history cache:', error);
+        return null;
+    }
+}
+
+/**
+ * Stores a history entry
+ * @param {string} key - Cache key
+ * @param {Object} value - Value to store (structured-cloneable)
+ * @returns {Promise<void>}
+ */
+export async function saveCachedHistory(key, value) {
+    try {
+        await runTransaction('readwrite', store => store.put(value, key));
+    } catch (error) {
+        console.warn('Failed to write rewards history cache:', error);
+    }
+}
+
+/**
+ * Removes every cached history entry
+ * @returns {Promise<void>}
+ */
+export async function clearCachedHistory() {
+    await runTransaction('readwrite', store => store.clear());
+}
@@ -0,0 +1,88 @@
+// Escape-by-default HTML templating
+//
+// Everything interpolated into an html`` template is escaped unless it is itself the
+// result of html``. Error messages from wallets and RPCs, names, labels and
+// URL parameters can therefore never inject markup, no matter which field they end up in.
+
+const ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;',
+    '`': '&#96;'
+};
+
+// Brand of markup that is safe to insert as is
+const SAFE_HTML = Symbol('SafeHtml');
+
+function toSafeHtml(markup) {
+    return Object.freeze({ [SAFE_HTML]: true, markup, toString: () => markup });
+}
+
+/**
+ * Tells whether a value is markup from html``
+ * @param {*} value - Any value
+ * @returns {boolean} True for safe markup
+ */
+export function isSafeHtml(value) {
+    return !!value && value[SAFE_HTML] === true;
+}
+
+/**
+ * Escapes text for use in element content and quoted attribute values
+ * @param {*} value - Any value; it is converted to a string
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(value) {
+    return String(value).replace(/[&<>"'`]/g, char => ESCAPES[char]);
+}
+
+// Interpolated value to markup: nested templates as is, lists joined, everything else escaped
+function toMarkup(value) {
+    if (isSafeHtml(value)) return value.markup;
+    if (Array.isArray(value)) return value.map(toMarkup).join('');
+    if (value === null || value === undefined || value === false) return '';
+    return escapeHtml(value);
+}
+
+/**
+ * Template tag that escapes every interpolated value. Nested html`` templates and
+ * arrays of them are inserted as markup; null, undefined and false render nothing.
+ * @example html`<div class="address">${address}</div>`
+ * @param {TemplateStringsArray} strings - Literal parts of the template
+ * @param {...*} values - Interpolated values
+ * @returns {{markup: string}} Markup; converts to a string with String()
+ */
+export function html(strings, ...values) {
+    let markup = strings[0];
+    values.forEach((value, i) => {
+        markup += toMarkup(value) + strings[i + 1];
+    });
+    return toSafeHtml(markup);
+}
+
+/**
+ * Returns an image URL for a src only if it is a data: image, as wallets announce their
+ * icons (EIP-6963), so an icon cannot make the page load anything from elsewhere
+ * @param {string} url - Image URL
+ * @returns {string} The URL, or '' if it is not a data: image
+ */
+export function safeImageUrl(url) {
+    return typeof url === 'string' && url.startsWith('data:image/') ? url : '';
+}
+
+/**
+ * Returns a URL for an href only if it is http(s), so a crafted javascript: or data:
+ * URL cannot run script when clicked
+ * @param {string} url - URL to link to
+ * @returns {string} The URL, or '' if it is not an http(s) URL
+ */
+export function safeUrl(url) {
+    try {
+        const { protocol } = new URL(url);
+        return protocol === 'https:' || protocol === 'http:' ? url : '';
+    } catch (error) {
+        return '';
+    }
+}
@@ -0,0 +1,118 @@
+// Keccak-256 hashing (the pre-standard SHA-3 variant used by Ethereum)
+
+const RATE_BYTES = 136;
+
+const ROUND_CONSTANTS = [
+    0x0000000000000001n, 0x0000000000008082n, 0x800000000000808an, 0x8000000080008000n,
+    0x000000000000808bn, 0x0000000080000001n, 0x8000000080008081n, 0x8000000000008009n,
+    0x000000000000008an, 0x0000000000000088n, 0x0000000080008009n, 0x000000008000000an,
+    0x000000008000808bn, 0x800000000000008bn, 0x8000000000008089n, 0x8000000000008003n,
+    0x8000000000008002n, 0x8000000000000080n, 0x000000000000800an, 0x800000008000000an,
+    0x8000000080008081n, 0x8000000000008080n, 0x0000000080000001n, 0x8000000080008008n
+];
+
+// Rotation offsets for lane (x, y), indexed by x + 5 * y
+const ROTATIONS = [
+    0, 1, 62, 28, 27,
+    36, 44, 6, 55, 20,
+    3, 10, 43, 25, 39,
+    41, 45, 15, 21, 8,
+    18, 2, 61, 56, 14
+];
+
+const MASK_64 = (1n << 64n) - 1n;
+
+function rotateLeft(value, shift) {
+    if (shift === 0) return value;
+    const bits = BigInt(shift);
+    return ((value << bits) | (value >> (64n - bits))) & MASK_64;
+}
+
+function keccakF(state) {
+    const c = new Array(5);
+    const b = new Array(25);
+
+    for (let round = 0; round < 24; round++) {
+        // Theta
+        for (let x = 0; x < 5; x++) {
+            c[x] = state[x] ^ state[x + 5] ^ state[x + 10] ^ state[x + 15] ^ state[x + 20];
+        }
+        for (let x = 0; x < 5; x++) {
+            const d = c[(x + 4) % 5] ^ rotateLeft(c[(x + 1) % 5], 1);
+            for (let y = 0; y < 25; y += 5) {
+                state[x + y] ^= d;
+            }
+        }
+
+        // Rho and Pi
+        for (let x = 0; x < 5; x++) {
+            for (let y = 0; y < 5; y++) {
+                b[y + 5 * ((2 * x + 3 * y) % 5)] = rotateLeft(state[x + 5 * y], ROTATIONS[x + 5 * y]);
+            }
+        }
+
+        // Chi
+        for (let y = 0; y < 25; y += 5) {
+            for (let x = 0; x < 5; x++) {
+                state[x + y] = b[x + y] ^ (~b[((x + 1) % 5) + y] & MASK_64 & b[((x + 2) % 5) + y]);
+            }
+        }
+
+        // Iota
+        state[0] ^= ROUND_CONSTANTS[round];
+    }
+}
+
+/**
+ * Converts a '0x'-prefixed hex string to bytes
+ * @param {string} hex - Hex string with an even number of digits
+ * @returns {Uint8Array} Decoded bytes
+ */
+export function hexToBytes(hex) {
+    if (!/^0x([0-9a-fA-F]{2})*$/.test(hex)) {
+        throw new Error(`Invalid hex string: ${hex}`);
+    }
+    const bytes = new Uint8Array((hex.length - 2) / 2);
+    for (let i = 0; i < bytes.length; i++) {
+        bytes[i] = parseInt(hex.substr(2 + i * 2, 2), 16);
+    }
+    return bytes;
+}
+
+/**
+ * Computes the Keccak-256 hash of the input
+ * @param {string|Uint8Array} input - Bytes, or a string hashed as UTF-8 text
+ * @returns {string} Hash as a '0x'-prefixed hex string
+ */
+export function keccak256(input) {
+    const message = input instanceof Uint8Array ? input : new TextEncoder().encode(String(input));
+
+    // Keccak padding: 0x01 ... 0x80 up to a multiple of the rate
+    const paddedLength = (Math.floor(message.length / RATE_BYTES) + 1) * RATE_BYTES;
+    const padded = new Uint8Array(paddedLength);
+    padded.set(message);
+    padded[message.length] ^= 0x01;
+    padded[paddedLength - 1] ^= 0x80;
+
+    const state = new Array(25).fill(0n);
+    for (let offset = 0; offset < paddedLength; offset += RATE_BYTES) {
+        for (let lane = 0; lane < RATE_BYTES / 8; lane++) {
+            let value = 0n;
+            for (let byte = 7; byte >= 0; byte--) {
+                value = (value << 8n) | BigInt(padded[offset + lane * 8 + byte]);
+            }
+            state[lane] ^= value;
+        }
+        keccakF(state);
+    }
+
+    let hex = '0x';
+    for (let lane = 0; lane < 4; lane++) {
+        let value = state[lane];
+        for (let byte = 0; byte < 8; byte++) {
+            hex += Number(value & 0xffn).toString(16).padStart(2, '0');
+            value >>= 8n;
+        }
+    }
+    return hex;
+}
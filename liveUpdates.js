@@ -0,0 +1,198 @@
+// Live updates: new blocks and relevant logs via eth_subscribe, or eth_blockNumber polling
+import { CONFIG, CONTRACT_EVENTS } from './config.js';
+import { eventTopic, encodeParameters } from './abi.js';
+import { requestWithFallback } from './providerChain.js';
+import { isSafeAppInitialized } from './safeService.js';
+import { getWalletProvider } from './walletDiscovery.js';
+import { isWatchMode } from './watchMode.js';
+import { isWalletOnSelectedNetwork } from './walletService.js';
+import { getBlockNumber } from './rewardsHistory.js';
+
+function toHexBlock(blockNumber) {
+    return '0x' + blockNumber.toString(16);
+}
+
+/**
+ * Builds log filters for GNO transfers to or from an address (claims, deposits, sends)
+ * @param {string} address - Watched address
+ * @returns {Object[]} eth_getLogs / eth_subscribe filters
+ */
+export function getBalanceLogFilters(address) {
+    const transfer = eventTopic(CONTRACT_EVENTS.transfer);
+    const topic = encodeParameters(['address'], [address]);
+    return [
+        { address: CONFIG.GNO_TOKEN_ADDRESS, topics: [transfer, null, topic] },
+        { address: CONFIG.GNO_TOKEN_ADDRESS, topics: [transfer, topic] }
+    ];
+}
+
+// The injected wallet, if it can push subscription messages (not inside a Safe, in watch mode
+// or while it is on another chain)
+function getSubscriptionProvider() {
+    const provider = getWalletProvider();
+    if (isSafeAppInitialized() || isWatchMode() || !isWalletOnSelectedNetwork() || !provider || typeof provider.on !== 'function') {
+        return null;
+    }
+    return provider;
+}
+
+/**
+ * Starts watching the chain. Uses eth_subscribe (newHeads and logs) when the injected
+ * wallet supports it, and otherwise polls eth_blockNumber and reads logs for every new
+ * range of blocks. Watching pauses while the tab is hidden and resumes when it is shown.
+ * @param {Object} options - Watch options
+ * @param {Object[]} [options.logFilters] - Filters for logs that should trigger an update, see getBalanceLogFilters
+ * @param {Function} options.onUpdate - Called with {blockNumber, reason} where reason is 'block' or 'log'
+ * @param {Function} [options.onStatus] - Called with 'subscribed', 'polling' or 'paused'
+ * @returns {Function} Stops watching
+ */
+export function startLiveUpdates({ logFilters = [], onUpdate, onStatus = () => {} }) {
+    let stopped = false;
+    let stopCurrent = null;
+    let lastBlock = null;
+
+    function report(blockNumber, reason) {
+        if (stopped) return;
+        if (reason === 'block' && lastBlock !== null && blockNumber <= lastBlock) return;
+        lastBlock = Math.max(lastBlock ?? 0, blockNumber);
+        onUpdate({ blockNumber, reason });
+    }
+
+    async function subscribe(provider) {
+        const subscriptions = new Map();
+        const handleMessage = (message) => {
+            if (message?.type !== 'eth_subscription' || !subscriptions.has(message.data?.subscription)) return;
+            const { result } = message.data;
+            const kind = subscriptions.get(message.data.subscription);
+            const blockNumber = parseInt(kind === 'block' ? result?.number : result?.blockNumber, 16);
+            if (Number.isFinite(blockNumber)) {
+                report(blockNumber, kind);
+            }
+        };
+
+        provider.on('message', handleMessage);
+        const unsubscribe = () => {
+            provider.removeListener('message', handleMessage);
+            for (const id of subscriptions.keys()) {
+                provider.request({ method: 'eth_unsubscribe', params: [id] }).catch(() => {});
+            }
+        };
+
+        const add = async (params, kind) => {
+            const id = await provider.request({ method: 'eth_subscribe', params });
+            if (typeof id !== 'string') {
+                throw new Error('eth_subscribe returned no subscription id');
+            }
+            subscriptions.set(id, kind);
+        };
+
+        try {
+            await add(['newHeads'], 'block');
+            for (const filter of logFilters) {
+                await add(['logs', filter], 'log');
+            }
+        } catch (error) {
+            unsubscribe();
+            throw error;
+        }
+        return unsubscribe;
+    }
+
+    // A range that cannot be read (e.g. too long after a pause) counts as having logs
+    async function hasLogsBetween(fromBlock, toBlock) {
+        const range = { fromBlock: toHexBlock(fromBlock), toBlock: toHexBlock(toBlock) };
+        try {
+            const results = await Promise.all(logFilters.map(filter =>
+                requestWithFallback('eth_getLogs', [{ ...filter, ...range }])));
+            return results.some(({ result }) => Array.isArray(result) && result.length > 0);
+        } catch (error) {
+            console.warn('Failed to read logs for new blocks:', error.message);
+            return true;
+        }
+    }
+
+    function poll() {
+        let timer = null;
+        let active = true;
+
+        async function check() {
+            try {
+                const blockNumber = await getBlockNumber();
+                if (!Number.isFinite(blockNumber)) {
+                    throw new Error('eth_blockNumber returned no block number');
+                }
+                if (lastBlock !== null && blockNumber > lastBlock && logFilters.length > 0) {
+                    const hasLogs = await hasLogsBetween(lastBlock + 1, blockNumber);
+                    if (active && hasLogs) {
+                        report(blockNumber, 'log');
+                    }
+                }
+                if (active) {
+                    report(blockNumber, 'block');
+                }
+            } catch (error) {
+                // Keep polling: the next check may reach a provider that answers
+                console.warn('Block check failed:', error.message);
+            }
+            if (active) {
+                timer = setTimeout(check, CONFIG.BLOCK_POLL_INTERVAL_MS);
+            }
+        }
+
+        check();
+        return () => {
+            active = false;
+            clearTimeout(timer);
+        };
+    }
+
+    async function resume() {
+        const provider = getSubscriptionProvider();
+        if (provider) {
+            try {
+                const unsubscribe = await subscribe(provider);
+                if (stopped || document.hidden) {
+                    unsubscribe();
+                    return;
+                }
+                stopCurrent = unsubscribe;
+                onStatus('subscribed');
+                return;
+            } catch (error) {
+                console.warn('eth_subscribe not supported, polling for new blocks:', error.message);
+            }
+        }
+        if (stopped || document.hidden) return;
+        stopCurrent = poll();
+        onStatus('polling');
+    }
+
+    function pause() {
+        if (stopCurrent) {
+            stopCurrent();
+            stopCurrent = null;
+        }
+    }
+
+    function handleVisibilityChange() {
+        if (document.hidden) {
+            pause();
+            onStatus('paused');
+        } else if (!stopCurrent) {
+            resume();
+        }
+    }
+
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    if (document.hidden) {
+        onStatus('paused');
+    } else {
+        resume();
+    }
+
+    return () => {
+        stopped = true;
+        document.removeEventListener('visibilitychange', handleVisibilityChange);
+        pause();
+    };
+}
@@ -0,0 +1,118 @@
+// Multicall3 batching for read-only contract calls
+import { CONFIG, CONTRACT_FUNCTIONS } from './config.js';
+import { encodeFunctionCall, decodeFunctionResult } from './abi.js';
+
+const MAX_BATCH_SIZE = 100;
+
+/**
+ * Encodes a list of calls as Multicall3 aggregate3 calldata
+ * @param {Array<{to: string, data: string}>} calls - Calls to batch
+ * @returns {string} aggregate3 calldata
+ */
+export function encodeAggregate3(calls) {
+    return encodeFunctionCall(CONTRACT_FUNCTIONS.aggregate3, [
+        calls.map(call => [call.to, true, call.data])
+    ]);
+}
+
+/**
+ * Decodes the result of an aggregate3 call
+ * @param {string} result - Raw eth_call result
+ * @returns {Array<{success: boolean, returnData: string}>} Per-call results in request order
+ */
+export function decodeAggregate3(result) {
+    const [results] = decodeFunctionResult(CONTRACT_FUNCTIONS.aggregate3, result);
+    return results.map(([success, returnData]) => ({ success, returnData }));
+}
+
+/**
+ * Creates a batching wrapper around an eth_call function.
+ * Calls made in the same tick are sent as one Multicall3 aggregate3 call, so they
+ * cost one round-trip and are all read at the same block.
+ * @param {Function} callContract - (contractAddress, data) => Promise<{result, provider}> used for the actual eth_call
+ * @returns {Function} (contractAddress, data) => Promise<{result, provider}> with the same contract as callContract
+ */
+export function createMulticallBatcher(callContract) {
+    let queue = [];
+    let multicallUnavailable = false;
+
+    async function callIndividually(calls) {
+        await Promise.all(calls.map(async (call) => {
+            try {
+                call.resolve(await callContract(call.to, call.data));
+            } catch (error) {
+                call.reject(error);
+            }
+        }));
+    }
+
+    async function executeBatch(calls) {
+        if (calls.length === 1 || multicallUnavailable) {
+            await callIndividually(calls);
+            return;
+        }
+
+        let results;
+        let provider;
+        try {
+            const response = await callContract(CONFIG.MULTICALL3_ADDRESS, encodeAggregate3(calls));
+            provider = response.provider;
+
+            // An empty result means there is no Multicall3 contract on this chain
+            if (!response.result || response.result === '0x') {
+                console.warn('Multicall3 not available, using individual calls');
+                multicallUnavailable = true;
+                await callIndividually(calls);
+                return;
+            }
+
+            results = decodeAggregate3(response.result);
+            if (results.length !== calls.length) {
+                throw new Error(`Multicall returned ${results.length} results for ${calls.length} calls`);
+            }
+        } catch (error) {
+            // Every provider failed: retrying each call would only fail the same way
+            if (error.attempts) {
+                calls.forEach(call => call.reject(error));
+                return;
+            }
+            console.warn('Multicall batch failed, falling back to individual calls:', error.message);
+            await callIndividually(calls);
+            return;
+        }
+
+        // A call to an address without code "succeeds" with no data, e.g. when the provider is on
+        // another chain that has Multicall3 but not the contract; those go one by one through the provider chain
+        const emptyCalls = [];
+        calls.forEach((call, i) => {
+            if (!results[i].success) {
+                call.reject(new Error(`Call to ${call.to} reverted`));
+            } else if (!results[i].returnData || results[i].returnData === '0x') {
+                emptyCalls.push(call);
+            } else {
+                call.resolve({ result: results[i].returnData, provider });
+            }
+        });
+        if (emptyCalls.length > 0) {
+            await callIndividually(emptyCalls);
+        }
+    }
+
+    function flush() {
+        const calls = queue;
+        queue = [];
+
+        for (let i = 0; i < calls.length; i += MAX_BATCH_SIZE) {
+            executeBatch(calls.slice(i, i + MAX_BATCH_SIZE));
+        }
+    }
+
+    return function batchedCall(contractAddress, data) {
+        return new Promise((resolve, reject) => {
+            queue.push({ to: contractAddress, data, resolve, reject });
+            if (queue.length === 1) {
+                setTimeout(flush, 0);
+            }
+        });
+    };
+}
@@ -0,0 +1,210 @@
+// ENS and Gnosis Chain name resolution for address inputs and display
+import { CONFIG, CONTRACT_FUNCTIONS } from './config.js';
+import { keccak256, hexToBytes } from './keccak.js';
+import { encodeFunctionCall, decodeFunctionResult } from './abi.js';
+import { callContract } from './contractService.js';
+import { sendRpcRequest } from './rpcPool.js';
+import { isValidAddress, getAddressError, toChecksumAddress } from './utils.js';
+import { isDemoMode } from './demoMode.js';
+
+const ZERO_ADDRESS = '0x' + '0'.repeat(40);
+
+// Dot-separated labels without spaces, e.g. 'alice.eth' or 'node.gno'
+const NAME_PATTERN = /^[^\s.]+(\.[^\s.]+)+$/;
+
+// Reverse lookups, keyed by lowercase address (null when the address has no name)
+const reverseCache = new Map();
+
+/**
+ * Normalizes a name for hashing. Only lowercasing is applied; names that need
+ * full ENSIP-15 normalization (emoji, confusables) may not resolve.
+ * @param {string} name - Name as typed
+ * @returns {string} Normalized name
+ */
+export function normalizeName(name) {
+    return name.trim().toLowerCase();
+}
+
+/**
+ * Checks whether input looks like a name rather than an address
+ * @param {string} input - User input
+ * @returns {boolean} True for dotted names such as 'alice.eth'
+ */
+export function isName(input) {
+    const trimmed = String(input || '').trim();
+    return !isValidAddress(trimmed) && NAME_PATTERN.test(trimmed);
+}
+
+/**
+ * Computes the ENS namehash of a name
+ * @param {string} name - Name, e.g. 'alice.eth'
+ * @returns {string} Node as a '0x'-prefixed 32-byte hex string
+ */
+export function namehash(name) {
+    let node = '0x' + '00'.repeat(32);
+    const normalized = normalizeName(name);
+    if (!normalized) {
+        return node;
+    }
+    for (const label of normalized.split('.').reverse()) {
+        node = keccak256(hexToBytes(node + keccak256(label).slice(2)));
+    }
+    return node;
+}
+
+/*
+ * A name service reads an ENS-compatible registry:
+ * {
+ *   id: string,
+ *   label: string,
+ *   registry: string,                          - Registry contract address
+ *   suffixes: string[]|null,                   - Names it resolves, null for any name
+ *   call: (to, data) => Promise<string>        - eth_call on the service's chain
+ * }
+ */
+function getNameServices() {
+    const services = [];
+    if (CONFIG.GNOSIS_NAME_REGISTRY_ADDRESS) {
+        services.push({
+            id: 'gnosis',
+            label: 'Gnosis Chain names',
+            registry: CONFIG.GNOSIS_NAME_REGISTRY_ADDRESS,
+            suffixes: CONFIG.GNOSIS_NAME_SUFFIXES,
+            call: async (to, data) => (await callContract(to, data)).result
+        });
+    }
+    if (CONFIG.ENS_RPC_URL) {
+        services.push({
+            id: 'ens',
+            label: 'ENS',
+            registry: CONFIG.ENS_REGISTRY_ADDRESS,
+            suffixes: null,
+            call: (to, data) => sendRpcRequest(CONFIG.ENS_RPC_URL, 'eth_call', [{ to, data }, 'latest'])
+        });
+    }
+    return services;
+}
+
+function getServiceForName(name) {
+    // Without a registry these would fall through to ENS and fail with a misleading "does not resolve"
+    if (!CONFIG.GNOSIS_NAME_REGISTRY_ADDRESS && CONFIG.GNOSIS_NAME_SUFFIXES.some(suffix => name.endsWith(suffix))) {
+        throw new Error(`Gnosis names are not configured, so ${name} cannot be resolved. Set CONFIG.GNOSIS_NAME_REGISTRY_ADDRESS or enter the address.`);
+    }
+    const service = getNameServices().find(candidate =>
+        !candidate.suffixes || candidate.suffixes.some(suffix => name.endsWith(suffix)));
+    if (!service) {
+        throw new Error(`No name service is configured for ${name}`);
+    }
+    return service;
+}
+
+// Calls a view function; an empty result (no contract at the address) reads as null
+async function readView(service, to, signature, args) {
+    const result = await service.call(to, encodeFunctionCall(signature, args));
+    if (!result || result === '0x') {
+        return null;
+    }
+    return decodeFunctionResult(signature, result)[0];
+}
+
+async function resolveWith(service, name) {
+    const node = namehash(name);
+    const resolver = await readView(service, service.registry, CONTRACT_FUNCTIONS.resolver, [node]);
+    if (!resolver || resolver === ZERO_ADDRESS) {
+        return null;
+    }
+    const address = await readView(service, resolver, CONTRACT_FUNCTIONS.addr, [node]);
+    return address && address !== ZERO_ADDRESS ? address : null;
+}
+
+/**
+ * Resolves a name to an address
+ * @param {string} name - Name, e.g. 'alice.eth' or 'node.gno'
+ * @returns {Promise<string>} Address the name points to
+ * @throws {Error} If the name is not registered or no service could be reached
+ */
+export async function resolveName(name) {
+    if (isDemoMode()) {
+        throw new Error('Name resolution is not available in demo mode');
+    }
+
+    const normalized = normalizeName(name);
+    const address = await resolveWith(getServiceForName(normalized), normalized);
+    if (!address) {
+        throw new Error(`${normalized} does not resolve to an address`);
+    }
+    return toChecksumAddress(address);
+}
+
+/**
+ * Turns address input into an address, resolving names
+ * @param {string} input - Address or name typed by the user
+ * @returns {Promise<{address: string, name: string|null}>} Checksummed address, and the name if one was entered
+ * @throws {Error} If the input is neither a valid address nor a resolvable name
+ */
+export async function resolveAddressInput(input) {
+    const trimmed = String(input || '').trim();
+    if (isName(trimmed)) {
+        return { address: await resolveName(trimmed), name: normalizeName(trimmed) };
+    }
+    const error = getAddressError(trimmed);
+    if (error) {
+        // A well-formed address with a bad checksum gets the checksum message
+        throw new Error(isValidAddress(trimmed.toLowerCase()) ? error : 'Please enter a valid Ethereum address or name');
+    }
+    return { address: toChecksumAddress(trimmed), name: null };
+}
+
+/**
+ * Finds the primary name of an address (reverse resolution). A name is only
+ * returned if it resolves back to the same address.
+ * @param {string} address - Address
+ * @returns {Promise<string|null>} Name, or null if the address has none or no service answered
+ */
+export async function lookupName(address) {
+    if (isDemoMode() || !isValidAddress(address)) {
+        return null;
+    }
+
+    const key = address.toLowerCase();
+    if (reverseCache.has(key)) {
+        return reverseCache.get(key);
+    }
+
+    let found = null;
+    let failed = false;
+    const reverseNode = namehash(`${key.slice(2)}.addr.reverse`);
+    for (const service of getNameServices()) {
+        try {
+            const resolver = await readView(service, service.registry, CONTRACT_FUNCTIONS.resolver, [reverseNode]);
+            if (!resolver || resolver === ZERO_ADDRESS) continue;
+
+            const name = await readView(service, resolver, CONTRACT_FUNCTIONS.name, [reverseNode]);
+            // Names are shown in the page, so anything that is not a plain dotted name is ignored
+            if (!name || !isName(name) || /[<>"'&]/.test(name)) continue;
+
+            // Anyone can set any reverse name, so only trust it if the name points back here
+            const forward = await resolveWith(service, normalizeName(name));
+            if (forward && forward.toLowerCase() === key) {
+                found = name;
+                break;
+            }
+        } catch (error) {
+            console.warn(`${service.label} reverse lookup failed for ${address}:`, error.message);
+            failed = true;
+        }
+    }
+
+    // Keep failed lookups out of the cache so they are tried again later
+    if (found || !failed) {
+        reverseCache.set(key, found);
+    }
+    return found;
+}
+
+/**
+ * Clears cached reverse lookups (mainly for tests)
+ */
+export function clearNameCache() {
+    reverseCache.clear();
+}
@@ -0,0 +1,116 @@
+// Network registry: the chains the app manages validators on, picked with ?network= or the network picker.
+// Add an entry here to run the app against another Gnosis-compatible chain (e.g. a local devnet).
+export const DEFAULT_NETWORK_ID = 'gnosis';
+
+export const NETWORKS = {
+    gnosis: {
+        id: 'gnosis',
+        name: 'Gnosis Chain',
+        chainId: '0x64', // 100
+        isTestnet: false,
+        nativeCurrency: { name: 'xDAI', symbol: 'XDAI', decimals: 18 },
+        // Public RPC endpoints in the order they are tried (custom endpoints from settings go first)
+        rpcUrls: [
+            'https://rpc.gnosischain.com/',
+            'https://rpc.gnosis.gateway.fm/',
+            'https://gnosis.drpc.org/'
+        ],
+        explorerUrl: 'https://gnosisscan.io/',
+        depositContractAddress: '0x0b98057ea310f4d31f2a452b414647007d1645d9',
+        gnoTokenAddress: '0x9C58BAcC331c9aa871AFD802DB6379a98e80CEdb',
+        // beaconcha.in API used for validator records, and the explorer validators link to
+        beaconApiUrl: 'https://gnosis.beaconcha.in',
+        beaconExplorerUrl: 'https://gnosis.beaconcha.in',
+        // Withdrawals started with the Shapella fork (August 2023); no claims are older
+        rewardsHistoryStartBlock: 29000000,
+        priceSources: ['oracle', 'http'],
+        safeChainPrefix: 'gno'
+    },
+    chiado: {
+        id: 'chiado',
+        name: 'Chiado Testnet',
+        chainId: '0x27d8', // 10200
+        isTestnet: true,
+        nativeCurrency: { name: 'Chiado xDAI', symbol: 'XDAI', decimals: 18 },
+        rpcUrls: [
+            'https://rpc.chiadochain.net/',
+            'https://gnosis-chiado-rpc.publicnode.com/'
+        ],
+        explorerUrl: 'https://gnosis-chiado.blockscout.com/',
+        depositContractAddress: '0xb97036A26259B7147018913bD58a774cf91acf25',
+        gnoTokenAddress: '0x19C653Da7c37c66208fbfbE8908A5051B57b4C70',
+        beaconApiUrl: 'https://beacon.chiadochain.net',
+        beaconExplorerUrl: 'https://beacon.chiadochain.net',
+        // Scanned from genesis: the chain is small enough, and the history cache keeps later loads short
+        rewardsHistoryStartBlock: 0,
+        priceSources: [], // Test GNO has no price
+        safeChainPrefix: 'chi'
+    }
+};
+
+function getNetworkParam() {
+    if (typeof window === 'undefined' || !window.location) {
+        return null;
+    }
+    return new URLSearchParams(window.location.search).get('network');
+}
+
+/**
+ * Gets the network the app runs on: the one named by `?network=`, otherwise the default
+ * @returns {Object} Entry of NETWORKS
+ */
+export function getSelectedNetwork() {
+    const id = getNetworkParam();
+    return Object.hasOwn(NETWORKS, id) ? NETWORKS[id] : NETWORKS[DEFAULT_NETWORK_ID];
+}
+
+/**
+ * Explains why the `?network=` URL parameter was ignored
+ * @returns {string} Error message, or '' if there is no parameter or it names a known network
+ */
+export function getNetworkParamError() {
+    const id = getNetworkParam();
+    if (id === null || Object.hasOwn(NETWORKS, id)) {
+        return '';
+    }
+    return `Unknown network "${id}" in the link. Known networks: ${Object.keys(NETWORKS).join(', ')}. Using ${NETWORKS[DEFAULT_NETWORK_ID].name}.`;
+}
+
+/**
+ * Finds the network with a chain ID
+ * @param {string|number} chainId - Chain ID (hex or number)
+ * @returns {Object|null} Entry of NETWORKS, null if the chain is not in the registry
+ */
+export function findNetworkByChainId(chainId) {
+    return Object.values(NETWORKS).find(network => Number(network.chainId) === Number(chainId)) || null;
+}
+
+/**
+ * Builds the wallet_addEthereumChain parameters (EIP-3085) for a network
+ * @param {Object} network - Entry of NETWORKS
+ * @returns {Object} Chain parameters
+ */
+export function getChainParameters(network) {
+    return {
+        chainId: network.chainId,
+        chainName: network.name,
+        nativeCurrency: network.nativeCurrency,
+        rpcUrls: [network.rpcUrls[0]],
+        blockExplorerUrls: [network.explorerUrl]
+    };
+}
+
+/**
+ * Builds the link that opens the app on a network, keeping the other URL parameters
+ * @param {string} id - Key of NETWORKS
+ * @returns {string} Absolute URL of this page; the default network has no `?network=`
+ */
+export function getNetworkUrl(id) {
+    const url = new URL(window.location.href);
+    if (id === DEFAULT_NETWORK_ID) {
+        url.searchParams.delete('network');
+    } else {
+        url.searchParams.set('network', id);
+    }
+    return url.toString();
+}
@@ -0,0 +1,255 @@
+// GNO fiat prices from pluggable sources: an on-chain oracle and an optional HTTP API
+import { CONFIG, CONTRACT_FUNCTIONS } from './config.js';
+import { encodeFunctionCall, decodeFunctionResult } from './abi.js';
+import { callContract } from './contractService.js';
+import { isDemoMode } from './demoMode.js';
+import { parseUnits, formatUnits, toBigInt } from './amount.js';
+
+// Prices are kept as BigInt fixed-point numbers with this many decimals
+export const PRICE_DECIMALS = 8;
+
+const CURRENCY_STORAGE_KEY = 'gnosis-validator-app:currency';
+
+// Current prices, keyed by currency, reused for CONFIG.PRICE_CACHE_MS
+const priceCache = new Map();
+
+// Historical HTTP prices, keyed by currency and day
+const historyCache = new Map();
+
+function scalePrice(value, decimals) {
+    const price = toBigInt(value);
+    if (decimals === PRICE_DECIMALS) return price;
+    return decimals > PRICE_DECIMALS
+        ? price / 10n ** BigInt(decimals - PRICE_DECIMALS)
+        : price * 10n ** BigInt(PRICE_DECIMALS - decimals);
+}
+
+function parseApiPrice(value) {
+    if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+        throw new Error('Price API returned no price');
+    }
+    return parseUnits(value.toFixed(PRICE_DECIMALS), PRICE_DECIMALS);
+}
+
+/*
+ * A price source has the shape:
+ * {
+ *   id: string,
+ *   label: string,
+ *   supports: (currency) => boolean,
+ *   getPrice: (currency) => Promise<bigint>,                     - Current price (PRICE_DECIMALS)
+ *   getHistoricalPrice: (currency, {timestamp, blockNumber}) => Promise<bigint>
+ * }
+ */
+
+// Reads a Chainlink-style feed (decimals and latestRoundData) at a block
+async function readOracle(currency, blockTag) {
+    const feed = CONFIG.PRICE_ORACLES[currency];
+    const [{ result: decimalsResult }, { result: roundResult }] = await Promise.all([
+        callContract(feed, encodeFunctionCall(CONTRACT_FUNCTIONS.decimals), blockTag),
+        callContract(feed, encodeFunctionCall(CONTRACT_FUNCTIONS.latestRoundData), blockTag)
+    ]);
+    const [decimals] = decodeFunctionResult(CONTRACT_FUNCTIONS.decimals, decimalsResult);
+    const [, answer, , updatedAt] = decodeFunctionResult(CONTRACT_FUNCTIONS.latestRoundData, roundResult);
+
+    if (answer <= 0n) {
+        throw new Error('Oracle returned no price');
+    }
+    if (blockTag === 'latest' && Date.now() / 1000 - Number(updatedAt) > CONFIG.PRICE_MAX_AGE_S) {
+        throw new Error('Oracle price is stale');
+    }
+    return scalePrice(answer, Number(decimals));
+}
+
+/**
+ * Chainlink-style price feeds on Gnosis Chain (CONFIG.PRICE_ORACLES), read through callContract.
+ * Historical prices are read at the claim's block, which needs an archive node.
+ */
+export const oraclePriceSource = {
+    id: 'oracle',
+    label: 'On-chain oracle',
+    supports: (currency) => !!CONFIG.PRICE_ORACLES[currency],
+    getPrice: (currency) => readOracle(currency, 'latest'),
+    getHistoricalPrice: (currency, { blockNumber }) => readOracle(currency, '0x' + blockNumber.toString(16))
+};
+
+async function fetchPriceApi(path) {
+    const response = await fetch(`${CONFIG.PRICE_API_URL.replace(/\/$/, '')}${path}`);
+    if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    return await response.json();
+}
+
+/**
+ * CoinGecko-compatible HTTP price API (CONFIG.PRICE_API_URL)
+ */
+export const httpPriceSource = {
+    id: 'http',
+    label: 'Price API',
+    supports: (currency) => !!CONFIG.PRICE_API_URL && CONFIG.FIAT_CURRENCIES.includes(currency),
+    getPrice: async (currency) => {
+        const code = currency.toLowerCase();
+        const data = await fetchPriceApi(`/simple/price?ids=${CONFIG.PRICE_API_COIN_ID}&vs_currencies=${code}`);
+        return parseApiPrice(data?.[CONFIG.PRICE_API_COIN_ID]?.[code]);
+    },
+    getHistoricalPrice: async (currency, { timestamp }) => {
+        const code = currency.toLowerCase();
+        const day = new Date(timestamp * 1000).toISOString().slice(0, 10);
+        const key = `${code}:${day}`;
+        if (!historyCache.has(key)) {
+            const [year, month, date] = day.split('-');
+            const data = await fetchPriceApi(`/coins/${CONFIG.PRICE_API_COIN_ID}/history?date=${date}-${month}-${year}&localization=false`);
+            historyCache.set(key, parseApiPrice(data?.market_data?.current_price?.[code]));
+        }
+        return historyCache.get(key);
+    }
+};
+
+const builtInSources = {
+    oracle: oraclePriceSource,
+    http: httpPriceSource
+};
+
+// Sources added with registerPriceSource, tried before the configured ones
+const customSources = [];
+
+/**
+ * Adds a price source ahead of the configured ones
+ * @param {Object} source - Price source, see the shape above
+ */
+export function registerPriceSource(source) {
+    unregisterPriceSource(source.id);
+    customSources.push(source);
+}
+
+/**
+ * Removes a price source added with registerPriceSource
+ * @param {string} id - Source id
+ */
+export function unregisterPriceSource(id) {
+    const index = customSources.findIndex(source => source.id === id);
+    if (index !== -1) {
+        customSources.splice(index, 1);
+    }
+}
+
+/**
+ * Gets the price sources in the order they are tried
+ * @returns {Object[]} Price sources
+ */
+export function getPriceSources() {
+    return [...customSources, ...CONFIG.PRICE_SOURCES.map(id => builtInSources[id]).filter(Boolean)];
+}
+
+async function firstPrice(currency, read) {
+    if (isDemoMode()) {
+        // Demo balances are not real, so they get no real fiat value
+        return null;
+    }
+
+    for (const source of getPriceSources()) {
+        if (!source.supports(currency)) continue;
+        try {
+            return { price: await read(source), currency, source: source.label };
+        } catch (error) {
+            console.warn(`${source.label} price failed for ${currency}:`, error.message);
+        }
+    }
+    return null;
+}
+
+/**
+ * Gets the current GNO price
+ * @param {string} currency - Currency code, e.g. 'USD'
+ * @returns {Promise<{price: bigint, currency: string, source: string}|null>} Price, or null if no source could answer
+ */
+export async function getGnoPrice(currency) {
+    const cached = priceCache.get(currency);
+    if (cached && Date.now() - cached.fetchedAt < CONFIG.PRICE_CACHE_MS) {
+        return cached.quote;
+    }
+
+    const quote = await firstPrice(currency, source => source.getPrice(currency));
+    if (quote) {
+        priceCache.set(currency, { quote, fetchedAt: Date.now() });
+    }
+    return quote;
+}
+
+/**
+ * Gets the GNO price at the time of a past block
+ * @param {string} currency - Currency code
+ * @param {{timestamp: number, blockNumber: number}} at - Block timestamp (seconds) and number
+ * @returns {Promise<{price: bigint, currency: string, source: string}|null>} Price, or null if no source could answer
+ */
+export async function getHistoricalGnoPrice(currency, at) {
+    return await firstPrice(currency, source => source.getHistoricalPrice(currency, at));
+}
+
+/**
+ * Converts a GNO amount to fiat
+ * @param {bigint} amount - Amount in GNO wei
+ * @param {bigint} price - Price with PRICE_DECIMALS decimals
+ * @returns {bigint} Fiat value with PRICE_DECIMALS decimals
+ */
+export function toFiat(amount, price) {
+    return toBigInt(amount) * toBigInt(price) / 10n ** 18n;
+}
+
+/**
+ * Formats a fiat value for display
+ * @param {bigint} value - Fiat value with PRICE_DECIMALS decimals
+ * @param {string} currency - Currency code
+ * @param {string} [locale] - Locale, defaults to the browser's
+ * @returns {string} Formatted value, e.g. '$1,234.56'
+ */
+export function formatFiat(value, currency, locale) {
+    // Two decimals are all a currency display needs, so a Number is exact enough here
+    const amount = Number(formatUnits(value, PRICE_DECIMALS, 2));
+    return new Intl.NumberFormat(locale, { style: 'currency', currency }).format(amount);
+}
+
+/**
+ * Formats a price or fiat value as a plain decimal string (for exports)
+ * @param {bigint} value - Value with PRICE_DECIMALS decimals
+ * @returns {string} Decimal string
+ */
+export function formatPriceDecimal(value) {
+    return formatUnits(value, PRICE_DECIMALS);
+}
+
+/**
+ * Gets the display currency chosen by the user
+ * @returns {string} Currency code
+ */
+export function getSelectedCurrency() {
+    try {
+        const stored = localStorage.getItem(CURRENCY_STORAGE_KEY);
+        if (CONFIG.FIAT_CURRENCIES.includes(stored)) {
+            return stored;
+        }
+    } catch (error) {
+        console.warn('Failed to read currency preference:', error);
+    }
+    return CONFIG.FIAT_CURRENCIES[0];
+}
+
+/**
+ * Stores the display currency
+ * @param {string} currency - Currency code from CONFIG.FIAT_CURRENCIES
+ */
+export function setSelectedCurrency(currency) {
+    if (!CONFIG.FIAT_CURRENCIES.includes(currency)) {
+        throw new Error(`Unsupported currency: ${currency}`);
+    }
+    localStorage.setItem(CURRENCY_STORAGE_KEY, currency);
+}
+
+/**
+ * Clears cached prices (mainly for tests)
+ */
+export function clearPriceCache() {
+    priceCache.clear();
+    historyCache.clear();
+}
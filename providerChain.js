@@ -0,0 +1,153 @@
+// Ordered chain of read providers: Safe Apps SDK → injected wallet → configured RPC list
+import { callContractViaSafe, isSafeAppInitialized } from './safeService.js';
+import { isWalletAvailable } from './utils.js';
+import { getWalletProvider } from './walletDiscovery.js';
+import { isWatchMode } from './watchMode.js';
+import { confirmWalletOnSelectedNetwork } from './walletService.js';
+import { isDemoMode, demoProvider } from './demoMode.js';
+import { getRpcEndpoints, isEndpointUsable, requestEndpoint } from './rpcPool.js';
+
+/**
+ * A read provider has the shape:
+ *   id: string                                  - Stable identifier
+ *   label: string                               - Human-readable name recorded on each result
+ *   isAvailable: () => Promise<boolean>         - Whether the provider can be used right now
+ *   supports: (method) => boolean               - Whether the provider handles a JSON-RPC method
+ *   request: (method, params) => Promise<any>   - Performs the request
+ */
+
+/**
+ * Safe Apps SDK provider (only inside a Safe)
+ */
+export const safeProvider = {
+    id: 'safe',
+    label: 'Safe Apps SDK',
+    isAvailable: async () => isSafeAppInitialized(),
+    supports: (method) => method === 'eth_call',
+    request: async (method, params) => {
+        const result = await callContractViaSafe(params[0], params[1]);
+        if (result === null) {
+            throw new Error('Safe Apps SDK call returned no data');
+        }
+        return result;
+    }
+};
+
+/**
+ * Injected wallet provider (the selected wallet, see walletDiscovery.js). Only used once the
+ * wallet reported the app's chain, and never in watch mode, where nothing switched it there.
+ */
+export const walletProvider = {
+    id: 'wallet',
+    label: 'Injected wallet',
+    isAvailable: async () => isWalletAvailable() && !isWatchMode() && await confirmWalletOnSelectedNetwork(),
+    supports: () => true,
+    request: async (method, params) => getWalletProvider().request({ method, params })
+};
+
+/**
+ * Creates a provider for a JSON-RPC endpoint from the RPC pool
+ * @param {string} url - RPC endpoint URL
+ * @returns {Object} Read provider
+ */
+export function createRpcProvider(url) {
+    return {
+        id: `rpc:${url}`,
+        label: `RPC ${new URL(url).host}`,
+        isAvailable: async () => isEndpointUsable(url),
+        supports: () => true,
+        request: async (method, params) => requestEndpoint(url, method, params)
+    };
+}
+
+// Extra providers registered at runtime, tried before the RPC list
+let customProviders = [];
+
+/**
+ * Registers an additional read provider
+ * @param {Object} provider - Read provider (see shape above)
+ */
+export function registerProvider(provider) {
+    customProviders = [...customProviders.filter(p => p.id !== provider.id), provider];
+}
+
+/**
+ * Removes a previously registered provider
+ * @param {string} id - Provider id
+ */
+export function unregisterProvider(id) {
+    customProviders = customProviders.filter(p => p.id !== id);
+}
+
+/**
+ * Gets the ordered provider chain. In demo mode only the demo provider is used,
+ * so sample data can never be mistaken for a real read.
+ * @returns {Object[]} Providers in the order they are tried
+ */
+export function getProviderChain() {
+    if (isDemoMode()) {
+        return [demoProvider];
+    }
+    return [
+        safeProvider,
+        walletProvider,
+        ...customProviders,
+        ...getRpcEndpoints().map(createRpcProvider)
+    ];
+}
+
+/**
+ * Checks whether a result counts as an answer. An empty eth_call result ('0x')
+ * is kept as a last resort but the next provider is still tried.
+ * @param {string} method - JSON-RPC method
+ * @param {any} result - Provider result
+ * @returns {boolean} True if the result is usable
+ */
+function isUsableResult(method, result) {
+    if (method === 'eth_call') {
+        return typeof result === 'string' && result !== '0x';
+    }
+    // Other methods may legitimately return null, e.g. a receipt for a pending transaction
+    return result !== undefined;
+}
+
+/**
+ * Sends a read request through the provider chain
+ * @param {string} method - JSON-RPC method
+ * @param {Array} params - JSON-RPC params
+ * @returns {Promise<{result: any, provider: string}>} Result and the label of the provider that answered
+ * @throws {Error} If no provider could answer; `error.attempts` lists each provider's failure
+ */
+export async function requestWithFallback(method, params) {
+    const attempts = [];
+    let emptyAnswer = null;
+
+    for (const provider of getProviderChain()) {
+        if (!provider.supports(method) || !(await provider.isAvailable())) {
+            continue;
+        }
+
+        try {
+            const result = await provider.request(method, params);
+            if (isUsableResult(method, result)) {
+                return { result, provider: provider.label };
+            }
+            if (result === '0x' && !emptyAnswer) {
+                emptyAnswer = { result, provider: provider.label };
+            }
+            attempts.push({ provider: provider.label, error: 'empty result' });
+        } catch (error) {
+            console.warn(`${provider.label} failed for ${method}:`, error.message);
+            attempts.push({ provider: provider.label, error: error.message });
+        }
+    }
+
+    if (emptyAnswer) {
+        return emptyAnswer;
+    }
+
+    const summary = attempts.map(attempt => `${attempt.provider}: ${attempt.error}`).join('; ');
+    const error = new Error(`No provider could answer ${method}${summary ? ` (${summary})` : ''}`);
+    error.attempts = attempts;
+    throw error;
+}
@@ -0,0 +1,333 @@
+// Minimal QR code encoder (byte mode, error correction level M) rendered as SVG
+//
+// Enough for pairing links such as WalletConnect URIs; follows ISO/IEC 18004 and the
+// structure of Project Nayuki's reference implementation.
+import { html } from './html.js';
+
+// Error correction level M, versions 1-20: [EC codewords per block, blocks in group 1,
+// data codewords per group 1 block, blocks in group 2 (one more data codeword each)]
+const EC_BLOCKS_M = [
+    null,
+    [10, 1, 16, 0], [16, 1, 28, 0], [26, 1, 44, 0], [18, 2, 32, 0], [24, 2, 43, 0],
+    [16, 4, 27, 0], [18, 4, 31, 0], [22, 2, 38, 2], [22, 3, 36, 2], [26, 4, 43, 1],
+    [30, 1, 50, 4], [22, 6, 36, 2], [22, 8, 37, 1], [24, 4, 40, 5], [24, 5, 41, 5],
+    [28, 7, 45, 3], [28, 10, 46, 1], [26, 9, 43, 4], [26, 3, 44, 11], [26, 3, 41, 13]
+];
+
+const MAX_VERSION = EC_BLOCKS_M.length - 1;
+const FORMAT_BITS_M = 0b00;
+
+const MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => x * y % 2 + x * y % 3 === 0,
+    (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0
+];
+
+function getBit(value, i) {
+    return ((value >>> i) & 1) !== 0;
+}
+
+function getDataCodewordCount(version) {
+    const [, group1Blocks, group1Data, group2Blocks] = EC_BLOCKS_M[version];
+    return group1Blocks * group1Data + group2Blocks * (group1Data + 1);
+}
+
+function getAlignmentPositions(version) {
+    if (version === 1) return [];
+    const count = Math.floor(version / 7) + 2;
+    const last = version * 4 + 10;
+    // Spacing is even and the same between all but the first two positions
+    const step = version === 32 ? 26 : Math.ceil((last - 6) / (count - 1) / 2) * 2;
+    const positions = [6];
+    for (let position = last; positions.length < count; position -= step) {
+        positions.splice(1, 0, position);
+    }
+    return positions;
+}
+
+// Multiplication in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+function gfMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+        z = (z << 1) ^ ((z >>> 7) * 0x11d);
+        z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+}
+
+function reedSolomonDivisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < result.length; j++) {
+            result[j] = gfMultiply(result[j], root);
+            if (j + 1 < result.length) {
+                result[j] ^= result[j + 1];
+            }
+        }
+        root = gfMultiply(root, 0x02);
+    }
+    return result;
+}
+
+function reedSolomonRemainder(data, divisor) {
+    const result = new Array(divisor.length).fill(0);
+    for (const byte of data) {
+        const factor = byte ^ result.shift();
+        result.push(0);
+        divisor.forEach((coefficient, i) => {
+            result[i] ^= gfMultiply(coefficient, factor);
+        });
+    }
+    return result;
+}
+
+// Byte mode segment, terminator and padding, as data codewords
+function encodeData(bytes, version) {
+    const bits = [];
+    const push = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) bits.push(getBit(value, i) ? 1 : 0);
+    };
+    push(0b0100, 4);
+    push(bytes.length, version < 10 ? 8 : 16);
+    bytes.forEach(byte => push(byte, 8));
+
+    const capacity = getDataCodewordCount(version) * 8;
+    push(0, Math.min(4, capacity - bits.length));
+    push(0, (8 - bits.length % 8) % 8);
+    for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) {
+        push(pad, 8);
+    }
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+    return codewords;
+}
+
+// Splits data into blocks, adds error correction to each and interleaves the result
+function addErrorCorrection(data, version) {
+    const [ecLength, group1Blocks, group1Data, group2Blocks] = EC_BLOCKS_M[version];
+    const divisor = reedSolomonDivisor(ecLength);
+    const blocks = [];
+    let offset = 0;
+    for (let i = 0; i < group1Blocks + group2Blocks; i++) {
+        const length = i < group1Blocks ? group1Data : group1Data + 1;
+        const block = data.slice(offset, offset + length);
+        offset += length;
+        blocks.push({ data: block, ec: reedSolomonRemainder(block, divisor) });
+    }
+
+    const result = [];
+    for (let i = 0; i <= group1Data; i++) {
+        blocks.forEach(block => {
+            if (i < block.data.length) result.push(block.data[i]);
+        });
+    }
+    for (let i = 0; i < ecLength; i++) {
+        blocks.forEach(block => result.push(block.ec[i]));
+    }
+    return result;
+}
+
+function createGrid(version) {
+    const size = version * 4 + 17;
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+    const set = (x, y, dark) => {
+        modules[y][x] = dark;
+        isFunction[y][x] = true;
+    };
+
+    // Timing patterns, then finders (with separators) and alignment patterns over them
+    for (let i = 0; i < size; i++) {
+        set(6, i, i % 2 === 0);
+        set(i, 6, i % 2 === 0);
+    }
+    for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                const x = cx + dx;
+                const y = cy + dy;
+                if (x >= 0 && x < size && y >= 0 && y < size) {
+                    set(x, y, distance !== 2 && distance !== 4);
+                }
+            }
+        }
+    }
+    const alignment = getAlignmentPositions(version);
+    const last = alignment.length - 1;
+    alignment.forEach((cx, i) => {
+        alignment.forEach((cy, j) => {
+            // Skip the three corners taken by finder patterns
+            if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+            for (let dy = -2; dy <= 2; dy++) {
+                for (let dx = -2; dx <= 2; dx++) {
+                    set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                }
+            }
+        });
+    });
+
+    // Version information (version 7 and up)
+    if (version >= 7) {
+        let remainder = version;
+        for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+        const bits = (version << 12) | remainder;
+        for (let i = 0; i < 18; i++) {
+            const a = size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            set(a, b, getBit(bits, i));
+            set(b, a, getBit(bits, i));
+        }
+    }
+
+    return { size, modules, isFunction, set };
+}
+
+function drawFormatBits(grid, mask) {
+    const { size, set } = grid;
+    const data = (FORMAT_BITS_M << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    const bits = ((data << 10) | remainder) ^ 0x5412;
+
+    for (let i = 0; i <= 5; i++) set(8, i, getBit(bits, i));
+    set(8, 7, getBit(bits, 6));
+    set(8, 8, getBit(bits, 7));
+    set(7, 8, getBit(bits, 8));
+    for (let i = 9; i < 15; i++) set(14 - i, 8, getBit(bits, i));
+    for (let i = 0; i < 8; i++) set(size - 1 - i, 8, getBit(bits, i));
+    for (let i = 8; i < 15; i++) set(8, size - 15 + i, getBit(bits, i));
+    set(8, size - 8, true); // Always dark
+}
+
+// Places codewords in the zigzag order, bottom-right first, skipping function modules
+function drawCodewords(grid, codewords) {
+    const { size, modules, isFunction } = grid;
+    let i = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+        if (right === 6) right = 5;
+        for (let vertical = 0; vertical < size; vertical++) {
+            for (let j = 0; j < 2; j++) {
+                const x = right - j;
+                const upward = ((right + 1) & 2) === 0;
+                const y = upward ? size - 1 - vertical : vertical;
+                if (!isFunction[y][x] && i < codewords.length * 8) {
+                    modules[y][x] = getBit(codewords[i >>> 3], 7 - (i & 7));
+                    i++;
+                }
+            }
+        }
+    }
+}
+
+function applyMask(grid, mask) {
+    const { size, modules, isFunction } = grid;
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            if (!isFunction[y][x] && MASKS[mask](x, y)) {
+                modules[y][x] = !modules[y][x];
+            }
+        }
+    }
+}
+
+// Penalty score of a masked symbol; the mask with the lowest score is used
+function getPenalty(modules) {
+    const size = modules.length;
+    let penalty = 0;
+    const lines = [
+        ...modules,
+        ...modules.map((row, x) => modules.map(column => column[x]))
+    ];
+    const finderLike = [[true, false, true, true, true, false, true, false, false, false, false],
+        [false, false, false, false, true, false, true, true, true, false, true]];
+
+    for (const line of lines) {
+        let runLength = 1;
+        for (let i = 1; i <= size; i++) {
+            if (i < size && line[i] === line[i - 1]) {
+                runLength++;
+            } else {
+                if (runLength >= 5) penalty += runLength - 2;
+                runLength = 1;
+            }
+        }
+        for (let i = 0; i + 11 <= size; i++) {
+            if (finderLike.some(pattern => pattern.every((dark, k) => line[i + k] === dark))) {
+                penalty += 40;
+            }
+        }
+    }
+    for (let y = 0; y < size - 1; y++) {
+        for (let x = 0; x < size - 1; x++) {
+            const dark = modules[y][x];
+            if (dark === modules[y][x + 1] && dark === modules[y + 1][x] && dark === modules[y + 1][x + 1]) {
+                penalty += 3;
+            }
+        }
+    }
+    const darkCount = modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+    const total = size * size;
+    penalty += (Math.ceil(Math.abs(darkCount * 20 - total * 10) / total) - 1) * 10;
+    return penalty;
+}
+
+/**
+ * Encodes text as a QR code
+ * @param {string} text - Text to encode (UTF-8)
+ * @returns {boolean[][]} Modules by row; true is dark. No quiet zone.
+ * @throws {Error} If the text does not fit in a version 20 symbol
+ */
+export function createQrMatrix(text) {
+    const bytes = [...new TextEncoder().encode(text)];
+    let version = 1;
+    while (version <= MAX_VERSION && (version < 10 ? 12 : 20) + bytes.length * 8 > getDataCodewordCount(version) * 8) {
+        version++;
+    }
+    if (version > MAX_VERSION) {
+        throw new Error(`Text too long for a QR code: ${bytes.length} bytes`);
+    }
+
+    const codewords = addErrorCorrection(encodeData(bytes, version), version);
+    let best = null;
+    for (let mask = 0; mask < MASKS.length; mask++) {
+        const grid = createGrid(version);
+        drawFormatBits(grid, mask);
+        drawCodewords(grid, codewords);
+        applyMask(grid, mask);
+        const penalty = getPenalty(grid.modules);
+        if (!best || penalty < best.penalty) {
+            best = { modules: grid.modules, penalty };
+        }
+    }
+    return best.modules;
+}
+
+/**
+ * Renders text as a QR code in SVG, with the quiet zone around it
+ * @param {string} text - Text to encode
+ * @param {string} [label='QR code'] - Accessible label
+ * @returns {{markup: string}} SVG markup, see html.js
+ */
+export function renderQrCode(text, label = 'QR code') {
+    const modules = createQrMatrix(text);
+    const quietZone = 4;
+    const size = modules.length + quietZone * 2;
+    const path = modules.flatMap((row, y) => row.map((dark, x) => (dark ? `M${x + quietZone},${y + quietZone}h1v1h-1z` : ''))).join('');
+    return html`
+        <svg class="qr-code" viewBox="0 0 ${size} ${size}" role="img" aria-label="${label}" shape-rendering="crispEdges">
+            <rect width="${size}" height="${size}" fill="#fff" />
+            <path d="${path}" fill="#000" />
+        </svg>
+    `;
+}
@@ -0,0 +1,171 @@
+// Small component renderer: components return HTML strings and the DOM is patched in place
+//
+// Only the nodes that differ are touched, so focus, cursor position, scroll offsets and
+// delegated listeners survive a re-render. Elements with a `data-key` attribute are matched
+// by key instead of position (e.g. table rows that can be removed).
+
+/**
+ * Parses an HTML string into a document fragment
+ * @param {string} html - Markup
+ * @returns {DocumentFragment} Parsed nodes
+ */
+export function parseHtml(html) {
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    return template.content;
+}
+
+function getKey(node) {
+    return node && node.nodeType === Node.ELEMENT_NODE ? node.getAttribute('data-key') : null;
+}
+
+function isSameKind(current, next) {
+    return current.nodeType === next.nodeType && current.nodeName === next.nodeName && getKey(current) === getKey(next);
+}
+
+// Copies attributes. Form values follow their attribute only when the rendered value changed,
+// so text the user is typing is not overwritten by a render from unrelated state.
+function patchAttributes(current, next) {
+    for (const { name } of [...current.attributes]) {
+        if (!next.hasAttribute(name)) {
+            current.removeAttribute(name);
+            syncProperty(current, name, null);
+        }
+    }
+    for (const { name, value } of [...next.attributes]) {
+        if (current.getAttribute(name) !== value) {
+            current.setAttribute(name, value);
+            syncProperty(current, name, value);
+        }
+    }
+}
+
+function syncProperty(element, name, value) {
+    if (name === 'value' && element.nodeName === 'INPUT') {
+        element.value = value ?? '';
+    } else if (name === 'checked' && element.nodeName === 'INPUT') {
+        element.checked = value !== null;
+    } else if (name === 'selected' && element.nodeName === 'OPTION') {
+        element.selected = value !== null;
+    }
+}
+
+function patchTextarea(current, next) {
+    if (current.defaultValue !== next.defaultValue) {
+        current.defaultValue = next.defaultValue;
+        current.value = next.defaultValue;
+    }
+}
+
+function patchNode(current, next) {
+    if (!isSameKind(current, next)) {
+        current.replaceWith(next);
+        return;
+    }
+    if (current.nodeType !== Node.ELEMENT_NODE) {
+        if (current.nodeValue !== next.nodeValue) {
+            current.nodeValue = next.nodeValue;
+        }
+        return;
+    }
+    patchAttributes(current, next);
+    if (current.nodeName === 'TEXTAREA') {
+        patchTextarea(current, next);
+        return;
+    }
+    patchChildren(current, next);
+    if (current.nodeName === 'SELECT') {
+        // A select shows its selected option, or the first one when none is marked
+        const selected = [...next.options].findIndex(option => option.hasAttribute('selected'));
+        if (current.selectedIndex !== Math.max(selected, 0)) {
+            current.selectedIndex = Math.max(selected, 0);
+        }
+    }
+}
+
+/**
+ * Patches the children of `parent` to match the children of `nextParent`
+ * @param {Node} parent - Live DOM node
+ * @param {Node} nextParent - Freshly parsed node with the wanted children (consumed)
+ */
+export function patchChildren(parent, nextParent) {
+    let current = parent.firstChild;
+    for (const next of [...nextParent.childNodes]) {
+        const key = getKey(next);
+        if (key !== null && getKey(current) !== key) {
+            // Move a keyed node that is further down into place
+            const match = [...parent.childNodes].find(node => node !== current && getKey(node) === key && isSameKind(node, next));
+            if (match) {
+                parent.insertBefore(match, current);
+                current = match;
+            }
+        }
+        if (!current) {
+            parent.appendChild(next);
+            continue;
+        }
+        const following = current.nextSibling;
+        patchNode(current, next);
+        current = following;
+    }
+    while (current) {
+        const following = current.nextSibling;
+        current.remove();
+        current = following;
+    }
+}
+
+/**
+ * Patches an element's content to match an HTML string
+ * @param {Element} element - Element to update
+ * @param {string} html - Wanted inner HTML
+ */
+export function patch(element, html) {
+    patchChildren(element, parseHtml(html));
+}
+
+/**
+ * Mounts components into a container, one slot each. On update a component is
+ * re-rendered, and its slot patched only when its markup changed.
+ * @param {Element} container - Element the component slots are created in
+ * @param {Array<{name: string, render: Function}>} components - Components in display order; render(state) returns HTML, a string or html`` markup ('' hides it)
+ * @returns {{update: Function}} update(state) renders every component with the state
+ */
+export function createRenderer(container, components) {
+    const slots = components.map(component => {
+        const element = document.createElement('div');
+        element.className = 'component';
+        element.dataset.component = component.name;
+        container.appendChild(element);
+        return { component, element, html: null };
+    });
+
+    return {
+        update(state) {
+            for (const slot of slots) {
+                const html = String(slot.component.render(state));
+                if (html !== slot.html) {
+                    patch(slot.element, html);
+                    slot.html = html;
+                }
+            }
+        }
+    };
+}
+
+/**
+ * Handles an event for every element matching a selector inside a root, including
+ * elements rendered later. Listeners are attached once instead of after every render.
+ * @param {Element} root - Element the listener is attached to
+ * @param {string} type - Event type, e.g. 'click'
+ * @param {string} selector - CSS selector of the target elements
+ * @param {Function} handler - Called with (event, matchedElement)
+ */
+export function delegate(root, type, selector, handler) {
+    root.addEventListener(type, (event) => {
+        const target = event.target instanceof Element ? event.target.closest(selector) : null;
+        if (target && root.contains(target)) {
+            handler(event, target);
+        }
+    });
+}
@@ -0,0 +1,61 @@
+// Accrued vs claimed rewards chart as plain SVG markup
+import { formatUnits } from './amount.js';
+import { html } from './html.js';
+
+const PADDING = { top: 16, right: 16, bottom: 32, left: 56 };
+
+function toGnoNumber(amount) {
+    // Precision beyond a pixel does not matter for plotting
+    return Number(formatUnits(amount, 18, 6));
+}
+
+function formatDate(timestamp) {
+    return new Date(timestamp * 1000).toISOString().slice(0, 10);
+}
+
+/**
+ * Renders the rewards series as an SVG line chart. Accrued rewards are drawn as a line,
+ * claimed rewards as a step line that rises at every claim.
+ * @param {Array<{timestamp: number, accrued: bigint, claimed: bigint}>} points - Series from buildRewardsSeries
+ * @param {Object} [options] - Chart options
+ * @param {number} [options.width=600] - Width in SVG units
+ * @param {number} [options.height=240] - Height in SVG units
+ * @returns {{markup: string}} SVG markup, see html.js
+ */
+export function renderRewardsChart(points, { width = 600, height = 240 } = {}) {
+    const plotWidth = width - PADDING.left - PADDING.right;
+    const plotHeight = height - PADDING.top - PADDING.bottom;
+
+    const firstTime = points[0].timestamp;
+    const lastTime = points[points.length - 1].timestamp;
+    const maxAmount = Math.max(...points.map(point => toGnoNumber(point.accrued)), 0);
+
+    const x = timestamp => PADDING.left + (lastTime === firstTime ? plotWidth : (timestamp - firstTime) / (lastTime - firstTime) * plotWidth);
+    const y = amount => PADDING.top + plotHeight - (maxAmount === 0 ? 0 : toGnoNumber(amount) / maxAmount * plotHeight);
+
+    const accruedPath = points.map(point => `${x(point.timestamp).toFixed(1)},${y(point.accrued).toFixed(1)}`).join(' ');
+    const claimedPath = points.map((point, i) => {
+        const current = `${x(point.timestamp).toFixed(1)},${y(point.claimed).toFixed(1)}`;
+        // Step: keep the previous claimed total until this point's time
+        return i === 0 ? current : `${x(point.timestamp).toFixed(1)},${y(points[i - 1].claimed).toFixed(1)} ${current}`;
+    }).join(' ');
+
+    const bottom = PADDING.top + plotHeight;
+
+    return html`
+        <svg class="rewards-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="Accrued and claimed rewards over time">
+            <line class="chart-axis" x1="${PADDING.left}" y1="${bottom}" x2="${width - PADDING.right}" y2="${bottom}" />
+            <line class="chart-axis" x1="${PADDING.left}" y1="${PADDING.top}" x2="${PADDING.left}" y2="${bottom}" />
+            <text class="chart-label" x="${PADDING.left - 6}" y="${PADDING.top + 4}" text-anchor="end">${maxAmount.toFixed(2)}</text>
+            <text class="chart-label" x="${PADDING.left - 6}" y="${bottom}" text-anchor="end">0</text>
+            <text class="chart-label" x="${PADDING.left}" y="${height - 8}" text-anchor="start">${formatDate(firstTime)}</text>
+            <text class="chart-label" x="${width - PADDING.right}" y="${height - 8}" text-anchor="end">${formatDate(lastTime)}</text>
+            <polyline class="chart-line chart-accrued" points="${accruedPath}" />
+            <polyline class="chart-line chart-claimed" points="${claimedPath}" />
+        </svg>
+        <div class="chart-legend">
+            <span class="legend-accrued">Accrued GNO</span>
+            <span class="legend-claimed">Claimed GNO</span>
+        </div>
+    `;
+}
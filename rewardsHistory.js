@@ -0,0 +1,242 @@
+// Rewards history reconstructed from claim logs and historical withdrawable balances
+import { CONFIG, CONTRACT_EVENTS, CONTRACT_FUNCTIONS } from './config.js';
+import { eventTopic, encodeParameters, decodeEventLog, encodeFunctionCall } from './abi.js';
+import { requestWithFallback } from './providerChain.js';
+import { loadCachedHistory, saveCachedHistory } from './historyCache.js';
+import { toBigInt, sumAmounts } from './amount.js';
+
+function toHexBlock(blockNumber) {
+    return '0x' + blockNumber.toString(16);
+}
+
+/**
+ * Gets the latest block number
+ * @returns {Promise<number>} Block number
+ */
+export async function getBlockNumber() {
+    const { result } = await requestWithFallback('eth_blockNumber', []);
+    return parseInt(result, 16);
+}
+
+/**
+ * Gets the timestamp of a block
+ * @param {number} blockNumber - Block number
+ * @returns {Promise<number>} Unix timestamp in seconds
+ */
+async function getBlockTimestamp(blockNumber) {
+    const { result } = await requestWithFallback('eth_getBlockByNumber', [toHexBlock(blockNumber), false]);
+    if (!result) {
+        throw new Error(`Block ${blockNumber} not found`);
+    }
+    return parseInt(result.timestamp, 16);
+}
+
+/**
+ * Reads logs with eth_getLogs in block-range chunks.
+ * Providers limit the range or result size of a single request, so a refused chunk is
+ * halved and retried until CONFIG.LOGS_MIN_CHUNK_SIZE.
+ * @param {Object} filter - Log filter without fromBlock/toBlock
+ * @param {number} fromBlock - First block (inclusive)
+ * @param {number} toBlock - Last block (inclusive)
+ * @param {Function} onChunk - Awaited with (logs, lastBlockOfChunk) after every chunk
+ * @returns {Promise<void>}
+ */
+export async function getLogsInChunks(filter, fromBlock, toBlock, onChunk) {
+    let chunkSize = CONFIG.LOGS_CHUNK_SIZE;
+    let start = fromBlock;
+
+    while (start <= toBlock) {
+        const end = Math.min(start + chunkSize - 1, toBlock);
+        let logs;
+        try {
+            ({ result: logs } = await requestWithFallback('eth_getLogs', [{
+                ...filter,
+                fromBlock: toHexBlock(start),
+                toBlock: toHexBlock(end)
+            }]));
+        } catch (error) {
+            if (chunkSize <= CONFIG.LOGS_MIN_CHUNK_SIZE) {
+                throw error;
+            }
+            chunkSize = Math.max(Math.floor(chunkSize / 2), CONFIG.LOGS_MIN_CHUNK_SIZE);
+            console.warn(`eth_getLogs failed for blocks ${start}-${end}, retrying with ${chunkSize} blocks:`, error.message);
+            continue;
+        }
+
+        await onChunk(logs || [], end);
+        start = end + 1;
+    }
+}
+
+/**
+ * Reads the withdrawable amount of an address at a past block (needs an archive node)
+ * @param {string} address - Withdrawal address
+ * @param {number} blockNumber - Block number
+ * @returns {Promise<bigint>} Withdrawable amount in wei at the end of the block
+ */
+async function getWithdrawableAt(address, blockNumber) {
+    const { result } = await requestWithFallback('eth_call', [{
+        to: CONFIG.VALIDATOR_CONTRACT_ADDRESS,
+        data: encodeFunctionCall(CONTRACT_FUNCTIONS.withdrawableAmount, [address])
+    }, toHexBlock(blockNumber)]);
+    return toBigInt(result);
+}
+
+/**
+ * Picks the blocks to read the withdrawable amount at: every
+ * CONFIG.REWARDS_HISTORY_SAMPLE_INTERVAL blocks (aligned, so cached samples stay valid as
+ * the chain grows), and the block before each claim, where accruals peak
+ * @param {Object[]} claims - Claims, see getClaimHistory
+ * @param {number} toBlock - Last scanned block
+ * @returns {number[]} Block numbers, ascending
+ */
+function getSampleBlocks(claims, toBlock) {
+    const blocks = new Set(claims.map(claim => claim.blockNumber - 1));
+    const interval = CONFIG.REWARDS_HISTORY_SAMPLE_INTERVAL;
+    for (let block = Math.ceil(CONFIG.REWARDS_HISTORY_START_BLOCK / interval) * interval; block <= toBlock; block += interval) {
+        blocks.add(block);
+    }
+    return [...blocks].filter(block => block >= CONFIG.REWARDS_HISTORY_START_BLOCK).sort((a, b) => a - b);
+}
+
+function getCacheKey(address) {
+    return `${parseInt(CONFIG.CHAIN_ID, 16)}:${CONFIG.VALIDATOR_CONTRACT_ADDRESS.toLowerCase()}:${address.toLowerCase()}`;
+}
+
+/**
+ * Gets every claim paid out to an address. A claim is a GNO transfer from the validator
+ * contract, emitted by claimWithdrawal and claimWithdrawals. Also reads the withdrawable
+ * amount at sampled blocks (see getSampleBlocks), so accruals between claims can be charted.
+ * Scanned blocks and samples are cached in IndexedDB, so later calls only read what was added since.
+ * @param {string} address - Withdrawal address
+ * @param {Function} [onProgress] - Called with {fromBlock, toBlock, scannedToBlock} while scanning
+ * @returns {Promise<{claims: Array<{blockNumber: number, timestamp: number, txHash: string, logIndex: number, amount: bigint}>, samples: Array<{blockNumber: number, timestamp: number, withdrawable: bigint}>, scannedToBlock: number}>} Claims and samples in block order
+ */
+export async function getClaimHistory(address, onProgress = () => {}) {
+    const key = getCacheKey(address);
+    const cached = await loadCachedHistory(key);
+    // Amounts are cached as decimal strings
+    const claims = cached ? cached.claims.map(claim => ({ ...claim, amount: toBigInt(claim.amount) })) : [];
+    const samples = cached && cached.samples ? cached.samples.map(sample => ({ ...sample, withdrawable: toBigInt(sample.withdrawable) })) : [];
+    let scannedToBlock = cached ? cached.scannedToBlock : CONFIG.REWARDS_HISTORY_START_BLOCK - 1;
+
+    const fromBlock = scannedToBlock + 1;
+    const toBlock = await getBlockNumber();
+    const filter = {
+        address: CONFIG.GNO_TOKEN_ADDRESS,
+        topics: [
+            eventTopic(CONTRACT_EVENTS.transfer),
+            encodeParameters(['address'], [CONFIG.VALIDATOR_CONTRACT_ADDRESS]),
+            encodeParameters(['address'], [address])
+        ]
+    };
+
+    onProgress({ fromBlock, toBlock, scannedToBlock });
+    await getLogsInChunks(filter, fromBlock, toBlock, async (logs, lastBlock) => {
+        for (const log of logs) {
+            const [, , value] = decodeEventLog(CONTRACT_EVENTS.transfer, log);
+            const blockNumber = parseInt(log.blockNumber, 16);
+            claims.push({
+                blockNumber,
+                timestamp: await getBlockTimestamp(blockNumber),
+                txHash: log.transactionHash,
+                logIndex: parseInt(log.logIndex, 16),
+                amount: value
+            });
+        }
+
+        // Save after every chunk so an interrupted scan resumes where it stopped
+        scannedToBlock = lastBlock;
+        await saveCachedHistory(key, serializeHistory(claims, samples, scannedToBlock));
+        onProgress({ fromBlock, toBlock, scannedToBlock });
+    });
+
+    const sampledBlocks = new Set(samples.map(sample => sample.blockNumber));
+    // Newest first: providers without archive state only keep recent blocks, and once one
+    // block is refused the older ones would be too, so reading stops there until the next load
+    const missingBlocks = getSampleBlocks(claims, scannedToBlock).filter(block => !sampledBlocks.has(block)).reverse();
+    let added = 0;
+    for (const blockNumber of missingBlocks) {
+        try {
+            // The timestamp is only worth fetching once the block could be read
+            const withdrawable = await getWithdrawableAt(address, blockNumber);
+            samples.push({ blockNumber, timestamp: await getBlockTimestamp(blockNumber), withdrawable });
+            added++;
+        } catch (error) {
+            console.warn(`Could not read the withdrawable amount at block ${blockNumber}, skipping older samples:`, error.message);
+            break;
+        }
+    }
+    if (added > 0) {
+        samples.sort((a, b) => a.blockNumber - b.blockNumber);
+        await saveCachedHistory(key, serializeHistory(claims, samples, scannedToBlock));
+    }
+
+    return { claims, samples, scannedToBlock };
+}
+
+// Amounts are cached as decimal strings
+function serializeHistory(claims, samples, scannedToBlock) {
+    return {
+        scannedToBlock,
+        claims: claims.map(claim => ({ ...claim, amount: claim.amount.toString() })),
+        samples: samples.map(sample => ({ ...sample, withdrawable: sample.withdrawable.toString() }))
+    };
+}
+
+/**
+ * Builds the accrued vs claimed time series.
+ * At any block, the total accrued so far is what was claimed up to it plus what was still
+ * withdrawable there. claimWithdrawal pays out the whole withdrawable balance, so at a claim
+ * the total accrued equals the total claimed; samples add the accruals in between. The last
+ * point adds what is withdrawable now.
+ * @param {Object[]} claims - Claims in block order, see getClaimHistory
+ * @param {Object[]} samples - Withdrawable amounts at past blocks, see getClaimHistory
+ * @param {bigint} withdrawable - Current withdrawable amount in wei
+ * @param {number} now - Unix timestamp in seconds for the last point
+ * @returns {Array<{timestamp: number, accrued: bigint, claimed: bigint}>} Series points
+ */
+export function buildRewardsSeries(claims, samples, withdrawable, now) {
+    // A sample reads the end of its block, so it comes after the claims in that block
+    const events = [
+        ...claims.map(claim => ({ blockNumber: claim.blockNumber, order: 0, claim })),
+        ...samples.map(sample => ({ blockNumber: sample.blockNumber, order: 1, sample }))
+    ].sort((a, b) => a.blockNumber - b.blockNumber || a.order - b.order);
+
+    const points = [];
+    let claimed = 0n;
+
+    for (const { claim, sample } of events) {
+        if (claim) {
+            claimed += claim.amount;
+            points.push({ timestamp: claim.timestamp, accrued: claimed, claimed });
+        } else {
+            points.push({ timestamp: sample.timestamp, accrued: claimed + sample.withdrawable, claimed });
+        }
+    }
+
+    points.push({ timestamp: now, accrued: claimed + toBigInt(withdrawable), claimed });
+    return points;
+}
+
+/**
+ * Groups claims by calendar month (UTC) for monthly reconciliation
+ * @param {Object[]} claims - Claims, see getClaimHistory
+ * @returns {Array<{month: string, count: number, amount: bigint}>} Months as 'YYYY-MM', oldest first
+ */
+export function summarizeByMonth(claims) {
+    const months = new Map();
+    for (const claim of claims) {
+        const month = new Date(claim.timestamp * 1000).toISOString().slice(0, 7);
+        if (!months.has(month)) {
+            months.set(month, []);
+        }
+        months.get(month).push(claim.amount);
+    }
+
+    return [...months.keys()].sort().map(month => ({
+        month,
+        count: months.get(month).length,
+        amount: sumAmounts(months.get(month))
+    }));
+}
@@ -0,0 +1,277 @@
+// RPC endpoint pool with timeouts, retries, a circuit breaker and chainId checks
+import { CONFIG } from './config.js';
+
+const CUSTOM_RPC_STORAGE_KEY = 'gnosis-validator-app:custom-rpc-urls';
+// Saved before the network registry; every URL in it was checked against Gnosis Chain
+const LEGACY_CUSTOM_RPC_NETWORK_ID = 'gnosis';
+
+// Per-endpoint health, keyed by URL
+const endpointHealth = new Map();
+
+let requestId = 0;
+
+function getHealth(url) {
+    if (!endpointHealth.has(url)) {
+        endpointHealth.set(url, {
+            failures: 0,
+            openUntil: 0,
+            chainCheck: null, // Promise resolving once the endpoint's chainId was verified
+            wrongChainId: null,
+            lastError: ''
+        });
+    }
+    return endpointHealth.get(url);
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Sends a single JSON-RPC request with a timeout
+ * @param {string} url - RPC endpoint URL
+ * @param {string} method - JSON-RPC method
+ * @param {Array} params - JSON-RPC params
+ * @param {number} timeout - Timeout in milliseconds
+ * @returns {Promise<any>} JSON-RPC result
+ */
+export async function sendRpcRequest(url, method, params, timeout = CONFIG.RPC_TIMEOUT_MS) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+
+    try {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({
+                jsonrpc: '2.0',
+                method,
+                params,
+                id: ++requestId
+            }),
+            signal: controller.signal
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        const json = await response.json();
+        if (json.error) {
+            const error = new Error(json.error.message);
+            error.rpcError = true;
+            throw error;
+        }
+        return json.result;
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            throw new Error(`Request to ${url} timed out after ${timeout}ms`);
+        }
+        throw error;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Checks that an endpoint reports the Gnosis Chain chainId
+ * @param {string} url - RPC endpoint URL
+ * @returns {Promise<void>}
+ * @throws {Error} If the endpoint is on another chain or unreachable
+ */
+export async function verifyChainId(url) {
+    const chainId = await sendRpcRequest(url, 'eth_chainId', []);
+    if (BigInt(chainId) !== BigInt(CONFIG.CHAIN_ID)) {
+        const error = new Error(`Endpoint reports chain ${BigInt(chainId)}, expected ${BigInt(CONFIG.CHAIN_ID)}`);
+        error.wrongChain = true;
+        throw error;
+    }
+}
+
+async function ensureChainVerified(url) {
+    const health = getHealth(url);
+    if (!health.chainCheck) {
+        health.chainCheck = verifyChainId(url).catch(error => {
+            if (error.wrongChain) {
+                health.wrongChainId = error.message;
+            } else {
+                // Unreachable: check again on the next request
+                health.chainCheck = null;
+            }
+            throw error;
+        });
+    }
+    await health.chainCheck;
+}
+
+function recordSuccess(url) {
+    const health = getHealth(url);
+    health.failures = 0;
+    health.openUntil = 0;
+    health.lastError = '';
+}
+
+function recordFailure(url, error) {
+    const health = getHealth(url);
+    health.failures++;
+    health.lastError = error.message;
+    if (health.failures >= CONFIG.RPC_FAILURE_THRESHOLD) {
+        health.openUntil = Date.now() + CONFIG.RPC_COOLDOWN_MS;
+        console.warn(`RPC endpoint ${url} failed ${health.failures} times, skipping it for ${CONFIG.RPC_COOLDOWN_MS}ms`);
+    }
+}
+
+/**
+ * Checks whether an endpoint may be used right now
+ * @param {string} url - RPC endpoint URL
+ * @returns {boolean} False if the endpoint is on the wrong chain or its circuit is open
+ */
+export function isEndpointUsable(url) {
+    const health = getHealth(url);
+    return !health.wrongChainId && Date.now() >= health.openUntil;
+}
+
+/**
+ * Sends a request to one endpoint with chainId verification and retry with exponential backoff
+ * @param {string} url - RPC endpoint URL
+ * @param {string} method - JSON-RPC method
+ * @param {Array} params - JSON-RPC params
+ * @returns {Promise<any>} JSON-RPC result
+ */
+export async function requestEndpoint(url, method, params) {
+    if (!isEndpointUsable(url)) {
+        throw new Error(getHealth(url).wrongChainId || `Endpoint ${url} is temporarily disabled`);
+    }
+
+    let lastError;
+    for (let attempt = 0; attempt <= CONFIG.RPC_RETRIES; attempt++) {
+        if (attempt > 0) {
+            await sleep(CONFIG.RPC_BACKOFF_MS * 2 ** (attempt - 1));
+        }
+
+        try {
+            await ensureChainVerified(url);
+            const result = await sendRpcRequest(url, method, params);
+            recordSuccess(url);
+            return result;
+        } catch (error) {
+            lastError = error;
+            // Wrong chain and JSON-RPC errors (e.g. a revert) will not change on retry
+            if (error.wrongChain || error.rpcError) {
+                break;
+            }
+        }
+    }
+
+    if (!lastError.rpcError) {
+        recordFailure(url, lastError);
+    }
+    throw lastError;
+}
+
+// Custom endpoints only serve the chain they were checked against, so each network keeps its own list
+function getCustomRpcStorageKey() {
+    return `${CUSTOM_RPC_STORAGE_KEY}:${CONFIG.NETWORK_ID}`;
+}
+
+/**
+ * Gets the user's custom RPC URLs for the selected network from localStorage
+ * @returns {string[]} Custom RPC URLs
+ */
+export function getCustomRpcUrls() {
+    try {
+        let raw = localStorage.getItem(getCustomRpcStorageKey());
+        if (raw === null && CONFIG.NETWORK_ID === LEGACY_CUSTOM_RPC_NETWORK_ID) {
+            raw = localStorage.getItem(CUSTOM_RPC_STORAGE_KEY);
+        }
+        const stored = JSON.parse(raw || '[]');
+        return Array.isArray(stored) ? stored.filter(url => typeof url === 'string') : [];
+    } catch (error) {
+        console.warn('Failed to read custom RPC URLs:', error);
+        return [];
+    }
+}
+
+function saveCustomRpcUrls(urls) {
+    localStorage.setItem(getCustomRpcStorageKey(), JSON.stringify(urls));
+}
+
+/**
+ * Adds a custom RPC URL after checking that it serves the selected network
+ * @param {string} url - RPC endpoint URL
+ * @returns {Promise<string[]>} Updated custom RPC URLs
+ */
+export async function addCustomRpcUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        throw new Error('Please enter a valid RPC URL');
+    }
+    if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+        throw new Error('RPC URL must use http or https');
+    }
+
+    const normalized = parsed.toString();
+    await verifyChainId(normalized);
+
+    // A previously rejected or disabled endpoint gets a fresh start
+    endpointHealth.delete(normalized);
+
+    const urls = [normalized, ...getCustomRpcUrls().filter(existing => existing !== normalized)];
+    saveCustomRpcUrls(urls);
+    return urls;
+}
+
+/**
+ * Removes a custom RPC URL
+ * @param {string} url - RPC endpoint URL
+ * @returns {string[]} Updated custom RPC URLs
+ */
+export function removeCustomRpcUrl(url) {
+    const urls = getCustomRpcUrls().filter(existing => existing !== url);
+    saveCustomRpcUrls(urls);
+    return urls;
+}
+
+/**
+ * Gets all RPC endpoints in the order they are tried: custom URLs first, then CONFIG.RPC_URLS
+ * @returns {string[]} RPC URLs
+ */
+export function getRpcEndpoints() {
+    return [...new Set([...getCustomRpcUrls(), ...CONFIG.RPC_URLS])];
+}
+
+/**
+ * Gets a health summary for every endpoint, for the settings panel
+ * @returns {Array<{url: string, custom: boolean, status: string, lastError: string}>} Endpoint statuses
+ */
+export function getEndpointStatuses() {
+    const custom = getCustomRpcUrls();
+    return getRpcEndpoints().map(url => {
+        const health = getHealth(url);
+        let status = 'ok';
+        if (health.wrongChainId) {
+            status = 'wrong-chain';
+        } else if (Date.now() < health.openUntil) {
+            status = 'disabled';
+        } else if (health.failures > 0) {
+            status = 'degraded';
+        }
+        return {
+            url,
+            custom: custom.includes(url),
+            status,
+            lastError: health.wrongChainId || health.lastError
+        };
+    });
+}
+
+/**
+ * Clears all recorded endpoint health (mainly for tests)
+ */
+export function resetEndpointHealth() {
+    endpointHealth.clear();
+}
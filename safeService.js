@@ -139,13 +139,25 @@ export async function getSafeChainId() {
  * @returns {Promise<string>} Transaction hash
  */
 export async function sendSafeTransaction(transaction) {
+    return await sendSafeTransactions([transaction]);
+}
+
+/**
+ * Proposes several transactions as one multi-send Safe transaction
+ * @param {Object[]} transactions - Transaction objects with 'to', 'value' and 'data'
+ * @returns {Promise<string>} Safe transaction hash
+ */
+export async function sendSafeTransactions(transactions) {
     if (!safeAppsSDK) {
         throw new Error('Safe App not initialized');
     }
+    if (transactions.length === 0) {
+        throw new Error('No transactions to send');
+    }
     
     try {
         const result = await safeAppsSDK.txs.send({
-            txs: [transaction]
+            txs: transactions
         });
         return result.safeTxHash;
     } catch (error) {
@@ -154,12 +166,26 @@ export async function sendSafeTransaction(transaction) {
     }
 }
 
+/**
+ * Gets the details of a Safe transaction from the Safe Transaction Service
+ * @param {string} safeTxHash - Safe transaction hash returned by sendSafeTransaction
+ * @returns {Promise<Object>} Transaction details, including `txStatus` and `txHash` once executed
+ */
+export async function getSafeTransaction(safeTxHash) {
+    if (!safeAppsSDK) {
+        throw new Error('Safe App not initialized');
+    }
+    
+    return await safeAppsSDK.txs.getBySafeTxHash(safeTxHash);
+}
+
 /**
  * Makes a read-only call using the Safe Apps SDK
  * @param {Object} callData - Call data object with 'to' and 'data' properties
+ * @param {string} [blockTag='latest'] - Block to read at
  * @returns {Promise<string>} Call result
  */
-export async function callContractViaSafe(callData) {
+export async function callContractViaSafe(callData, blockTag = 'latest') {
     if (!safeAppsSDK) {
         throw new Error('Safe App not initialized');
     }
@@ -172,7 +198,7 @@ export async function callContractViaSafe(callData) {
             data: callData.data
         };
         
-        const result = await safeAppsSDK.eth.call([config]);
+        const result = await safeAppsSDK.eth.call([config, blockTag]);
         
         // The result should be a hex string
         if (result && result !== '0x') {
@@ -0,0 +1,85 @@
+// Central store: immutable state that only changes through dispatched actions
+//
+// Async flows tag their results with a request from beginRequest(key). Starting a newer
+// request with the same key (or cancelling the key) makes the older results stale, and
+// dispatching a stale result is a no-op, so slow answers cannot overwrite newer ones.
+
+/**
+ * Creates a store
+ * @param {Function} reducer - (state, action) => next state; must return a new object for changes and the same state otherwise
+ * @param {Object} initialState - Initial state
+ * @returns {{getState: Function, dispatch: Function, subscribe: Function, beginRequest: Function, cancelRequest: Function, isCurrentRequest: Function}} Store
+ */
+export function createStore(reducer, initialState) {
+    let state = Object.freeze({ ...initialState });
+    const listeners = new Set();
+    const latestRequests = new Map(); // Request key → id of the newest request
+    let nextRequestId = 1;
+
+    /**
+     * Tells whether a request is still the newest one for its key
+     * @param {{key: string, id: number}} request - Request from beginRequest
+     * @returns {boolean} False once a newer request started or the key was cancelled
+     */
+    function isCurrentRequest(request) {
+        return latestRequests.get(request.key) === request.id;
+    }
+
+    return {
+        /**
+         * @returns {Object} Current state (frozen; never mutate it)
+         */
+        getState() {
+            return state;
+        },
+
+        /**
+         * Applies an action and notifies subscribers if the state changed
+         * @param {{type: string}} action - Action from an action creator
+         * @param {{key: string, id: number}} [request] - Request the action is a result of; stale results are dropped
+         * @returns {boolean} False if the action was dropped as stale
+         */
+        dispatch(action, request) {
+            if (request && !isCurrentRequest(request)) {
+                return false;
+            }
+            const next = reducer(state, action);
+            if (next !== state) {
+                state = Object.freeze(next);
+                listeners.forEach(listener => listener(state, action));
+            }
+            return true;
+        },
+
+        /**
+         * Calls a listener after every state change
+         * @param {Function} listener - Called with (state, action)
+         * @returns {Function} Unsubscribes the listener
+         */
+        subscribe(listener) {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        },
+
+        /**
+         * Starts a request, making earlier requests with the same key stale
+         * @param {string} key - What the request loads, e.g. 'lookup'
+         * @returns {{key: string, id: number}} Request to pass to dispatch
+         */
+        beginRequest(key) {
+            const request = { key, id: nextRequestId++ };
+            latestRequests.set(key, request.id);
+            return request;
+        },
+
+        /**
+         * Makes every pending request with these keys stale
+         * @param {...string} keys - Request keys
+         */
+        cancelRequest(...keys) {
+            keys.forEach(key => latestRequests.delete(key));
+        },
+
+        isCurrentRequest
+    };
+}
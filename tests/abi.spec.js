@@ -0,0 +1,155 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+// Selectors previously hard-coded in config.js, kept as known-good reference values
+const KNOWN_SELECTORS = {
+  'withdrawableAmount(address)': '0xbe7ab51b',
+  'balanceOf(address)': '0x70a08231',
+  'claimWithdrawal(address)': '0xa3066aab',
+  'transfer(address,uint256)': '0xa9059cbb'
+};
+
+test.describe('ABI Encoding', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+  });
+
+  test('should compute keccak256 hashes', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { keccak256 } = await import('/keccak.js');
+      return {
+        empty: keccak256(''),
+        // Longer than one 136-byte block
+        long: keccak256('a'.repeat(300)).length
+      };
+    });
+
+    expect(result.empty).toBe('0xc5d2460186f7233c927e7db2dcc703c0e500b653ca82273b7bfad8045d85a470');
+    expect(result.long).toBe(66);
+  });
+
+  test('should compute known function selectors', async ({ page }) => {
+    const selectors = await page.evaluate(async (signatures) => {
+      const { functionSelector } = await import('/abi.js');
+      return signatures.map(signature => functionSelector(signature));
+    }, Object.keys(KNOWN_SELECTORS));
+
+    expect(selectors).toEqual(Object.values(KNOWN_SELECTORS));
+  });
+
+  test('should ignore parameter names and modifiers in signatures', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { functionSelector, parseSignature } = await import('/abi.js');
+      const { CONTRACT_FUNCTIONS } = await import('/config.js');
+      return {
+        withdrawable: functionSelector(CONTRACT_FUNCTIONS.withdrawableAmount),
+        balance: functionSelector(CONTRACT_FUNCTIONS.balanceOf),
+        claim: functionSelector(CONTRACT_FUNCTIONS.claimWithdrawal),
+        canonical: parseSignature('function f((address to, bytes data)[] calls, uint value) returns (bool)').canonical
+      };
+    });
+
+    expect(result.withdrawable).toBe(KNOWN_SELECTORS['withdrawableAmount(address)']);
+    expect(result.balance).toBe(KNOWN_SELECTORS['balanceOf(address)']);
+    expect(result.claim).toBe(KNOWN_SELECTORS['claimWithdrawal(address)']);
+    expect(result.canonical).toBe('f((address,bytes)[],uint256)');
+  });
+
+  test('should encode a function call with an address argument', async ({ page }) => {
+    const data = await page.evaluate(async () => {
+      const { encodeFunctionCall } = await import('/abi.js');
+      return encodeFunctionCall('claimWithdrawal(address)', ['0x1234567890123456789012345678901234567890']);
+    });
+
+    expect(data).toBe('0xa3066aab0000000000000000000000001234567890123456789012345678901234567890');
+  });
+
+  test('should encode dynamic values with offsets', async ({ page }) => {
+    const data = await page.evaluate(async () => {
+      const { encodeParameters } = await import('/abi.js');
+      return encodeParameters(['uint256', 'string'], [1n, 'Hello, world!']);
+    });
+
+    expect(data).toBe(
+      '0x' +
+      '0000000000000000000000000000000000000000000000000000000000000001' +
+      '0000000000000000000000000000000000000000000000000000000000000040' +
+      '000000000000000000000000000000000000000000000000000000000000000d' +
+      '48656c6c6f2c20776f726c642100000000000000000000000000000000000000'
+    );
+  });
+
+  test('should round-trip uint256, address, bool, bytes, arrays and tuples', async ({ page }) => {
+    const decoded = await page.evaluate(async () => {
+      const { encodeParameters, decodeParameters } = await import('/abi.js');
+      const types = ['uint256', 'address', 'bool', 'bytes', 'int8', 'uint256[]', '(address target, bytes data)[]', 'bytes4'];
+      const values = [
+        2n ** 255n,
+        '0x9c58bacc331c9aa871afd802db6379a98e80cedb',
+        true,
+        '0xdeadbeef',
+        -3n,
+        [1n, 2n, 3n],
+        [['0x0000000000000000000000000000000000000001', '0x'], ['0x0000000000000000000000000000000000000002', '0x1234']],
+        '0xa3066aab'
+      ];
+      const result = decodeParameters(types, encodeParameters(types, values));
+      return JSON.stringify(result, (key, value) => (typeof value === 'bigint' ? value.toString() : value));
+    });
+
+    expect(JSON.parse(decoded)).toEqual([
+      (2n ** 255n).toString(),
+      '0x9c58bacc331c9aa871afd802db6379a98e80cedb',
+      true,
+      '0xdeadbeef',
+      '-3',
+      ['1', '2', '3'],
+      [['0x0000000000000000000000000000000000000001', '0x'], ['0x0000000000000000000000000000000000000002', '0x1234']],
+      '0xa3066aab'
+    ]);
+  });
+
+  test('should decode function results and reject bad input', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { decodeFunctionResult, encodeParameters } = await import('/abi.js');
+      const errors = [];
+      for (const action of [
+        () => encodeParameters(['uint8'], [256]),
+        () => encodeParameters(['address'], ['0x1234']),
+        () => decodeFunctionResult('balanceOf(address) returns (uint256)', '0x01')
+      ]) {
+        try {
+          action();
+        } catch (error) {
+          errors.push(error.message);
+        }
+      }
+      const [balance] = decodeFunctionResult(
+        'balanceOf(address) returns (uint256)',
+        '0x0000000000000000000000000000000000000000000000008e3f50b173c10000'
+      );
+      return { balance: balance.toString(), errors: errors.length };
+    });
+
+    expect(result.balance).toBe('10250000000000000000');
+    expect(result.errors).toBe(3);
+  });
+
+  test('should compute event topics and decode logs', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { eventTopic, decodeEventLog } = await import('/abi.js');
+      const { CONTRACT_EVENTS } = await import('/config.js');
+      const topic = eventTopic(CONTRACT_EVENTS.transfer);
+      const [from, to, value] = decodeEventLog(CONTRACT_EVENTS.transfer, {
+        topics: [topic, '0x' + '0'.repeat(24) + 'ab'.repeat(20), '0x' + '0'.repeat(24) + 'cd'.repeat(20)],
+        data: '0x0000000000000000000000000000000000000000000000000de0b6b3a7640000'
+      });
+      return { topic, from, to, value: value.toString() };
+    });
+
+    expect(result.topic).toBe('0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef');
+    expect(result.from).toBe('0x' + 'ab'.repeat(20));
+    expect(result.to).toBe('0x' + 'cd'.repeat(20));
+    expect(result.value).toBe('1000000000000000000');
+  });
+});
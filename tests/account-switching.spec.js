@@ -0,0 +1,130 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+const ACCOUNT_A = '0x1111111111111111111111111111111111111111';
+const ACCOUNT_B = '0x2222222222222222222222222222222222222222';
+
+// A wallet with two accounts whose chain, permissions and events the test controls
+async function mockWallet(page, { canRevoke = true } = {}) {
+  await page.addInitScript(({ accounts, canRevoke }) => {
+    const listeners = {};
+    const wallet = {
+      chainId: '0x64',
+      permitted: true,
+      calls: [],
+      emit: (event, value) => (listeners[event] || []).forEach(listener => listener(value))
+    };
+    window.__wallet = wallet;
+    window.ethereum = {
+      request: async ({ method, params }) => {
+        wallet.calls.push({ method, params });
+        if (method === 'eth_accounts') return wallet.permitted ? accounts : [];
+        if (method === 'eth_requestAccounts') {
+          wallet.permitted = true;
+          return accounts;
+        }
+        if (method === 'eth_chainId') return wallet.chainId;
+        if (method === 'wallet_switchEthereumChain') {
+          wallet.chainId = params[0].chainId;
+          wallet.emit('chainChanged', wallet.chainId);
+          return null;
+        }
+        if (method === 'wallet_revokePermissions') {
+          if (!canRevoke) throw Object.assign(new Error('Method not supported'), { code: -32601 });
+          wallet.permitted = false;
+          return null;
+        }
+        if (method === 'eth_call') return '0x' + (10n ** 18n).toString(16).padStart(64, '0');
+        return null;
+      },
+      on: (event, listener) => { (listeners[event] = listeners[event] || []).push(listener); },
+      removeListener: (event, listener) => { listeners[event] = (listeners[event] || []).filter(l => l !== listener); }
+    };
+  }, { accounts: [ACCOUNT_A, ACCOUNT_B], canRevoke });
+}
+
+const walletMethods = (page) => page.evaluate(() => window.__wallet.calls.map(call => call.method));
+
+test.describe('Account Switching and Disconnect', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.route(url => url.hostname !== 'localhost', route => route.abort());
+  });
+
+  test('should list every account and switch between them', async ({ page }) => {
+    await mockWallet(page);
+    await page.goto('/');
+    await page.click('#connect-button');
+    await expect(page.locator('.address').first()).toHaveText(ACCOUNT_A);
+
+    const options = page.locator('#account-select option');
+    await expect(options).toHaveCount(2);
+    await page.selectOption('#account-select', ACCOUNT_B);
+
+    await expect(page.locator('.address').first()).toHaveText(ACCOUNT_B);
+    await expect(page.locator('[data-component="rewards"] .balance')).toHaveText('1.000000 GNO');
+  });
+
+  test('should follow account switches made in the wallet', async ({ page }) => {
+    await mockWallet(page);
+    await page.goto('/');
+    await page.click('#connect-button');
+    await expect(page.locator('.address').first()).toHaveText(ACCOUNT_A);
+
+    await page.evaluate((account) => window.__wallet.emit('accountsChanged', [account]), ACCOUNT_B);
+
+    await expect(page.locator('.address').first()).toHaveText(ACCOUNT_B);
+    await expect(page.locator('#account-select')).toHaveCount(0);
+  });
+
+  test('should update in place when the wallet changes chain', async ({ page }) => {
+    await mockWallet(page);
+    await page.goto('/');
+    await page.click('#connect-button');
+    await expect(page.locator('#claim-button')).toBeEnabled();
+    await page.evaluate(() => { window.__notReloaded = true; });
+
+    await page.evaluate(() => {
+      window.__wallet.chainId = '0x1';
+      window.__wallet.emit('chainChanged', '0x1');
+    });
+
+    await expect(page.locator('.network-status')).toContainText('Chain 1 instead of Gnosis Chain');
+    await expect(page.locator('#claim-button')).toBeDisabled();
+    expect(await page.evaluate(() => window.__notReloaded)).toBe(true);
+
+    await page.click('#switch-network-button');
+
+    await expect(page.locator('.network-status')).toContainText('✅ Gnosis Chain');
+    await expect(page.locator('#claim-button')).toBeEnabled();
+    expect(await page.evaluate(() => window.__notReloaded)).toBe(true);
+  });
+
+  test('should revoke permissions on disconnect', async ({ page }) => {
+    await mockWallet(page);
+    await page.goto('/');
+    await page.click('#connect-button');
+    await expect(page.locator('#disconnect-button')).toBeVisible();
+
+    await page.click('#disconnect-button');
+
+    await expect(page.locator('#connect-button')).toBeVisible();
+    await expect(page.locator('.address')).toHaveCount(0);
+    expect(await walletMethods(page)).toContain('wallet_revokePermissions');
+  });
+
+  test('should stay disconnected after a reload when the wallet cannot revoke', async ({ page }) => {
+    await mockWallet(page, { canRevoke: false });
+    await page.goto('/');
+    await page.click('#connect-button');
+    await page.click('#disconnect-button');
+    await expect(page.locator('#connect-button')).toBeVisible();
+
+    await page.reload();
+    await expect(page.locator('#connect-button')).toBeVisible();
+    await page.evaluate((account) => window.__wallet.emit('accountsChanged', [account]), ACCOUNT_B);
+    await expect(page.locator('.address')).toHaveCount(0);
+
+    await page.click('#connect-button');
+    await expect(page.locator('.address').first()).toHaveText(ACCOUNT_A);
+  });
+});
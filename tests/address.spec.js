@@ -0,0 +1,98 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+// Checksummed examples from EIP-55
+const CHECKSUMMED = [
+  '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed',
+  '0xfB6916095ca1df60bB79Ce92cE3Ea74c37c5d359',
+  '0xdbF03B407c01E7cD3CBea99509d93f8DDDC8C6FB',
+  '0xD1220A0cf47c7B9Be7A2E6BA89F429762e7b9aDb'
+];
+// First example with the case of its last letter flipped
+const BAD_CHECKSUM = '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAeD';
+
+test.describe('Address Checksums', () => {
+  test('should checksum addresses as in EIP-55', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async (addresses) => {
+      const { toChecksumAddress, isValidAddress } = await import('/utils.js');
+      return {
+        checksummed: addresses.map(address => toChecksumAddress(address.toLowerCase())),
+        valid: addresses.map(address => isValidAddress(address)),
+        lowercase: isValidAddress(addresses[0].toLowerCase()),
+        uppercase: isValidAddress('0x' + addresses[0].slice(2).toUpperCase())
+      };
+    }, CHECKSUMMED);
+
+    expect(result.checksummed).toEqual(CHECKSUMMED);
+    expect(result.valid).toEqual([true, true, true, true]);
+    expect(result.lowercase).toBe(true);
+    expect(result.uppercase).toBe(true);
+  });
+
+  test('should reject a mixed-case address with a bad checksum', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async (address) => {
+      const { isValidAddress, getAddressError, encodeAddress } = await import('/utils.js');
+      const { encodeFunctionCall } = await import('/abi.js');
+      const { CONTRACT_FUNCTIONS } = await import('/config.js');
+      const errorOf = fn => { try { fn(); return ''; } catch (error) { return error.message; } };
+      return {
+        valid: isValidAddress(address),
+        message: getAddressError(address),
+        encodeAddress: errorOf(() => encodeAddress(address)),
+        abi: errorOf(() => encodeFunctionCall(CONTRACT_FUNCTIONS.claimWithdrawal, [address]))
+      };
+    }, BAD_CHECKSUM);
+
+    expect(result.valid).toBe(false);
+    expect(result.message).toBe(`Address checksum does not match for ${BAD_CHECKSUM}. Check the address for typos.`);
+    expect(result.encodeAddress).toBe(result.message);
+    expect(result.abi).toBe(`Invalid address checksum: ${BAD_CHECKSUM}`);
+  });
+
+  test('should explain a bad checksum in the address lookup', async ({ page }) => {
+    await page.route(url => url.hostname !== 'localhost', route => route.abort());
+    await page.goto('/?demo=1');
+
+    await page.fill('#address-input', BAD_CHECKSUM);
+    await page.click('#lookup-button');
+
+    await expect(page.locator('.error')).toContainText('Address checksum does not match');
+    await expect(page.locator('text=0.500000 GNO')).toHaveCount(0);
+  });
+
+  test('should show looked-up and watched addresses checksummed', async ({ page }) => {
+    await page.route(url => url.hostname !== 'localhost', route => route.abort());
+    await page.goto('/?demo=1');
+
+    await page.fill('#address-input', CHECKSUMMED[1].toLowerCase());
+    await page.click('#lookup-button');
+    await expect(page.locator(`text=Address: ${CHECKSUMMED[1]}`)).toBeVisible();
+
+    await page.fill('#watch-address-input', CHECKSUMMED[2].toLowerCase());
+    await page.click('#watch-add-button');
+    await expect(page.locator('.watchlist-row .address')).toHaveText(CHECKSUMMED[2]);
+  });
+
+  test('should show the connected account checksummed', async ({ page }) => {
+    await page.route(url => url.hostname !== 'localhost', route => route.abort());
+    await page.addInitScript((account) => {
+      window.ethereum = {
+        request: async ({ method }) => {
+          if (method === 'eth_requestAccounts' || method === 'eth_accounts') return [account];
+          if (method === 'eth_chainId') return '0x64';
+          if (method === 'eth_call') return '0x' + '0'.repeat(64);
+          return null;
+        },
+        on: () => {},
+        removeListener: () => {}
+      };
+    }, CHECKSUMMED[3].toLowerCase());
+    await page.goto('/');
+
+    await expect(page.locator('.address').first()).toHaveText(CHECKSUMMED[3]);
+  });
+});
@@ -0,0 +1,112 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+test.describe('Exact Amount Handling', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+  });
+
+  test('should keep full precision above 2^53 wei', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const amount = await import('/amount.js');
+      // 9007.199254740993000001 GNO does not fit in a double
+      const wei = amount.parseUnits('9007.199254740993000001');
+      return {
+        wei: wei.toString(),
+        exact: amount.formatUnits(wei),
+        hex: amount.formatUnits('0x' + wei.toString(16))
+      };
+    });
+
+    expect(result.wei).toBe('9007199254740993000001');
+    expect(result.exact).toBe('9007.199254740993000001');
+    expect(result.hex).toBe('9007.199254740993000001');
+  });
+
+  test('should format with fixed decimals like the balance cards', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const amount = await import('/amount.js');
+      return {
+        half: amount.formatUnits('0x6f05b59d3b20000', 18, 6),
+        balance: amount.formatUnits('0x8e3f50b173c10000', 18, 6),
+        roundsUp: amount.formatUnits(999999500000000000n, 18, 6),
+        empty: amount.formatUnits('0x', 18, 6),
+        sixDecimals: amount.formatUnits(1500000n, 6)
+      };
+    });
+
+    expect(result.half).toBe('0.500000');
+    expect(result.balance).toBe('10.250000');
+    expect(result.roundsUp).toBe('1.000000');
+    expect(result.empty).toBe('0.000000');
+    expect(result.sixDecimals).toBe('1.5');
+  });
+
+  test('should format amounts for the given locale', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const amount = await import('/amount.js');
+      const wei = amount.parseUnits('1234567.25');
+      return {
+        en: amount.formatAmount(wei, { locale: 'en-US' }),
+        de: amount.formatAmount(wei, { locale: 'de-DE' }),
+        short: amount.formatAmount(wei, { locale: 'en-US', fractionDigits: 2 })
+      };
+    });
+
+    expect(result.en).toBe('1,234,567.250000');
+    expect(result.de).toBe('1.234.567,250000');
+    expect(result.short).toBe('1,234,567.25');
+  });
+
+  test('should compare and sum amounts exactly', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const amount = await import('/amount.js');
+      const big = '0x' + (2n ** 60n).toString(16);
+      return {
+        greater: amount.compareAmounts(big, 2n ** 60n - 1n),
+        equal: amount.compareAmounts('0x10', 16),
+        sum: amount.sumAmounts([big, 1n, '2']).toString(),
+        positive: amount.isPositiveAmount('0x1'),
+        zero: amount.isPositiveAmount('0x0')
+      };
+    });
+
+    expect(result.greater).toBe(1);
+    expect(result.equal).toBe(0);
+    expect(result.sum).toBe((2n ** 60n + 3n).toString());
+    expect(result.positive).toBe(true);
+    expect(result.zero).toBe(false);
+  });
+
+  test('should reject malformed amounts', async ({ page }) => {
+    const errors = await page.evaluate(async () => {
+      const amount = await import('/amount.js');
+      const messages = [];
+      for (const input of ['abc', '1.2.3', '0.0000000000000000001']) {
+        try {
+          amount.parseUnits(input);
+        } catch (error) {
+          messages.push(error.message);
+        }
+      }
+      return messages;
+    });
+
+    expect(errors).toHaveLength(3);
+  });
+
+  test('formatEther should return exact values from utils', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const utils = await import('/utils.js');
+      return {
+        half: utils.formatEther('0x6f05b59d3b20000'),
+        large: utils.formatEther('0x' + (10n ** 24n + 1n).toString(16)),
+        invalid: utils.formatEther('not-a-number')
+      };
+    });
+
+    expect(result.half).toBe('0.500000');
+    expect(result.large).toBe('1000000.000000');
+    expect(result.invalid).toBe('0.000000');
+  });
+});
@@ -81,8 +81,10 @@ test.describe('Gnosis Validator Safe App', () => {
     await expect(lookupButton).toHaveText('Check Address');
   });
 
-  test('should display address lookup results with mock data', async ({ page }) => {
-    await page.goto('/');
+  test('should display address lookup results with demo data', async ({ page }) => {
+    // Sample data is only served in explicit demo mode
+    await page.goto('/?demo=1');
+    await expect(page.locator('.demo-banner')).toBeVisible();
 
     const addressInput = page.locator('#address-input');
     const lookupButton = page.locator('#lookup-button');
@@ -101,6 +103,21 @@ test.describe('Gnosis Validator Safe App', () => {
     
     // Check that validator count section is displayed (even if 0 due to API limitations in test)
     await expect(page.locator('text=Validators Staked')).toBeVisible();
+    await expect(page.locator('.data-source')).toHaveText('Data source: Demo data');
+  });
+
+  test('should show an error state instead of mock data when no provider answers', async ({ page }) => {
+    await page.route(url => url.hostname !== 'localhost', route => route.abort());
+    await page.goto('/');
+
+    await expect(page.locator('.demo-banner')).toHaveCount(0);
+
+    await page.locator('#address-input').fill('0x1234567890123456789012345678901234567890');
+    await page.locator('#lookup-button').click();
+
+    await expect(page.locator('.error')).toContainText('Failed to fetch data for address');
+    await expect(page.locator('text=0.500000 GNO')).toHaveCount(0);
+    await expect(page.locator('text=Unavailable').first()).toBeVisible();
   });
 
   test('should be responsive and mobile-friendly', async ({ page }) => {
@@ -0,0 +1,145 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+const SAFE_ADDRESS = '0x1111111111111111111111111111111111111111';
+const WITH_REWARDS = ['0x' + 'aa'.repeat(20), '0x' + 'cc'.repeat(20)];
+const WITHOUT_REWARDS = '0x' + 'bb'.repeat(20);
+
+/**
+ * Loads the app as a Safe App. The mocked Safe answers withdrawableAmount with 1 GNO for
+ * WITH_REWARDS addresses and 0 otherwise, and records proposed transactions in window.__sentTxs.
+ */
+async function openAsSafeApp(page) {
+  await page.route(url => url.hostname !== 'localhost', route => route.abort());
+  await page.addInitScript(({ safeAddress, withRewards }) => {
+    window.__sentTxs = [];
+    window.SafeAppsSDK = class {
+      get safe() {
+        return { getInfo: async () => ({ safeAddress, chainId: 100 }) };
+      }
+      get txs() {
+        return {
+          send: async ({ txs }) => {
+            window.__sentTxs.push(txs);
+            return { safeTxHash: '0x' + 'cd'.repeat(32) };
+          },
+          getBySafeTxHash: async () => ({ txStatus: 'AWAITING_CONFIRMATIONS' })
+        };
+      }
+      get eth() {
+        return {
+          call: async ([{ data }]) => {
+            // No Multicall3 here: reads fall back to individual calls
+            if (data.startsWith('0x82ad56cb')) return '0x';
+            const owner = '0x' + data.slice(-40);
+            const amount = withRewards.includes(owner) ? 10n ** 18n : 0n;
+            return '0x' + amount.toString(16).padStart(64, '0');
+          }
+        };
+      }
+    };
+    Object.defineProperty(window, 'top', {
+      get: () => { throw new Error('Cross-origin access denied'); }
+    });
+  }, { safeAddress: SAFE_ADDRESS, withRewards: WITH_REWARDS });
+  await page.goto('/');
+}
+
+test.describe('Batch Claim', () => {
+  test('should parse and deduplicate an address list', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async () => {
+      const { parseAddressList } = await import('/utils.js');
+      return parseAddressList(`0x${'aa'.repeat(20)}, 0x${'AA'.repeat(20)}\n0x123 0x${'bb'.repeat(20)}`);
+    });
+
+    expect(result.addresses).toEqual(['0x' + 'aa'.repeat(20), '0x' + 'bb'.repeat(20)]);
+    expect(result.invalid).toEqual(['0x123']);
+  });
+
+  test('should propose one Safe transaction claiming for every address with rewards', async ({ page }) => {
+    await openAsSafeApp(page);
+
+    await expect(page.locator('.batch-card')).toBeVisible({ timeout: 15000 });
+    await page.fill('#batch-addresses-input', [...WITH_REWARDS, WITHOUT_REWARDS].join('\n'));
+    await page.click('#batch-check-button');
+
+    await expect(page.locator('.batch-row')).toHaveCount(3);
+    await expect(page.locator('.batch-row').first()).toContainText('1.000000 GNO');
+    await expect(page.locator('#batch-claim-button')).toHaveText('Claim for 2 Addresses');
+
+    await page.click('#batch-claim-button');
+    await expect(page.locator('.success')).toContainText('Batch claim for 2 addresses submitted');
+
+    const sent = await page.evaluate(() => window.__sentTxs);
+    expect(sent).toHaveLength(1);
+    expect(sent[0]).toHaveLength(2);
+    expect(sent[0].map(tx => tx.data)).toEqual(
+      WITH_REWARDS.map(address => '0xa3066aab' + address.slice(2).padStart(64, '0'))
+    );
+    expect(sent[0][0].to).toBe('0x0b98057ea310f4d31f2a452b414647007d1645d9');
+    await expect(page.locator('.tx-card')).toBeVisible();
+  });
+
+  test('should reject invalid addresses in the list', async ({ page }) => {
+    await openAsSafeApp(page);
+
+    await expect(page.locator('.batch-card')).toBeVisible({ timeout: 15000 });
+    await page.fill('#batch-addresses-input', `${WITH_REWARDS[0]}\nnot-an-address`);
+    await page.click('#batch-check-button');
+
+    await expect(page.locator('.batch-error')).toHaveText('Invalid address: not-an-address');
+    await expect(page.locator('#batch-claim-button')).toHaveCount(0);
+  });
+
+  test('should claim for several addresses with one claimWithdrawals call from a wallet', async ({ page }) => {
+    await page.route(url => url.hostname !== 'localhost', route => route.abort());
+    await page.addInitScript(({ withRewards }) => {
+      window.__sentTxs = [];
+      window.ethereum = {
+        request: async ({ method, params }) => {
+          if (method === 'eth_chainId') return '0x64';
+          if (method === 'eth_requestAccounts' || method === 'eth_accounts') {
+            return ['0x1234567890123456789012345678901234567890'];
+          }
+          if (method === 'eth_call') {
+            const { data } = params[0];
+            if (data.startsWith('0x82ad56cb')) return '0x';
+            const owner = '0x' + data.slice(-40);
+            const amount = withRewards.includes(owner) ? 10n ** 18n : 0n;
+            return '0x' + amount.toString(16).padStart(64, '0');
+          }
+          if (method === 'eth_sendTransaction') {
+            window.__sentTxs.push(params[0]);
+            return '0x' + 'ab'.repeat(32);
+          }
+          return null;
+        },
+        on: () => {},
+        removeListener: () => {}
+      };
+    }, { withRewards: WITH_REWARDS });
+    await page.goto('/');
+    await page.click('#connect-button');
+
+    await expect(page.locator('.batch-card')).toContainText('with one signature');
+    await page.fill('#batch-addresses-input', [WITHOUT_REWARDS, ...WITH_REWARDS].join('\n'));
+    await page.click('#batch-check-button');
+    await expect(page.locator('#batch-claim-button')).toHaveText('Claim for 2 Addresses');
+    await page.click('#batch-claim-button');
+
+    await expect(page.locator('.success')).toContainText('Batch claim for 2 addresses submitted');
+    const sent = await page.evaluate(() => window.__sentTxs);
+    expect(sent).toHaveLength(1);
+    expect(sent[0].from).toBe('0x1234567890123456789012345678901234567890');
+    expect(sent[0].to).toBe('0x0b98057ea310f4d31f2a452b414647007d1645d9');
+    // claimWithdrawals(address[]) with the two addresses that have rewards
+    expect(sent[0].data).toBe(
+      '0xbb30b8fd' +
+      '20'.padStart(64, '0') +
+      '2'.padStart(64, '0') +
+      WITH_REWARDS.map(address => address.slice(2).padStart(64, '0')).join('')
+    );
+  });
+});
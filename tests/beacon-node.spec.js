@@ -0,0 +1,175 @@
+// @ts-check
+const http = require('http');
+const { test, expect } = require('@playwright/test');
+
+const ACCOUNT = '0x1234567890123456789012345678901234567890';
+const OTHER = '0x' + 'ee'.repeat(20);
+
+// Head state validators in the standard Beacon Node API format
+const VALIDATORS = [
+  {
+    index: '5',
+    balance: '32050000000',
+    status: 'active_ongoing',
+    validator: {
+      pubkey: '0x' + 'a1'.repeat(48),
+      withdrawal_credentials: '0x01' + '00'.repeat(11) + ACCOUNT.slice(2),
+      effective_balance: '32000000000',
+      activation_epoch: '1200'
+    }
+  },
+  {
+    index: '9',
+    balance: '0',
+    status: 'pending_queued',
+    validator: {
+      pubkey: '0x' + 'b2'.repeat(48),
+      withdrawal_credentials: '0x02' + '00'.repeat(11) + ACCOUNT.slice(2).toUpperCase(),
+      effective_balance: '32000000000',
+      activation_epoch: '18446744073709551615'
+    }
+  },
+  {
+    index: '11',
+    balance: '32000000000',
+    status: 'active_ongoing',
+    validator: {
+      pubkey: '0x' + 'c3'.repeat(48),
+      withdrawal_credentials: '0x01' + '00'.repeat(11) + OTHER.slice(2),
+      effective_balance: '32000000000',
+      activation_epoch: '800'
+    }
+  }
+];
+
+let server;
+let beaconNodeUrl;
+let requestedPaths = [];
+
+test.describe('Beacon Node Validator Source', () => {
+  // A local mock beacon node serving the standard REST API
+  test.beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      requestedPaths.push(req.url);
+      res.setHeader('Access-Control-Allow-Origin', '*');
+      const url = new URL(req.url, 'http://localhost');
+      if (url.pathname === '/eth/v1/beacon/states/head/validators') {
+        const ids = url.searchParams.has('id') ? url.searchParams.get('id').split(',') : null;
+        const data = ids ? VALIDATORS.filter(entry => ids.includes(entry.index)) : VALIDATORS;
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ execution_optimistic: false, finalized: false, data }));
+      } else {
+        res.statusCode = 404;
+        res.end();
+      }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    beaconNodeUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  test.afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test.beforeEach(() => {
+    requestedPaths = [];
+  });
+
+  test('should filter head state validators by withdrawal credentials', async ({ page }) => {
+    await page.goto('/');
+
+    const validators = await page.evaluate(async ({ url, account }) => {
+      const { CONFIG } = await import('/config.js');
+      const { getValidators } = await import('/validatorService.js');
+      CONFIG.VALIDATOR_SOURCE = 'beacon-node';
+      CONFIG.BEACON_NODE_URL = url;
+      const records = await getValidators(account);
+      return records.map(record => ({ ...record, balance: record.balance.toString(), effectiveBalance: record.effectiveBalance.toString() }));
+    }, { url: beaconNodeUrl, account: ACCOUNT });
+
+    expect(requestedPaths).toEqual([
+      '/eth/v1/beacon/states/head/validators',
+      '/eth/v1/beacon/states/head/validators?id=5,9'
+    ]);
+    expect(validators).toEqual([
+      {
+        index: 5,
+        pubkey: '0x' + 'a1'.repeat(48),
+        status: 'active_ongoing',
+        balance: '1001562500000000000',
+        effectiveBalance: '1000000000000000000',
+        activationEpoch: 1200
+      },
+      {
+        index: 9,
+        pubkey: '0x' + 'b2'.repeat(48),
+        status: 'pending_queued',
+        balance: '0',
+        effectiveBalance: '1000000000000000000',
+        activationEpoch: null
+      }
+    ]);
+  });
+
+  test('should download the head state once for several addresses', async ({ page }) => {
+    await page.goto('/');
+
+    const counts = await page.evaluate(async ({ url, addresses }) => {
+      const { CONFIG } = await import('/config.js');
+      const { getValidators } = await import('/validatorService.js');
+      CONFIG.VALIDATOR_SOURCE = 'beacon-node';
+      CONFIG.BEACON_NODE_URL = url;
+      const first = await Promise.all(addresses.map(address => getValidators(address)));
+      const again = await getValidators(addresses[0]);
+      return [...first.map(records => records.length), again.length];
+    }, { url: beaconNodeUrl, addresses: [ACCOUNT, OTHER, '0x' + 'dd'.repeat(20)] });
+
+    expect(counts).toEqual([2, 1, 0, 2]);
+    expect(requestedPaths.filter(path => path === '/eth/v1/beacon/states/head/validators')).toHaveLength(1);
+    expect(requestedPaths.filter(path => path.includes('?id='))).toEqual([
+      '/eth/v1/beacon/states/head/validators?id=5,9',
+      '/eth/v1/beacon/states/head/validators?id=11',
+      '/eth/v1/beacon/states/head/validators?id=5,9'
+    ]);
+  });
+
+  test('should show beacon node validators in the dashboard', async ({ page }) => {
+    await page.addInitScript((account) => {
+      window.ethereum = {
+        request: async ({ method }) => {
+          if (method === 'eth_chainId') return '0x64';
+          if (method === 'eth_requestAccounts') return [account];
+          if (method === 'eth_accounts') return [];
+          return method === 'eth_call' ? '0x16345785d8a0000' : null;
+        },
+        on: () => {},
+        removeListener: () => {}
+      };
+    }, ACCOUNT);
+    await page.goto('/');
+    await page.evaluate(async (url) => {
+      const { CONFIG } = await import('/config.js');
+      CONFIG.VALIDATOR_SOURCE = 'beacon-node';
+      CONFIG.BEACON_NODE_URL = url;
+    }, beaconNodeUrl);
+    await page.click('#connect-button');
+
+    await expect(page.locator('.validator-card .data-source')).toHaveText('Data source: Beacon node');
+    await expect(page.locator('.validator-row')).toHaveCount(2);
+    await expect(page.locator('.validator-row').last()).toContainText('—');
+  });
+
+  test('should report a missing beacon node URL', async ({ page }) => {
+    await page.goto('/');
+
+    const error = await page.evaluate(async () => {
+      const { CONFIG } = await import('/config.js');
+      const { getValidators } = await import('/validatorService.js');
+      CONFIG.VALIDATOR_SOURCE = 'beacon-node';
+      CONFIG.BEACON_NODE_URL = '';
+      return getValidators('0x1234567890123456789012345678901234567890').then(() => null, e => e.message);
+    });
+
+    expect(error).toBe('CONFIG.BEACON_NODE_URL is not set');
+  });
+});
@@ -0,0 +1,148 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+const ADDRESS = '0x1234567890123456789012345678901234567890';
+
+// Minimal app state for rendering a card by itself
+const BASE_STATE = {
+  account: null,
+  names: {},
+  price: null,
+  currency: 'USD',
+  isLoading: false,
+  dataError: '',
+  transaction: null
+};
+
+test.describe('Components', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.route(url => url.hostname !== 'localhost', route => route.abort());
+  });
+
+  test('should render a card by itself from the state it is given', async ({ page }) => {
+    await page.goto('/');
+
+    const html = await page.evaluate(async (state) => {
+      const { renderRewardsCard } = await import('/components.js');
+      const render = (overrides) => {
+        const element = document.createElement('div');
+        element.innerHTML = renderRewardsCard({ ...state, ...overrides });
+        return {
+          balance: element.querySelector('.balance')?.textContent.trim() ?? null,
+          claimDisabled: element.querySelector('#claim-button')?.hasAttribute('disabled') ?? null
+        };
+      };
+      return {
+        disconnected: renderRewardsCard(state),
+        withRewards: render({ account: '0x1234567890123456789012345678901234567890', withdrawableAmount: 5n * 10n ** 17n }),
+        empty: render({ account: '0x1234567890123456789012345678901234567890', withdrawableAmount: 0n }),
+        unavailable: render({ account: '0x1234567890123456789012345678901234567890', withdrawableAmount: 0n, dataError: 'down' })
+      };
+    }, BASE_STATE);
+
+    expect(html.disconnected).toBe('');
+    expect(html.withRewards).toEqual({ balance: '0.500000 GNO', claimDisabled: false });
+    expect(html.empty).toEqual({ balance: '0.000000 GNO', claimDisabled: true });
+    expect(html.unavailable).toEqual({ balance: 'Unavailable', claimDisabled: true });
+  });
+
+  test('should render the history chart the same way until the history is reloaded', async ({ page }) => {
+    await page.goto('/');
+
+    const markups = await page.evaluate(async (state) => {
+      const { renderHistoryCard } = await import('/components.js');
+      const historyState = {
+        ...state,
+        account: '0x1234567890123456789012345678901234567890',
+        withdrawableAmount: 5n * 10n ** 17n,
+        rewardsHistory: {
+          claims: [{ blockNumber: 10, timestamp: 1704067200, txHash: '0x01', logIndex: 0, amount: 10n ** 18n }],
+          samples: [],
+          scannedToBlock: 20
+        },
+        historyLoadedAt: 1706745600
+      };
+      const first = String(renderHistoryCard(historyState));
+      await new Promise(resolve => setTimeout(resolve, 1100));
+      return [first, String(renderHistoryCard(historyState))];
+    }, BASE_STATE);
+
+    expect(markups[1]).toBe(markups[0]);
+  });
+
+  test('should patch only the nodes that changed', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async () => {
+      const { createRenderer } = await import('/renderer.js');
+      const container = document.createElement('div');
+      document.body.appendChild(container);
+      const renderer = createRenderer(container, [
+        { name: 'counter', render: state => `<div class="card"><input id="name"><span class="count">${state.count}</span></div>` },
+        { name: 'rows', render: state => state.rows.map(row => `<p data-key="${row}">${row}</p>`).join('') }
+      ]);
+
+      renderer.update({ count: 1, rows: ['a', 'b', 'c'] });
+      const input = container.querySelector('#name');
+      const rowC = container.querySelector('[data-key="c"]');
+      input.focus();
+      input.value = 'typed';
+
+      renderer.update({ count: 2, rows: ['a', 'c'] });
+      return {
+        sameInput: container.querySelector('#name') === input,
+        focused: document.activeElement === input,
+        value: input.value,
+        count: container.querySelector('.count').textContent,
+        rows: [...container.querySelectorAll('p')].map(row => row.textContent),
+        sameRow: container.querySelector('[data-key="c"]') === rowC
+      };
+    });
+
+    expect(result).toEqual({ sameInput: true, focused: true, value: 'typed', count: '2', rows: ['a', 'c'], sameRow: true });
+  });
+
+  test('should keep focus and cursor while typing an address', async ({ page }) => {
+    await page.goto('/?demo=1');
+
+    const input = page.locator('#address-input');
+    await input.click();
+    await page.keyboard.type(ADDRESS.slice(0, 20));
+    await page.keyboard.press('ArrowLeft');
+    await page.keyboard.press('ArrowLeft');
+    await page.keyboard.type('ab');
+
+    await expect(input).toBeFocused();
+    await expect(input).toHaveValue(ADDRESS.slice(0, 18) + 'ab' + ADDRESS.slice(18, 20));
+    await expect(page.locator('#lookup-button')).toBeEnabled();
+  });
+
+  test('should keep handlers working on re-rendered cards', async ({ page }) => {
+    await page.goto('/?demo=1');
+
+    await page.click('#rpc-settings-toggle');
+    await expect(page.locator('.rpc-settings')).toBeVisible();
+    await page.click('#rpc-settings-toggle');
+    await expect(page.locator('.rpc-settings')).toHaveCount(0);
+    await page.click('#rpc-settings-toggle');
+    await expect(page.locator('.rpc-settings')).toBeVisible();
+  });
+
+  test('should keep an unsaved watchlist label when another row is removed', async ({ page }) => {
+    await page.addInitScript(() => {
+      localStorage.setItem('gnosis-validator-app:watchlist', JSON.stringify([
+        { address: '0x1234567890123456789012345678901234567890', label: 'First' },
+        { address: '0xabcdefabcdefabcdefabcdefabcdefabcdefabcd', label: 'Second' }
+      ]));
+    });
+    await page.goto('/?demo=1');
+    await expect(page.locator('.watchlist-row')).toHaveCount(2);
+
+    const second = page.locator('.watch-label').nth(1);
+    await second.fill('Second, edited');
+    await page.locator('.watch-remove-button').first().click();
+
+    await expect(page.locator('.watchlist-row')).toHaveCount(1);
+    await expect(page.locator('.watch-label')).toHaveValue('Second, edited');
+  });
+});
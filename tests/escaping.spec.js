@@ -0,0 +1,139 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+const ADDRESS = '0x1234567890123456789012345678901234567890';
+// Breaks out of attributes, textareas and element content, and runs script if it is ever parsed as markup
+const HOSTILE = `"'></textarea><img src=x onerror="window.__xss=1"><script>window.__xss=1</script>`;
+const INJECTED = 'img, script, [onerror], a[href^="javascript"]';
+
+test.describe('Escaping', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.route(url => url.hostname !== 'localhost', route => route.abort());
+  });
+
+  test('should escape interpolated values and keep nested templates', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async (hostile) => {
+      const { html, escapeHtml, safeUrl } = await import('/html.js');
+      const items = ['a', '<b>'];
+      return {
+        escaped: String(html`<div title="${hostile}">${hostile}</div>`),
+        nested: String(html`<ul>${items.map(item => html`<li>${item}</li>`)}</ul>`),
+        empty: String(html`<p>${null}${undefined}${false}${0}</p>`),
+        plain: escapeHtml(`&<>"'`),
+        urls: [safeUrl('https://gnosisscan.io/tx/0x1'), safeUrl('javascript:alert(1)'), safeUrl('data:text/html,x'), safeUrl('not a url')]
+      };
+    }, HOSTILE);
+
+    expect(result.escaped).not.toContain('<img');
+    expect(result.escaped).toContain('&lt;img src=x onerror=&quot;window.__xss=1&quot;&gt;');
+    expect(result.nested).toBe('<ul><li>a</li><li>&lt;b&gt;</li></ul>');
+    expect(result.empty).toBe('<p>0</p>');
+    expect(result.plain).toBe('&amp;&lt;&gt;&quot;&#39;');
+    expect(result.urls).toEqual(['https://gnosisscan.io/tx/0x1', '', '', '']);
+  });
+
+  test('should render hostile strings in every field as text', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async ({ hostile, address, injected }) => {
+      const { APP_COMPONENTS } = await import('/components.js');
+      const { createInitialState } = await import('/appStore.js');
+      const connected = {
+        ...createInitialState(),
+        account: address,
+        connectionType: 'wallet',
+        connectionStatus: hostile,
+        dataSource: hostile,
+        names: { [address]: hostile },
+        price: { price: 1, currency: 'USD', source: hostile },
+        validators: [{ index: hostile, pubkey: hostile, status: hostile, balance: 1n, effectiveBalance: 1n, activationEpoch: hostile }],
+        validatorSource: hostile,
+        validatorStatusFilter: hostile,
+        historyProgress: hostile,
+        historyError: hostile,
+        rewardsHistory: { claims: [], samples: [], scannedToBlock: hostile },
+        transaction: { status: 'failed', detail: hostile, explorerUrl: 'javascript:window.__xss=1', safeUrl: hostile },
+        message: { type: hostile, text: hostile },
+        batchAddressesInput: hostile,
+        batchError: hostile,
+        batchItems: [{ address: hostile, value: 1n }],
+        watchlist: [{ address: hostile, label: hostile }],
+        watchlistBalances: { [hostile.toLowerCase()]: { error: hostile } },
+        watchAddressInput: hostile,
+        watchLabelInput: hostile,
+        showRpcSettings: true,
+        customRpcInput: hostile,
+        rpcEndpoints: [{ url: hostile, status: hostile, lastError: hostile, custom: true }]
+      };
+      const lookup = {
+        ...connected,
+        account: null,
+        lookupAddress: hostile,
+        lookupResultAddress: hostile,
+        lookupDataSource: hostile,
+        names: { [hostile.toLowerCase()]: hostile }
+      };
+      const states = [connected, { ...connected, validatorsError: hostile }, lookup];
+
+      const container = document.createElement('div');
+      document.body.appendChild(container);
+      const injections = [];
+      for (const state of states) {
+        for (const component of APP_COMPONENTS) {
+          container.innerHTML = String(component.render(state));
+          if (container.querySelector(injected)) {
+            injections.push(component.name);
+          }
+        }
+      }
+
+      container.innerHTML = String(APP_COMPONENTS.find(component => component.name === 'lookup').render(lookup));
+      const inputValue = container.querySelector('#address-input').value;
+      container.innerHTML = String(APP_COMPONENTS.find(component => component.name === 'batch').render(connected));
+      const textareaValue = container.querySelector('#batch-addresses-input').value;
+      container.innerHTML = String(APP_COMPONENTS.find(component => component.name === 'message').render(connected));
+      const messageText = container.textContent.trim();
+
+      await new Promise(resolve => setTimeout(resolve, 100));
+      return { injections, inputValue, textareaValue, messageText, xss: window.__xss ?? null };
+    }, { hostile: HOSTILE, address: ADDRESS, injected: INJECTED });
+
+    expect(result.injections).toEqual([]);
+    expect(result.inputValue).toBe(HOSTILE);
+    expect(result.textareaValue).toBe(HOSTILE);
+    expect(result.messageText).toBe(HOSTILE);
+    expect(result.xss).toBeNull();
+  });
+
+  test('should show a hostile wallet error as text', async ({ page }) => {
+    await page.addInitScript((hostile) => {
+      window.ethereum = {
+        request: async ({ method }) => {
+          if (method === 'eth_accounts') return [];
+          if (method === 'eth_requestAccounts') throw new Error(hostile);
+          return null;
+        },
+        on: () => {},
+        removeListener: () => {}
+      };
+    }, HOSTILE);
+    await page.goto('/');
+
+    await page.click('#connect-button');
+
+    await expect(page.locator('.error')).toContainText(`Failed to connect: ${HOSTILE}`);
+    await expect(page.locator('#root img, #root script, #root [onerror]')).toHaveCount(0);
+    expect(await page.evaluate(() => window.__xss ?? null)).toBeNull();
+  });
+
+  test('should keep a hostile lookup input as its value', async ({ page }) => {
+    await page.goto('/?demo=1');
+
+    await page.fill('#address-input', HOSTILE);
+
+    await expect(page.locator('#address-input')).toHaveValue(HOSTILE);
+    await expect(page.locator('#root img, #root script')).toHaveCount(0);
+  });
+});
@@ -0,0 +1,132 @@
+// @ts-check
+const fs = require('fs');
+const { test, expect } = require('@playwright/test');
+
+const ADDRESS = '0x1234567890123456789012345678901234567890';
+const TX_HASH = '0x' + 'ab'.repeat(32);
+
+test.describe('Rewards Export', () => {
+  test('should build CSV and JSON with claim rows and a balances summary', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async ({ address, txHash }) => {
+      const { buildExportData, toCsv, toJson } = await import('/exportService.js');
+      const data = buildExportData({
+        address,
+        withdrawable: 5n * 10n ** 17n,
+        gnoBalance: 10250000000000000001n,
+        validatorCount: 4,
+        claims: [{ blockNumber: 31000000, timestamp: 1706745600, txHash, logIndex: 0, amount: 1234567890123456789n }],
+        scannedToBlock: 32000000,
+        exportedAt: new Date('2024-03-01T00:00:00Z')
+      });
+      return { csv: toCsv(data), json: JSON.parse(toJson(data)) };
+    }, { address: ADDRESS, txHash: TX_HASH });
+
+    expect(result.csv.split('\r\n')).toEqual([
+      'type,date,block,tx_hash,amount_gno,amount_wei,address,currency,price,fiat_value',
+      `claim,2024-02-01T00:00:00.000Z,31000000,${TX_HASH},1.234567890123456789,1234567890123456789,${ADDRESS},,,`,
+      `withdrawable,2024-03-01T00:00:00.000Z,32000000,,0.5,500000000000000000,${ADDRESS},,,`,
+      `gno_balance,2024-03-01T00:00:00.000Z,32000000,,10.250000000000000001,10250000000000000001,${ADDRESS},,,`,
+      ''
+    ]);
+    expect(result.json.balances.gnoBalance).toEqual({ gno: '10.250000000000000001', wei: '10250000000000000001', price: null, fiat: null });
+    expect(result.json.balances.validatorCount).toBe(4);
+    expect(result.json.claims[0]).toEqual({
+      date: '2024-02-01T00:00:00.000Z',
+      block: 31000000,
+      txHash: TX_HASH,
+      amountGno: '1.234567890123456789',
+      amountWei: '1234567890123456789',
+      address: ADDRESS,
+      price: null,
+      fiatValue: null
+    });
+  });
+
+  test('should value claims at their historical price and balances at the current price', async ({ page }) => {
+    await page.goto('/');
+
+    const csv = await page.evaluate(async ({ address, txHash }) => {
+      const { buildExportData, toCsv } = await import('/exportService.js');
+      const data = buildExportData({
+        address,
+        withdrawable: 5n * 10n ** 17n,
+        gnoBalance: 2n * 10n ** 18n,
+        validatorCount: 1,
+        claims: [{ blockNumber: 31000000, timestamp: 1706745600, txHash, logIndex: 0, amount: 2n * 10n ** 18n }],
+        scannedToBlock: 32000000,
+        currency: 'EUR',
+        claimPrices: [{ price: 25050000000n, currency: 'EUR', source: 'Test' }],
+        currentPrice: { price: 30000000000n, currency: 'EUR', source: 'Test' },
+        exportedAt: new Date('2024-03-01T00:00:00Z')
+      });
+      return toCsv(data);
+    }, { address: ADDRESS, txHash: TX_HASH });
+
+    expect(csv.split('\r\n').slice(1, 4)).toEqual([
+      `claim,2024-02-01T00:00:00.000Z,31000000,${TX_HASH},2,2000000000000000000,${ADDRESS},EUR,250.5,501`,
+      `withdrawable,2024-03-01T00:00:00.000Z,32000000,,0.5,500000000000000000,${ADDRESS},EUR,300,150`,
+      `gno_balance,2024-03-01T00:00:00.000Z,32000000,,2,2000000000000000000,${ADDRESS},EUR,300,600`
+    ]);
+  });
+
+  test('should quote CSV fields that contain separators', async ({ page }) => {
+    await page.goto('/');
+
+    const csv = await page.evaluate(async () => {
+      const { buildExportData, toCsv } = await import('/exportService.js');
+      const data = buildExportData({
+        address: 'a,"b"',
+        withdrawable: 0n,
+        gnoBalance: 0n,
+        validatorCount: 0,
+        claims: [],
+        scannedToBlock: 1,
+        exportedAt: new Date('2024-03-01T00:00:00Z')
+      });
+      return toCsv(data);
+    });
+
+    expect(csv).toContain(',"a,""b"""\r\n');
+  });
+
+  test('should download an export for a looked-up address', async ({ page }) => {
+    await page.route(url => url.hostname !== 'localhost', route => route.abort());
+    await page.addInitScript(() => {
+      window.ethereum = {
+        request: async ({ method }) => {
+          if (method === 'eth_chainId') return '0x64';
+          if (method === 'eth_accounts') return [];
+          if (method === 'eth_call') return '0x' + (5n * 10n ** 17n).toString(16).padStart(64, '0');
+          if (method === 'eth_blockNumber') return '0x10';
+          if (method === 'eth_getLogs') return [];
+          return null;
+        },
+        on: () => {},
+        removeListener: () => {}
+      };
+    });
+    await page.goto('/');
+    await page.evaluate(async () => {
+      const { CONFIG } = await import('/config.js');
+      CONFIG.REWARDS_HISTORY_START_BLOCK = 1;
+    });
+
+    await page.fill('#address-input', ADDRESS);
+    await page.click('#lookup-button');
+    await expect(page.locator('.export-button[data-format="json"]')).toBeEnabled();
+
+    const [download] = await Promise.all([
+      page.waitForEvent('download'),
+      page.click('.export-button[data-format="json"]')
+    ]);
+
+    expect(download.suggestedFilename()).toMatch(/^gnosis-rewards-0x1234567890123456789012345678901234567890-\d{4}-\d{2}-\d{2}\.json$/);
+    const exported = JSON.parse(fs.readFileSync(await download.path(), 'utf8'));
+    expect(exported.address).toBe(ADDRESS);
+    expect(exported.block).toBe(16);
+    expect(exported.balances.withdrawable.wei).toBe('500000000000000000');
+    expect(exported.claims).toEqual([]);
+  });
+});
@@ -0,0 +1,188 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+const ACCOUNT = '0x1234567890123456789012345678901234567890';
+
+/**
+ * Mocks a connected wallet at block window.__head whose contract reads all return
+ * window.__balance wei. With `subscriptions`, eth_subscribe succeeds and test code can
+ * push messages with window.__emit(kind, result); otherwise it fails and the app polls.
+ * eth_getLogs returns window.__logs. window.__hidden stands in for document.hidden.
+ * While window.__stalled is an array, contract reads (other than the Multicall3 batch, which
+ * fails and falls back to them) wait in it and answer with the balance from when they were
+ * made once their resolver is called.
+ */
+async function mockChain(page, { subscriptions = false } = {}) {
+  await page.route(url => url.hostname !== 'localhost', route => route.abort());
+  await page.addInitScript(({ account, subscriptions }) => {
+    window.__head = 1000;
+    window.__balance = 5n * 10n ** 17n;
+    window.__logs = [];
+    window.__hidden = false;
+    window.__unsubscribed = [];
+    window.__stalled = null;
+    Object.defineProperty(document, 'hidden', { get: () => window.__hidden });
+    Object.defineProperty(document, 'visibilityState', { get: () => (window.__hidden ? 'hidden' : 'visible') });
+
+    const listeners = [];
+    const subscriptionIds = {};
+    let nextId = 1;
+    window.__emit = (kind, result) => {
+      const subscription = subscriptionIds[kind];
+      listeners.forEach(listener => listener({ type: 'eth_subscription', data: { subscription, result } }));
+    };
+    window.ethereum = {
+      request: async ({ method, params }) => {
+        if (method === 'eth_requestAccounts' || method === 'eth_accounts') return [account];
+        if (method === 'eth_chainId') return '0x64';
+        if (method === 'eth_blockNumber') return '0x' + window.__head.toString(16);
+        if (method === 'eth_getLogs') return window.__logs;
+        if (method === 'eth_call') {
+          const balance = window.__balance;
+          const isMulticall = params[0].to.toLowerCase() === '0xca11bde05977b3631167028862be2a173976ca11';
+          if (window.__stalled && !isMulticall) await new Promise(resolve => window.__stalled.push(resolve));
+          return '0x' + balance.toString(16).padStart(64, '0');
+        }
+        if (method === 'eth_subscribe') {
+          if (!subscriptions) throw new Error('Method eth_subscribe not supported');
+          const id = '0x' + (nextId++).toString(16);
+          subscriptionIds[params[0]] = id;
+          return id;
+        }
+        if (method === 'eth_unsubscribe') {
+          window.__unsubscribed.push(params[0]);
+          return true;
+        }
+        return null;
+      },
+      on: (event, listener) => {
+        if (event === 'message') listeners.push(listener);
+      },
+      removeListener: (event, listener) => {
+        const index = listeners.indexOf(listener);
+        if (index >= 0) listeners.splice(index, 1);
+      }
+    };
+  }, { account: ACCOUNT, subscriptions });
+  await page.goto('/');
+  await page.evaluate(async () => {
+    const { CONFIG } = await import('/config.js');
+    CONFIG.BLOCK_POLL_INTERVAL_MS = 100;
+  });
+}
+
+function setHidden(page, hidden) {
+  return page.evaluate((hidden) => {
+    window.__hidden = hidden;
+    document.dispatchEvent(new Event('visibilitychange'));
+  }, hidden);
+}
+
+test.describe('Live Updates', () => {
+  test('should poll for new blocks when subscriptions are not supported', async ({ page }) => {
+    await mockChain(page);
+
+    await expect(page.locator('.live-status')).toHaveText('Last updated at block 1,000');
+    await expect(page.locator('#live-updates-toggle')).toBeChecked();
+  });
+
+  test('should refresh balances when a GNO transfer touches the account', async ({ page }) => {
+    await mockChain(page);
+    await expect(page.locator('.live-status')).toHaveText('Last updated at block 1,000');
+
+    await page.evaluate(() => {
+      window.__balance = 2n * 10n ** 18n;
+      window.__logs = [{ blockNumber: '0x3e9', data: '0x' }];
+      window.__head = 1001;
+    });
+
+    await expect(page.locator('.live-status')).toHaveText('Last updated at block 1,001');
+    await expect(page.locator('text=2.000000 GNO').first()).toBeVisible();
+  });
+
+  test('should refresh balances every few blocks without logs', async ({ page }) => {
+    await mockChain(page);
+    await expect(page.locator('.live-status')).toHaveText('Last updated at block 1,000');
+
+    const refreshBlocks = await page.evaluate(async () => (await import('/config.js')).CONFIG.LIVE_REFRESH_BLOCKS);
+    await page.evaluate(() => { window.__head = 1001; });
+    await page.waitForTimeout(500);
+    await expect(page.locator('.live-status')).toHaveText('Last updated at block 1,000');
+
+    await page.evaluate((blocks) => { window.__head = 1000 + blocks; }, refreshBlocks);
+    await expect(page.locator('.live-status')).toHaveText(`Last updated at block ${(1000 + refreshBlocks).toLocaleString('en-US')}`);
+  });
+
+  test('should keep manually refreshed balances when a slower live read resolves last', async ({ page }) => {
+    await mockChain(page);
+    await expect(page.locator('.live-status')).toHaveText('Last updated at block 1,000');
+
+    // A live read of the old balance hangs
+    await page.evaluate(() => {
+      window.__stalled = [];
+      window.__logs = [{ blockNumber: '0x3e9', data: '0x' }];
+      window.__head = 1001;
+    });
+    // Withdrawable amount and GNO balance
+    await expect.poll(() => page.evaluate(() => window.__stalled.length)).toBeGreaterThanOrEqual(2);
+
+    // A manual refresh reads the new balance and finishes first
+    const stalled = await page.evaluateHandle(() => {
+      const stalled = window.__stalled;
+      window.__stalled = null;
+      window.__balance = 2n * 10n ** 18n;
+      return stalled;
+    });
+    await page.click('#refresh-button');
+    await expect(page.locator('text=2.000000 GNO').first()).toBeVisible();
+
+    await stalled.evaluate(resolvers => resolvers.forEach(resolve => resolve()));
+    await page.waitForTimeout(300);
+    await expect(page.locator('text=2.000000 GNO').first()).toBeVisible();
+    await expect(page.locator('text=0.500000 GNO')).toHaveCount(0);
+  });
+
+  test('should follow newHeads and log subscriptions where supported', async ({ page }) => {
+    await mockChain(page, { subscriptions: true });
+    await expect(page.locator('.live-status')).toHaveText('Waiting for the next block...');
+
+    await page.evaluate(() => window.__emit('newHeads', { number: '0x7d0' }));
+    await expect(page.locator('.live-status')).toHaveText('Last updated at block 2,000');
+
+    await page.evaluate(() => {
+      window.__balance = 3n * 10n ** 18n;
+      window.__emit('logs', { blockNumber: '0x7d1' });
+    });
+    await expect(page.locator('.live-status')).toHaveText('Last updated at block 2,001');
+    await expect(page.locator('text=3.000000 GNO').first()).toBeVisible();
+  });
+
+  test('should pause while the tab is hidden', async ({ page }) => {
+    await mockChain(page, { subscriptions: true });
+    await expect(page.locator('.live-status')).toHaveText('Waiting for the next block...');
+
+    await setHidden(page, true);
+    await expect(page.locator('.live-status')).toHaveText('Paused while the tab is hidden');
+    expect((await page.evaluate(() => window.__unsubscribed)).length).toBeGreaterThan(0);
+
+    await setHidden(page, false);
+    await page.evaluate(() => window.__emit('newHeads', { number: '0xbb8' }));
+    await expect(page.locator('.live-status')).toHaveText('Last updated at block 3,000');
+  });
+
+  test('should stop following blocks when live updates are switched off', async ({ page }) => {
+    await mockChain(page);
+    await expect(page.locator('.live-status')).toHaveText('Last updated at block 1,000');
+
+    await page.uncheck('#live-updates-toggle');
+    await expect(page.locator('.live-status')).toHaveCount(0);
+
+    await page.evaluate(() => {
+      window.__balance = 4n * 10n ** 18n;
+      window.__logs = [{ blockNumber: '0x3e9', data: '0x' }];
+      window.__head = 1001;
+    });
+    await page.waitForTimeout(500);
+    await expect(page.locator('text=4.000000 GNO')).toHaveCount(0);
+  });
+});
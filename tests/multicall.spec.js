@@ -0,0 +1,128 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+const ACCOUNT = '0x1234567890123456789012345678901234567890';
+
+/**
+ * Mocks a wallet whose eth_call answers Multicall3 aggregate3 requests.
+ * Each batched call returns its index + 1; direct calls return 99. With `emptyResults` the
+ * wallet stands in for a chain without the Gnosis contracts: batched and direct calls
+ * succeed with no data.
+ */
+async function mockMulticallWallet(page, { multicallDeployed, emptyResults = false }) {
+  await page.addInitScript(({ deployed, emptyResults }) => {
+    window.__ethCalls = [];
+    window.ethereum = {
+      request: async ({ method, params }) => {
+        if (method === 'eth_accounts') {
+          return []; // Keep the app from loading data on its own
+        }
+        if (method === 'eth_chainId') {
+          return '0x64';
+        }
+        if (method === 'eth_call') {
+          window.__ethCalls.push(params[0]);
+          const abi = await import('/abi.js');
+          const { CONFIG } = await import('/config.js');
+
+          if (params[0].to.toLowerCase() === CONFIG.MULTICALL3_ADDRESS.toLowerCase()) {
+            if (!deployed) {
+              return '0x';
+            }
+            const [calls] = abi.decodeParameters(['(address,bool,bytes)[]'], '0x' + params[0].data.slice(10));
+            return abi.encodeParameters(['(bool,bytes)[]'], [
+              calls.map((call, i) => [true, emptyResults ? '0x' : abi.encodeParameters(['uint256'], [BigInt(i + 1)])])
+            ]);
+          }
+          return emptyResults ? '0x' : abi.encodeParameters(['uint256'], [99n]);
+        }
+        return null;
+      },
+      on: () => {},
+      removeListener: () => {}
+    };
+  }, { deployed: multicallDeployed, emptyResults });
+}
+
+test.describe('Multicall Batching', () => {
+  test('should encode and decode aggregate3 payloads', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async () => {
+      const { encodeAggregate3, decodeAggregate3 } = await import('/multicall.js');
+      const { encodeParameters } = await import('/abi.js');
+      const data = encodeAggregate3([{ to: '0x0000000000000000000000000000000000000001', data: '0x70a08231' }]);
+      const decoded = decodeAggregate3(encodeParameters(['(bool,bytes)[]'], [[[true, '0x01'], [false, '0x']]]));
+      return { selector: data.slice(0, 10), decoded };
+    });
+
+    expect(result.selector).toBe('0x82ad56cb');
+    expect(result.decoded).toEqual([
+      { success: true, returnData: '0x01' },
+      { success: false, returnData: '0x' }
+    ]);
+  });
+
+  test('should send concurrent reads as one aggregate3 call', async ({ page }) => {
+    await mockMulticallWallet(page, { multicallDeployed: true });
+    await page.goto('/');
+
+    const result = await page.evaluate(async (account) => {
+      const { CONFIG } = await import('/config.js');
+      const service = await import('/contractService.js');
+      window.__ethCalls.length = 0;
+      const values = await Promise.all([
+        service.getWithdrawableAmount(CONFIG.VALIDATOR_CONTRACT_ADDRESS, account),
+        service.getTokenBalance(CONFIG.GNO_TOKEN_ADDRESS, account)
+      ]);
+      return { values: values.map(({ value }) => String(value)), calls: window.__ethCalls.length };
+    }, ACCOUNT);
+
+    expect(result.values).toEqual(['1', '2']);
+    expect(result.calls).toBe(1);
+  });
+
+  test('should fall back to individual calls when Multicall3 is missing', async ({ page }) => {
+    await mockMulticallWallet(page, { multicallDeployed: false });
+    // Keep the public RPC endpoints from answering in place of the mock wallet
+    await page.route(url => url.hostname !== 'localhost', route => route.abort());
+    await page.goto('/');
+
+    const result = await page.evaluate(async (account) => {
+      const { CONFIG } = await import('/config.js');
+      const service = await import('/contractService.js');
+      window.__ethCalls.length = 0;
+      const values = await Promise.all([
+        service.getWithdrawableAmount(CONFIG.VALIDATOR_CONTRACT_ADDRESS, account),
+        service.getTokenBalance(CONFIG.GNO_TOKEN_ADDRESS, account)
+      ]);
+      return { values: values.map(({ value }) => String(value)) };
+    }, ACCOUNT);
+
+    expect(result.values).toEqual(['99', '99']);
+  });
+
+  test('should retry calls that came back empty through the provider chain', async ({ page }) => {
+    await mockMulticallWallet(page, { multicallDeployed: true, emptyResults: true });
+    await page.route(url => url.hostname !== 'localhost', route => route.abort());
+    await page.route('https://rpc.test/', route => {
+      const { id, method } = route.request().postDataJSON();
+      const result = method === 'eth_chainId' ? '0x64' : '0x' + (7n).toString(16).padStart(64, '0');
+      return route.fulfill({ contentType: 'application/json', body: JSON.stringify({ jsonrpc: '2.0', id, result }) });
+    });
+    await page.goto('/');
+
+    const result = await page.evaluate(async (account) => {
+      const { CONFIG } = await import('/config.js');
+      CONFIG.RPC_URLS = ['https://rpc.test/'];
+      const service = await import('/contractService.js');
+      const values = await Promise.all([
+        service.getWithdrawableAmount(CONFIG.VALIDATOR_CONTRACT_ADDRESS, account),
+        service.getTokenBalance(CONFIG.GNO_TOKEN_ADDRESS, account)
+      ]);
+      return values.map(({ value, provider }) => [String(value), provider]);
+    }, ACCOUNT);
+
+    expect(result).toEqual([['7', 'RPC rpc.test'], ['7', 'RPC rpc.test']]);
+  });
+});
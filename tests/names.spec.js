@@ -0,0 +1,199 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+const ALICE = '0x1234567890123456789012345678901234567890';
+const RESOLVER = '0x4976fb03c32e5b8cfe2b6ccb31c09ba78ebaba41';
+const ENS_RPC_URL = 'http://localhost:9/ens-rpc';
+
+/**
+ * Builds eth_call answers for an ENS-compatible registry: `names` maps a name to its address,
+ * `reverse` maps an address to the name its reverse record claims.
+ * Returns a map from "to:data" to the ABI-encoded result.
+ */
+async function buildRegistryAnswers(page, registry, { names = {}, reverse = {} }) {
+  return await page.evaluate(async ({ registry, resolver, names, reverse }) => {
+    const { namehash } = await import('/nameService.js');
+    const { encodeFunctionCall, encodeParameters } = await import('/abi.js');
+    const { CONTRACT_FUNCTIONS } = await import('/config.js');
+    const answers = {};
+    const answer = (to, signature, node, types, values) => {
+      answers[`${to.toLowerCase()}:${encodeFunctionCall(signature, [node])}`] = encodeParameters(types, values);
+    };
+    for (const [name, address] of Object.entries(names)) {
+      answer(registry, CONTRACT_FUNCTIONS.resolver, namehash(name), ['address'], [resolver]);
+      answer(resolver, CONTRACT_FUNCTIONS.addr, namehash(name), ['address'], [address]);
+    }
+    for (const [address, name] of Object.entries(reverse)) {
+      const node = namehash(`${address.toLowerCase().slice(2)}.addr.reverse`);
+      answer(registry, CONTRACT_FUNCTIONS.resolver, node, ['address'], [resolver]);
+      answer(resolver, CONTRACT_FUNCTIONS.name, node, ['string'], [name]);
+    }
+    return answers;
+  }, { registry, resolver: RESOLVER, names, reverse });
+}
+
+// Serves an ENS mainnet RPC stand-in at ENS_RPC_URL; unknown calls return the zero address
+async function mockEnsRpc(page, records) {
+  await page.evaluate(async (url) => {
+    const { CONFIG } = await import('/config.js');
+    CONFIG.ENS_RPC_URL = url;
+  }, ENS_RPC_URL);
+  const registry = await page.evaluate(async () => (await import('/config.js')).CONFIG.ENS_REGISTRY_ADDRESS);
+  const answers = await buildRegistryAnswers(page, registry, records);
+  await page.route(ENS_RPC_URL, route => {
+    const { id, params } = route.request().postDataJSON();
+    const [{ to, data }] = params;
+    const result = answers[`${to.toLowerCase()}:${data}`] || '0x' + '0'.repeat(64);
+    route.fulfill({
+      status: 200,
+      contentType: 'application/json',
+      headers: { 'Access-Control-Allow-Origin': '*' },
+      body: JSON.stringify({ jsonrpc: '2.0', id, result })
+    });
+  });
+}
+
+function mockWallet(page, { account = null, answers = {} } = {}) {
+  return page.addInitScript(({ account, answers }) => {
+    window.__walletAnswers = answers;
+    window.ethereum = {
+      request: async ({ method, params }) => {
+        if (method === 'eth_requestAccounts') return [account];
+        if (method === 'eth_accounts') return account ? [account] : [];
+        if (method === 'eth_chainId') return '0x64';
+        if (method === 'eth_call') {
+          const key = `${params[0].to.toLowerCase()}:${params[0].data}`;
+          return window.__walletAnswers[key] || '0x' + (5n * 10n ** 17n).toString(16).padStart(64, '0');
+        }
+        return null;
+      },
+      on: () => {},
+      removeListener: () => {}
+    };
+  }, { account, answers });
+}
+
+test.describe('Name Resolution', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.route(url => url.hostname !== 'localhost', route => route.abort());
+  });
+
+  test('should compute ENS namehashes', async ({ page }) => {
+    await page.goto('/');
+
+    const hashes = await page.evaluate(async () => {
+      const { namehash } = await import('/nameService.js');
+      return [namehash(''), namehash('eth'), namehash('Foo.ETH')];
+    });
+
+    expect(hashes).toEqual([
+      '0x' + '00'.repeat(32),
+      '0x93cdeb708b7545dc668eb9280176169d1c33cfd8ed6f04690a0bcc88a93fc4ae',
+      '0xde9b09fd7c5f901e23a3f19fecc54828e9c848539801e86591bd9801b019f84f'
+    ]);
+  });
+
+  test('should look up an ENS name typed into the address input', async ({ page }) => {
+    await mockWallet(page);
+    await page.goto('/');
+    await mockEnsRpc(page, { names: { 'alice.eth': ALICE } });
+
+    await page.fill('#address-input', 'alice.eth');
+    await page.click('#lookup-button');
+
+    await expect(page.locator(`text=Address: ${ALICE}`)).toBeVisible();
+    await expect(page.locator('.address-name')).toHaveText('alice.eth');
+    await expect(page.locator('text=0.500000 GNO').first()).toBeVisible();
+  });
+
+  test('should report names that do not resolve', async ({ page }) => {
+    await mockWallet(page);
+    await page.goto('/');
+    await mockEnsRpc(page, {});
+
+    await page.fill('#address-input', 'nobody.eth');
+    await page.click('#lookup-button');
+
+    await expect(page.locator('.error')).toHaveText('nobody.eth does not resolve to an address');
+  });
+
+  test('should show the reverse-resolved name of the connected account', async ({ page }) => {
+    await mockWallet(page, { account: ALICE });
+    await page.goto('/');
+    await mockEnsRpc(page, { names: { 'alice.eth': ALICE }, reverse: { [ALICE]: 'alice.eth' } });
+
+    await page.click('#refresh-button');
+
+    await expect(page.locator('.address-name').first()).toHaveText('alice.eth');
+  });
+
+  test('should ignore reverse records that do not resolve back', async ({ page }) => {
+    await page.goto('/');
+    await mockEnsRpc(page, {
+      names: { 'vitalik.eth': '0xd8da6bf26964af9d7eed9e10c34c4e8a2a1b6d7b' },
+      reverse: { [ALICE]: 'vitalik.eth' }
+    });
+
+    const name = await page.evaluate(async (address) => {
+      const { lookupName } = await import('/nameService.js');
+      return await lookupName(address);
+    }, ALICE);
+
+    expect(name).toBeNull();
+  });
+
+  test('should resolve Gnosis Chain names through the configured registry', async ({ page }) => {
+    const registry = '0x' + '47'.repeat(20);
+    await page.goto('/');
+    const answers = await buildRegistryAnswers(page, registry, { names: { 'alice.gno': ALICE } });
+    await mockWallet(page, { answers });
+    await page.reload();
+
+    const address = await page.evaluate(async (registry) => {
+      const { CONFIG } = await import('/config.js');
+      CONFIG.GNOSIS_NAME_REGISTRY_ADDRESS = registry;
+      CONFIG.ENS_RPC_URL = '';
+      const { resolveName } = await import('/nameService.js');
+      return await resolveName('alice.gno');
+    }, registry);
+
+    expect(address).toBe(ALICE);
+  });
+
+  test('should explain that Gnosis Chain names need a registry', async ({ page }) => {
+    await mockWallet(page);
+    await page.goto('/');
+    await mockEnsRpc(page, { names: { 'alice.gno': ALICE } });
+    const ensRequests = [];
+    page.on('request', request => {
+      if (request.url() === ENS_RPC_URL) ensRequests.push(request);
+    });
+
+    await page.fill('#address-input', 'alice.gno');
+    await page.click('#lookup-button');
+
+    await expect(page.locator('.error')).toContainText('Gnosis names are not configured');
+    expect(ensRequests).toHaveLength(0);
+  });
+
+  test('should say under the address inputs that Gnosis Chain names are off', async ({ page }) => {
+    await page.goto('/');
+
+    await expect(page.locator('#address-input')).toHaveAttribute('placeholder', '0x... or name.eth');
+    await expect(page.locator('.name-support-note').first()).toHaveText('Gnosis Chain names (.gno) are not supported: no name registry is configured.');
+    await expect(page.locator('#watch-address-input')).toHaveAttribute('placeholder', '0x... or name.eth');
+  });
+
+  test('should use a typed name as the watchlist label', async ({ page }) => {
+    await mockWallet(page);
+    await page.goto('/');
+    await mockEnsRpc(page, { names: { 'alice.eth': ALICE } });
+
+    await page.fill('#watch-address-input', 'alice.eth');
+    await page.click('#watch-add-button');
+
+    await expect(page.locator('.watchlist-row')).toHaveCount(1);
+    await expect(page.locator('.watch-label')).toHaveValue('alice.eth');
+    await expect(page.locator('.watchlist-row .address')).toHaveText(ALICE);
+  });
+});
@@ -0,0 +1,148 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+const ACCOUNT = '0x1111111111111111111111111111111111111111';
+const CHIADO_DEPOSIT_CONTRACT = '0xb97036a26259b7147018913bd58a774cf91acf25';
+
+// A wallet that starts on Gnosis Chain and does not know Chiado until it is added
+async function mockWallet(page) {
+  await page.addInitScript((account) => {
+    const wallet = { chainId: '0x64', knownChains: ['0x64'], calls: [] };
+    window.__wallet = wallet;
+    window.ethereum = {
+      request: async ({ method, params }) => {
+        wallet.calls.push({ method, params });
+        if (method === 'eth_accounts' || method === 'eth_requestAccounts') return [account];
+        if (method === 'eth_chainId') return wallet.chainId;
+        if (method === 'wallet_switchEthereumChain') {
+          if (!wallet.knownChains.includes(params[0].chainId)) {
+            throw Object.assign(new Error('Unrecognized chain ID'), { code: 4902 });
+          }
+          wallet.chainId = params[0].chainId;
+          return null;
+        }
+        if (method === 'wallet_addEthereumChain') {
+          wallet.knownChains.push(params[0].chainId);
+          wallet.chainId = params[0].chainId;
+          return null;
+        }
+        if (method === 'eth_call') return '0x' + (10n ** 18n).toString(16).padStart(64, '0');
+        return null;
+      },
+      on: () => {},
+      removeListener: () => {}
+    };
+  }, ACCOUNT);
+}
+
+test.describe('Networks', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.route(url => url.hostname !== 'localhost', route => route.abort());
+  });
+
+  test('should run on Gnosis Chain by default', async ({ page }) => {
+    await page.goto('/');
+
+    await expect(page.locator('#network-select')).toHaveValue('gnosis');
+    await expect(page.locator('.header')).toContainText('Gnosis Chain');
+    await expect(page.locator('.testnet-badge')).toHaveCount(0);
+  });
+
+  test('should use the Chiado contracts and endpoints with ?network=chiado', async ({ page }) => {
+    await page.goto('/?network=chiado');
+
+    const config = await page.evaluate(async () => {
+      const { CONFIG } = await import('/config.js');
+      return {
+        chainId: CONFIG.CHAIN_ID,
+        contract: CONFIG.VALIDATOR_CONTRACT_ADDRESS.toLowerCase(),
+        rpcUrls: CONFIG.RPC_URLS,
+        explorer: CONFIG.CHAIN_CONFIG.blockExplorerUrls[0],
+        safePrefix: CONFIG.SAFE_CHAIN_PREFIX
+      };
+    });
+    expect(config.chainId).toBe('0x27d8');
+    expect(config.contract).toBe(CHIADO_DEPOSIT_CONTRACT);
+    expect(config.rpcUrls[0]).toContain('chiado');
+    expect(config.explorer).toContain('chiado');
+    expect(config.safePrefix).toBe('chi');
+    await expect(page.locator('#network-select')).toHaveValue('chiado');
+    await expect(page.locator('.testnet-badge')).toBeVisible();
+  });
+
+  test('should add and switch the wallet to Chiado when connecting', async ({ page }) => {
+    await mockWallet(page);
+    await page.goto('/?network=chiado');
+
+    await page.click('#connect-button');
+
+    await expect(page.locator('.network-status')).toContainText('✅ Chiado Testnet');
+    const calls = await page.evaluate(() => window.__wallet.calls.filter(call => call.method.startsWith('wallet_')));
+    expect(calls[0]).toEqual({ method: 'wallet_switchEthereumChain', params: [{ chainId: '0x27d8' }] });
+    expect(calls[1].method).toBe('wallet_addEthereumChain');
+    expect(calls[1].params[0]).toMatchObject({ chainId: '0x27d8', chainName: 'Chiado Testnet' });
+  });
+
+  test('should send claims to the Chiado deposit contract', async ({ page }) => {
+    await mockWallet(page);
+    await page.goto('/?network=chiado');
+    await page.click('#connect-button');
+    await expect(page.locator('#claim-button')).toBeEnabled();
+
+    await page.click('#claim-button');
+
+    await expect.poll(() => page.evaluate(() => window.__wallet.calls
+      .filter(call => call.method === 'eth_sendTransaction')
+      .map(call => call.params[0].to.toLowerCase()))).toEqual([CHIADO_DEPOSIT_CONTRACT]);
+  });
+
+  test('should reopen the app on the network picked in the header', async ({ page }) => {
+    await page.goto('/');
+
+    await page.selectOption('#network-select', 'chiado');
+
+    await expect(page).toHaveURL(/\?network=chiado$/);
+    await expect(page.locator('.header')).toContainText('Chiado Testnet');
+
+    await page.selectOption('#network-select', 'gnosis');
+
+    await expect(page).not.toHaveURL(/network=/);
+  });
+
+  test('should keep custom RPC endpoints per network', async ({ page }) => {
+    await page.goto('/');
+    await page.evaluate(() => {
+      localStorage.setItem('gnosis-validator-app:custom-rpc-urls:gnosis', JSON.stringify(['https://my-gnosis-node.test/']));
+    });
+    const getEndpoints = () => page.evaluate(async () => (await import('/rpcPool.js')).getRpcEndpoints());
+
+    await page.goto('/?network=chiado');
+    const chiadoEndpoints = await getEndpoints();
+    expect(chiadoEndpoints).not.toContain('https://my-gnosis-node.test/');
+    expect(chiadoEndpoints[0]).toContain('chiado');
+
+    await page.goto('/');
+    expect((await getEndpoints())[0]).toBe('https://my-gnosis-node.test/');
+  });
+
+  test('should read custom RPC endpoints saved before networks as Gnosis Chain ones', async ({ page }) => {
+    await page.goto('/');
+    await page.evaluate(() => {
+      localStorage.setItem('gnosis-validator-app:custom-rpc-urls', JSON.stringify(['https://my-gnosis-node.test/']));
+    });
+    const getCustomUrls = () => page.evaluate(async () => (await import('/rpcPool.js')).getCustomRpcUrls());
+
+    await page.goto('/?network=chiado');
+    expect(await getCustomUrls()).toEqual([]);
+
+    await page.goto('/');
+    expect(await getCustomUrls()).toEqual(['https://my-gnosis-node.test/']);
+  });
+
+  test('should explain an unknown network in the link', async ({ page }) => {
+    await page.goto('/?network=sepolia');
+
+    await expect(page.locator('.error')).toContainText('Unknown network "sepolia"');
+    await expect(page.locator('#network-select')).toHaveValue('gnosis');
+  });
+});
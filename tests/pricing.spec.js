@@ -0,0 +1,168 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+const ADDRESS = '0x1234567890123456789012345678901234567890';
+const FEED = '0x22441d81416430a54336ab28765abd31a792ad37';
+
+/**
+ * Mocks a wallet whose eth_call answers the GNO/USD feed (8 decimals, 250.50 USD,
+ * updated `ageSeconds` ago) and 0.5 GNO for every other contract read.
+ * The feed's block tags are recorded in window.__oracleBlockTags.
+ */
+async function mockWalletWithOracle(page, { ageSeconds = 60 } = {}) {
+  await page.route(url => url.hostname !== 'localhost', route => route.abort());
+  await page.addInitScript(({ feed, ageSeconds }) => {
+    const word = value => BigInt(value).toString(16).padStart(64, '0');
+    window.__oracleBlockTags = [];
+    window.ethereum = {
+      request: async ({ method, params }) => {
+        if (method === 'eth_chainId') return '0x64';
+        if (method === 'eth_accounts') return [];
+        if (method === 'eth_call') {
+          const [{ to, data }, blockTag] = params;
+          if (to.toLowerCase() !== feed) return '0x' + word(5n * 10n ** 17n);
+          window.__oracleBlockTags.push(blockTag);
+          if (data === window.__selectors.decimals) return '0x' + word(8);
+          const updatedAt = Math.floor(Date.now() / 1000) - ageSeconds;
+          return '0x' + word(1) + word(25050000000n) + word(updatedAt) + word(updatedAt) + word(1);
+        }
+        return null;
+      },
+      on: () => {},
+      removeListener: () => {}
+    };
+  }, { feed: FEED, ageSeconds });
+  await page.goto('/');
+  await page.evaluate(async () => {
+    const { functionSelector } = await import('/abi.js');
+    const { CONTRACT_FUNCTIONS } = await import('/config.js');
+    window.__selectors = {
+      decimals: functionSelector(CONTRACT_FUNCTIONS.decimals),
+      latestRoundData: functionSelector(CONTRACT_FUNCTIONS.latestRoundData)
+    };
+  });
+}
+
+// Serves a CoinGecko-style API at http://localhost:9/price-api, GNO at 123.45 in every currency
+async function mockPriceApi(page) {
+  const requests = [];
+  await page.route('http://localhost:9/price-api/**', route => {
+    const url = new URL(route.request().url());
+    requests.push(url.pathname + url.search);
+    const currency = (url.searchParams.get('vs_currencies') || 'eur').toLowerCase();
+    const body = url.pathname.endsWith('/history')
+      ? { market_data: { current_price: { usd: 99.5, eur: 91.25 } } }
+      : { gnosis: { [currency]: 123.45 } };
+    route.fulfill({
+      status: 200,
+      contentType: 'application/json',
+      headers: { 'Access-Control-Allow-Origin': '*' },
+      body: JSON.stringify(body)
+    });
+  });
+  await page.evaluate(async () => {
+    const { CONFIG } = await import('/config.js');
+    CONFIG.PRICE_API_URL = 'http://localhost:9/price-api';
+  });
+  return requests;
+}
+
+test.describe('Fiat Prices', () => {
+  test('should read the price from the on-chain oracle', async ({ page }) => {
+    await mockWalletWithOracle(page);
+
+    const quote = await page.evaluate(async () => {
+      const { getGnoPrice } = await import('/pricing.js');
+      const result = await getGnoPrice('USD');
+      return { ...result, price: result.price.toString() };
+    });
+
+    expect(quote).toEqual({ price: '25050000000', currency: 'USD', source: 'On-chain oracle' });
+  });
+
+  test('should show fiat values next to looked-up balances', async ({ page }) => {
+    await mockWalletWithOracle(page);
+
+    await page.fill('#address-input', ADDRESS);
+    await page.click('#lookup-button');
+
+    await expect(page.locator('.fiat-value').first()).toHaveText('≈ $125.25');
+    await expect(page.locator('.price-info')).toContainText('On-chain oracle');
+  });
+
+  test('should fall back to the price API when the oracle is stale', async ({ page }) => {
+    await mockWalletWithOracle(page, { ageSeconds: 2 * 86400 });
+    const requests = await mockPriceApi(page);
+
+    const quote = await page.evaluate(async () => {
+      const { getGnoPrice } = await import('/pricing.js');
+      const result = await getGnoPrice('USD');
+      return { ...result, price: result.price.toString() };
+    });
+
+    expect(quote).toEqual({ price: '12345000000', currency: 'USD', source: 'Price API' });
+    expect(requests).toEqual(['/price-api/simple/price?ids=gnosis&vs_currencies=usd']);
+  });
+
+  test('should read historical prices at the claim block or day', async ({ page }) => {
+    await mockWalletWithOracle(page);
+    const requests = await mockPriceApi(page);
+
+    const result = await page.evaluate(async () => {
+      const { getHistoricalGnoPrice } = await import('/pricing.js');
+      // 2024-02-01; the oracle only covers USD, so EUR comes from the API
+      const at = { timestamp: 1706745600, blockNumber: 31000000 };
+      const usd = await getHistoricalGnoPrice('USD', at);
+      const eur = await getHistoricalGnoPrice('EUR', at);
+      return { usd: usd.price.toString(), eur: eur.price.toString(), blockTags: window.__oracleBlockTags };
+    });
+
+    expect(result.usd).toBe('25050000000');
+    expect(result.blockTags).toEqual(['0x1d905c0', '0x1d905c0']);
+    expect(result.eur).toBe('9125000000');
+    expect(requests).toEqual(['/price-api/coins/gnosis/history?date=01-02-2024&localization=false']);
+  });
+
+  test('should prefer registered price sources', async ({ page }) => {
+    await mockWalletWithOracle(page);
+
+    const source = await page.evaluate(async () => {
+      const { registerPriceSource, getGnoPrice } = await import('/pricing.js');
+      registerPriceSource({
+        id: 'fixed',
+        label: 'Fixed',
+        supports: () => true,
+        getPrice: async () => 100n * 10n ** 8n,
+        getHistoricalPrice: async () => 100n * 10n ** 8n
+      });
+      return (await getGnoPrice('CHF')).source;
+    });
+
+    expect(source).toBe('Fixed');
+  });
+
+  test('should show GNO only when no price source answers', async ({ page }) => {
+    await mockWalletWithOracle(page, { ageSeconds: 2 * 86400 });
+    await page.evaluate(async () => {
+      const { CONFIG } = await import('/config.js');
+      CONFIG.PRICE_API_URL = '';
+    });
+
+    await page.fill('#address-input', ADDRESS);
+    await page.click('#lookup-button');
+
+    await expect(page.locator('.balance').first()).toContainText('0.500000 GNO');
+    await expect(page.locator('.fiat-value')).toHaveCount(0);
+    await expect(page.locator('.price-info')).toHaveCount(0);
+  });
+
+  test('should remember the selected currency', async ({ page }) => {
+    await mockWalletWithOracle(page);
+
+    await page.selectOption('#currency-select', 'EUR');
+    expect(await page.evaluate(() => localStorage.getItem('gnosis-validator-app:currency'))).toBe('EUR');
+
+    await page.reload();
+    await expect(page.locator('#currency-select')).toHaveValue('EUR');
+  });
+});
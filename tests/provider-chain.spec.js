@@ -0,0 +1,162 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+const CALL = [{ to: '0x9C58BAcC331c9aa871AFD802DB6379a98e80CEdb', data: '0x70a08231' }, 'latest'];
+
+test.describe('Provider Chain', () => {
+  test('should record the injected wallet as the answering provider', async ({ page }) => {
+    await page.addInitScript(() => {
+      window.ethereum = {
+        request: async ({ method }) => {
+          if (method === 'eth_chainId') return '0x64';
+          return method === 'eth_call' ? '0x01' : [];
+        },
+        on: () => {},
+        removeListener: () => {}
+      };
+    });
+    await page.goto('/');
+
+    const response = await page.evaluate(async (call) => {
+      const { requestWithFallback } = await import('/providerChain.js');
+      return requestWithFallback('eth_call', call);
+    }, CALL);
+
+    expect(response).toEqual({ result: '0x01', provider: 'Injected wallet' });
+  });
+
+  test('should fall through to the RPC when the wallet fails', async ({ page }) => {
+    await page.addInitScript(() => {
+      window.ethereum = {
+        request: async ({ method }) => {
+          if (method === 'eth_chainId') return '0x64';
+          if (method === 'eth_call') throw new Error('wallet offline');
+          return [];
+        },
+        on: () => {},
+        removeListener: () => {}
+      };
+    });
+    await page.route('https://rpc.gnosischain.com/**', route => {
+      const { id, method } = route.request().postDataJSON();
+      route.fulfill({
+        contentType: 'application/json',
+        body: JSON.stringify({ jsonrpc: '2.0', id, result: method === 'eth_chainId' ? '0x64' : '0x02' })
+      });
+    });
+    await page.goto('/');
+
+    const response = await page.evaluate(async (call) => {
+      const { requestWithFallback } = await import('/providerChain.js');
+      return requestWithFallback('eth_call', call);
+    }, CALL);
+
+    expect(response).toEqual({ result: '0x02', provider: 'RPC rpc.gnosischain.com' });
+  });
+
+  test('should skip a wallet on another chain before it is connected', async ({ page }) => {
+    await page.addInitScript(() => {
+      window.__walletCalls = [];
+      window.ethereum = {
+        request: async ({ method }) => {
+          window.__walletCalls.push(method);
+          if (method === 'eth_chainId') return '0x1';
+          return method === 'eth_call' ? '0x' : [];
+        },
+        on: () => {},
+        removeListener: () => {}
+      };
+    });
+    await page.route('https://rpc.gnosischain.com/**', route => {
+      const { id, method } = route.request().postDataJSON();
+      route.fulfill({
+        contentType: 'application/json',
+        body: JSON.stringify({ jsonrpc: '2.0', id, result: method === 'eth_chainId' ? '0x64' : '0x02' })
+      });
+    });
+    await page.goto('/');
+
+    const result = await page.evaluate(async (call) => {
+      const { requestWithFallback } = await import('/providerChain.js');
+      const response = await requestWithFallback('eth_call', call);
+      return { response, walletCalls: window.__walletCalls };
+    }, CALL);
+
+    expect(result.response).toEqual({ result: '0x02', provider: 'RPC rpc.gnosischain.com' });
+    expect(result.walletCalls).toContain('eth_chainId');
+    expect(result.walletCalls).not.toContain('eth_call');
+  });
+
+  test('should use registered providers before the RPC list', async ({ page }) => {
+    await page.route(url => url.hostname !== 'localhost', route => route.abort());
+    await page.goto('/');
+
+    const response = await page.evaluate(async (call) => {
+      const { requestWithFallback, registerProvider } = await import('/providerChain.js');
+      registerProvider({
+        id: 'custom',
+        label: 'Custom node',
+        isAvailable: async () => true,
+        supports: () => true,
+        request: async () => '0x03'
+      });
+      return requestWithFallback('eth_call', call);
+    }, CALL);
+
+    expect(response).toEqual({ result: '0x03', provider: 'Custom node' });
+  });
+
+  test('should report every failed provider instead of returning mock data', async ({ page }) => {
+    await page.route(url => url.hostname !== 'localhost', route => route.abort());
+    await page.goto('/');
+
+    const error = await page.evaluate(async (call) => {
+      const { requestWithFallback } = await import('/providerChain.js');
+      try {
+        await requestWithFallback('eth_call', call);
+        return null;
+      } catch (e) {
+        return { message: e.message, providers: e.attempts.map(attempt => attempt.provider) };
+      }
+    }, CALL);
+
+    expect(error).not.toBeNull();
+    expect(error.message).toContain('No provider could answer eth_call');
+    expect(error.providers).toEqual([
+      'RPC rpc.gnosischain.com',
+      'RPC rpc.gnosis.gateway.fm',
+      'RPC gnosis.drpc.org'
+    ]);
+  });
+
+  test('should only serve sample data in demo mode', async ({ page }) => {
+    await page.goto('/?demo=1');
+
+    const result = await page.evaluate(async () => {
+      const { CONFIG } = await import('/config.js');
+      const service = await import('/contractService.js');
+      const account = '0x1234567890123456789012345678901234567890';
+      const [withdrawable, balance] = await Promise.all([
+        service.getWithdrawableAmount(CONFIG.VALIDATOR_CONTRACT_ADDRESS, account),
+        service.getTokenBalance(CONFIG.GNO_TOKEN_ADDRESS, account)
+      ]);
+      let claimError = null;
+      try {
+        await service.claimWithdrawal(CONFIG.VALIDATOR_CONTRACT_ADDRESS, account);
+      } catch (e) {
+        claimError = e.message;
+      }
+      return {
+        withdrawable: withdrawable.value.toString(),
+        balance: balance.value.toString(),
+        provider: withdrawable.provider,
+        claimError
+      };
+    });
+
+    expect(result.withdrawable).toBe('500000000000000000');
+    expect(result.balance).toBe('10250000000000000000');
+    expect(result.provider).toBe('Demo data');
+    expect(result.claimError).toBe('Transactions are disabled in demo mode');
+  });
+});
@@ -0,0 +1,239 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+const ACCOUNT = '0x1234567890123456789012345678901234567890';
+const TRANSFER_TOPIC = '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef';
+
+/**
+ * Mocks a wallet serving two claim logs (1 GNO at block 150, 2 GNO at block 420),
+ * block timestamps one day apart per block from 2024-01-01, and a chain head at block 500.
+ * Every eth_getLogs range is recorded in window.__logRanges, the block of every historical
+ * eth_call in window.__callBlocks and of every block read in window.__blockReads. With
+ * `prunedBelow`, historical eth_calls for older blocks fail like on a node without archive state.
+ */
+async function mockWalletWithClaims(page, { maxRange = Infinity, prunedBelow = 0 } = {}) {
+  await page.route(url => url.hostname !== 'localhost', route => route.abort());
+  await page.addInitScript(({ account, transferTopic, maxRange, prunedBelow }) => {
+    const pad = hex => hex.replace(/^0x/, '').toLowerCase().padStart(64, '0');
+    const claims = [
+      { block: 150, amount: 10n ** 18n, hash: '0x' + '01'.repeat(32) },
+      { block: 420, amount: 2n * 10n ** 18n, hash: '0x' + '02'.repeat(32) }
+    ];
+    window.__logRanges = [];
+    window.__callBlocks = [];
+    window.__blockReads = [];
+    window.__head = 500;
+    window.ethereum = {
+      request: async ({ method, params }) => {
+        if (method === 'eth_chainId') return '0x64';
+        if (method === 'eth_requestAccounts') return [account];
+        if (method === 'eth_accounts') return [];
+        if (method === 'eth_call') {
+          if (params[1] !== 'latest') {
+            window.__callBlocks.push(parseInt(params[1], 16));
+            if (parseInt(params[1], 16) < prunedBelow) throw new Error('missing trie node');
+          }
+          return '0x' + (5n * 10n ** 17n).toString(16).padStart(64, '0');
+        }
+        if (method === 'eth_blockNumber') return '0x' + window.__head.toString(16);
+        if (method === 'eth_getBlockByNumber') {
+          window.__blockReads.push(parseInt(params[0], 16));
+          return { timestamp: '0x' + (1704067200 + parseInt(params[0], 16) * 86400).toString(16) };
+        }
+        if (method === 'eth_getLogs') {
+          const { fromBlock, toBlock, topics } = params[0];
+          const from = parseInt(fromBlock, 16);
+          const to = parseInt(toBlock, 16);
+          if (to - from + 1 > maxRange) throw new Error('block range too large');
+          window.__logRanges.push([from, to]);
+          if (topics[0] !== transferTopic || topics[2] !== '0x' + pad(account)) return [];
+          return claims.filter(claim => claim.block >= from && claim.block <= to).map(claim => ({
+            blockNumber: '0x' + claim.block.toString(16),
+            transactionHash: claim.hash,
+            logIndex: '0x0',
+            topics: [transferTopic, topics[1], topics[2]],
+            data: '0x' + pad(claim.amount.toString(16))
+          }));
+        }
+        return null;
+      },
+      on: () => {},
+      removeListener: () => {}
+    };
+  }, { account: ACCOUNT, transferTopic: TRANSFER_TOPIC, maxRange, prunedBelow });
+  await page.goto('/');
+  await page.evaluate(async () => {
+    const { CONFIG } = await import('/config.js');
+    CONFIG.REWARDS_HISTORY_START_BLOCK = 1;
+    CONFIG.LOGS_CHUNK_SIZE = 200;
+    CONFIG.LOGS_MIN_CHUNK_SIZE = 50;
+    CONFIG.REWARDS_HISTORY_SAMPLE_INTERVAL = 200;
+  });
+}
+
+test.describe('Rewards History', () => {
+  test('should read claims from transfer logs in block-range chunks', async ({ page }) => {
+    await mockWalletWithClaims(page);
+
+    const result = await page.evaluate(async (account) => {
+      const { getClaimHistory } = await import('/rewardsHistory.js');
+      const history = await getClaimHistory(account);
+      return {
+        scannedToBlock: history.scannedToBlock,
+        claims: history.claims.map(claim => ({ ...claim, amount: claim.amount.toString() })),
+        ranges: window.__logRanges
+      };
+    }, ACCOUNT);
+
+    expect(result.ranges).toEqual([[1, 200], [201, 400], [401, 500]]);
+    expect(result.scannedToBlock).toBe(500);
+    expect(result.claims).toEqual([
+      { blockNumber: 150, timestamp: 1704067200 + 150 * 86400, txHash: '0x' + '01'.repeat(32), logIndex: 0, amount: '1000000000000000000' },
+      { blockNumber: 420, timestamp: 1704067200 + 420 * 86400, txHash: '0x' + '02'.repeat(32), logIndex: 0, amount: '2000000000000000000' }
+    ]);
+  });
+
+  test('should shrink the block range when a provider refuses it', async ({ page }) => {
+    await mockWalletWithClaims(page, { maxRange: 100 });
+
+    const ranges = await page.evaluate(async (account) => {
+      const { getClaimHistory } = await import('/rewardsHistory.js');
+      await getClaimHistory(account);
+      return window.__logRanges;
+    }, ACCOUNT);
+
+    expect(ranges[0]).toEqual([1, 100]);
+    expect(ranges[ranges.length - 1][1]).toBe(500);
+  });
+
+  test('should only scan new blocks once history is cached', async ({ page }) => {
+    await mockWalletWithClaims(page);
+
+    const result = await page.evaluate(async (account) => {
+      const { getClaimHistory } = await import('/rewardsHistory.js');
+      await getClaimHistory(account);
+      window.__logRanges = [];
+      window.__head = 650;
+      const history = await getClaimHistory(account);
+      return { ranges: window.__logRanges, claims: history.claims.length, scannedToBlock: history.scannedToBlock };
+    }, ACCOUNT);
+
+    expect(result.ranges).toEqual([[501, 650]]);
+    expect(result.claims).toBe(2);
+    expect(result.scannedToBlock).toBe(650);
+  });
+
+  test('should read withdrawable amounts at sampled blocks once', async ({ page }) => {
+    await mockWalletWithClaims(page);
+
+    const result = await page.evaluate(async (account) => {
+      const { getClaimHistory } = await import('/rewardsHistory.js');
+      const history = await getClaimHistory(account);
+      const firstBlocks = window.__callBlocks;
+      window.__callBlocks = [];
+      window.__head = 650;
+      await getClaimHistory(account);
+      return {
+        samples: history.samples.map(sample => [sample.blockNumber, sample.timestamp, sample.withdrawable.toString()]),
+        firstBlocks,
+        laterBlocks: window.__callBlocks
+      };
+    }, ACCOUNT);
+
+    // Every 200 blocks, and the block before each claim, newest first
+    expect(result.firstBlocks).toEqual([419, 400, 200, 149]);
+    expect(result.samples[0]).toEqual([149, 1704067200 + 149 * 86400, '500000000000000000']);
+    expect(result.laterBlocks).toEqual([600]);
+  });
+
+  test('should stop reading samples at the first block the provider refuses', async ({ page }) => {
+    await mockWalletWithClaims(page, { prunedBelow: 300 });
+
+    const result = await page.evaluate(async (account) => {
+      const { getClaimHistory } = await import('/rewardsHistory.js');
+      const history = await getClaimHistory(account);
+      const first = { callBlocks: window.__callBlocks, blockReads: window.__blockReads };
+      window.__callBlocks = [];
+      await getClaimHistory(account);
+      return {
+        samples: history.samples.map(sample => sample.blockNumber),
+        first,
+        laterCallBlocks: window.__callBlocks
+      };
+    }, ACCOUNT);
+
+    expect(result.samples).toEqual([400, 419]);
+    expect(result.first.callBlocks).toEqual([419, 400, 200]);
+    // Timestamps of the claims, then of the samples that could be read
+    expect(result.first.blockReads).toEqual([150, 420, 419, 400]);
+    expect(result.laterCallBlocks).toEqual([200]);
+  });
+
+  test('should build accrued vs claimed points and monthly totals', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async () => {
+      const { buildRewardsSeries, summarizeByMonth } = await import('/rewardsHistory.js');
+      const claims = [
+        { blockNumber: 100, timestamp: Date.UTC(2024, 0, 5) / 1000, amount: 10n ** 18n },
+        { blockNumber: 200, timestamp: Date.UTC(2024, 0, 20) / 1000, amount: 10n ** 18n },
+        { blockNumber: 300, timestamp: Date.UTC(2024, 2, 1) / 1000, amount: 3n * 10n ** 18n }
+      ];
+      const series = buildRewardsSeries(claims, [], 5n * 10n ** 17n, Date.UTC(2024, 3, 1) / 1000);
+      return {
+        series: series.map(point => [point.accrued.toString(), point.claimed.toString()]),
+        months: summarizeByMonth(claims).map(month => [month.month, month.count, month.amount.toString()])
+      };
+    });
+
+    expect(result.series).toEqual([
+      ['1000000000000000000', '1000000000000000000'],
+      ['2000000000000000000', '2000000000000000000'],
+      ['5000000000000000000', '5000000000000000000'],
+      ['5500000000000000000', '5000000000000000000']
+    ]);
+    expect(result.months).toEqual([
+      ['2024-01', 2, '2000000000000000000'],
+      ['2024-03', 1, '3000000000000000000']
+    ]);
+  });
+
+  test('should chart accruals between claims from sampled withdrawable amounts', async ({ page }) => {
+    await page.goto('/');
+
+    const series = await page.evaluate(async () => {
+      const { buildRewardsSeries } = await import('/rewardsHistory.js');
+      const gno = 10n ** 18n;
+      const claims = [
+        { blockNumber: 100, timestamp: 1000, amount: gno },
+        { blockNumber: 300, timestamp: 3000, amount: 2n * gno }
+      ];
+      // 1.5 GNO had accrued since the first claim by block 200, and 2 GNO just before the second
+      const samples = [
+        { blockNumber: 200, timestamp: 2000, withdrawable: 3n * gno / 2n },
+        { blockNumber: 299, timestamp: 2990, withdrawable: 2n * gno }
+      ];
+      return buildRewardsSeries(claims, samples, gno / 4n, 4000)
+        .map(point => [point.timestamp, point.accrued.toString(), point.claimed.toString()]);
+    });
+
+    expect(series).toEqual([
+      [1000, '1000000000000000000', '1000000000000000000'],
+      [2000, '2500000000000000000', '1000000000000000000'],
+      [2990, '3000000000000000000', '1000000000000000000'],
+      [3000, '3000000000000000000', '3000000000000000000'],
+      [4000, '3250000000000000000', '3000000000000000000']
+    ]);
+  });
+
+  test('should draw the history chart on the dashboard', async ({ page }) => {
+    await mockWalletWithClaims(page);
+    await page.click('#connect-button');
+    await page.click('#history-button');
+
+    await expect(page.locator('.rewards-chart polyline')).toHaveCount(2);
+    await expect(page.locator('.history-month')).toHaveCount(2);
+    await expect(page.locator('.history-month').first()).toContainText('1.000000 GNO');
+    await expect(page.locator('#history-button')).toHaveText('Update History');
+  });
+});
@@ -0,0 +1,162 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+/**
+ * Serves a mock JSON-RPC endpoint.
+ * @param {import('@playwright/test').Page} page
+ * @param {string} url - Endpoint URL
+ * @param {{ chainId?: string, fail?: boolean, result?: string }} options
+ */
+async function mockRpc(page, url, { chainId = '0x64', fail = false, result = '0x01' } = {}) {
+  await page.route(url, route => {
+    if (fail) {
+      return route.fulfill({ status: 500, body: 'Internal Server Error' });
+    }
+    const { id, method } = route.request().postDataJSON();
+    return route.fulfill({
+      contentType: 'application/json',
+      body: JSON.stringify({ jsonrpc: '2.0', id, result: method === 'eth_chainId' ? chainId : result })
+    });
+  });
+}
+
+/**
+ * Points the app at test endpoints and shortens retry timings.
+ */
+async function useEndpoints(page, urls) {
+  await page.evaluate(async (endpoints) => {
+    const { CONFIG } = await import('/config.js');
+    CONFIG.RPC_URLS = endpoints;
+    CONFIG.RPC_BACKOFF_MS = 1;
+    CONFIG.RPC_TIMEOUT_MS = 500;
+  }, urls);
+}
+
+test.describe('RPC Endpoint Pool', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+  });
+
+  test('should fail over to the next endpoint', async ({ page }) => {
+    await mockRpc(page, 'https://node-a.test/', { fail: true });
+    await mockRpc(page, 'https://node-b.test/', { result: '0x02' });
+    await useEndpoints(page, ['https://node-a.test/', 'https://node-b.test/']);
+
+    const response = await page.evaluate(async () => {
+      const { requestWithFallback } = await import('/providerChain.js');
+      return requestWithFallback('eth_blockNumber', []);
+    });
+
+    expect(response).toEqual({ result: '0x02', provider: 'RPC node-b.test' });
+  });
+
+  test('should reject an endpoint that reports the wrong chainId', async ({ page }) => {
+    await mockRpc(page, 'https://mainnet.test/', { chainId: '0x1' });
+    await useEndpoints(page, ['https://mainnet.test/']);
+
+    const result = await page.evaluate(async () => {
+      const pool = await import('/rpcPool.js');
+      let error = null;
+      try {
+        await pool.requestEndpoint('https://mainnet.test/', 'eth_blockNumber', []);
+      } catch (e) {
+        error = e.message;
+      }
+      return { error, statuses: pool.getEndpointStatuses() };
+    });
+
+    expect(result.error).toContain('expected 100');
+    expect(result.statuses[0].status).toBe('wrong-chain');
+  });
+
+  test('should retry with backoff before giving up on an endpoint', async ({ page }) => {
+    let attempts = 0;
+    await page.route('https://flaky.test/', route => {
+      const { id, method } = route.request().postDataJSON();
+      if (method === 'eth_blockNumber' && ++attempts < 3) {
+        return route.fulfill({ status: 503, body: 'busy' });
+      }
+      return route.fulfill({
+        contentType: 'application/json',
+        body: JSON.stringify({ jsonrpc: '2.0', id, result: method === 'eth_chainId' ? '0x64' : '0x10' })
+      });
+    });
+    await useEndpoints(page, ['https://flaky.test/']);
+
+    const result = await page.evaluate(async () => {
+      const pool = await import('/rpcPool.js');
+      return pool.requestEndpoint('https://flaky.test/', 'eth_blockNumber', []);
+    });
+
+    expect(result).toBe('0x10');
+    expect(attempts).toBe(3);
+  });
+
+  test('should skip an endpoint whose circuit is open', async ({ page }) => {
+    await mockRpc(page, 'https://down.test/', { fail: true });
+    await useEndpoints(page, ['https://down.test/']);
+
+    const result = await page.evaluate(async () => {
+      const { CONFIG } = await import('/config.js');
+      const pool = await import('/rpcPool.js');
+      CONFIG.RPC_RETRIES = 0;
+      for (let i = 0; i < CONFIG.RPC_FAILURE_THRESHOLD; i++) {
+        await pool.requestEndpoint('https://down.test/', 'eth_blockNumber', []).catch(() => {});
+      }
+      return {
+        usable: pool.isEndpointUsable('https://down.test/'),
+        status: pool.getEndpointStatuses()[0].status
+      };
+    });
+
+    expect(result.usable).toBe(false);
+    expect(result.status).toBe('disabled');
+  });
+
+  test('should save a custom RPC and try it first', async ({ page }) => {
+    await mockRpc(page, 'http://localhost:8545/', { result: '0x99' });
+    await mockRpc(page, 'https://public.test/', { result: '0x01' });
+    await useEndpoints(page, ['https://public.test/']);
+
+    const result = await page.evaluate(async () => {
+      const pool = await import('/rpcPool.js');
+      const { requestWithFallback } = await import('/providerChain.js');
+      await pool.addCustomRpcUrl('http://localhost:8545');
+      return {
+        stored: JSON.parse(localStorage.getItem('gnosis-validator-app:custom-rpc-urls:gnosis')),
+        endpoints: pool.getRpcEndpoints(),
+        response: await requestWithFallback('eth_blockNumber', [])
+      };
+    });
+
+    expect(result.stored).toEqual(['http://localhost:8545/']);
+    expect(result.endpoints).toEqual(['http://localhost:8545/', 'https://public.test/']);
+    expect(result.response).toEqual({ result: '0x99', provider: 'RPC localhost:8545' });
+  });
+
+  test('should refuse to save a custom RPC on another chain', async ({ page }) => {
+    await mockRpc(page, 'https://sepolia.test/', { chainId: '0xaa36a7' });
+
+    await page.click('#rpc-settings-toggle');
+    await page.fill('#rpc-url-input', 'https://sepolia.test/');
+    await page.click('#rpc-add-button');
+
+    await expect(page.locator('.error')).toContainText('Failed to add RPC endpoint');
+    const stored = await page.evaluate(() => localStorage.getItem('gnosis-validator-app:custom-rpc-urls:gnosis'));
+    expect(stored).toBeNull();
+  });
+
+  test('should add and remove a custom RPC from the settings panel', async ({ page }) => {
+    await mockRpc(page, 'https://my-node.test/');
+
+    await page.click('#rpc-settings-toggle');
+    await page.fill('#rpc-url-input', 'https://my-node.test/');
+    await page.click('#rpc-add-button');
+
+    await expect(page.locator('.success')).toContainText('RPC endpoint added');
+    await expect(page.locator('.rpc-endpoint').first()).toContainText('https://my-node.test/');
+
+    await page.locator('.rpc-remove-button').click();
+    await expect(page.locator('.rpc-endpoint').first()).not.toContainText('https://my-node.test/');
+  });
+});
@@ -26,6 +26,7 @@ test.describe('Safe App Context Tests', () => {
     await page.addInitScript(() => {
       window.ethereum = {
         request: async (params) => {
+          if (params.method === 'eth_chainId') return '0x64';
           if (params.method === 'eth_requestAccounts') {
             return ['0x1234567890123456789012345678901234567890'];
           }
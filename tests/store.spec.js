@@ -0,0 +1,154 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+const SLOW_ACCOUNT = '0x1234567890123456789012345678901234567890';
+const FAST_ACCOUNT = '0xabcdefabcdefabcdefabcdefabcdefabcdefabcd';
+
+test.describe('Store', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.route(url => url.hostname !== 'localhost', route => route.abort());
+  });
+
+  test('should update state immutably and notify subscribers', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async () => {
+      const { createAppStore, createInitialState, lookupInputChanged, validatorSortChanged } = await import('/appStore.js');
+      const store = createAppStore(createInitialState());
+      const calls = [];
+      const unsubscribe = store.subscribe((state, action) => calls.push(action.type));
+
+      const before = store.getState();
+      store.dispatch(lookupInputChanged('alice.eth'));
+      const after = store.getState();
+      store.dispatch(lookupInputChanged('alice.eth')); // No change, no notification
+      store.dispatch(validatorSortChanged('index'));
+      unsubscribe();
+      store.dispatch(validatorSortChanged('index'));
+
+      let mutationError = '';
+      try {
+        after.lookupAddress = 'changed';
+      } catch (error) {
+        mutationError = error.constructor.name;
+      }
+
+      return {
+        oldValue: before.lookupAddress,
+        newValue: after.lookupAddress,
+        sameObject: before === after,
+        calls,
+        sort: store.getState().validatorSort,
+        mutationError
+      };
+    });
+
+    expect(result.oldValue).toBe('');
+    expect(result.newValue).toBe('alice.eth');
+    expect(result.sameObject).toBe(false);
+    expect(result.calls).toEqual(['lookup/input', 'validators/sort']);
+    expect(result.sort).toEqual({ key: 'index', direction: 'asc' });
+    expect(result.mutationError).toBe('TypeError');
+  });
+
+  test('should drop results of stale and cancelled requests', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async () => {
+      const { createAppStore, createInitialState, lookupLoaded } = await import('/appStore.js');
+      const store = createAppStore(createInitialState());
+      const loaded = address => lookupLoaded({ address, withdrawable: 0n, gnoBalance: 0n, validatorCount: 0, dataSource: '' });
+
+      const slow = store.beginRequest('lookup');
+      const fast = store.beginRequest('lookup');
+      const fastApplied = store.dispatch(loaded('0xfast'), fast);
+      const slowApplied = store.dispatch(loaded('0xslow'), slow);
+
+      const cancelled = store.beginRequest('lookup');
+      store.cancelRequest('lookup');
+      const cancelledApplied = store.dispatch(loaded('0xcancelled'), cancelled);
+
+      return { fastApplied, slowApplied, cancelledApplied, address: store.getState().lookupResultAddress };
+    });
+
+    expect(result).toEqual({ fastApplied: true, slowApplied: false, cancelledApplied: false, address: '0xfast' });
+  });
+
+  test('should reset everything read for the previous account when it changes', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async ({ slow, fast }) => {
+      const appStore = await import('/appStore.js');
+      const initial = appStore.createInitialState();
+      const store = appStore.createAppStore(initial);
+      store.dispatch(appStore.accountChanged(slow));
+      store.dispatch(appStore.accountDataLoaded({
+        withdrawable: 10n ** 18n,
+        gnoBalance: 2n * 10n ** 18n,
+        validators: [{ index: 1 }],
+        validatorsError: '',
+        validatorSource: 'beaconcha.in',
+        dataSource: 'Injected wallet'
+      }));
+      store.dispatch(appStore.transactionUpdated({ hash: '0x01', status: 'pending' }));
+      store.dispatch(appStore.batchChecked([{ address: fast, value: 1n }]));
+
+      store.dispatch(appStore.accountChanged(fast));
+      const switched = store.getState();
+
+      store.dispatch(appStore.accountDataLoaded({
+        withdrawable: 1n, gnoBalance: 1n, validators: [{ index: 2 }], validatorsError: '', validatorSource: '', dataSource: ''
+      }));
+      store.dispatch(appStore.accountDataFailed('down'));
+      const failed = store.getState();
+
+      const keys = ['withdrawableAmount', 'gnoBalance', 'validatorCount', 'validators', 'validatorSource', 'dataSource', 'dataError', 'transaction', 'batchItems'];
+      return {
+        reset: keys.every(key => JSON.stringify(switched[key], (k, v) => (typeof v === 'bigint' ? String(v) : v)) ===
+          JSON.stringify(initial[key], (k, v) => (typeof v === 'bigint' ? String(v) : v))),
+        account: switched.account,
+        failedValidators: failed.validators.length,
+        failedCount: failed.validatorCount
+      };
+    }, { slow: SLOW_ACCOUNT, fast: FAST_ACCOUNT });
+
+    expect(result).toEqual({ reset: true, account: FAST_ACCOUNT, failedValidators: 0, failedCount: 0 });
+  });
+
+  test('should not show balances of an account the wallet switched away from', async ({ page }) => {
+    await page.addInitScript(({ slow }) => {
+      const word = value => '0x' + value.toString(16).padStart(64, '0');
+      const listeners = {};
+      window.__switchAccount = (account) => listeners.accountsChanged.forEach(listener => listener([account]));
+      window.__canSwitchAccount = () => !!listeners.accountsChanged;
+      window.ethereum = {
+        request: async ({ method, params }) => {
+          if (method === 'eth_accounts' || method === 'eth_requestAccounts') return [slow];
+          if (method === 'eth_chainId') return '0x64';
+          if (method === 'eth_call') {
+            // Reads for the first account answer late with 1 GNO; the second gets 2 GNO at once
+            if (params[0].data.includes(slow.slice(2))) {
+              await new Promise(resolve => setTimeout(resolve, 1500));
+              return word(10n ** 18n);
+            }
+            return word(2n * 10n ** 18n);
+          }
+          return null;
+        },
+        on: (event, listener) => {
+          (listeners[event] = listeners[event] || []).push(listener);
+        },
+        removeListener: () => {}
+      };
+    }, { slow: SLOW_ACCOUNT });
+    await page.goto('/');
+    await page.waitForFunction(() => window.__canSwitchAccount());
+
+    await page.click('#refresh-button');
+    await page.evaluate((account) => window.__switchAccount(account), FAST_ACCOUNT);
+
+    await expect(page.locator('[data-component="rewards"] .balance')).toHaveText('2.000000 GNO');
+    await page.waitForTimeout(2000);
+    await expect(page.locator('[data-component="rewards"] .balance')).toHaveText('2.000000 GNO');
+  });
+});
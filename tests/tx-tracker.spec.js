@@ -0,0 +1,149 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+const TX_HASH = '0x' + 'ab'.repeat(32);
+const SAFE_TX_HASH = '0x' + 'cd'.repeat(32);
+
+/**
+ * Mocks a wallet that reports a receipt after `pendingPolls` receipt requests.
+ */
+async function mockWalletWithReceipt(page, { pendingPolls = 1, status = '0x1' } = {}) {
+  await page.addInitScript(({ pendingPolls, status, txHash }) => {
+    let receiptRequests = 0;
+    window.__receiptRequests = () => receiptRequests;
+    window.ethereum = {
+      request: async ({ method }) => {
+        if (method === 'eth_chainId') return '0x64';
+        if (method === 'eth_requestAccounts' || method === 'eth_accounts') {
+          return ['0x1234567890123456789012345678901234567890'];
+        }
+        if (method === 'eth_call') {
+          return '0x16345785d8a0000';
+        }
+        if (method === 'eth_sendTransaction') {
+          return txHash;
+        }
+        if (method === 'eth_getTransactionReceipt') {
+          receiptRequests++;
+          return receiptRequests > pendingPolls ? { status, blockNumber: '0x10' } : null;
+        }
+        return null;
+      },
+      on: () => {},
+      removeListener: () => {}
+    };
+  }, { pendingPolls, status, txHash: TX_HASH });
+}
+
+/**
+ * Tracks a transaction inside the page and resolves with every status update
+ */
+async function trackInPage(page, options) {
+  return page.evaluate(async (trackOptions) => {
+    const { CONFIG } = await import('/config.js');
+    const { trackTransaction } = await import('/txTracker.js');
+    CONFIG.TX_POLL_INTERVAL_MS = 10;
+    if (trackOptions.isSafe) {
+      const { initSafeApp } = await import('/safeService.js');
+      await initSafeApp();
+    }
+    return new Promise(resolve => {
+      const updates = [];
+      trackTransaction(trackOptions, (transaction) => {
+        updates.push(transaction);
+        if (transaction.status !== 'pending') {
+          resolve(updates);
+        }
+      });
+    });
+  }, options);
+}
+
+test.describe('Transaction Tracking', () => {
+  test('should follow a wallet transaction until it is mined', async ({ page }) => {
+    await mockWalletWithReceipt(page, { pendingPolls: 2 });
+    await page.goto('/');
+
+    const updates = await trackInPage(page, { hash: TX_HASH, isSafe: false });
+    const final = updates[updates.length - 1];
+
+    expect(updates[0].status).toBe('pending');
+    expect(final.status).toBe('confirmed');
+    expect(final.blockNumber).toBe(16);
+    expect(final.explorerUrl).toBe(`https://gnosisscan.io/tx/${TX_HASH}`);
+  });
+
+  test('should report reverted transactions', async ({ page }) => {
+    await mockWalletWithReceipt(page, { pendingPolls: 0, status: '0x0' });
+    await page.goto('/');
+
+    const updates = await trackInPage(page, { hash: TX_HASH, isSafe: false });
+    expect(updates[updates.length - 1].status).toBe('reverted');
+  });
+
+  test('should follow a Safe transaction until it has an on-chain hash', async ({ page }) => {
+    await page.addInitScript(({ txHash }) => {
+      let lookups = 0;
+      window.SafeAppsSDK = class {
+        get safe() {
+          return { getInfo: async () => ({ safeAddress: '0x1111111111111111111111111111111111111111', chainId: 100 }) };
+        }
+        get txs() {
+          return {
+            getBySafeTxHash: async () => {
+              lookups++;
+              if (lookups < 2) return { txStatus: 'AWAITING_CONFIRMATIONS' };
+              if (lookups < 3) return { txStatus: 'AWAITING_EXECUTION' };
+              return { txStatus: 'SUCCESS', txHash };
+            }
+          };
+        }
+        get eth() {
+          return { call: async () => '0x' };
+        }
+      };
+      window.ethereum = {
+        request: async ({ method }) => {
+          if (method === 'eth_chainId') return '0x64';
+          return method === 'eth_getTransactionReceipt' ? { status: '0x1', blockNumber: '0x20' } : null;
+        },
+        on: () => {},
+        removeListener: () => {}
+      };
+    }, { txHash: TX_HASH });
+    await page.goto('/');
+
+    const updates = await trackInPage(page, {
+      hash: SAFE_TX_HASH,
+      isSafe: true,
+      safeAddress: '0x1111111111111111111111111111111111111111'
+    });
+    const details = updates.map(update => update.detail);
+    const final = updates[updates.length - 1];
+
+    expect(updates[0].hash).toBeNull();
+    expect(updates[0].safeUrl).toContain(SAFE_TX_HASH);
+    expect(details).toContain('Signed, waiting for execution');
+    expect(final.status).toBe('confirmed');
+    expect(final.hash).toBe(TX_HASH);
+    expect(final.safeTxHash).toBe(SAFE_TX_HASH);
+  });
+
+  test('should show pending and confirmed states after claiming', async ({ page }) => {
+    await mockWalletWithReceipt(page, { pendingPolls: 1 });
+    await page.goto('/');
+    await page.evaluate(async () => {
+      const { CONFIG } = await import('/config.js');
+      CONFIG.TX_POLL_INTERVAL_MS = 500;
+    });
+
+    await page.click('#connect-button');
+    await expect(page.locator('#claim-button')).toBeEnabled();
+    await page.click('#claim-button');
+
+    await expect(page.locator('.tx-status')).toHaveText('⏳ Pending');
+    await expect(page.locator('.tx-links a').first()).toHaveAttribute('href', `https://gnosisscan.io/tx/${TX_HASH}`);
+    await expect(page.locator('.tx-status')).toHaveText('✅ Confirmed', { timeout: 10000 });
+    await expect(page.locator('.tx-detail')).toHaveText('Confirmed in block 16');
+  });
+});
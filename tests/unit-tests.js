@@ -93,26 +93,30 @@ test('app.js uses ES6 modules and has required functionality', () => {
   assert(fileContains('app.js', 'import {'), 'Should use ES6 imports');
   assert(fileContains('app.js', 'fetchAddressData'), 'Should have address lookup function');
   assert(fileContains('app.js', 'connectWallet'), 'Should have wallet connection function');
-  assert(fileContains('app.js', 'Check Any Address'), 'Should have address lookup UI');
-  assert(fileContains('app.js', 'GNO'), 'Should display rewards in GNO');
+  assert(fileContains('components.js', 'Check Any Address'), 'Should have address lookup UI');
+  assert(fileContains('components.js', 'GNO'), 'Should display rewards in GNO');
   assert(!fileContains('app.js', ' ETH'), 'Should not display rewards in ETH');
+  assert(!fileContains('components.js', ' ETH'), 'Should not display rewards in ETH');
 });
 
-// Test 5: Contract service has proper fallback
-test('contractService.js has proper RPC fallback', () => {
+// Test 5: Contract service uses an explicit provider chain without silent mock data
+test('contractService.js reads through the provider chain', () => {
   assert(fileContains('contractService.js', 'callContract'), 'Should have callContract function');
-  assert(fileContains('contractService.js', 'mock data'), 'Should have mock data fallback');
-  assert(fileContains('contractService.js', 'fetch(CONFIG.GNOSIS_RPC_URL'), 'Should try RPC calls');
-  assert(fileContains('contractService.js', '0x6f05b59d3b20000'), 'Should have correct mock withdrawable amount');
-  assert(fileContains('contractService.js', '0x8e3f50b173c10000'), 'Should have correct mock GNO balance');
+  assert(fileContains('contractService.js', 'requestWithFallback'), 'Should read through the provider chain');
+  assert(!fileContains('contractService.js', 'mock data'), 'Should not fall back to mock data');
+  assert(fileContains('rpcPool.js', 'fetch(url'), 'Should try RPC calls');
+  assert(fileContains('providerChain.js', 'isDemoMode()'), 'Should only serve sample data in demo mode');
+  assert(fileContains('demoMode.js', "parseUnits('0.5')"), 'Should have correct demo withdrawable amount');
+  assert(fileContains('demoMode.js', "parseUnits('10.25')"), 'Should have correct demo GNO balance');
   assert(fileContains('contractService.js', 'getValidatorCount'), 'Should have getValidatorCount function');
-  assert(fileContains('contractService.js', 'gnosis.beaconcha.in'), 'Should query Gnosis beacon chain API');
+  assert(fileContains('networks.js', 'gnosis.beaconcha.in'), 'Should query Gnosis beacon chain API');
+  assert(fileExists('tests/provider-chain.spec.js'), 'Should have provider chain e2e tests');
 });
 
 // Test 6: Wallet service exists and has required functions
 test('walletService.js has required wallet functions', () => {
   assert(fileContains('walletService.js', 'requestAccounts'), 'Should have requestAccounts function');
-  assert(fileContains('walletService.js', 'switchToGnosisChain'), 'Should have chain switching');
+  assert(fileContains('walletService.js', 'switchToSelectedNetwork'), 'Should have chain switching');
   assert(fileContains('walletService.js', 'setupWalletEventListeners'), 'Should have event listeners');
 });
 
@@ -128,8 +132,8 @@ test('utils.js has required utility functions', () => {
 test('config.js has correct Gnosis Chain configuration', () => {
   assert(fileContains('config.js', 'VALIDATOR_CONTRACT_ADDRESS'), 'Should have validator contract address');
   assert(fileContains('config.js', 'GNO_TOKEN_ADDRESS'), 'Should have GNO token address');
-  assert(fileContains('config.js', 'GNOSIS_CHAIN_ID'), 'Should have Gnosis chain ID');
-  assert(fileContains('config.js', '0x64'), 'Should have correct chain ID (100 in hex)');
+  assert(fileContains('config.js', 'CHAIN_ID'), 'Should have the chain ID');
+  assert(fileContains('networks.js', "chainId: '0x64'"), 'Should have correct chain ID (100 in hex)');
 });
 
 // Test 9: E2E test files exist
@@ -163,6 +167,254 @@ test('Address lookup functionality is implemented', () => {
   assert(fileContains('app.js', 'isValidAddress'), 'Should validate addresses');
 });
 
+// Test 13: Exact amount handling
+test('amount.js provides exact BigInt amount handling', () => {
+  assert(fileExists('amount.js'), 'amount.js should exist');
+  assert(fileContains('amount.js', 'export function parseUnits'), 'Should parse decimal amounts');
+  assert(fileContains('amount.js', 'export function formatAmount'), 'Should format amounts for display');
+  assert(fileContains('amount.js', 'export function compareAmounts'), 'Should compare amounts');
+  assert(fileContains('amount.js', 'export function sumAmounts'), 'Should sum amounts');
+  assert(!fileContains('utils.js', 'parseInt(value, 16)'), 'formatEther should not use floating point');
+  assert(!fileContains('app.js', 'parseFloat'), 'app.js should not use floating point for amounts');
+  assert(fileExists('tests/amount.spec.js'), 'Should have amount e2e tests');
+});
+
+// Test 14: ABI encoding replaces hand-rolled selectors
+test('abi.js encodes contract calls from human-readable signatures', () => {
+  assert(fileExists('abi.js'), 'abi.js should exist');
+  assert(fileExists('keccak.js'), 'keccak.js should exist');
+  assert(fileContains('abi.js', 'export function encodeFunctionCall'), 'Should encode function calls');
+  assert(fileContains('abi.js', 'export function decodeFunctionResult'), 'Should decode function results');
+  assert(fileContains('config.js', 'CONTRACT_FUNCTIONS'), 'Should declare contract function signatures');
+  assert(!fileContains('config.js', 'FUNCTION_SELECTORS'), 'Should not hard-code function selectors');
+  assert(fileContains('contractService.js', 'encodeFunctionCall'), 'contractService.js should use the ABI module');
+  assert(fileExists('tests/abi.spec.js'), 'Should have ABI e2e tests');
+});
+
+// Test 15: Multicall batching for dashboard reads
+test('multicall.js batches reads through Multicall3', () => {
+  assert(fileExists('multicall.js'), 'multicall.js should exist');
+  assert(fileContains('multicall.js', 'aggregate3'), 'Should use Multicall3 aggregate3');
+  assert(fileContains('multicall.js', 'callIndividually'), 'Should fall back to individual calls');
+  assert(fileContains('config.js', 'MULTICALL3_ADDRESS'), 'Should configure the Multicall3 address');
+  assert(fileContains('contractService.js', 'createMulticallBatcher'), 'contractService.js should batch view calls');
+  assert(fileExists('tests/multicall.spec.js'), 'Should have multicall e2e tests');
+});
+
+// Test 16: RPC endpoint pool with failover
+test('rpcPool.js manages multiple RPC endpoints with failover', () => {
+  assert(fileExists('rpcPool.js'), 'rpcPool.js should exist');
+  assert(fileContains('config.js', 'RPC_URLS'), 'Should configure a list of RPC endpoints');
+  assert(fileContains('rpcPool.js', 'AbortController'), 'Should time out slow endpoints');
+  assert(fileContains('rpcPool.js', 'RPC_BACKOFF_MS'), 'Should retry with backoff');
+  assert(fileContains('rpcPool.js', 'RPC_FAILURE_THRESHOLD'), 'Should skip endpoints that keep failing');
+  assert(fileContains('rpcPool.js', 'eth_chainId'), 'Should verify the chainId of each endpoint');
+  assert(fileContains('rpcPool.js', 'localStorage'), 'Should persist custom RPC URLs');
+  assert(fileContains('app.js', 'rpc-settings-toggle'), 'Should have an RPC settings panel');
+  assert(fileExists('tests/rpc-pool.spec.js'), 'Should have RPC pool e2e tests');
+});
+
+// Test 17: Transaction lifecycle tracking
+test('txTracker.js tracks claims until they are mined', () => {
+  assert(fileExists('txTracker.js'), 'txTracker.js should exist');
+  assert(fileContains('txTracker.js', 'eth_getTransactionReceipt'), 'Should poll for wallet transaction receipts');
+  assert(fileContains('safeService.js', 'getBySafeTxHash'), 'Should follow Safe transactions through the SDK');
+  assert(!fileContains('app.js', 'fetchContractData();\n        }, 5000)'), 'Should not refresh on a fixed timer after claiming');
+  assert(fileContains('app.js', 'trackTransaction'), 'app.js should track submitted claims');
+  assert(fileExists('tests/tx-tracker.spec.js'), 'Should have transaction tracking e2e tests');
+});
+
+// Test 18: Batch claim in one Safe transaction
+test('Batch claims are proposed as one Safe transaction', () => {
+  assert(fileContains('safeService.js', 'export async function sendSafeTransactions'), 'Should send several transactions through the Safe SDK');
+  assert(fileContains('connectionAdapter.js', 'export async function sendTransactions'), 'Connection adapter should expose multi-transaction sends');
+  assert(fileContains('contractService.js', 'export async function claimWithdrawalBatch'), 'Should build batch claims');
+  assert(fileContains('utils.js', 'export function parseAddressList'), 'Should parse address lists');
+  assert(fileContains('app.js', 'batch-addresses-input'), 'app.js should offer the batch claim');
+  assert(fileExists('tests/batch-claim.spec.js'), 'Should have batch claim e2e tests');
+});
+
+// Test 19: Batched claimWithdrawals for wallet connections
+test('Wallet batch claims use claimWithdrawals(address[])', () => {
+  assert(fileContains('config.js', 'function claimWithdrawals(address[] owners)'), 'Should declare the batched claim signature');
+  assert(fileContains('contractService.js', 'export async function claimWithdrawals'), 'Should encode batched claims');
+  assert(fileContains('tests/batch-claim.spec.js', 'claimWithdrawals'), 'Should test wallet batch claims');
+});
+
+// Test 20: Per-validator details from the beacon API
+test('validatorService.js keeps per-validator records', () => {
+  assert(fileExists('validatorService.js'), 'validatorService.js should exist');
+  assert(fileContains('validatorService.js', 'export async function getValidators'), 'Should return validator records');
+  assert(fileContains('validatorService.js', 'CONFIG.BEACON_API_URL'), 'Beacon API base URL should be configurable');
+  assert(fileContains('components.js', 'validator-table'), 'components.js should show the validator table');
+  assert(fileExists('tests/validators.spec.js'), 'Should have validator table e2e tests');
+});
+
+// Test 21: Standard beacon node API as a validator data source
+test('Validator data source is selectable', () => {
+  assert(fileContains('config.js', 'VALIDATOR_SOURCE'), 'Should select the validator source in config');
+  assert(fileContains('validatorService.js', '/eth/v1/beacon/states/head/validators'), 'Should query the standard Beacon Node API');
+  assert(fileContains('validatorService.js', 'withdrawal_credentials'), 'Should filter by withdrawal credentials');
+  assert(fileExists('tests/beacon-node.spec.js'), 'Should have beacon node e2e tests');
+});
+
+// Test 22: Rewards history from claim logs
+test('Rewards history is read from logs and cached', () => {
+  assert(fileExists('rewardsHistory.js'), 'rewardsHistory.js should exist');
+  assert(fileContains('rewardsHistory.js', 'eth_getLogs'), 'Should read claim logs');
+  assert(fileContains('rewardsHistory.js', 'LOGS_CHUNK_SIZE'), 'Should scan in block-range chunks');
+  assert(fileContains('rewardsHistory.js', 'REWARDS_HISTORY_SAMPLE_INTERVAL'), 'Should sample withdrawable amounts between claims');
+  assert(fileContains('historyCache.js', 'indexedDB.open'), 'Should cache history in IndexedDB');
+  assert(fileContains('rewardsChart.js', '<svg'), 'Should draw the chart as SVG');
+  assert(fileExists('tests/rewards-history.spec.js'), 'Should have rewards history e2e tests');
+});
+
+// Test 23: CSV/JSON export for accounting
+test('Exports are built and downloaded client-side', () => {
+  assert(fileExists('exportService.js'), 'exportService.js should exist');
+  assert(fileContains('exportService.js', 'export function toCsv'), 'Should build CSV');
+  assert(fileContains('exportService.js', 'URL.createObjectURL'), 'Should download without a server');
+  assert(fileContains('app.js', 'export-button'), 'app.js should offer exports');
+  assert(fileExists('tests/export.spec.js'), 'Should have export e2e tests');
+});
+
+// Test 24: Fiat valuation
+test('Fiat prices come from pluggable sources', () => {
+  assert(fileExists('pricing.js'), 'pricing.js should exist');
+  assert(fileContains('pricing.js', 'export function registerPriceSource'), 'Should allow custom price sources');
+  assert(fileContains('pricing.js', 'export async function getHistoricalGnoPrice'), 'Should read historical prices');
+  assert(fileContains('app.js', 'currency-select'), 'app.js should offer a currency selector');
+  assert(fileContains('exportService.js', 'fiat_value'), 'Exports should include fiat values');
+  assert(fileExists('tests/pricing.spec.js'), 'Should have pricing e2e tests');
+});
+
+// Test 25: Watchlist of saved addresses
+test('Watchlist is stored and summed', () => {
+  assert(fileExists('watchlist.js'), 'watchlist.js should exist');
+  assert(fileContains('watchlist.js', 'localStorage'), 'Should store the watchlist in localStorage');
+  assert(fileContains('watchlist.js', 'export function sumWatchlistTotals'), 'Should add up totals');
+  assert(fileContains('components.js', 'watchlist-totals'), 'components.js should show watchlist totals');
+  assert(fileExists('tests/watchlist.spec.js'), 'Should have watchlist e2e tests');
+});
+
+// Test 26: Name resolution
+test('Names are resolved in address inputs', () => {
+  assert(fileExists('nameService.js'), 'nameService.js should exist');
+  assert(fileContains('nameService.js', 'export function namehash'), 'Should compute namehashes');
+  assert(fileContains('nameService.js', 'export async function lookupName'), 'Should reverse-resolve addresses');
+  assert(fileContains('config.js', 'ENS_REGISTRY_ADDRESS'), 'Should configure the ENS registry');
+  assert(fileContains('app.js', 'resolveAddressInput'), 'app.js should resolve names in inputs');
+  assert(fileExists('tests/names.spec.js'), 'Should have name resolution e2e tests');
+});
+
+// Test 27: EIP-55 checksums
+test('Addresses are checksum-validated and displayed checksummed', () => {
+  assert(fileContains('utils.js', 'export function toChecksumAddress'), 'Should checksum addresses');
+  assert(fileContains('utils.js', 'export function getAddressError'), 'Should explain invalid addresses');
+  assert(fileContains('abi.js', 'hasValidChecksum'), 'ABI encoding should reject bad checksums');
+  assert(fileContains('components.js', 'toChecksumAddress(state.account)'), 'Should render the account checksummed');
+  assert(fileExists('tests/address.spec.js'), 'Should have checksum e2e tests');
+});
+
+// Test 28: Live updates
+test('Balances refresh live as new blocks arrive', () => {
+  assert(fileExists('liveUpdates.js'), 'liveUpdates.js should exist');
+  assert(fileContains('liveUpdates.js', 'eth_subscribe'), 'Should subscribe to new blocks where supported');
+  assert(fileContains('liveUpdates.js', 'visibilitychange'), 'Should pause while the tab is hidden');
+  assert(fileContains('config.js', 'BLOCK_POLL_INTERVAL_MS'), 'Should configure the polling fallback');
+  assert(fileContains('components.js', 'Last updated at block'), 'Should show the last updated block');
+  assert(fileExists('tests/live-updates.spec.js'), 'Should have live update e2e tests');
+});
+
+// Test 29: Component renderer
+test('Cards are components patched in place instead of a full re-render', () => {
+  assert(fileExists('renderer.js'), 'renderer.js should exist');
+  assert(fileContains('renderer.js', 'export function createRenderer'), 'Should mount components');
+  assert(fileContains('renderer.js', 'export function delegate'), 'Should delegate events instead of re-binding them');
+  assert(fileExists('components.js'), 'components.js should exist');
+  assert(fileContains('components.js', 'export const APP_COMPONENTS'), 'Should list the page cards');
+  assert(!fileContains('app.js', 'rootElement.innerHTML = `'), 'app.js should not rebuild the whole page');
+  assert(fileExists('tests/components.spec.js'), 'Should have component e2e tests');
+});
+
+// Test 30: Central store
+test('App state lives in a store changed only by actions', () => {
+  assert(fileExists('store.js'), 'store.js should exist');
+  assert(fileContains('store.js', 'export function createStore'), 'Should create stores');
+  assert(fileContains('store.js', 'beginRequest') && fileContains('store.js', 'cancelRequest'), 'Should drop stale request results');
+  assert(fileContains('appStore.js', 'export function appReducer'), 'Should define the app reducer');
+  assert(fileContains('app.js', 'store.dispatch('), 'app.js should change state by dispatching actions');
+  assert(!fileContains('app.js', 'let appState'), 'app.js should not keep a mutable state object');
+  assert(fileExists('tests/store.spec.js'), 'Should have store e2e tests');
+});
+
+// Test 31: Escaped rendering
+test('Rendered content is escaped by default', () => {
+  assert(fileExists('html.js'), 'html.js should exist');
+  assert(fileContains('html.js', 'export function html'), 'Should provide the html template tag');
+  assert(fileContains('html.js', 'export function safeUrl'), 'Should filter link URLs');
+  assert(fileContains('components.js', "from './html.js'"), 'Components should render with html``');
+  assert(!fileContains('components.js', ".join('')"), 'Components should not join markup into unescaped strings');
+  assert(fileExists('tests/escaping.spec.js'), 'Should have escaping e2e tests');
+});
+
+// Test 32: Wallet discovery
+test('Wallets are discovered via EIP-6963 and picked by the user', () => {
+  assert(fileExists('walletDiscovery.js'), 'walletDiscovery.js should exist');
+  assert(fileContains('walletDiscovery.js', 'eip6963:requestProvider'), 'Should request wallet announcements');
+  assert(fileContains('walletDiscovery.js', 'eip6963:announceProvider'), 'Should listen for wallet announcements');
+  assert(fileContains('walletDiscovery.js', 'export function getWalletProvider'), 'Should expose the selected provider');
+  ['walletService.js', 'contractService.js', 'providerChain.js', 'liveUpdates.js'].forEach(file => {
+    assert(!fileContains(file, 'window.ethereum.'), `${file} should use the selected wallet`);
+  });
+  assert(fileContains('components.js', 'wallet-option'), 'Should render a wallet picker');
+  assert(fileExists('tests/wallet-discovery.spec.js'), 'Should have wallet discovery e2e tests');
+});
+
+// Test 33: WalletConnect
+test('WalletConnect is a third connection mode', () => {
+  assert(fileExists('walletConnectService.js'), 'walletConnectService.js should exist');
+  assert(fileContains('walletConnectService.js', 'export async function connectWalletConnect'), 'Should pair over WalletConnect');
+  assert(fileContains('walletConnectService.js', 'export async function restoreWalletConnectSession'), 'Should restore sessions');
+  assert(fileContains('walletConnectService.js', 'export async function disconnectWalletConnect'), 'Should end sessions');
+  assert(fileContains('connectionAdapter.js', "type === 'walletconnect'"), 'Connection adapter should handle WalletConnect');
+  assert(fileContains('config.js', 'WALLETCONNECT_RELAY_URL'), 'Relay should be configurable');
+  assert(fileExists('vendor/walletconnect-ethereum-provider.js'), 'WalletConnect provider should be vendored');
+  assert(fileContains('qrCode.js', 'export function renderQrCode'), 'Should render pairing QR codes');
+  assert(fileExists('tests/walletconnect.spec.js'), 'Should have WalletConnect e2e tests');
+});
+
+// Test 34: Watch mode
+test('Watch mode shows any address read-only', () => {
+  assert(fileExists('watchMode.js'), 'watchMode.js should exist');
+  assert(fileContains('watchMode.js', 'export function getWatchAddress'), 'Should read the address from the link');
+  assert(fileContains('connectionAdapter.js', "type === 'watch'"), 'Connection adapter should handle watch mode');
+  assert(fileContains('contractService.js', 'export function buildClaimTransactions'), 'Should build claim transactions without sending them');
+  assert(fileContains('exportService.js', 'export function buildTransactionBatch'), 'Should export Transaction Builder files');
+  assert(fileContains('components.js', 'build-claim-button'), 'Should offer to build the claim in watch mode');
+  assert(fileExists('tests/watch-mode.spec.js'), 'Should have watch mode e2e tests');
+});
+
+// Test 35: Disconnect, account switching and chain changes
+test('Wallet connections can disconnect, switch accounts and change chain in place', () => {
+  assert(fileContains('walletService.js', 'wallet_revokePermissions'), 'Should revoke wallet permissions on disconnect');
+  assert(fileContains('appStore.js', "'accounts/listed'"), 'Should keep every returned account');
+  assert(fileContains('components.js', 'account-select'), 'Should offer an account switcher');
+  assert(!fileContains('app.js', 'window.location.reload()'), 'Chain changes should not reload the page');
+  assert(fileExists('tests/account-switching.spec.js'), 'Should have account switching e2e tests');
+});
+
+// Test 36: Network registry
+test('Networks come from a registry with Gnosis Chain and Chiado', () => {
+  assert(fileExists('networks.js'), 'networks.js should exist');
+  assert(fileContains('networks.js', 'chiado'), 'Should include the Chiado testnet');
+  assert(fileContains('networks.js', "chainId: '0x27d8'"), 'Should have the Chiado chain ID (10200 in hex)');
+  assert(fileContains('config.js', 'getSelectedNetwork()'), 'Config should follow the selected network');
+  assert(!fileContains('connectionAdapter.js', "chainId !== '100'"), 'Safes should not be limited to Gnosis Chain');
+  assert(fileContains('components.js', 'network-select'), 'Should offer a network picker');
+  assert(fileExists('tests/networks.spec.js'), 'Should have network e2e tests');
+});
+
 // Summary
 log('blue', '\n📊 Test Results:');
 log('green', `✓ Passed: ${testsPassed}`);
@@ -0,0 +1,140 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+const ACCOUNT = '0x1234567890123456789012345678901234567890';
+const BEACON_API = 'http://beacon.test';
+
+// Beacon API entries; balances are gwei of mGNO (32 mGNO = 1 GNO)
+const VALIDATORS = [
+  { validatorindex: 12, pubkey: '0x' + 'a1'.repeat(48), status: 'active_online', balance: 32100000000, effectivebalance: 32000000000, activationepoch: 100 },
+  { validatorindex: 7, pubkey: '0x' + 'b2'.repeat(48), status: 'exited', balance: 0, effectivebalance: 0, activationepoch: 50 },
+  { validatorindex: 30, pubkey: '0x' + 'c3'.repeat(48), status: 'active_online', balance: 32000000000, effectivebalance: 32000000000, activationepoch: 200 }
+];
+
+/**
+ * Serves a local stand-in for the beacon chain API
+ */
+async function mockBeaconApi(page, { fail = false } = {}) {
+  await page.route(`${BEACON_API}/**`, route => {
+    if (fail) {
+      return route.fulfill({ status: 503, body: 'unavailable' });
+    }
+    const url = new URL(route.request().url());
+    if (url.pathname.startsWith('/api/v1/validator/withdrawalCredentials/')) {
+      const data = VALIDATORS.map(({ validatorindex, pubkey }) => ({ validatorindex, publickey: pubkey }));
+      return route.fulfill({ contentType: 'application/json', body: JSON.stringify({ status: 'OK', data }) });
+    }
+    const indices = url.pathname.split('/').pop().split(',').map(Number);
+    const data = VALIDATORS.filter(validator => indices.includes(validator.validatorindex));
+    return route.fulfill({ contentType: 'application/json', body: JSON.stringify({ status: 'OK', data }) });
+  });
+}
+
+/**
+ * Connects a mocked wallet with the beacon API pointed at the stand-in
+ */
+async function connect(page) {
+  await page.addInitScript((account) => {
+    window.ethereum = {
+      request: async ({ method }) => {
+        if (method === 'eth_chainId') return '0x64';
+        if (method === 'eth_requestAccounts') return [account];
+        if (method === 'eth_accounts') return [];
+        return method === 'eth_call' ? '0x16345785d8a0000' : null;
+      },
+      on: () => {},
+      removeListener: () => {}
+    };
+  }, ACCOUNT);
+  await page.goto('/');
+  await page.evaluate(async (beaconApi) => {
+    const { CONFIG } = await import('/config.js');
+    CONFIG.BEACON_API_URL = beaconApi;
+  }, BEACON_API);
+  await page.click('#connect-button');
+}
+
+test.describe('Validator Details', () => {
+  test('should keep every validator record with balances in GNO', async ({ page }) => {
+    await mockBeaconApi(page);
+    await page.goto('/');
+
+    const validators = await page.evaluate(async ({ beaconApi, account }) => {
+      const { CONFIG } = await import('/config.js');
+      const { getValidators } = await import('/validatorService.js');
+      CONFIG.BEACON_API_URL = beaconApi;
+      const records = await getValidators(account);
+      return records.map(record => ({ ...record, balance: record.balance.toString(), effectiveBalance: record.effectiveBalance.toString() }));
+    }, { beaconApi: BEACON_API, account: ACCOUNT });
+
+    expect(validators).toHaveLength(3);
+    expect(validators[0]).toEqual({
+      index: 12,
+      pubkey: VALIDATORS[0].pubkey,
+      status: 'active_online',
+      balance: '1003125000000000000',
+      effectiveBalance: '1000000000000000000',
+      activationEpoch: 100
+    });
+  });
+
+  test('should show a sortable, filterable validator table', async ({ page }) => {
+    await mockBeaconApi(page);
+    await connect(page);
+
+    const rows = page.locator('.validator-row');
+    await expect(rows).toHaveCount(3);
+    await expect(rows.first()).toContainText('7');
+    await expect(rows.first().locator('a')).toHaveAttribute('href', 'https://gnosis.beaconcha.in/validator/7');
+
+    await page.click('.validator-sort[data-sort="index"]');
+    await expect(rows.first().locator('a')).toHaveText('30');
+
+    await page.click('.validator-sort[data-sort="balance"]');
+    await expect(rows.first().locator('a')).toHaveText('7');
+    await expect(rows.last()).toContainText('1.003125 GNO');
+
+    await page.selectOption('#validator-status-filter', 'exited');
+    await expect(rows).toHaveCount(1);
+    await expect(rows.first()).toContainText('exited');
+  });
+
+  test('should keep balances visible when the beacon API fails', async ({ page }) => {
+    await mockBeaconApi(page, { fail: true });
+    await connect(page);
+
+    await expect(page.locator('.validator-error')).toContainText('Validator details are unavailable');
+    await expect(page.locator('#claim-button')).toBeEnabled();
+  });
+
+  test('should count validators from the withdrawal credentials list alone', async ({ page }) => {
+    await mockBeaconApi(page);
+    const paths = [];
+    page.on('request', request => {
+      if (request.url().startsWith(BEACON_API)) paths.push(new URL(request.url()).pathname);
+    });
+    await page.goto('/');
+
+    const count = await page.evaluate(async ({ beaconApi, account }) => {
+      const { CONFIG } = await import('/config.js');
+      const { getValidatorCount } = await import('/contractService.js');
+      CONFIG.BEACON_API_URL = beaconApi;
+      return await getValidatorCount(account);
+    }, { beaconApi: BEACON_API, account: ACCOUNT });
+
+    expect(count).toBe(3);
+    expect(paths).toEqual([`/api/v1/validator/withdrawalCredentials/${ACCOUNT}`]);
+  });
+
+  test('should show the validator count as unavailable when it cannot be read', async ({ page }) => {
+    await mockBeaconApi(page, { fail: true });
+    await connect(page);
+
+    await expect(page.locator('.validator-count-error')).toHaveText('Unavailable');
+    const failure = await page.evaluate(async (account) => {
+      const { getValidatorCount } = await import('/contractService.js');
+      return getValidatorCount(account).then(() => '', error => error.message);
+    }, ACCOUNT);
+    expect(failure).toContain('503');
+  });
+});
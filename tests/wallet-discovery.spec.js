@@ -0,0 +1,107 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+const ACCOUNT_A = '0x1111111111111111111111111111111111111111';
+const ACCOUNT_B = '0x2222222222222222222222222222222222222222';
+const ICON = 'data:image/svg+xml,<svg xmlns="http://www.w3.org/2000/svg"/>';
+
+// Two wallets that announce themselves via EIP-6963; wallet B also injected window.ethereum last
+async function mockWallets(page, { remembered = null } = {}) {
+  await page.addInitScript(({ accountA, accountB, icon, remembered }) => {
+    if (remembered) {
+      localStorage.setItem('gnosis-validator-app:wallet', remembered);
+    }
+    window.__walletCalls = [];
+    const createWallet = (name, account) => ({
+      request: async ({ method }) => {
+        window.__walletCalls.push(`${name}:${method}`);
+        if (method === 'eth_accounts') return remembered === `io.${name}` ? [account] : [];
+        if (method === 'eth_requestAccounts') return [account];
+        if (method === 'eth_chainId') return '0x64';
+        if (method === 'eth_sendTransaction') return '0x' + 'ab'.repeat(32);
+        return null;
+      },
+      on: () => {},
+      removeListener: () => {}
+    });
+    const wallets = [['a', 'Wallet A', createWallet('a', accountA)], ['b', 'Wallet B', createWallet('b', accountB)]];
+    for (const [id, name, provider] of wallets) {
+      window.addEventListener('eip6963:requestProvider', () => {
+        window.dispatchEvent(new CustomEvent('eip6963:announceProvider', {
+          detail: Object.freeze({ info: { uuid: `uuid-${id}`, name, icon, rdns: `io.${id}` }, provider })
+        }));
+      });
+    }
+    window.ethereum = wallets[1][2];
+  }, { accountA: ACCOUNT_A, accountB: ACCOUNT_B, icon: ICON, remembered });
+}
+
+test.describe('Wallet Discovery', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.route(url => url.hostname !== 'localhost', route => route.abort());
+  });
+
+  test('should list every announced wallet in the connect card', async ({ page }) => {
+    await mockWallets(page);
+    await page.goto('/');
+
+    const options = page.locator('.wallet-option');
+    await expect(options).toHaveCount(2);
+    await expect(options.nth(0)).toContainText('Wallet A');
+    await expect(options.nth(1)).toContainText('Wallet B');
+    await expect(options.nth(0).locator('img.wallet-icon')).toHaveAttribute('src', ICON);
+  });
+
+  test('should connect through the picked wallet, not the last injected one', async ({ page }) => {
+    await mockWallets(page);
+    await page.goto('/');
+
+    await page.locator('.wallet-option', { hasText: 'Wallet A' }).click();
+
+    await expect(page.locator('.address').first()).toHaveText(ACCOUNT_A);
+    await expect(page.locator('.network-status')).toContainText('Wallet A');
+    const calls = await page.evaluate(() => window.__walletCalls);
+    expect(calls).toContain('a:eth_requestAccounts');
+    expect(calls).not.toContain('b:eth_requestAccounts');
+  });
+
+  test('should remember the picked wallet across reloads', async ({ page }) => {
+    await mockWallets(page, { remembered: 'io.a' });
+    await page.goto('/');
+
+    await expect(page.locator('.address').first()).toHaveText(ACCOUNT_A);
+    const calls = await page.evaluate(() => window.__walletCalls);
+    expect(calls).toContain('a:eth_accounts');
+    expect(calls.filter(call => call.startsWith('b:'))).toEqual([]);
+  });
+
+  test('should send transactions through the selected wallet', async ({ page }) => {
+    await mockWallets(page, { remembered: 'io.a' });
+    await page.goto('/');
+    await expect(page.locator('.address').first()).toHaveText(ACCOUNT_A);
+
+    const hash = await page.evaluate(async (from) => {
+      const { sendTransaction } = await import('/contractService.js');
+      return sendTransaction('0x0B98057eA310F4d31F2a452B414647007d1645d9', '0x', from);
+    }, ACCOUNT_A);
+
+    expect(hash).toBe('0x' + 'ab'.repeat(32));
+    const calls = await page.evaluate(() => window.__walletCalls);
+    expect(calls).toContain('a:eth_sendTransaction');
+    expect(calls).not.toContain('b:eth_sendTransaction');
+  });
+
+  test('should fall back to window.ethereum without announcements', async ({ page }) => {
+    await page.addInitScript(() => {
+      window.ethereum = {
+        request: async ({ method }) => (method === 'eth_requestAccounts' || method === 'eth_accounts' ? [] : null),
+        on: () => {},
+        removeListener: () => {}
+      };
+    });
+    await page.goto('/');
+
+    await expect(page.locator('.wallet-option')).toHaveCount(0);
+    await expect(page.locator('#connect-button')).toBeVisible();
+  });
+});
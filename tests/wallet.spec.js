@@ -15,6 +15,7 @@ test.describe('Wallet Integration Tests', () => {
     await page.addInitScript(() => {
       window.ethereum = {
         request: async (params) => {
+          if (params.method === 'eth_chainId') return '0x64';
           if (params.method === 'eth_requestAccounts') {
             return ['0x1234567890123456789012345678901234567890'];
           }
@@ -52,6 +53,7 @@ test.describe('Wallet Integration Tests', () => {
     await page.addInitScript(() => {
       window.ethereum = {
         request: async (params) => {
+          if (params.method === 'eth_chainId') return '0x64';
           if (params.method === 'eth_requestAccounts' || params.method === 'eth_accounts') {
             return ['0x1234567890123456789012345678901234567890'];
           }
@@ -85,6 +87,7 @@ test.describe('Wallet Integration Tests', () => {
     await page.addInitScript(() => {
       window.ethereum = {
         request: async (params) => {
+          if (params.method === 'eth_chainId') return '0x64';
           if (params.method === 'eth_requestAccounts' || params.method === 'eth_accounts') {
             return ['0x1234567890123456789012345678901234567890'];
           }
@@ -120,6 +123,7 @@ test.describe('Wallet Integration Tests', () => {
     await page.addInitScript(() => {
       window.ethereum = {
         request: async (params) => {
+          if (params.method === 'eth_chainId') return '0x64';
           if (params.method === 'eth_requestAccounts' || params.method === 'eth_accounts') {
             return ['0x1234567890123456789012345678901234567890'];
           }
@@ -154,6 +158,7 @@ test.describe('Wallet Integration Tests', () => {
     await page.addInitScript(() => {
       window.ethereum = {
         request: async (params) => {
+          if (params.method === 'eth_chainId') return '0x64';
           if (params.method === 'eth_requestAccounts' || params.method === 'eth_accounts') {
             return ['0x1234567890123456789012345678901234567890'];
           }
@@ -192,6 +197,7 @@ test.describe('Wallet Integration Tests', () => {
     await page.addInitScript(() => {
       window.ethereum = {
         request: async (params) => {
+          if (params.method === 'eth_chainId') return '0x64';
           if (params.method === 'eth_requestAccounts' || params.method === 'eth_accounts') {
             return ['0x1234567890123456789012345678901234567890'];
           }
@@ -0,0 +1,195 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+const ACCOUNT = '0x3333333333333333333333333333333333333333';
+const RELAY_URL = 'ws://localhost:9/relay';
+
+// Turns WalletConnect on by appending settings to config.js as it is served
+async function enableWalletConnect(page) {
+  await page.route('**/config.js', async route => {
+    const response = await route.fetch();
+    const body = `${await response.text()}
+CONFIG.WALLETCONNECT_PROJECT_ID = 'test-project';
+CONFIG.WALLETCONNECT_RELAY_URL = '${RELAY_URL}';
+`;
+    await route.fulfill({ response, body });
+  });
+}
+
+// Local stand-in for the relay and the mobile wallet behind it, served in place of the vendored
+// provider module. The provider it hands to the app has the EthereumProvider interface; sessions
+// survive reloads like real ones.
+async function mockRelay(page) {
+  await page.route('**/vendor/walletconnect-ethereum-provider.js', route => route.fulfill({
+    contentType: 'text/javascript',
+    body: 'export const EthereumProvider = { init: (options) => window.__relay.init(options) };'
+  }));
+  await page.addInitScript(({ account, relayUrl }) => {
+    const SESSION_KEY = 'relay-stand-in:session';
+    const relay = {
+      pairingUris: [],
+      requests: [],
+      approve: null,
+      provider: null,
+      endSession: () => relay.provider.endSession()
+    };
+    window.__relay = relay;
+
+    relay.init = async (options) => {
+      relay.options = {
+        projectId: options.projectId,
+        relayUrl: options.relayUrl,
+        chains: options.chains,
+        description: options.metadata.description
+      };
+      if (options.relayUrl !== relayUrl) throw new Error(`Unexpected relay ${options.relayUrl}`);
+
+      const listeners = {};
+      const emit = (event, ...args) => (listeners[event] || []).forEach(listener => listener(...args));
+      const storedSession = JSON.parse(localStorage.getItem(SESSION_KEY) || 'null');
+      const provider = {
+        session: storedSession,
+        accounts: storedSession ? storedSession.accounts : [],
+        on: (event, listener) => { (listeners[event] = listeners[event] || []).push(listener); },
+        removeListener: (event, listener) => { listeners[event] = (listeners[event] || []).filter(l => l !== listener); },
+        connect: async () => {
+          const uri = `wc:${'7'.repeat(64)}@2?relay-protocol=irn&symKey=${'9'.repeat(64)}`;
+          relay.pairingUris.push(uri);
+          emit('display_uri', uri);
+          const session = await new Promise((resolve, reject) => {
+            relay.approve = (name) => resolve({ topic: 'session-topic', accounts: [account], peer: { metadata: { name } } });
+            relay.reject = () => reject(new Error('User rejected the session'));
+          });
+          localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+          provider.session = session;
+          provider.accounts = session.accounts;
+        },
+        disconnect: async () => provider.endSession(),
+        endSession: () => {
+          localStorage.removeItem(SESSION_KEY);
+          provider.session = null;
+          provider.accounts = [];
+          emit('disconnect', { code: 6000, message: 'Session ended' });
+        },
+        request: async ({ method }) => {
+          relay.requests.push(method);
+          if (method === 'eth_chainId') return '0x64';
+          if (method === 'eth_call') return '0x' + (10n ** 18n).toString(16).padStart(64, '0');
+          if (method === 'eth_sendTransaction') return '0x' + 'cd'.repeat(32);
+          return null;
+        }
+      };
+      relay.provider = provider;
+      return provider;
+    };
+  }, { account: ACCOUNT, relayUrl: RELAY_URL });
+}
+
+test.describe('WalletConnect', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.route(url => url.hostname !== 'localhost', route => route.abort());
+  });
+
+  test('should not offer WalletConnect without a project ID', async ({ page }) => {
+    await page.goto('/');
+    await expect(page.locator('#connect-button')).toBeVisible();
+    await expect(page.locator('#walletconnect-button')).toHaveCount(0);
+  });
+
+  test('should show a QR code and connect once the wallet approves', async ({ page }) => {
+    await enableWalletConnect(page);
+    await mockRelay(page);
+    await page.goto('/');
+
+    await page.click('#walletconnect-button');
+    await expect(page.locator('.walletconnect-pairing svg.qr-code')).toBeVisible();
+    const relay = await page.evaluate(() => ({ options: window.__relay.options, uris: window.__relay.pairingUris }));
+    expect(relay.options).toEqual({
+      projectId: 'test-project',
+      relayUrl: RELAY_URL,
+      chains: [100],
+      description: 'Manage your validator rewards on Gnosis Chain'
+    });
+    expect(relay.uris).toHaveLength(1);
+
+    await page.evaluate(() => window.__relay.approve('Phone Wallet'));
+
+    await expect(page.locator('.walletconnect-pairing')).toHaveCount(0);
+    await expect(page.locator('.address').first()).toHaveText(ACCOUNT);
+    await expect(page.locator('.network-status')).toContainText('Phone Wallet via WalletConnect');
+    await expect(page.locator('[data-component="rewards"] .balance')).toHaveText('1.000000 GNO');
+  });
+
+  test('should go back to the connect card when pairing is rejected', async ({ page }) => {
+    await enableWalletConnect(page);
+    await mockRelay(page);
+    await page.goto('/');
+
+    await page.click('#walletconnect-button');
+    await expect(page.locator('.qr-code')).toBeVisible();
+    await page.evaluate(() => window.__relay.reject());
+
+    await expect(page.locator('.error')).toContainText('User rejected the session');
+    await expect(page.locator('.qr-code')).toHaveCount(0);
+    await expect(page.locator('#walletconnect-button')).toBeEnabled();
+  });
+
+  test('should restore the session after a reload', async ({ page }) => {
+    await enableWalletConnect(page);
+    await mockRelay(page);
+    await page.goto('/');
+    await page.click('#walletconnect-button');
+    await page.evaluate(() => window.__relay.approve('Phone Wallet'));
+    await expect(page.locator('.address').first()).toHaveText(ACCOUNT);
+
+    await page.reload();
+
+    await expect(page.locator('.address').first()).toHaveText(ACCOUNT);
+    await expect(page.locator('.network-status')).toContainText('Phone Wallet via WalletConnect');
+    expect(await page.evaluate(() => window.__relay.pairingUris.length)).toBe(0);
+  });
+
+  test('should send claims through the session', async ({ page }) => {
+    await enableWalletConnect(page);
+    await mockRelay(page);
+    await page.goto('/');
+    await page.click('#walletconnect-button');
+    await page.evaluate(() => window.__relay.approve('Phone Wallet'));
+    await expect(page.locator('#claim-button')).toBeEnabled();
+
+    await page.click('#claim-button');
+
+    await expect.poll(() => page.evaluate(() => window.__relay.requests)).toContain('eth_sendTransaction');
+  });
+
+  test('should end the session on disconnect', async ({ page }) => {
+    await enableWalletConnect(page);
+    await mockRelay(page);
+    await page.goto('/');
+    await page.click('#walletconnect-button');
+    await page.evaluate(() => window.__relay.approve('Phone Wallet'));
+    await expect(page.locator('#disconnect-button')).toBeVisible();
+
+    await page.click('#disconnect-button');
+
+    await expect(page.locator('#walletconnect-button')).toBeVisible();
+    expect(await page.evaluate(() => window.__relay.provider.session)).toBeNull();
+    await page.reload();
+    await expect(page.locator('#walletconnect-button')).toBeVisible();
+    await expect(page.locator('.address')).toHaveCount(0);
+  });
+
+  test('should disconnect when the wallet ends the session', async ({ page }) => {
+    await enableWalletConnect(page);
+    await mockRelay(page);
+    await page.goto('/');
+    await page.click('#walletconnect-button');
+    await page.evaluate(() => window.__relay.approve('Phone Wallet'));
+    await expect(page.locator('.address').first()).toHaveText(ACCOUNT);
+
+    await page.evaluate(() => window.__relay.endSession());
+
+    await expect(page.locator('#walletconnect-button')).toBeVisible();
+    await expect(page.locator('.address')).toHaveCount(0);
+  });
+});
@@ -0,0 +1,153 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+const WATCHED = '0x3333333333333333333333333333333333333333';
+const OTHER = '0x4444444444444444444444444444444444444444';
+const RPC_URL = 'http://localhost:9/rpc';
+const CLAIM_WITHDRAWAL = '0xa3066aab'; // claimWithdrawal(address)
+const CLAIM_WITHDRAWALS = '0xbb30b8fd'; // claimWithdrawals(address[])
+
+// Points the app at one local RPC endpoint that reports 2 GNO for every eth_call
+async function mockRpc(page) {
+  await page.route('**/config.js', async route => {
+    const response = await route.fetch();
+    const body = `${await response.text()}
+CONFIG.RPC_URLS = ['${RPC_URL}'];
+CONFIG.ENS_RPC_URL = '';
+`;
+    await route.fulfill({ response, body });
+  });
+  await page.route(RPC_URL, route => {
+    const { id, method } = route.request().postDataJSON();
+    const results = {
+      eth_call: '0x' + (2n * 10n ** 18n).toString(16).padStart(64, '0'),
+      eth_chainId: '0x64',
+      eth_blockNumber: '0x10',
+      eth_getLogs: []
+    };
+    route.fulfill({
+      status: 200,
+      contentType: 'application/json',
+      headers: { 'Access-Control-Allow-Origin': '*' },
+      body: JSON.stringify({ jsonrpc: '2.0', id, result: method in results ? results[method] : null })
+    });
+  });
+}
+
+// An injected wallet on another chain that records every request
+async function mockWallet(page) {
+  await page.addInitScript(() => {
+    window.__walletCalls = [];
+    window.ethereum = {
+      request: async ({ method }) => {
+        window.__walletCalls.push(method);
+        if (method === 'eth_chainId') return '0x1';
+        return [];
+      },
+      on: () => {},
+      removeListener: () => {}
+    };
+  });
+}
+
+async function readDownload(download) {
+  const stream = await download.createReadStream();
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+}
+
+test.describe('Watch Mode', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.route(url => url.hostname !== 'localhost', route => route.abort());
+    await mockRpc(page);
+    await mockWallet(page);
+  });
+
+  test('should show the dashboard of the address in the link without a wallet', async ({ page }) => {
+    await page.goto(`/?address=${WATCHED}`);
+
+    await expect(page.locator('.label', { hasText: 'Watching Address' })).toBeVisible();
+    await expect(page.locator('.address').first()).toHaveText(WATCHED);
+    await expect(page.locator('.network-status')).toContainText('Watch only');
+    await expect(page.locator('[data-component="rewards"] .balance')).toHaveText('2.000000 GNO');
+    await expect(page.locator('#claim-button')).toHaveCount(0);
+    await expect(page.locator('#connect-button')).toHaveCount(0);
+    expect(await page.evaluate(() => window.__walletCalls)).toEqual([]);
+  });
+
+  test('should download the claim as a transaction file instead of sending it', async ({ page }) => {
+    await page.goto(`/?address=${WATCHED}`);
+    await expect(page.locator('#build-claim-button')).toBeEnabled();
+
+    const [download] = await Promise.all([
+      page.waitForEvent('download'),
+      page.click('#build-claim-button')
+    ]);
+
+    const batch = await readDownload(download);
+    expect(batch.chainId).toBe('100');
+    expect(batch.meta.createdFromSafeAddress).toBe(WATCHED);
+    expect(batch.transactions).toHaveLength(1);
+    expect(batch.transactions[0].value).toBe('0');
+    expect(batch.transactions[0].data.startsWith(CLAIM_WITHDRAWAL)).toBe(true);
+    expect(batch.transactions[0].data).toContain(WATCHED.slice(2).toLowerCase());
+    await expect(page.locator('.success')).toContainText('Transaction file downloaded');
+    expect(await page.evaluate(() => window.__walletCalls)).toEqual([]);
+  });
+
+  test('should build one transaction for a batch of addresses', async ({ page }) => {
+    await page.goto(`/?address=${WATCHED}`);
+    await page.fill('#batch-addresses-input', `${WATCHED}\n${OTHER}`);
+    await page.click('#batch-check-button');
+    await expect(page.locator('#batch-build-button')).toContainText('2 Addresses');
+
+    const [download] = await Promise.all([
+      page.waitForEvent('download'),
+      page.click('#batch-build-button')
+    ]);
+
+    const batch = await readDownload(download);
+    expect(batch.transactions).toHaveLength(1);
+    expect(batch.transactions[0].data.startsWith(CLAIM_WITHDRAWALS)).toBe(true);
+  });
+
+  test('should explain an invalid address in the link', async ({ page }) => {
+    await page.goto('/?address=0x12345');
+
+    await expect(page.locator('.error')).toContainText('Cannot watch the address in the link');
+    await expect(page.locator('#connect-button')).toBeVisible();
+  });
+
+  test('should open watch mode from the address lookup', async ({ page }) => {
+    await page.goto('/');
+    await page.fill('#address-input', WATCHED);
+    await page.click('#lookup-button');
+
+    await page.click('#watch-address-button');
+
+    await expect(page).toHaveURL(new RegExp(`\\?address=${WATCHED}$`));
+    await expect(page.locator('.label', { hasText: 'Watching Address' })).toBeVisible();
+  });
+
+  test('should keep the network and other link parameters when opening watch mode', async ({ page }) => {
+    await page.goto('/?network=chiado&demo=1');
+
+    const url = await page.evaluate(async (address) => (await import('/watchMode.js')).getWatchUrl(address), WATCHED);
+
+    const params = new URL(url).searchParams;
+    expect(params.get('network')).toBe('chiado');
+    expect(params.get('demo')).toBe('1');
+    expect(params.get('address')).toBe(WATCHED);
+  });
+
+  test('should go back to the connect card when watching stops', async ({ page }) => {
+    await page.goto(`/?address=${WATCHED}`);
+
+    await page.click('#disconnect-button');
+
+    await expect(page.locator('#connect-button')).toBeVisible();
+    await expect(page.locator('.address')).toHaveCount(0);
+    expect(new URL(page.url()).searchParams.has('address')).toBe(false);
+  });
+});
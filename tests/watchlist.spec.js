@@ -0,0 +1,119 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+const FIRST = '0x1234567890123456789012345678901234567890';
+const SECOND = '0xabcdefabcdefabcdefabcdefabcdefabcdefabcd';
+
+test.describe('Watchlist', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.route(url => url.hostname !== 'localhost', route => route.abort());
+  });
+
+  test('should add labelled addresses and show totals without a wallet', async ({ page }) => {
+    await page.goto('/?demo=1');
+
+    await page.fill('#watch-address-input', FIRST);
+    await page.fill('#watch-label-input', 'Node A');
+    await page.click('#watch-add-button');
+    await page.fill('#watch-address-input', SECOND);
+    await page.click('#watch-add-button');
+
+    const rows = page.locator('.watchlist-row');
+    await expect(rows).toHaveCount(2);
+    await expect(rows.first().locator('.watch-label')).toHaveValue('Node A');
+    await expect(rows.nth(1)).toContainText('0.500000 GNO');
+    await expect(page.locator('.watchlist-totals')).toContainText('Total (2 of 2 addresses)');
+    await expect(page.locator('.watchlist-totals')).toContainText('1.000000 GNO');
+    await expect(page.locator('.watchlist-totals')).toContainText('20.500000 GNO');
+  });
+
+  test('should keep the watchlist across reloads', async ({ page }) => {
+    await page.goto('/?demo=1');
+
+    await page.fill('#watch-address-input', FIRST);
+    await page.fill('#watch-label-input', 'Cold wallet');
+    await page.click('#watch-add-button');
+    await expect(page.locator('.watchlist-row')).toHaveCount(1);
+
+    await page.reload();
+
+    await expect(page.locator('.watchlist-row')).toHaveCount(1);
+    await expect(page.locator('.watch-label')).toHaveValue('Cold wallet');
+    await expect(page.locator('.watchlist-row')).toContainText('0.500000 GNO');
+  });
+
+  test('should rename and remove watched addresses', async ({ page }) => {
+    await page.goto('/?demo=1');
+
+    await page.fill('#watch-address-input', FIRST);
+    await page.click('#watch-add-button');
+    await page.fill('#watch-address-input', SECOND);
+    await page.click('#watch-add-button');
+
+    await page.locator('.watch-label').first().fill('Renamed');
+    await page.locator('.watch-label').first().blur();
+    await page.locator('.watch-remove-button').nth(1).click();
+
+    await expect(page.locator('.watchlist-row')).toHaveCount(1);
+    const stored = await page.evaluate(() => JSON.parse(localStorage.getItem('gnosis-validator-app:watchlist')));
+    expect(stored).toEqual([{ address: FIRST, label: 'Renamed' }]);
+  });
+
+  test('should reject an invalid address', async ({ page }) => {
+    await page.goto('/?demo=1');
+
+    await page.fill('#watch-address-input', '0x1234');
+    await page.click('#watch-add-button');
+
+    await expect(page.locator('.error')).toHaveText('Please enter a valid Ethereum address or name');
+    await expect(page.locator('.watchlist-row')).toHaveCount(0);
+  });
+
+  test('should leave unreachable addresses out of the totals', async ({ page }) => {
+    await page.addInitScript((second) => {
+      window.ethereum = {
+        request: async ({ method, params }) => {
+          if (method === 'eth_accounts') return [];
+          if (method === 'eth_chainId') return '0x64';
+          if (method === 'eth_call') {
+            if (params[0].data.includes(second.slice(2).toLowerCase())) throw new Error('execution reverted');
+            return '0x' + (10n ** 18n).toString(16).padStart(64, '0');
+          }
+          return null;
+        },
+        on: () => {},
+        removeListener: () => {}
+      };
+      localStorage.setItem('gnosis-validator-app:watchlist', JSON.stringify([
+        { address: '0x1234567890123456789012345678901234567890', label: 'Good' },
+        { address: second, label: 'Bad' }
+      ]));
+    }, SECOND);
+    await page.goto('/');
+
+    await expect(page.locator('.watchlist-error')).toHaveText('Unavailable');
+    await expect(page.locator('.watchlist-totals')).toContainText('Total (1 of 2 addresses)');
+    await expect(page.locator('.watchlist-totals')).toContainText('1.000000 GNO');
+    // The beacon API is unreachable too, so the good address has no validator count
+    await expect(page.locator('.watchlist-totals')).toContainText('(1 unavailable)');
+  });
+
+  test('should be available while a wallet is connected', async ({ page }) => {
+    await page.addInitScript((account) => {
+      window.ethereum = {
+        request: async ({ method }) => {
+          if (method === 'eth_requestAccounts' || method === 'eth_accounts') return [account];
+          if (method === 'eth_chainId') return '0x64';
+          if (method === 'eth_call') return '0x' + (5n * 10n ** 17n).toString(16).padStart(64, '0');
+          return null;
+        },
+        on: () => {},
+        removeListener: () => {}
+      };
+    }, FIRST);
+    await page.goto('/');
+
+    await expect(page.locator('.address').first()).toHaveText(FIRST);
+    await expect(page.locator('#watch-address-input')).toBeVisible();
+  });
+});
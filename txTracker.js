@@ -0,0 +1,136 @@
+// Transaction lifecycle tracking: pending → confirmed / reverted
+import { CONFIG } from './config.js';
+import { getSafeTransaction } from './safeService.js';
+import { requestWithFallback } from './providerChain.js';
+
+// Safe Transaction Service statuses that will not change any more
+const SAFE_FAILED_STATUSES = ['FAILED', 'CANCELLED'];
+
+const SAFE_STATUS_DETAILS = {
+    AWAITING_CONFIRMATIONS: 'Waiting for Safe owners to sign',
+    AWAITING_EXECUTION: 'Signed, waiting for execution',
+    SUCCESS: 'Executed, waiting for confirmation',
+    FAILED: 'The Safe transaction failed',
+    CANCELLED: 'The Safe transaction was cancelled'
+};
+
+/**
+ * Builds a block explorer link for a transaction
+ * @param {string} hash - On-chain transaction hash
+ * @returns {string} Explorer URL
+ */
+export function getExplorerTxUrl(hash) {
+    const explorer = CONFIG.CHAIN_CONFIG.blockExplorerUrls[0].replace(/\/$/, '');
+    return `${explorer}/tx/${hash}`;
+}
+
+/**
+ * Builds a Safe web app link for a queued Safe transaction
+ * @param {string} safeAddress - Safe address
+ * @param {string} safeTxHash - Safe transaction hash
+ * @returns {string} Safe transaction URL
+ */
+export function getSafeTxUrl(safeAddress, safeTxHash) {
+    const safe = `${CONFIG.SAFE_CHAIN_PREFIX}:${safeAddress}`;
+    return `${CONFIG.SAFE_APP_URL}/transactions/tx?safe=${safe}&id=multisig_${safeAddress}_${safeTxHash}`;
+}
+
+/**
+ * Tracks a submitted transaction until it is mined or fails.
+ * Wallet transactions are followed with eth_getTransactionReceipt. Safe transactions are
+ * followed through the Safe SDK until an on-chain hash exists, then by receipt.
+ * @param {Object} options - Tracking options
+ * @param {string} options.hash - Transaction hash (safeTxHash for Safe transactions)
+ * @param {boolean} options.isSafe - True if the hash is a safeTxHash
+ * @param {string} [options.safeAddress] - Safe address, used for the Safe web app link
+ * @param {Function} onUpdate - Called with the tracked transaction on every status change
+ * @returns {Function} Stops tracking
+ */
+export function trackTransaction({ hash, isSafe, safeAddress }, onUpdate) {
+    const startedAt = Date.now();
+    let stopped = false;
+    let timer = null;
+
+    let transaction = {
+        hash: isSafe ? null : hash,
+        safeTxHash: isSafe ? hash : null,
+        status: 'pending',
+        detail: isSafe ? SAFE_STATUS_DETAILS.AWAITING_CONFIRMATIONS : 'Waiting to be mined',
+        explorerUrl: isSafe ? null : getExplorerTxUrl(hash),
+        safeUrl: isSafe && safeAddress ? getSafeTxUrl(safeAddress, hash) : null,
+        blockNumber: null
+    };
+
+    function update(changes) {
+        transaction = { ...transaction, ...changes };
+        if (!stopped) {
+            onUpdate(transaction);
+        }
+    }
+
+    // Returns true once the transaction reached a final state
+    async function checkSafeTransaction() {
+        const details = await getSafeTransaction(transaction.safeTxHash);
+
+        if (SAFE_FAILED_STATUSES.includes(details.txStatus)) {
+            update({ status: 'failed', detail: SAFE_STATUS_DETAILS[details.txStatus] });
+            return true;
+        }
+
+        if (details.txHash && !transaction.hash) {
+            update({ hash: details.txHash, explorerUrl: getExplorerTxUrl(details.txHash) });
+        }
+
+        const detail = SAFE_STATUS_DETAILS[details.txStatus];
+        if (detail && detail !== transaction.detail) {
+            update({ detail });
+        }
+        return false;
+    }
+
+    async function checkReceipt() {
+        const { result: receipt } = await requestWithFallback('eth_getTransactionReceipt', [transaction.hash]);
+        if (!receipt) {
+            return false;
+        }
+
+        const blockNumber = parseInt(receipt.blockNumber, 16);
+        if (receipt.status === '0x1') {
+            update({ status: 'confirmed', detail: `Confirmed in block ${blockNumber}`, blockNumber });
+        } else {
+            update({ status: 'reverted', detail: `Reverted in block ${blockNumber}`, blockNumber });
+        }
+        return true;
+    }
+
+    async function poll() {
+        if (stopped) return;
+
+        try {
+            if (isSafe && await checkSafeTransaction()) {
+                return;
+            }
+            if (transaction.hash && await checkReceipt()) {
+                return;
+            }
+        } catch (error) {
+            // Keep polling: the next check may reach a provider that answers
+            console.warn('Transaction status check failed:', error.message);
+        }
+
+        if (Date.now() - startedAt > CONFIG.TX_TRACK_TIMEOUT_MS) {
+            update({ status: 'unknown', detail: 'Still not confirmed. Check the explorer for the latest status.' });
+            return;
+        }
+
+        timer = setTimeout(poll, CONFIG.TX_POLL_INTERVAL_MS);
+    }
+
+    onUpdate(transaction);
+    poll();
+
+    return () => {
+        stopped = true;
+        clearTimeout(timer);
+    };
+}
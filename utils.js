@@ -1,4 +1,9 @@
 // Utility functions for the Gnosis Validator Safe App
+import { formatUnits, toBigInt } from './amount.js';
+import { keccak256 } from './keccak.js';
+import { getWalletProvider } from './walletDiscovery.js';
+
+const ADDRESS_PATTERN = /^0x[a-fA-F0-9]{40}$/;
 
 /**
  * Converts wei value to ether with proper formatting
@@ -6,45 +11,115 @@
  * @returns {string} Formatted ether value with 6 decimal places
  */
 export function formatEther(value) {
-    // Handle invalid, empty, or null values
-    if (!value || value === '0x' || value === null || value === undefined) {
-        return '0.000000';
-    }
-    
-    const parsed = parseInt(value, 16);
-    
-    // Handle cases where parseInt returns NaN
-    if (isNaN(parsed)) {
+    try {
+        return formatUnits(toBigInt(value), 18, 6);
+    } catch (error) {
+        // Invalid input is shown as zero rather than breaking the UI
         return '0.000000';
     }
-    
-    return (parsed / Math.pow(10, 18)).toFixed(6);
 }
 
 /**
  * Encodes an Ethereum address for contract function calls
  * @param {string} address - Ethereum address
  * @returns {string} Encoded address padded to 64 characters
+ * @throws {Error} If the address is malformed or its checksum does not match
  */
 export function encodeAddress(address) {
+    const error = getAddressError(address);
+    if (error) {
+        throw new Error(error);
+    }
+    // ABI encoding is case-insensitive; the checksum was verified above
     return address.toLowerCase().replace('0x', '').padStart(64, '0');
 }
 
 /**
- * Checks if window.ethereum is available
+ * Checks if a wallet is available (the selected EIP-6963 wallet or window.ethereum)
  * @returns {boolean} True if wallet is available
  */
 export function isWalletAvailable() {
-    return typeof window.ethereum !== 'undefined';
+    return getWalletProvider() !== null;
+}
+
+/**
+ * Converts an address to its EIP-55 checksummed form
+ * @param {string} address - Address in any case
+ * @returns {string} Checksummed address
+ * @throws {Error} If the address is malformed
+ */
+export function toChecksumAddress(address) {
+    if (!ADDRESS_PATTERN.test(address)) {
+        throw new Error(`Invalid address: ${address}`);
+    }
+    const lower = address.slice(2).toLowerCase();
+    const hash = keccak256(lower).slice(2);
+    let checksummed = '0x';
+    for (let i = 0; i < lower.length; i++) {
+        // EIP-55: uppercase a letter when the matching nibble of the hash is 8 or more
+        checksummed += parseInt(hash[i], 16) >= 8 ? lower[i].toUpperCase() : lower[i];
+    }
+    return checksummed;
+}
+
+/**
+ * Checks the EIP-55 checksum of a well-formed address. All-lowercase and
+ * all-uppercase addresses carry no checksum and are accepted.
+ * @param {string} address - Address matching 0x + 40 hex digits
+ * @returns {boolean} True if the address has no checksum or a correct one
+ */
+export function hasValidChecksum(address) {
+    const hex = address.slice(2);
+    if (hex === hex.toLowerCase() || hex === hex.toUpperCase()) {
+        return true;
+    }
+    return toChecksumAddress(address) === address;
+}
+
+/**
+ * Explains why an address is not valid
+ * @param {string} address - Address to check
+ * @returns {string} Error message, or '' if the address is valid
+ */
+export function getAddressError(address) {
+    if (!ADDRESS_PATTERN.test(address)) {
+        return 'Please enter a valid Ethereum address';
+    }
+    if (!hasValidChecksum(address)) {
+        return `Address checksum does not match for ${address}. Check the address for typos.`;
+    }
+    return '';
 }
 
 /**
- * Validates an Ethereum address format
+ * Validates an Ethereum address format and, for mixed-case input, its EIP-55 checksum
  * @param {string} address - Address to validate
- * @returns {boolean} True if address format is valid
+ * @returns {boolean} True if address is valid
  */
 export function isValidAddress(address) {
-    return /^0x[a-fA-F0-9]{40}$/.test(address);
+    return ADDRESS_PATTERN.test(address) && hasValidChecksum(address);
+}
+
+/**
+ * Parses a list of addresses separated by commas, spaces or new lines
+ * @param {string} text - Address list
+ * @returns {{addresses: string[], invalid: string[]}} Unique valid addresses (checksummed) and invalid entries
+ */
+export function parseAddressList(text) {
+    const addresses = [];
+    const invalid = [];
+    const seen = new Set();
+
+    for (const entry of text.split(/[\s,;]+/).filter(Boolean)) {
+        if (!isValidAddress(entry)) {
+            invalid.push(entry);
+        } else if (!seen.has(entry.toLowerCase())) {
+            seen.add(entry.toLowerCase());
+            addresses.push(toChecksumAddress(entry));
+        }
+    }
+
+    return { addresses, invalid };
 }
 
 /**
@@ -0,0 +1,312 @@
+// Validator records from a beacon chain data source (beaconcha.in or a standard beacon node)
+import { CONFIG } from './config.js';
+
+// Validators returned per withdrawal credentials page
+const CREDENTIALS_PAGE_SIZE = 200;
+
+// Most validators the detail endpoint accepts in one request
+const DETAILS_BATCH_SIZE = 100;
+
+// Gnosis beacon chain balances are gwei of mGNO, and 32 mGNO = 1 GNO
+const GWEI = 10n ** 9n;
+const MGNO_PER_GNO = 32n;
+
+// Unscheduled epochs are reported as the largest int64 (beaconcha.in) or uint64 (beacon nodes)
+const UNSCHEDULED_EPOCH = 2n ** 63n - 1n;
+
+/**
+ * Converts a beacon chain balance to GNO base units
+ * @param {number|string} gwei - Balance in gwei of mGNO as reported by the beacon API
+ * @returns {bigint} Balance in GNO wei
+ */
+export function beaconBalanceToGno(gwei) {
+    return BigInt(gwei || 0) * GWEI / MGNO_PER_GNO;
+}
+
+/**
+ * Converts an epoch to a number
+ * @param {number|string} epoch - Epoch as reported by the API
+ * @returns {number|null} Epoch, or null if it is not scheduled yet
+ */
+function toEpoch(epoch) {
+    const value = BigInt(epoch);
+    return value >= UNSCHEDULED_EPOCH ? null : Number(value);
+}
+
+async function fetchJson(baseUrl, path) {
+    const response = await fetch(`${baseUrl.replace(/\/$/, '')}${path}`);
+    if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    return await response.json();
+}
+
+/**
+ * Gets the indices of every validator with the given withdrawal address
+ * @param {string} address - Withdrawal address
+ * @returns {Promise<number[]>} Validator indices
+ */
+async function getValidatorIndices(address) {
+    const indices = [];
+    let offset = 0;
+
+    while (true) {
+        const data = await fetchJson(
+            CONFIG.BEACON_API_URL,
+            `/api/v1/validator/withdrawalCredentials/${address}?limit=${CREDENTIALS_PAGE_SIZE}&offset=${offset}`
+        );
+
+        // Check if the response has the expected structure
+        if (!data || !Array.isArray(data.data)) {
+            break;
+        }
+
+        indices.push(...data.data.map(validator => validator.validatorindex));
+
+        // If we got fewer than the limit, we've reached the end
+        if (data.data.length < CREDENTIALS_PAGE_SIZE) {
+            break;
+        }
+
+        offset += CREDENTIALS_PAGE_SIZE;
+    }
+
+    return indices;
+}
+
+/**
+ * Gets validator records from the beaconcha.in v1 API
+ * @param {string} address - Withdrawal address
+ * @returns {Promise<Object[]>} Validator records
+ */
+async function getValidatorsFromBeaconcha(address) {
+    const indices = await getValidatorIndices(address);
+    const validators = [];
+
+    for (let i = 0; i < indices.length; i += DETAILS_BATCH_SIZE) {
+        const batch = indices.slice(i, i + DETAILS_BATCH_SIZE);
+        const data = await fetchJson(CONFIG.BEACON_API_URL, `/api/v1/validator/${batch.join(',')}`);
+        // A single validator comes back as an object, several as an array
+        const entries = Array.isArray(data.data) ? data.data : [data.data];
+        validators.push(...entries.filter(Boolean).map(entry => ({
+            index: entry.validatorindex,
+            pubkey: entry.pubkey,
+            status: entry.status,
+            balance: beaconBalanceToGno(entry.balance),
+            effectiveBalance: beaconBalanceToGno(entry.effectivebalance),
+            activationEpoch: toEpoch(entry.activationepoch)
+        })));
+    }
+
+    return validators;
+}
+
+/**
+ * Counts the validators of an address on beaconcha.in from the withdrawal credentials list alone
+ * @param {string} address - Withdrawal address
+ * @returns {Promise<number>} Number of validators
+ */
+async function countValidatorsFromBeaconcha(address) {
+    return (await getValidatorIndices(address)).length;
+}
+
+/**
+ * Checks whether withdrawal credentials pay out to an address (0x01 or 0x02 credentials)
+ * @param {string} credentials - Withdrawal credentials
+ * @param {string} address - Withdrawal address
+ * @returns {boolean} True if the credentials belong to the address
+ */
+export function hasWithdrawalAddress(credentials, address) {
+    const expected = '0'.repeat(22) + address.replace(/^0x/, '').toLowerCase();
+    return /^0x0[12]/.test(credentials) && credentials.slice(4).toLowerCase() === expected;
+}
+
+// Validator indices by withdrawal address, built from one head state download and shared
+// by every address (dashboard, lookup and watchlist) until CONFIG.BEACON_NODE_INDEX_CACHE_MS passes
+let validatorIndexCache = null;
+
+function getWithdrawalAddress(credentials) {
+    return /^0x0[12]/.test(credentials) ? '0x' + credentials.slice(-40).toLowerCase() : null;
+}
+
+async function loadValidatorIndexMap(url) {
+    const data = await fetchJson(url, '/eth/v1/beacon/states/head/validators');
+    if (!data || !Array.isArray(data.data)) {
+        throw new Error('Unexpected response from the beacon node');
+    }
+
+    const indicesByAddress = new Map();
+    for (const entry of data.data) {
+        const address = getWithdrawalAddress(entry.validator.withdrawal_credentials);
+        if (!address || !hasWithdrawalAddress(entry.validator.withdrawal_credentials, address)) continue;
+        if (!indicesByAddress.has(address)) {
+            indicesByAddress.set(address, []);
+        }
+        indicesByAddress.get(address).push(entry.index);
+    }
+    return indicesByAddress;
+}
+
+/**
+ * Gets the validator indices of every withdrawal address from the node's head state.
+ * Concurrent callers share one download; the result is reused until it expires.
+ * @param {string} url - Beacon node URL
+ * @returns {Promise<Map<string, string[]>>} Indices by lowercase withdrawal address
+ */
+function getValidatorIndexMap(url) {
+    const now = Date.now();
+    if (!validatorIndexCache || validatorIndexCache.url !== url || now - validatorIndexCache.loadedAt > CONFIG.BEACON_NODE_INDEX_CACHE_MS) {
+        const promise = loadValidatorIndexMap(url);
+        validatorIndexCache = { url, loadedAt: now, promise };
+        // A failed download is not cached, so the next call tries again
+        promise.catch(() => {
+            if (validatorIndexCache && validatorIndexCache.promise === promise) {
+                validatorIndexCache = null;
+            }
+        });
+    }
+    return validatorIndexCache.promise;
+}
+
+/**
+ * Forgets the validator indices read from the beacon node, so the next read downloads the head state again
+ */
+export function clearValidatorIndexCache() {
+    validatorIndexCache = null;
+}
+
+/**
+ * Gets validator records from a standard Beacon Node REST API.
+ * The standard API cannot filter by withdrawal credentials, so the indices of an address
+ * come from the shared head state index (see getValidatorIndexMap); current balances and
+ * statuses are then read for just those indices with `?id=`.
+ * @param {string} address - Withdrawal address
+ * @returns {Promise<Object[]>} Validator records
+ */
+async function getValidatorsFromBeaconNode(address) {
+    if (!CONFIG.BEACON_NODE_URL) {
+        throw new Error('CONFIG.BEACON_NODE_URL is not set');
+    }
+
+    const indicesByAddress = await getValidatorIndexMap(CONFIG.BEACON_NODE_URL);
+    const indices = indicesByAddress.get(address.toLowerCase()) || [];
+    const entries = [];
+
+    for (let i = 0; i < indices.length; i += DETAILS_BATCH_SIZE) {
+        const batch = indices.slice(i, i + DETAILS_BATCH_SIZE);
+        const data = await fetchJson(CONFIG.BEACON_NODE_URL, `/eth/v1/beacon/states/head/validators?id=${batch.join(',')}`);
+        if (!data || !Array.isArray(data.data)) {
+            throw new Error('Unexpected response from the beacon node');
+        }
+        entries.push(...data.data);
+    }
+
+    return entries
+        .filter(entry => hasWithdrawalAddress(entry.validator.withdrawal_credentials, address))
+        .map(entry => ({
+            index: Number(entry.index),
+            pubkey: entry.validator.pubkey,
+            status: entry.status,
+            balance: beaconBalanceToGno(entry.balance),
+            effectiveBalance: beaconBalanceToGno(entry.validator.effective_balance),
+            activationEpoch: toEpoch(entry.validator.activation_epoch)
+        }));
+}
+
+/**
+ * Counts the validators of an address from the shared head state index, without reading their details
+ * @param {string} address - Withdrawal address
+ * @returns {Promise<number>} Number of validators
+ */
+async function countValidatorsFromBeaconNode(address) {
+    if (!CONFIG.BEACON_NODE_URL) {
+        throw new Error('CONFIG.BEACON_NODE_URL is not set');
+    }
+
+    const indicesByAddress = await getValidatorIndexMap(CONFIG.BEACON_NODE_URL);
+    return (indicesByAddress.get(address.toLowerCase()) || []).length;
+}
+
+// Validator data sources, selected with CONFIG.VALIDATOR_SOURCE
+export const VALIDATOR_SOURCES = {
+    'beaconcha.in': {
+        label: 'beaconcha.in',
+        getValidators: getValidatorsFromBeaconcha,
+        countValidators: countValidatorsFromBeaconcha
+    },
+    'beacon-node': {
+        label: 'Beacon node',
+        getValidators: getValidatorsFromBeaconNode,
+        countValidators: countValidatorsFromBeaconNode
+    }
+};
+
+/**
+ * Gets the configured validator data source
+ * @returns {{label: string, getValidators: Function, countValidators: Function}} Data source
+ * @throws {Error} If CONFIG.VALIDATOR_SOURCE names an unknown source
+ */
+export function getValidatorSource() {
+    const source = VALIDATOR_SOURCES[CONFIG.VALIDATOR_SOURCE];
+    if (!source) {
+        throw new Error(`Unknown validator source: ${CONFIG.VALIDATOR_SOURCE}`);
+    }
+    return source;
+}
+
+/**
+ * Gets the validators whose withdrawal credentials point at an address
+ * @param {string} address - Withdrawal address
+ * @returns {Promise<Array<{index: number, pubkey: string, status: string, balance: bigint, effectiveBalance: bigint, activationEpoch: number|null}>>} Validator records, balances in GNO wei
+ * @throws {Error} If the data source cannot be reached
+ */
+export async function getValidators(address) {
+    return await getValidatorSource().getValidators(address);
+}
+
+/**
+ * Counts the validators whose withdrawal credentials point at an address. Only the
+ * validator indices are read, not each validator's details.
+ * @param {string} address - Withdrawal address
+ * @returns {Promise<number>} Number of validators
+ * @throws {Error} If the data source cannot be reached
+ */
+export async function countValidators(address) {
+    return await getValidatorSource().countValidators(address);
+}
+
+/**
+ * Builds a beacon chain explorer link for a validator
+ * @param {number} index - Validator index
+ * @returns {string} Explorer URL
+ */
+export function getValidatorExplorerUrl(index) {
+    return `${CONFIG.BEACON_EXPLORER_URL.replace(/\/$/, '')}/validator/${index}`;
+}
+
+/**
+ * Sorts validator records without changing the input
+ * @param {Object[]} validators - Validator records
+ * @param {string} key - Record field to sort by
+ * @param {string} direction - 'asc' or 'desc'
+ * @returns {Object[]} Sorted records
+ */
+export function sortValidators(validators, key, direction = 'asc') {
+    const sign = direction === 'desc' ? -1 : 1;
+    return [...validators].sort((a, b) => {
+        const left = a[key];
+        const right = b[key];
+        if (left === right) return 0;
+        return (left < right ? -1 : 1) * sign;
+    });
+}
+
+/**
+ * Filters validator records by status
+ * @param {Object[]} validators - Validator records
+ * @param {string} status - Status to keep, or '' for all
+ * @returns {Object[]} Matching records
+ */
+export function filterValidatorsByStatus(validators, status) {
+    return status ? validators.filter(validator => validator.status === status) : validators;
+}
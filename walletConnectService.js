@@ -0,0 +1,185 @@
+// WalletConnect v2 service: pairs a mobile wallet by QR code and keeps the session across reloads
+import { CONFIG } from './config.js';
+import { setSessionWallet } from './walletDiscovery.js';
+
+const SESSION_STORAGE_KEY = 'gnosis-validator-app:walletconnect';
+
+let provider = null;
+const uriListeners = new Set();
+const disconnectListeners = new Set();
+
+/**
+ * Loads the WalletConnect EthereumProvider class
+ * @returns {Promise<any>} EthereumProvider class with a static init(options)
+ */
+async function importEthereumProvider() {
+    // Vendored rather than loaded from a CDN so the signing code is the reviewed copy, see vendor/
+    const module = await import('./vendor/walletconnect-ethereum-provider.js');
+    return module.EthereumProvider;
+}
+
+function setStoredSession(active) {
+    try {
+        if (active) {
+            localStorage.setItem(SESSION_STORAGE_KEY, 'true');
+        } else {
+            localStorage.removeItem(SESSION_STORAGE_KEY);
+        }
+    } catch (error) {
+        console.warn('Failed to store WalletConnect session state:', error);
+    }
+}
+
+// Use the paired wallet for every wallet request, see getWalletProvider in walletDiscovery.js
+function startSession() {
+    const metadata = (provider.session && provider.session.peer && provider.session.peer.metadata) || {};
+    setStoredSession(true);
+    setSessionWallet({
+        provider,
+        info: {
+            uuid: provider.session ? provider.session.topic : '',
+            name: metadata.name || 'Mobile wallet',
+            icon: (metadata.icons && metadata.icons[0]) || '',
+            rdns: 'walletconnect'
+        }
+    });
+}
+
+function endSession() {
+    setStoredSession(false);
+    setSessionWallet(null);
+}
+
+/**
+ * Creates the provider on first use and connects it to the relay
+ * @returns {Promise<Object>} EIP-1193 provider
+ */
+async function getProvider() {
+    if (provider) {
+        return provider;
+    }
+    if (!isWalletConnectConfigured()) {
+        throw new Error('WalletConnect is not configured. Set CONFIG.WALLETCONNECT_PROJECT_ID.');
+    }
+
+    const EthereumProvider = await importEthereumProvider();
+    const chainId = parseInt(CONFIG.CHAIN_ID, 16);
+    provider = await EthereumProvider.init({
+        projectId: CONFIG.WALLETCONNECT_PROJECT_ID,
+        relayUrl: CONFIG.WALLETCONNECT_RELAY_URL,
+        chains: [chainId],
+        rpcMap: { [chainId]: CONFIG.CHAIN_CONFIG.rpcUrls[0] },
+        showQrModal: false, // The connect card shows the QR code
+        metadata: {
+            name: 'Gnosis Validator Safe App',
+            description: `Manage your validator rewards on ${CONFIG.NETWORK_NAME}`,
+            url: window.location.origin,
+            icons: []
+        }
+    });
+
+    provider.on('display_uri', (uri) => {
+        uriListeners.forEach(listener => listener(uri));
+    });
+    // The wallet ended the session (or it expired)
+    provider.on('disconnect', () => {
+        endSession();
+        disconnectListeners.forEach(listener => listener());
+    });
+    return provider;
+}
+
+/**
+ * Checks if WalletConnect can be used
+ * @returns {boolean} True if a project ID is configured
+ */
+export function isWalletConnectConfigured() {
+    return !!CONFIG.WALLETCONNECT_PROJECT_ID;
+}
+
+/**
+ * Checks if a WalletConnect session was active when the page was last open
+ * @returns {boolean} True if a session should be restored
+ */
+export function hasWalletConnectSession() {
+    try {
+        return localStorage.getItem(SESSION_STORAGE_KEY) === 'true';
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Calls a listener with the pairing URI to show as a QR code, and with '' once
+ * pairing ended (successfully or not)
+ * @param {Function} listener - Called with the URI
+ * @returns {Function} Unsubscribes the listener
+ */
+export function onWalletConnectUri(listener) {
+    uriListeners.add(listener);
+    return () => uriListeners.delete(listener);
+}
+
+/**
+ * Calls a listener when the wallet ends the session
+ * @param {Function} listener - Called without arguments
+ * @returns {Function} Unsubscribes the listener
+ */
+export function onWalletConnectDisconnect(listener) {
+    disconnectListeners.add(listener);
+    return () => disconnectListeners.delete(listener);
+}
+
+/**
+ * Pairs with a wallet: emits the pairing URI (see onWalletConnectUri) and waits until
+ * the wallet approves the session
+ * @returns {Promise<string[]>} Accounts of the session
+ */
+export async function connectWalletConnect() {
+    const walletConnectProvider = await getProvider();
+    try {
+        await walletConnectProvider.connect();
+    } finally {
+        uriListeners.forEach(listener => listener(''));
+    }
+
+    if (walletConnectProvider.accounts.length === 0) {
+        throw new Error('No accounts found');
+    }
+    startSession();
+    return walletConnectProvider.accounts;
+}
+
+/**
+ * Restores the session from the last visit, if there was one and it is still valid
+ * @returns {Promise<string[]>} Accounts of the session, empty without one
+ */
+export async function restoreWalletConnectSession() {
+    if (!hasWalletConnectSession()) {
+        return [];
+    }
+
+    try {
+        const walletConnectProvider = await getProvider();
+        if (!walletConnectProvider.session) {
+            endSession();
+            return [];
+        }
+        startSession();
+        return walletConnectProvider.accounts;
+    } catch (error) {
+        console.warn('Failed to restore WalletConnect session:', error);
+        return [];
+    }
+}
+
+/**
+ * Ends the session in the app and tells the wallet
+ * @returns {Promise<void>}
+ */
+export async function disconnectWalletConnect() {
+    endSession();
+    if (provider && provider.session) {
+        await provider.disconnect();
+    }
+}
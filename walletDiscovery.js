@@ -0,0 +1,121 @@
+// EIP-6963 wallet discovery: finds every installed wallet instead of whichever one
+// injected window.ethereum last, and remembers the wallet the user picked
+const SELECTED_WALLET_STORAGE_KEY = 'gnosis-validator-app:wallet';
+
+// Announced wallets keyed by rdns (reverse DNS name, stable across reloads unlike uuid)
+const announcedWallets = new Map();
+const listeners = new Set();
+let isDiscovering = false;
+
+// Wallet connected over a session (WalletConnect); takes precedence over injected wallets
+let sessionWallet = null;
+
+function handleAnnouncement(event) {
+    const { info, provider } = event.detail || {};
+    if (!info || typeof info.rdns !== 'string' || !provider || typeof provider.request !== 'function') {
+        console.warn('Ignoring invalid EIP-6963 wallet announcement');
+        return;
+    }
+    announcedWallets.set(info.rdns, {
+        info: { uuid: info.uuid, name: info.name || info.rdns, icon: info.icon || '', rdns: info.rdns },
+        provider
+    });
+    const wallets = getDiscoveredWallets();
+    listeners.forEach(listener => listener(wallets));
+}
+
+/**
+ * Starts listening for wallet announcements and asks installed wallets to announce
+ * themselves. Wallets that load later announce on their own. Safe to call repeatedly.
+ */
+export function startWalletDiscovery() {
+    if (isDiscovering) return;
+    isDiscovering = true;
+    window.addEventListener('eip6963:announceProvider', handleAnnouncement);
+    window.dispatchEvent(new Event('eip6963:requestProvider'));
+}
+
+/**
+ * Calls a listener whenever a wallet announces itself
+ * @param {Function} listener - Called with the list from getDiscoveredWallets
+ * @returns {Function} Unsubscribes the listener
+ */
+export function onWalletsChanged(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+/**
+ * Gets the wallets that announced themselves
+ * @returns {Array<{uuid: string, name: string, icon: string, rdns: string}>} Wallet info in announcement order
+ */
+export function getDiscoveredWallets() {
+    return [...announcedWallets.values()].map(wallet => wallet.info);
+}
+
+/**
+ * Gets the wallet the user picked last, even if it has not announced itself (yet)
+ * @returns {string|null} rdns of the wallet
+ */
+export function getSelectedWalletId() {
+    try {
+        return localStorage.getItem(SELECTED_WALLET_STORAGE_KEY);
+    } catch (error) {
+        console.warn('Failed to read wallet preference:', error);
+        return null;
+    }
+}
+
+/**
+ * Picks the wallet to use from now on and remembers it across reloads
+ * @param {string} rdns - rdns of a discovered wallet
+ * @throws {Error} If no wallet with this rdns announced itself
+ */
+export function selectWallet(rdns) {
+    if (!announcedWallets.has(rdns)) {
+        throw new Error(`Wallet not found: ${rdns}`);
+    }
+    localStorage.setItem(SELECTED_WALLET_STORAGE_KEY, rdns);
+}
+
+/**
+ * Sets or clears the wallet connected over a session, see walletConnectService.js
+ * @param {{provider: Object, info: Object}|null} wallet - Provider and info of the wallet, null when the session ended
+ */
+export function setSessionWallet(wallet) {
+    sessionWallet = wallet;
+}
+
+/**
+ * Gets the provider every wallet request goes through: a session wallet if connected,
+ * then the selected wallet if it announced itself, then window.ethereum, then the
+ * first discovered wallet
+ * @returns {Object|null} EIP-1193 provider, null without any wallet
+ */
+export function getWalletProvider() {
+    if (sessionWallet) {
+        return sessionWallet.provider;
+    }
+    const selected = announcedWallets.get(getSelectedWalletId());
+    if (selected) {
+        return selected.provider;
+    }
+    if (typeof window.ethereum !== 'undefined') {
+        return window.ethereum;
+    }
+    const [first] = announcedWallets.values();
+    return first ? first.provider : null;
+}
+
+/**
+ * Gets the info of the wallet getWalletProvider returns, if it is a session wallet or announced itself
+ * @returns {{uuid: string, name: string, icon: string, rdns: string}|null} Wallet info
+ */
+export function getActiveWalletInfo() {
+    if (sessionWallet) {
+        return sessionWallet.info;
+    }
+    const provider = getWalletProvider();
+    const active = [...announcedWallets.values()].find(wallet => wallet.provider === provider);
+    return active ? active.info : null;
+}
@@ -1,6 +1,33 @@
 // Wallet connection and management service
 import { CONFIG } from './config.js';
 import { isWalletAvailable } from './utils.js';
+import { getWalletProvider } from './walletDiscovery.js';
+
+// Set when the user disconnects, so wallets that cannot revoke permissions stay disconnected after a reload
+const DISCONNECTED_STORAGE_KEY = 'gnosis-validator-app:disconnected';
+
+// Last chain the wallet reported, null until known
+let walletChainId = null;
+
+function setDisconnected(disconnected) {
+    try {
+        if (disconnected) {
+            localStorage.setItem(DISCONNECTED_STORAGE_KEY, 'true');
+        } else {
+            localStorage.removeItem(DISCONNECTED_STORAGE_KEY);
+        }
+    } catch (error) {
+        console.warn('Failed to store disconnect state:', error);
+    }
+}
+
+function isDisconnected() {
+    try {
+        return localStorage.getItem(DISCONNECTED_STORAGE_KEY) === 'true';
+    } catch (error) {
+        return false;
+    }
+}
 
 /**
  * Checks if wallet is available
@@ -19,7 +46,7 @@ export async function requestAccounts() {
         throw new Error('Please install MetaMask or another Ethereum wallet');
     }
 
-    const accounts = await window.ethereum.request({
+    const accounts = await getWalletProvider().request({
         method: 'eth_requestAccounts'
     });
 
@@ -27,20 +54,21 @@ export async function requestAccounts() {
         throw new Error('No accounts found');
     }
 
+    setDisconnected(false);
     return accounts;
 }
 
 /**
  * Gets currently connected accounts without requesting permission
- * @returns {Promise<string[]>} Array of account addresses
+ * @returns {Promise<string[]>} Array of account addresses, empty after disconnectInjectedWallet
  */
 export async function getAccounts() {
-    if (!checkWalletAvailability()) {
+    if (!checkWalletAvailability() || isDisconnected()) {
         return [];
     }
 
     try {
-        return await window.ethereum.request({
+        return await getWalletProvider().request({
             method: 'eth_accounts'
         });
     } catch (error) {
@@ -50,30 +78,98 @@ export async function getAccounts() {
 }
 
 /**
- * Switches to Gnosis Chain or adds it if not present
+ * Disconnects the app from the wallet. Revokes the account permission with
+ * wallet_revokePermissions where the wallet supports it; otherwise the app only stops
+ * using the accounts until the user connects again.
+ * @returns {Promise<boolean>} True if the wallet revoked the permission
+ */
+export async function disconnectInjectedWallet() {
+    setDisconnected(true);
+    walletChainId = null;
+    if (!checkWalletAvailability()) {
+        return false;
+    }
+
+    try {
+        await getWalletProvider().request({
+            method: 'wallet_revokePermissions',
+            params: [{ eth_accounts: {} }]
+        });
+        return true;
+    } catch (error) {
+        console.warn('Wallet cannot revoke permissions, disconnecting in the app only:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Gets the chain the wallet is on
+ * @returns {Promise<string|null>} Chain ID in hex, null without a wallet
+ */
+export async function getWalletChainId() {
+    if (!checkWalletAvailability()) {
+        return null;
+    }
+    walletChainId = (await getWalletProvider().request({ method: 'eth_chainId' })) || null;
+    return walletChainId;
+}
+
+/**
+ * Checks if the wallet was last seen on the app's network (CONFIG.CHAIN_ID). Reads
+ * and subscriptions go through the wallet only then.
+ * @returns {boolean} True on the app's network; false on another chain or while the chain is not known yet
+ */
+export function isWalletOnSelectedNetwork() {
+    return walletChainId !== null && Number(walletChainId) === Number(CONFIG.CHAIN_ID);
+}
+
+// Shared by concurrent reads while the chain is being asked for
+let chainIdRequest = null;
+
+/**
+ * Checks if the wallet is on the app's network, asking it for its chain first if that is not
+ * known yet (before connecting, e.g. for lookups and the watchlist)
+ * @returns {Promise<boolean>} True on the app's network
+ */
+export async function confirmWalletOnSelectedNetwork() {
+    if (walletChainId === null && checkWalletAvailability()) {
+        if (!chainIdRequest) {
+            chainIdRequest = getWalletChainId()
+                .catch(error => console.warn('Failed to read the wallet chain:', error.message))
+                .finally(() => { chainIdRequest = null; });
+        }
+        await chainIdRequest;
+    }
+    return isWalletOnSelectedNetwork();
+}
+
+/**
+ * Switches the wallet to the network the app runs on, adding it to the wallet if not present
  * @returns {Promise<void>}
  */
-export async function switchToGnosisChain() {
+export async function switchToSelectedNetwork() {
     if (!checkWalletAvailability()) {
         throw new Error('Wallet not available');
     }
+    const chainId = CONFIG.CHAIN_ID;
 
     try {
-        await window.ethereum.request({
+        await getWalletProvider().request({
             method: 'wallet_switchEthereumChain',
-            params: [{ chainId: CONFIG.GNOSIS_CHAIN_ID }],
+            params: [{ chainId }],
         });
     } catch (switchError) {
         // If chain doesn't exist, add it
         if (switchError.code === 4902) {
-            await window.ethereum.request({
+            await getWalletProvider().request({
                 method: 'wallet_addEthereumChain',
-                params: [CONFIG.GNOSIS_CHAIN_CONFIG]
+                params: [CONFIG.CHAIN_CONFIG]
             });
         } else {
             throw switchError;
         }
     }
+    walletChainId = chainId;
 }
 
 /**
@@ -88,19 +184,24 @@ export function setupWalletEventListeners(onAccountsChanged, onChainChanged) {
     }
 
     const handleAccountsChanged = (accounts) => {
+        // Wallets that could not revoke the permission still report account switches
+        if (isDisconnected()) return;
         onAccountsChanged(accounts);
     };
 
     const handleChainChanged = (chainId) => {
+        walletChainId = chainId;
         onChainChanged(chainId);
     };
 
-    window.ethereum.on('accountsChanged', handleAccountsChanged);
-    window.ethereum.on('chainChanged', handleChainChanged);
+    // Keep the provider: cleanup must detach from it even after another wallet is selected
+    const provider = getWalletProvider();
+    provider.on('accountsChanged', handleAccountsChanged);
+    provider.on('chainChanged', handleChainChanged);
 
     // Return cleanup function
     return () => {
-        window.ethereum.removeListener('accountsChanged', handleAccountsChanged);
-        window.ethereum.removeListener('chainChanged', handleChainChanged);
+        provider.removeListener('accountsChanged', handleAccountsChanged);
+        provider.removeListener('chainChanged', handleChainChanged);
     };
 }
\ No newline at end of file
@@ -0,0 +1,59 @@
+// Watch mode: the full dashboard of any address or Safe, read-only, entered with ?address=0x…
+import { isValidAddress, getAddressError, toChecksumAddress } from './utils.js';
+
+function getAddressParam() {
+    if (typeof window === 'undefined' || !window.location) {
+        return null;
+    }
+    return new URLSearchParams(window.location.search).get('address');
+}
+
+/**
+ * Gets the address to watch from the `?address=` URL parameter
+ * @returns {string|null} Checksummed address, null without the parameter or if it is invalid
+ */
+export function getWatchAddress() {
+    const address = getAddressParam();
+    return address && isValidAddress(address) ? toChecksumAddress(address) : null;
+}
+
+/**
+ * Checks whether the app watches an address instead of using a wallet
+ * @returns {boolean} True in watch mode
+ */
+export function isWatchMode() {
+    return getWatchAddress() !== null;
+}
+
+/**
+ * Explains why the `?address=` URL parameter cannot be watched
+ * @returns {string} Error message, or '' if there is no parameter or it is valid
+ */
+export function getWatchAddressError() {
+    const address = getAddressParam();
+    if (address === null || isValidAddress(address)) {
+        return '';
+    }
+    return `Cannot watch the address in the link: ${getAddressError(address)}`;
+}
+
+/**
+ * Builds the link that opens watch mode for an address, keeping the other URL parameters
+ * (such as `?network=` and `?demo=`)
+ * @param {string} address - Address to watch
+ * @returns {string} Absolute URL of this page with `?address=`
+ */
+export function getWatchUrl(address) {
+    const url = new URL(window.location.href);
+    url.searchParams.set('address', address);
+    return url.toString();
+}
+
+/**
+ * Leaves watch mode by removing the address from the URL, without reloading
+ */
+export function exitWatchMode() {
+    const url = new URL(window.location.href);
+    url.searchParams.delete('address');
+    window.history.replaceState(null, '', url.toString());
+}
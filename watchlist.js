@@ -0,0 +1,145 @@
+// Saved watchlist of labelled addresses with their balances and totals
+import { CONFIG } from './config.js';
+import { isValidAddress, getAddressError, toChecksumAddress } from './utils.js';
+import { toBigInt } from './amount.js';
+import { getWithdrawableAmount, getTokenBalance, getValidatorCount } from './contractService.js';
+
+const WATCHLIST_STORAGE_KEY = 'gnosis-validator-app:watchlist';
+
+function sameAddress(a, b) {
+    return a.toLowerCase() === b.toLowerCase();
+}
+
+function saveWatchlist(entries) {
+    localStorage.setItem(WATCHLIST_STORAGE_KEY, JSON.stringify(entries));
+}
+
+/**
+ * Gets the saved watchlist from localStorage
+ * @returns {Array<{address: string, label: string}>} Watched addresses (checksummed) in the order they were added
+ */
+export function getWatchlist() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(WATCHLIST_STORAGE_KEY) || '[]');
+        return Array.isArray(stored)
+            ? stored
+                .filter(entry => entry && isValidAddress(entry.address))
+                .map(entry => ({ address: toChecksumAddress(entry.address), label: typeof entry.label === 'string' ? entry.label : '' }))
+            : [];
+    } catch (error) {
+        console.warn('Failed to read watchlist:', error);
+        return [];
+    }
+}
+
+/**
+ * Adds an address to the watchlist, or updates its label if it is already watched
+ * @param {string} address - Address to watch
+ * @param {string} [label] - Display label
+ * @returns {Array<{address: string, label: string}>} Updated watchlist
+ */
+export function addToWatchlist(address, label = '') {
+    const trimmed = address.trim();
+    const error = getAddressError(trimmed);
+    if (error) {
+        throw new Error(error);
+    }
+
+    const entries = getWatchlist();
+    const existing = entries.find(entry => sameAddress(entry.address, trimmed));
+    if (existing) {
+        existing.label = label.trim();
+    } else {
+        entries.push({ address: toChecksumAddress(trimmed), label: label.trim() });
+    }
+    saveWatchlist(entries);
+    return entries;
+}
+
+/**
+ * Changes the label of a watched address
+ * @param {string} address - Watched address
+ * @param {string} label - New label
+ * @returns {Array<{address: string, label: string}>} Updated watchlist
+ */
+export function renameWatchlistEntry(address, label) {
+    const entries = getWatchlist().map(entry => sameAddress(entry.address, address) ? { ...entry, label: label.trim() } : entry);
+    saveWatchlist(entries);
+    return entries;
+}
+
+/**
+ * Removes an address from the watchlist
+ * @param {string} address - Watched address
+ * @returns {Array<{address: string, label: string}>} Updated watchlist
+ */
+export function removeFromWatchlist(address) {
+    const entries = getWatchlist().filter(entry => !sameAddress(entry.address, address));
+    saveWatchlist(entries);
+    return entries;
+}
+
+/**
+ * Reads balances for a watched address. A failed read is returned as an error
+ * so one unreachable address does not hide the others. The validator count comes
+ * from the beacon API, so it can fail on its own: it is then null with validatorCountError set.
+ * @param {string} address - Watched address
+ * @returns {Promise<{address: string, withdrawable: bigint, gnoBalance: bigint, validatorCount: number|null, validatorCountError: string, provider: string, error: string}>} Balances in wei
+ */
+export async function getWatchlistBalance(address) {
+    try {
+        const [withdrawableResult, gnoBalanceResult, validatorCountResult] = await Promise.all([
+            getWithdrawableAmount(CONFIG.VALIDATOR_CONTRACT_ADDRESS, address),
+            getTokenBalance(CONFIG.GNO_TOKEN_ADDRESS, address),
+            getValidatorCount(address).then(
+                count => ({ count, error: '' }),
+                error => ({ count: null, error: error.message })
+            )
+        ]);
+        return {
+            address,
+            withdrawable: toBigInt(withdrawableResult.value),
+            gnoBalance: toBigInt(gnoBalanceResult.value),
+            validatorCount: validatorCountResult.count,
+            validatorCountError: validatorCountResult.error,
+            provider: withdrawableResult.provider,
+            error: ''
+        };
+    } catch (error) {
+        return { address, withdrawable: 0n, gnoBalance: 0n, validatorCount: null, validatorCountError: '', provider: '', error: error.message };
+    }
+}
+
+/**
+ * Reads balances for every watched address (contract reads are batched through Multicall)
+ * @param {Array<{address: string}>} entries - Watchlist entries
+ * @returns {Promise<Object[]>} Balances from getWatchlistBalance, in watchlist order
+ */
+export async function getWatchlistBalances(entries) {
+    return await Promise.all(entries.map(entry => getWatchlistBalance(entry.address)));
+}
+
+/**
+ * Adds up the balances of the addresses that could be read
+ * @param {Object[]} balances - Balances from getWatchlistBalance
+ * @returns {{withdrawable: bigint, gnoBalance: bigint, validatorCount: number, validatorCountFailed: number, count: number, failed: number}} Totals
+ */
+export function sumWatchlistTotals(balances) {
+    const totals = { withdrawable: 0n, gnoBalance: 0n, validatorCount: 0, validatorCountFailed: 0, count: 0, failed: 0 };
+    for (const balance of balances) {
+        if (balance.error) {
+            totals.failed++;
+            continue;
+        }
+        totals.withdrawable += balance.withdrawable;
+        totals.gnoBalance += balance.gnoBalance;
+        // Addresses whose validators could not be counted are left out of the validator total
+        if (balance.validatorCount === null) {
+            totals.validatorCountFailed++;
+        } else {
+            totals.validatorCount += balance.validatorCount;
+        }
+        totals.count++;
+    }
+    return totals;
+}